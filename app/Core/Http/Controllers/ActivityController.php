@@ -0,0 +1,88 @@
+<?php
+
+namespace App\Core\Http\Controllers;
+
+use App\Core\Services\ResourceActivityService;
+use App\Http\Controllers\Controller;
+use App\Models\ResourceActivity;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+use Illuminate\Validation\Rule;
+
+class ActivityController extends Controller
+{
+    public function __construct(protected ResourceActivityService $activity) {}
+
+    /**
+     * List activity across all resources, filtered by user, resource, event and date.
+     */
+    public function index(Request $request): JsonResponse
+    {
+        $request->validate([
+            'user_id' => 'nullable|integer',
+            'resource' => 'nullable|string',
+            'subject_id' => 'nullable|string',
+            'event' => ['nullable', 'string', Rule::in($this->events())],
+            'from' => 'nullable|date',
+            'to' => 'nullable|date|after_or_equal:from',
+            'perPage' => 'nullable|integer|min:1|max:100',
+        ]);
+
+        $data = $this->activity->paginate($request->only([
+            'user_id', 'resource', 'subject_id', 'event', 'from', 'to', 'perPage',
+        ]));
+
+        return response()->json($this->activity->withoutUnreadable($data, $this->unreadableAttributes()));
+    }
+
+    /**
+     * Get the options for the activity filters.
+     */
+    public function meta(): JsonResponse
+    {
+        $resources = collect(config('resources', []))
+            ->filter(fn ($class) => class_exists($class))
+            ->map(fn ($class, $key) => [
+                'key' => $key,
+                'label' => $class::$label,
+                'singularLabel' => $class::$singularLabel,
+            ])
+            ->values();
+
+        return response()->json([
+            'resources' => $resources,
+            'events' => $this->events(),
+        ]);
+    }
+
+    /**
+     * Get a lookup of the attributes the current user may not read, by resource key.
+     *
+     * @return callable(string): array
+     */
+    protected function unreadableAttributes(): callable
+    {
+        $attributes = [];
+
+        return function (string $resource) use (&$attributes) {
+            if (! array_key_exists($resource, $attributes)) {
+                $class = config("resources.{$resource}");
+                $attributes[$resource] = $class && class_exists($class) ? (new $class)->unreadableAttributes() : [];
+            }
+
+            return $attributes[$resource];
+        };
+    }
+
+    protected function events(): array
+    {
+        return [
+            ResourceActivity::EVENT_CREATED,
+            ResourceActivity::EVENT_UPDATED,
+            ResourceActivity::EVENT_DELETED,
+            ResourceActivity::EVENT_RESTORED,
+            ResourceActivity::EVENT_FORCE_DELETED,
+            ResourceActivity::EVENT_ACTION,
+        ];
+    }
+}
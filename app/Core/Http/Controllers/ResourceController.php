@@ -5,25 +5,63 @@
 use App\Http\Controllers\Controller;
 use App\Http\Requests\ResourceStoreRequest;
 use App\Http\Requests\ResourceUpdateRequest;
+use App\Core\Resources\Fields\HasMany;
+use App\Core\Services\ResourceActivityService;
+use App\Core\Services\ResourceExportService;
+use App\Core\Services\ResourceImportService;
 use App\Core\Services\ResourceService;
+use App\Exceptions\StaleVersionException;
+use App\Jobs\ProcessResourceImport;
+use App\Models\ResourceImport;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\HasMany as HasManyRelation;
+use Illuminate\Database\QueryException;
 use Illuminate\Http\JsonResponse;
 use Illuminate\Http\Request;
+use Illuminate\Support\Arr;
 use Illuminate\Support\Facades\Validator;
+use Illuminate\Validation\Rule;
+use Symfony\Component\HttpFoundation\StreamedResponse;
 
 class ResourceController extends Controller
 {
+    /**
+     * List the registered resources the current user may view.
+     */
+    public function resources(): JsonResponse
+    {
+        $resources = collect(config('resources', []))
+            ->filter(fn ($class) => class_exists($class))
+            ->map(fn ($class) => new $class)
+            ->filter(fn ($resourceInstance) => $resourceInstance->can('viewAny'))
+            ->map(fn ($resourceInstance) => [
+                'key' => $resourceInstance::key(),
+                'label' => $resourceInstance::$label,
+                'singularLabel' => $resourceInstance::$singularLabel,
+                'title' => $resourceInstance::$title,
+                'searchable' => $resourceInstance::$searchable,
+                'can' => $resourceInstance->abilities(),
+            ])
+            ->values();
+
+        return response()->json(['data' => $resources]);
+    }
+
     /**
      * Get resource metadata (fields, filters, actions).
      */
     public function meta(Request $request, string $resource): JsonResponse
     {
         $resourceInstance = $this->resolveResource($resource);
+        $this->authorizeResource($resourceInstance, 'viewAny');
 
         // Determine which fields to return based on context
-        $context = $request->query('context', 'index'); // 'index' or 'form'
-        $fields = $context === 'form'
-            ? $resourceInstance->getFormFields()
-            : $resourceInstance->getIndexFields();
+        $context = $request->query('context', 'index'); // 'index', 'show' or 'form'
+        $fields = match ($context) {
+            'form' => $resourceInstance->getFormFields(),
+            'show' => $resourceInstance->getShowFields(),
+            default => $resourceInstance->getIndexFields(),
+        };
 
         return response()->json([
             'key' => $resourceInstance::key(),
@@ -34,9 +72,29 @@ public function meta(Request $request, string $resource): JsonResponse
             'searchable' => $resourceInstance::$searchable,
             'search' => $resourceInstance::$search,
             'perPage' => $resourceInstance::$perPage,
+            'pagination' => $resourceInstance::$cursorPagination ? 'cursor' : 'offset',
             'fields' => array_map(fn ($f) => $f->toArray(), $fields),
-            'filters' => array_map(fn ($f) => $f->toArray(), $resourceInstance->filters()),
-            'actions' => array_map(fn ($a) => $a->toArray(), $resourceInstance->actions()),
+            'filters' => array_map(fn ($f) => $f->toArray(), $resourceInstance->getFilters()),
+            'actions' => array_map(fn ($a) => $a->toArray(), $resourceInstance->getActions()),
+            'importable' => $resourceInstance::$importable,
+            'softDeletes' => $resourceInstance::softDeletes(),
+            // What the current user may do, resource-wide
+            'can' => $resourceInstance->abilities(),
+            // Attributes the patch endpoint accepts, for inline editing
+            'editable' => $resourceInstance->can('update') ? array_values(array_map(
+                fn ($f) => $f->attribute,
+                array_filter(
+                    $resourceInstance->flattenFields($resourceInstance->getFormFields()),
+                    fn ($f) => $resourceInstance->canWriteField($f->attribute)
+                )
+            )) : [],
+            'export' => [
+                'formats' => $resourceInstance->exportFormats(),
+                'fields' => array_map(fn ($f) => [
+                    'attribute' => $f->attribute,
+                    'label' => $f->label,
+                ], $resourceInstance->getExportFields()),
+            ],
         ]);
     }
 
@@ -46,26 +104,230 @@ public function meta(Request $request, string $resource): JsonResponse
     public function index(Request $request, string $resource): JsonResponse
     {
         $resourceInstance = $this->resolveResource($resource);
-        $service = new ResourceService($resourceInstance);
+        $this->authorizeResource($resourceInstance, 'viewAny');
+        $service = (new ResourceService($resourceInstance))
+            ->via($this->resolveVia($request, $resourceInstance));
 
-        $data = $service->index($request->all());
+        $data = $resourceInstance::$cursorPagination
+            ? $service->cursorIndex($request->all())
+            : $service->index($request->all());
 
         return response()->json($data);
     }
 
+    /**
+     * Get the record count and column aggregates of the current search/filter result set,
+     * overall and per group of the groupBy column.
+     */
+    public function aggregates(Request $request, string $resource): JsonResponse
+    {
+        $resourceInstance = $this->resolveResource($resource);
+        $this->authorizeResource($resourceInstance, 'viewAny');
+
+        $request->validate([
+            'groupBy' => ['nullable', 'string', Rule::in($resourceInstance->groupableAttributes())],
+        ]);
+
+        $service = (new ResourceService($resourceInstance))
+            ->via($this->resolveVia($request, $resourceInstance));
+
+        return response()->json($service->aggregates($request->all()));
+    }
+
+    /**
+     * Export resources (current search/sort/filter result set or selected IDs).
+     */
+    public function export(Request $request, string $resource): StreamedResponse|JsonResponse
+    {
+        $resourceInstance = $this->resolveResource($resource);
+        $this->authorizeResource($resourceInstance, 'viewAny');
+
+        $request->validate([
+            'format' => ['required', 'string', Rule::in($resourceInstance->exportFormats())],
+            'columns' => 'nullable|array',
+            'columns.*' => 'string',
+            'ids' => 'nullable|array',
+            'ids.*' => 'required|integer',
+        ]);
+
+        $service = new ResourceExportService($resourceInstance);
+
+        if (empty($service->resolveFields($request->input('columns', [])))) {
+            return response()->json([
+                'message' => 'No exportable columns selected',
+            ], 422);
+        }
+
+        return $service->stream(
+            $request->input('format'),
+            $request->only(['search', 'sort', 'direction', 'filters']),
+            $request->input('columns', []),
+            $request->input('ids')
+        );
+    }
+
+    /**
+     * Upload an import file and return its headers with a suggested column mapping.
+     */
+    public function uploadImport(Request $request, string $resource): JsonResponse
+    {
+        $resourceInstance = $this->resolveImportableResource($resource);
+
+        $request->validate([
+            'file' => 'required|file|mimes:csv,txt,xlsx|max:20480',
+        ]);
+
+        $service = new ResourceImportService($resourceInstance);
+        $import = $service->upload($request->file('file'), $request->user());
+
+        return response()->json([
+            'import' => $import,
+            'sample' => $service->sample($import),
+            'mapping' => $service->suggestMapping($import->headers ?? []),
+        ], 201);
+    }
+
+    /**
+     * Validate the first rows of an import against a column mapping.
+     */
+    public function previewImport(Request $request, string $resource, int $import): JsonResponse
+    {
+        $resourceInstance = $this->resolveImportableResource($resource);
+        $importModel = $this->findImport($request, $resource, $import);
+
+        $request->validate([
+            'mapping' => 'required|array',
+            'mapping.*' => 'nullable|integer|min:0',
+        ]);
+
+        // Only fields the user may write can be mapped
+        $attributes = collect($resourceInstance->getImportFields())->map(fn ($field) => $field->attribute)->all();
+        $mapping = array_filter(
+            Arr::only($request->input('mapping'), $attributes),
+            fn ($column) => $column !== null
+        );
+        $importModel->update(['mapping' => $mapping]);
+
+        $service = new ResourceImportService($resourceInstance);
+
+        return response()->json($service->preview($importModel, $mapping));
+    }
+
+    /**
+     * Queue an import for processing.
+     */
+    public function commitImport(Request $request, string $resource, int $import): JsonResponse
+    {
+        $this->resolveImportableResource($resource);
+        $importModel = $this->findImport($request, $resource, $import);
+
+        if ($importModel->status !== ResourceImport::STATUS_PENDING) {
+            return response()->json([
+                'message' => 'This import has already been started',
+            ], 422);
+        }
+
+        if (empty($importModel->mapping)) {
+            return response()->json([
+                'message' => 'Map at least one column before importing',
+            ], 422);
+        }
+
+        $importModel->update(['status' => ResourceImport::STATUS_QUEUED]);
+
+        ProcessResourceImport::dispatch($importModel);
+
+        return response()->json([
+            'message' => 'Import started',
+            'import' => $importModel->fresh(),
+        ], 202);
+    }
+
+    /**
+     * Get import status and progress.
+     */
+    public function showImport(Request $request, string $resource, int $import): JsonResponse
+    {
+        $importModel = $this->findImport($request, $resource, $import);
+
+        return response()->json([
+            'import' => $importModel,
+            'errors' => array_slice($importModel->row_errors ?? [], 0, 20),
+        ]);
+    }
+
+    /**
+     * Download the failed rows of an import as CSV.
+     */
+    public function importErrors(Request $request, string $resource, int $import): StreamedResponse
+    {
+        $resourceInstance = $this->resolveImportableResource($resource);
+        $importModel = $this->findImport($request, $resource, $import);
+
+        return (new ResourceImportService($resourceInstance))->errorReport($importModel);
+    }
+
     /**
      * Show single resource.
      */
-    public function show(string $resource, int|string $id): JsonResponse
+    public function show(Request $request, string $resource, int|string $id): JsonResponse
     {
         $resourceInstance = $this->resolveResource($resource);
         $service = new ResourceService($resourceInstance);
+        $this->authorizeResource($resourceInstance, 'view', $service->find($id));
+
+        // Detail view: values transformed for display using the show fields
+        if ($request->query('context') === 'show') {
+            return response()->json([
+                'data' => $service->detail($id),
+            ]);
+        }
 
         $model = $service->show($id);
 
-        // Return full model data with relationships for edit forms
+        // Return full model data with relationships for edit forms, and the version they send back
+        return response()->json([
+            'data' => Arr::except($model->toArray(), $resourceInstance->unreadableAttributes()),
+            'version' => $service->version($model),
+        ]);
+    }
+
+    /**
+     * Get the activity history of a single resource record.
+     */
+    public function activity(Request $request, string $resource, int|string $id): JsonResponse
+    {
+        $resourceInstance = $this->resolveResource($resource);
+        $this->authorizeResource(
+            $resourceInstance,
+            'view',
+            (new ResourceService($resourceInstance))->find($id, withTrashed: true)
+        );
+
+        $activity = app(ResourceActivityService::class);
+        $data = $activity->paginate([
+            'resource' => $resourceInstance::key(),
+            'subject_id' => (string) $id,
+            'perPage' => $request->integer('perPage', 25),
+        ]);
+
+        return response()->json(
+            $activity->withoutUnreadable($data, fn () => $resourceInstance->unreadableAttributes())
+        );
+    }
+
+    /**
+     * Get the form values for a copy of a record, to review in the form before saving it as new.
+     */
+    public function duplicate(string $resource, int|string $id): JsonResponse
+    {
+        $resourceInstance = $this->resolveResource($resource);
+        $service = new ResourceService($resourceInstance);
+        $this->authorizeResource($resourceInstance, 'view', $service->find($id));
+        $this->authorizeResource($resourceInstance, 'create');
+
         return response()->json([
-            'data' => $model->toArray(),
+            'data' => $service->duplicate($id),
         ]);
     }
 
@@ -76,6 +338,7 @@ public function store(Request $request, string $resource): JsonResponse
     {
         $resourceClass = $this->resolveResourceClass($resource);
         $resourceInstance = $this->resolveResource($resource);
+        $this->authorizeResource($resourceInstance, 'create');
 
         // Create and configure the form request with dynamic validation
         $formRequest = app(ResourceStoreRequest::class);
@@ -95,7 +358,8 @@ public function store(Request $request, string $resource): JsonResponse
             ], 422);
         }
 
-        $service = new ResourceService($resourceInstance);
+        $service = (new ResourceService($resourceInstance))
+            ->via($this->resolveVia($request, $resourceInstance));
         $model = $service->store($validator->validated());
 
         return response()->json([
@@ -111,6 +375,7 @@ public function update(Request $request, string $resource, int|string $id): Json
     {
         $resourceClass = $this->resolveResourceClass($resource);
         $resourceInstance = $this->resolveResource($resource);
+        $this->authorizeResource($resourceInstance, 'update', (new ResourceService($resourceInstance))->find($id));
 
         // Create and configure the form request with dynamic validation
         $formRequest = app(ResourceUpdateRequest::class);
@@ -136,7 +401,17 @@ public function update(Request $request, string $resource, int|string $id): Json
         }
 
         $service = new ResourceService($resourceInstance);
-        $model = $service->update($id, $validator->validated());
+
+        // Refuse to save over changes made since the form loaded the record
+        try {
+            $model = $service->update(
+                $id,
+                $validator->validated(),
+                $request->filled('_version') ? (string) $request->input('_version') : null
+            );
+        } catch (StaleVersionException) {
+            return $this->versionConflict($resourceInstance, $id);
+        }
 
         return response()->json([
             'message' => $resourceInstance::$singularLabel.' updated successfully',
@@ -144,6 +419,25 @@ public function update(Request $request, string $resource, int|string $id): Json
         ]);
     }
 
+    /**
+     * Get the 409 response for an update based on an outdated version of the record.
+     * The response carries the current data and version so the form can merge and resubmit.
+     */
+    protected function versionConflict(object $resourceInstance, int|string $id): JsonResponse
+    {
+        $service = new ResourceService($resourceInstance);
+        $model = $service->show($id);
+        $latest = app(ResourceActivityService::class)->latest($resourceInstance::key(), (string) $id);
+
+        return response()->json([
+            'message' => 'This '.strtolower($resourceInstance::$singularLabel).' was changed by someone else after you opened it.',
+            'data' => Arr::except($model->toArray(), $resourceInstance->unreadableAttributes()),
+            'version' => $service->version($model),
+            'changed_by' => $latest?->user?->name,
+            'changed_at' => $latest?->created_at,
+        ], 409);
+    }
+
     /**
      * Partially update resource (for toggles and quick edits).
      * Accepts key-value pairs without requiring all fields.
@@ -153,10 +447,18 @@ public function patch(Request $request, string $resource, int|string $id): JsonR
     {
         $resourceInstance = $this->resolveResource($resource);
         $modelClass = $resourceInstance::model();
+        $this->authorizeResource($resourceInstance, 'update', (new ResourceService($resourceInstance))->find($id));
 
         // Get only the fields being updated (before filtering)
         $fields = $request->all();
 
+        // Quick edits name their fields, so an unwritable one is refused rather than ignored
+        foreach (array_keys($fields) as $attribute) {
+            if (! $resourceInstance->canWriteField($attribute)) {
+                abort(403, "You are not allowed to change {$attribute}");
+            }
+        }
+
         // Filter to only visible fields
         $service = new ResourceService($resourceInstance);
         $fields = $this->filterVisibleFieldsDataForPatch($resourceInstance, $fields);
@@ -237,6 +539,7 @@ public function destroy(string $resource, int|string $id): JsonResponse
     {
         $resourceInstance = $this->resolveResource($resource);
         $service = new ResourceService($resourceInstance);
+        $this->authorizeResource($resourceInstance, 'delete', $service->find($id));
 
         $service->destroy($id);
 
@@ -246,19 +549,85 @@ public function destroy(string $resource, int|string $id): JsonResponse
     }
 
     /**
-     * Bulk delete.
+     * Restore a trashed resource.
      */
-    public function bulkDelete(Request $request, string $resource): JsonResponse
+    public function restore(Request $request, string $resource, int|string $id): JsonResponse
+    {
+        $resourceInstance = $this->resolveSoftDeletingResource($resource);
+        $service = (new ResourceService($resourceInstance))
+            ->via($this->resolveVia($request, $resourceInstance));
+
+        $this->authorizeResource($resourceInstance, 'restore', $service->find($id, withTrashed: true));
+
+        $service->restore($id);
+
+        return response()->json([
+            'message' => $resourceInstance::$singularLabel.' restored successfully',
+        ]);
+    }
+
+    /**
+     * Permanently delete a resource.
+     */
+    public function forceDestroy(Request $request, string $resource, int|string $id): JsonResponse
+    {
+        $resourceInstance = $this->resolveSoftDeletingResource($resource);
+        $service = (new ResourceService($resourceInstance))
+            ->via($this->resolveVia($request, $resourceInstance));
+
+        $this->authorizeResource($resourceInstance, 'forceDelete', $service->find($id, withTrashed: true));
+
+        $service->forceDestroy($id);
+
+        return response()->json([
+            'message' => $resourceInstance::$singularLabel.' permanently deleted',
+        ]);
+    }
+
+    /**
+     * Detach a child from its parent's HasMany relationship.
+     */
+    public function detach(Request $request, string $resource, int|string $id): JsonResponse
     {
         $request->validate([
-            'ids' => 'required|array',
-            'ids.*' => 'required|integer',
+            'viaResource' => 'required|string',
+            'viaResourceId' => 'required',
+            'viaRelationship' => 'required|string',
         ]);
 
         $resourceInstance = $this->resolveResource($resource);
-        $service = new ResourceService($resourceInstance);
+        $service = (new ResourceService($resourceInstance))
+            ->via($this->resolveVia($request, $resourceInstance));
+
+        $this->authorizeResource($resourceInstance, 'update', $service->find($id));
+
+        try {
+            $service->detach($id);
+        } catch (QueryException $e) {
+            return response()->json([
+                'message' => $resourceInstance::$singularLabel.' cannot be detached because it requires a parent. Delete it instead.',
+            ], 422);
+        }
+
+        return response()->json([
+            'message' => $resourceInstance::$singularLabel.' detached successfully',
+        ]);
+    }
+
+    /**
+     * Bulk delete selected IDs or every record matching a query.
+     */
+    public function bulkDelete(Request $request, string $resource): JsonResponse
+    {
+        $selection = $this->validateSelection($request);
+
+        $resourceInstance = $this->resolveResource($resource);
+        $service = (new ResourceService($resourceInstance))
+            ->via($this->resolveVia($request, $resourceInstance));
+
+        $this->authorizeResource($resourceInstance, 'delete');
 
-        $count = $service->bulkDestroy($request->input('ids'));
+        $count = $service->bulkDestroy($selection);
 
         return response()->json([
             'message' => "{$count} items deleted successfully",
@@ -267,23 +636,52 @@ public function bulkDelete(Request $request, string $resource): JsonResponse
     }
 
     /**
-     * Bulk update.
+     * Bulk restore selected IDs or every trashed record matching a query.
+     */
+    public function bulkRestore(Request $request, string $resource): JsonResponse
+    {
+        $selection = $this->validateSelection($request);
+
+        $resourceInstance = $this->resolveSoftDeletingResource($resource);
+        $service = (new ResourceService($resourceInstance))
+            ->via($this->resolveVia($request, $resourceInstance));
+
+        $this->authorizeResource($resourceInstance, 'restore');
+
+        $count = $service->bulkRestore($selection);
+
+        return response()->json([
+            'message' => "{$count} items restored successfully",
+            'affected' => $count,
+        ]);
+    }
+
+    /**
+     * Bulk update selected IDs or every record matching a query.
      */
     public function bulkUpdate(Request $request, string $resource): JsonResponse
     {
+        $selection = $this->validateSelection($request);
+
         $request->validate([
-            'ids' => 'required|array',
-            'ids.*' => 'required|integer',
             'data' => 'required|array',
         ]);
 
         $resourceInstance = $this->resolveResource($resource);
-        $service = new ResourceService($resourceInstance);
+        $service = (new ResourceService($resourceInstance))
+            ->via($this->resolveVia($request, $resourceInstance));
 
-        $count = $service->bulkUpdate(
-            $request->input('ids'),
-            $request->input('data')
-        );
+        $this->authorizeResource($resourceInstance, 'update');
+
+        $data = $request->input('data');
+
+        foreach (array_keys($data) as $attribute) {
+            if (! $resourceInstance->canWriteField($attribute)) {
+                abort(403, "You are not allowed to change {$attribute}");
+            }
+        }
+
+        $count = $service->bulkUpdate($selection, $data);
 
         return response()->json([
             'message' => "{$count} items updated successfully",
@@ -292,21 +690,21 @@ public function bulkUpdate(Request $request, string $resource): JsonResponse
     }
 
     /**
-     * Run action.
+     * Run action on selected IDs or every record matching a query.
      */
     public function runAction(Request $request, string $resource, string $action): JsonResponse
     {
-        $request->validate([
-            'ids' => 'required|array',
-            'ids.*' => 'required|integer',
-        ]);
+        $selection = $this->validateSelection($request);
 
         $resourceInstance = $this->resolveResource($resource);
-        $service = new ResourceService($resourceInstance);
+        $service = (new ResourceService($resourceInstance))
+            ->via($this->resolveVia($request, $resourceInstance));
+
+        $this->authorizeResource($resourceInstance, 'runAction:'.$action);
 
         $result = $service->runAction(
             $action,
-            $request->input('ids'),
+            $selection,
             $request->input('data', [])
         );
 
@@ -326,6 +724,7 @@ public function searchRelated(Request $request, string $resource): JsonResponse
         ]);
 
         $resourceInstance = $this->resolveResource($resource);
+        $this->authorizeResource($resourceInstance, 'viewAny');
         $service = new ResourceService($resourceInstance);
 
         $data = $service->index([
@@ -360,6 +759,113 @@ protected function resolveResource(string $resourceKey): object
         return new $resourceClass;
     }
 
+    /**
+     * Resolve the parent HasMany relationship from viaResource, viaResourceId and viaRelationship.
+     * The parent resource must declare a HasMany field for the relationship that points at this resource.
+     */
+    protected function resolveVia(Request $request, object $resourceInstance): ?HasManyRelation
+    {
+        if (! $request->filled('viaResource')) {
+            return null;
+        }
+
+        $parentResource = $this->resolveResource($request->input('viaResource'));
+        $relationship = (string) $request->input('viaRelationship');
+
+        $fields = $parentResource->flattenFields(array_merge(
+            $parentResource->getFormFields(),
+            $parentResource->getShowFields()
+        ));
+
+        $field = collect($fields)->first(
+            fn ($field) => $field instanceof HasMany && $field->attribute === $relationship
+        );
+
+        if (! $field || ($field->meta()['resource'] ?? null) !== $resourceInstance::key()) {
+            abort(404, "Relationship not found: {$relationship}");
+        }
+
+        $parent = $parentResource::model()::findOrFail($request->input('viaResourceId'));
+
+        return $parent->{$relationship}();
+    }
+
+    /**
+     * Validate a bulk selection: explicit "ids", or a "query" descriptor (search and filters)
+     * that the server resolves to every matching record.
+     */
+    protected function validateSelection(Request $request): array
+    {
+        $request->validate([
+            'ids' => 'required_without:query|array',
+            'ids.*' => 'required|integer',
+            'query' => 'required_without:ids|array',
+            'query.search' => 'nullable|string|max:255',
+            'query.filters' => 'nullable|array',
+        ]);
+
+        if ($request->has('ids')) {
+            return ['ids' => $request->input('ids')];
+        }
+
+        return [
+            'query' => [
+                'search' => $request->input('query.search'),
+                'filters' => $request->input('query.filters', []),
+            ],
+        ];
+    }
+
+    /**
+     * Resolve a resource instance that accepts imports.
+     */
+    protected function resolveImportableResource(string $resourceKey): object
+    {
+        $resourceInstance = $this->resolveResource($resourceKey);
+
+        if (! $resourceInstance::$importable) {
+            abort(403, 'This resource does not support imports');
+        }
+
+        $this->authorizeResource($resourceInstance, 'create');
+
+        return $resourceInstance;
+    }
+
+    /**
+     * Resolve a resource instance that keeps deleted records in the trash.
+     */
+    protected function resolveSoftDeletingResource(string $resourceKey): object
+    {
+        $resourceInstance = $this->resolveResource($resourceKey);
+
+        if (! $resourceInstance::softDeletes()) {
+            abort(403, 'This resource does not support restoring deleted records');
+        }
+
+        return $resourceInstance;
+    }
+
+    /**
+     * Abort unless the current user may perform the ability on the resource (or the given record).
+     */
+    protected function authorizeResource(object $resourceInstance, string $ability, ?Model $model = null): void
+    {
+        if (! $resourceInstance->can($ability, $model)) {
+            abort(403, 'This action is unauthorized.');
+        }
+    }
+
+    /**
+     * Find an import belonging to the current user and resource.
+     */
+    protected function findImport(Request $request, string $resourceKey, int $id): ResourceImport
+    {
+        return ResourceImport::where('resource', $resourceKey)
+            ->where('user_id', $request->user()->id)
+            ->findOrFail($id);
+    }
+
     /**
      * Filter patch data to only visible fields.
      */
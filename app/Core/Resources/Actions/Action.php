@@ -16,6 +16,11 @@ abstract class Action
 
     public string $confirmMessage = 'Are you sure you want to perform this action?';
 
+    /**
+     * Resource ability whose permission running the action needs, see ResourcePolicy::runAction().
+     */
+    public string $ability = 'update';
+
     protected array $meta = [];
 
     public function __construct(?string $label = null, ?string $key = null)
@@ -10,6 +10,7 @@ public function __construct(?string $label = null, ?string $key = null)
     {
         parent::__construct($label ?? 'Delete Selected', $key ?? 'bulk_delete');
         $this->type = 'danger';
+        $this->ability = 'delete';
         $this->confirmable = true;
         $this->confirmMessage = 'Are you sure you want to delete the selected items?';
     }
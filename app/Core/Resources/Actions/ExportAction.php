@@ -6,11 +6,18 @@
 
 class ExportAction extends Action
 {
-    protected array $formats = ['csv'];
+    /**
+     * All formats supported by the export endpoint.
+     */
+    public const FORMATS = ['csv', 'xlsx', 'json'];
+
+    protected array $formats = self::FORMATS;
 
     public function __construct(?string $label = null, ?string $key = null)
     {
         parent::__construct($label ?? 'Export', $key ?? 'export');
+        $this->ability = 'viewAny';
+        $this->meta(['formats' => $this->formats]);
     }
 
     public static function make(?string $label = null, ?string $key = null): static
@@ -20,12 +27,17 @@ public static function make(?string $label = null, ?string $key = null): static
 
     public function formats(array $formats): static
     {
-        $this->formats = $formats;
-        $this->meta(['formats' => $formats]);
+        $this->formats = array_values(array_intersect($formats, self::FORMATS));
+        $this->meta(['formats' => $this->formats]);
 
         return $this;
     }
 
+    public function getFormats(): array
+    {
+        return $this->formats;
+    }
+
     protected function actionType(): string
     {
         return 'export';
@@ -33,7 +45,7 @@ protected function actionType(): string
 
     public function handle(Collection $models, array $data = []): mixed
     {
-        // This will be handled by the controller/service
+        // Exports are streamed by ResourceController::export()
         return null;
     }
 }
@@ -0,0 +1,21 @@
+<?php
+
+namespace App\Core\Resources\Fields;
+
+class Code extends Field
+{
+    protected function fieldType(): string
+    {
+        return 'code';
+    }
+
+    public function language(string $language): static
+    {
+        return $this->meta(['language' => $language]);
+    }
+
+    public function height(int $pixels): static
+    {
+        return $this->meta(['height' => $pixels]);
+    }
+}
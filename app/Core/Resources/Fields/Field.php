@@ -4,6 +4,9 @@
 
 abstract class Field
 {
+    // Aggregate functions a column can declare
+    public const AGGREGATES = ['sum', 'avg', 'min', 'max', 'count'];
+
     public string $attribute;
 
     public string $label;
@@ -105,6 +108,20 @@ public function meta(?array $meta = null): static|array
         return $this;
     }
 
+    /**
+     * Show aggregates of this column (sum, avg, min, max, count) in the table footer and group headers.
+     * They are computed over every record matching the search and filters, not just the page.
+     */
+    public function aggregates(string ...$functions): static
+    {
+        $unknown = array_diff($functions, self::AGGREGATES);
+        if (! empty($unknown)) {
+            throw new \InvalidArgumentException('Unknown aggregate: '.implode(', ', $unknown));
+        }
+
+        return $this->meta(['aggregates' => array_values(array_unique($functions))]);
+    }
+
     public function placeholder(string $placeholder): static
     {
         return $this->meta(['placeholder' => $placeholder]);
@@ -453,6 +470,35 @@ public function toArray(): array
         ];
     }
 
+    /**
+     * Get validation rules for the values nested inside this field's value, keyed by dotted path
+     * (e.g. "addresses.*.city"), so errors name the row they belong to.
+     */
+    public function nestedRules(?string $path = null): array
+    {
+        return [];
+    }
+
+    /**
+     * Add the nested rules to a rule set, after any rules already set for the same path.
+     */
+    public function withNestedRules(array $rules, ?string $path = null): array
+    {
+        foreach ($this->nestedRules($path) as $nestedPath => $nestedRules) {
+            $rules[$nestedPath] = [
+                ...static::ruleList($rules[$nestedPath] ?? []),
+                ...static::ruleList($nestedRules),
+            ];
+        }
+
+        return $rules;
+    }
+
+    protected static function ruleList(array|string $rules): array
+    {
+        return is_string($rules) ? explode('|', $rules) : $rules;
+    }
+
     /**
      * Transform value for display.
      */
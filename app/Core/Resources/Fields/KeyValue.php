@@ -0,0 +1,50 @@
+<?php
+
+namespace App\Core\Resources\Fields;
+
+class KeyValue extends Field
+{
+    protected array|string|null $valueRules = null;
+
+    protected function fieldType(): string
+    {
+        return 'key-value';
+    }
+
+    public function keyLabel(string $label): static
+    {
+        return $this->meta(['keyLabel' => $label]);
+    }
+
+    public function valueLabel(string $label): static
+    {
+        return $this->meta(['valueLabel' => $label]);
+    }
+
+    public function addLabel(string $label): static
+    {
+        return $this->meta(['addLabel' => $label]);
+    }
+
+    /**
+     * Set the rules every value must pass; errors are reported under "attribute.key".
+     */
+    public function valueRules(array|string $rules): static
+    {
+        $this->valueRules = $rules;
+
+        return $this;
+    }
+
+    public function nestedRules(?string $path = null): array
+    {
+        $path ??= $this->attribute;
+        $rules = [$path => ['nullable', 'array']];
+
+        if (! empty($this->valueRules)) {
+            $rules["{$path}.*"] = $this->valueRules;
+        }
+
+        return $rules;
+    }
+}
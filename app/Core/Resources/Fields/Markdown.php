@@ -0,0 +1,21 @@
+<?php
+
+namespace App\Core\Resources\Fields;
+
+class Markdown extends Field
+{
+    protected function fieldType(): string
+    {
+        return 'markdown';
+    }
+
+    public function placeholder(string $placeholder): static
+    {
+        return $this->meta(['placeholder' => $placeholder]);
+    }
+
+    public function rows(int $rows): static
+    {
+        return $this->meta(['rows' => $rows]);
+    }
+}
@@ -6,6 +6,8 @@ class Media extends Field
 {
     protected bool $multiple = false;
 
+    protected bool $gallery = false;
+
     protected string $collection = 'default';
 
     protected array $acceptedTypes = ['image/*'];
@@ -55,6 +57,18 @@ public function multiple(?int $maxFiles = null): static
         return $this;
     }
 
+    /**
+     * Enable gallery mode: many files that can be reordered, captioned and given a cover.
+     */
+    public function gallery(?int $maxFiles = null): static
+    {
+        $this->multiple($maxFiles);
+        $this->gallery = true;
+        $this->meta(['gallery' => true]);
+
+        return $this;
+    }
+
     /**
      * Set the media collection name.
      */
@@ -167,16 +181,7 @@ public function transformValue(mixed $value, $model): mixed
             $media = $model->getMedia($this->collection);
 
             if ($this->multiple) {
-                $items = $media->map(function ($item) {
-                    return [
-                        'id' => $item->id,
-                        'name' => $item->file_name,
-                        'url' => $item->getUrl(),
-                        'thumbnail' => $item->hasGeneratedConversion('thumb') ? $item->getUrl('thumb') : $item->getUrl(),
-                        'size' => $item->size,
-                        'mime_type' => $item->mime_type,
-                    ];
-                })->toArray();
+                $items = $media->map(fn ($item) => $this->mediaItem($item))->values()->toArray();
 
                 return empty($items) ? null : $items;
             }
@@ -187,14 +192,7 @@ public function transformValue(mixed $value, $model): mixed
                 return null;
             }
 
-            return [
-                'id' => $firstMedia->id,
-                'name' => $firstMedia->file_name,
-                'url' => $firstMedia->getUrl(),
-                'thumbnail' => $firstMedia->hasGeneratedConversion('thumb') ? $firstMedia->getUrl('thumb') : $firstMedia->getUrl(),
-                'size' => $firstMedia->size,
-                'mime_type' => $firstMedia->mime_type,
-            ];
+            return $this->mediaItem($firstMedia);
         } catch (\Exception $e) {
             // Log error but return null to prevent breaking the API
             \Log::error('Media transform error: '.$e->getMessage());
@@ -203,10 +201,29 @@ public function transformValue(mixed $value, $model): mixed
         }
     }
 
+    /**
+     * Media item as sent to the client. Galleries are returned in media order (order_column).
+     */
+    protected function mediaItem($item): array
+    {
+        return [
+            'id' => $item->id,
+            'name' => $item->file_name,
+            'url' => $item->getUrl(),
+            'thumbnail' => $item->hasGeneratedConversion('thumb') ? $item->getUrl('thumb') : $item->getUrl(),
+            'size' => $item->size,
+            'mime_type' => $item->mime_type,
+            'caption' => $item->getCustomProperty('caption'),
+            'alt' => $item->getCustomProperty('alt'),
+            'cover' => (bool) $item->getCustomProperty('cover', false),
+        ];
+    }
+
     public function toArray(): array
     {
         return array_merge(parent::toArray(), [
             'multiple' => $this->multiple,
+            'gallery' => $this->gallery,
             'collection' => $this->collection,
             'acceptedTypes' => $this->acceptedTypes,
             'maxFiles' => $this->maxFiles,
@@ -0,0 +1,71 @@
+<?php
+
+namespace App\Core\Resources\Fields;
+
+class Repeater extends Field
+{
+    protected array $fields = [];
+
+    protected function fieldType(): string
+    {
+        return 'repeater';
+    }
+
+    /**
+     * Set the fields of each row. The model should cast the attribute to an array.
+     */
+    public function fields(array $fields): static
+    {
+        $this->fields = $fields;
+
+        return $this->meta(['fields' => array_map(fn (Field $field) => $field->toArray(), $fields)]);
+    }
+
+    public function getFields(): array
+    {
+        return $this->fields;
+    }
+
+    public function min(int $rows): static
+    {
+        return $this->meta(['min' => $rows]);
+    }
+
+    public function max(int $rows): static
+    {
+        return $this->meta(['max' => $rows]);
+    }
+
+    public function addLabel(string $label): static
+    {
+        return $this->meta(['addLabel' => $label]);
+    }
+
+    public function nestedRules(?string $path = null): array
+    {
+        $path ??= $this->attribute;
+
+        $rules = [
+            $path => array_values(array_filter([
+                'nullable',
+                'array',
+                isset($this->meta['min']) ? 'min:'.$this->meta['min'] : null,
+                isset($this->meta['max']) ? 'max:'.$this->meta['max'] : null,
+            ])),
+            "{$path}.*" => ['array'],
+        ];
+
+        foreach ($this->fields as $field) {
+            $fieldPath = "{$path}.*.{$field->attribute}";
+
+            if (! empty($field->rules)) {
+                $rules[$fieldPath] = $field->rules;
+            }
+
+            // Repeaters and key-value fields inside rows validate their own values too
+            $rules = $field->withNestedRules($rules, $fieldPath);
+        }
+
+        return $rules;
+    }
+}
@@ -0,0 +1,26 @@
+<?php
+
+namespace App\Core\Resources\Fields;
+
+class RichText extends Field
+{
+    protected function fieldType(): string
+    {
+        return 'rich-text';
+    }
+
+    public function placeholder(string $placeholder): static
+    {
+        return $this->meta(['placeholder' => $placeholder]);
+    }
+
+    public function maxCharacters(int $characters): static
+    {
+        return $this->meta(['maxCharacters' => $characters]);
+    }
+
+    public function showCharacterCount(bool $show = true): static
+    {
+        return $this->meta(['showCharacterCount' => $show]);
+    }
+}
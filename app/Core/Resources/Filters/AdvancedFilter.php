@@ -0,0 +1,148 @@
+<?php
+
+namespace App\Core\Resources\Filters;
+
+use Illuminate\Database\Eloquent\Builder;
+
+/**
+ * Query builder filter added automatically to resources with filters.
+ * Its value is a group of conditions on the resource's other filters, nested up to MAX_DEPTH:
+ * ['match' => 'all'|'any', 'rules' => [['filter' => 'region', 'operator' => 'equals', 'value' => 'Europe'], ['match' => ..., 'rules' => [...]]]]
+ */
+class AdvancedFilter extends Filter
+{
+    public const MAX_DEPTH = 3;
+
+    /**
+     * Operators that don't take a value.
+     */
+    protected const VALUELESS_OPERATORS = ['is_empty', 'is_not_empty', 'is_true', 'is_false'];
+
+    /**
+     * Operators that take a list of values.
+     */
+    protected const LIST_OPERATORS = ['in', 'not_in'];
+
+    /**
+     * Filters that conditions can use, by key.
+     *
+     * @var array<string, Filter>
+     */
+    protected array $filters = [];
+
+    public function __construct(?string $label = null, ?string $key = null)
+    {
+        parent::__construct($label ?? 'Advanced', $key ?? 'advanced');
+    }
+
+    public static function make(?string $label = null, ?string $key = null): static
+    {
+        return new static($label, $key);
+    }
+
+    protected function filterType(): string
+    {
+        return 'advanced';
+    }
+
+    /**
+     * Set the filters conditions can use. Filters without operators are left out.
+     */
+    public function filters(array $filters): static
+    {
+        $this->filters = collect($filters)
+            ->reject(fn (Filter $filter) => $filter === $this || empty($filter->operators()))
+            ->keyBy('key')
+            ->all();
+
+        return $this->meta(['maxDepth' => self::MAX_DEPTH]);
+    }
+
+    /**
+     * Get the filters conditions can use, by key.
+     *
+     * @return array<string, Filter>
+     */
+    public function conditionFilters(): array
+    {
+        return $this->filters;
+    }
+
+    public function operators(): array
+    {
+        return [];
+    }
+
+    public function apply(Builder $query, mixed $value): Builder
+    {
+        if (is_string($value)) {
+            $value = json_decode($value, true);
+        }
+
+        if (is_array($value)) {
+            $this->applyGroup($query, $value, 1);
+        }
+
+        return $query;
+    }
+
+    /**
+     * Apply a group's rules, joined with AND ("all") or OR ("any"), as one nested where.
+     */
+    protected function applyGroup(Builder $query, array $group, int $depth): void
+    {
+        $method = ($group['match'] ?? 'all') === 'any' ? 'orWhere' : 'where';
+        $rules = is_array($group['rules'] ?? null) ? $group['rules'] : [];
+
+        $query->where(function (Builder $groupQuery) use ($rules, $method, $depth) {
+            foreach ($rules as $rule) {
+                if (! is_array($rule)) {
+                    continue;
+                }
+
+                if (isset($rule['rules'])) {
+                    if ($depth < self::MAX_DEPTH) {
+                        $groupQuery->$method(fn (Builder $q) => $this->applyGroup($q, $rule, $depth + 1));
+                    }
+
+                    continue;
+                }
+
+                $key = $rule['filter'] ?? null;
+                $filter = is_string($key) ? ($this->filters[$key] ?? null) : null;
+                $operator = $rule['operator'] ?? null;
+
+                if (! $filter || ! in_array($operator, $filter->operators(), true) || ! $this->isComplete($operator, $rule['value'] ?? null)) {
+                    continue;
+                }
+
+                $groupQuery->$method(fn (Builder $q) => $filter->applyCondition($q, $operator, $rule['value'] ?? null));
+            }
+        });
+    }
+
+    /**
+     * Whether a condition has the value its operator needs; incomplete conditions are skipped.
+     * Values must be scalars, or lists of scalars for list operators and between.
+     */
+    protected function isComplete(string $operator, mixed $value): bool
+    {
+        if (in_array($operator, self::VALUELESS_OPERATORS, true)) {
+            return true;
+        }
+
+        if ($operator === 'between') {
+            return is_array($value)
+                && count($value) === 2
+                && collect($value)->every(fn ($bound) => is_scalar($bound) && $bound !== '');
+        }
+
+        if (in_array($operator, self::LIST_OPERATORS, true)) {
+            $items = (array) $value;
+
+            return $items !== [] && collect($items)->every(fn ($item) => is_scalar($item) && $item !== '');
+        }
+
+        return is_scalar($value) && $value !== '';
+    }
+}
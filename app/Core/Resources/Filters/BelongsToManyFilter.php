@@ -63,4 +63,28 @@ public function apply(Builder $query, mixed $value): Builder
             $subQuery->where($subQuery->getModel()->getTable().'.id', $value);
         });
     }
+
+    public function operators(): array
+    {
+        return ['in', 'not_in', 'is_empty', 'is_not_empty'];
+    }
+
+    public function applyCondition(Builder $query, string $operator, mixed $value): Builder
+    {
+        if (! isset($this->relationship)) {
+            throw new \Exception('Relationship must be set for BelongsToManyFilter');
+        }
+
+        $matching = function ($subQuery) use ($value) {
+            $subQuery->whereIn($subQuery->getModel()->getTable().'.id', (array) $value);
+        };
+
+        return match ($operator) {
+            'in' => $query->whereHas($this->relationship, $matching),
+            'not_in' => $query->whereDoesntHave($this->relationship, $matching),
+            'is_empty' => $query->whereDoesntHave($this->relationship),
+            'is_not_empty' => $query->whereHas($this->relationship),
+            default => $query,
+        };
+    }
 }
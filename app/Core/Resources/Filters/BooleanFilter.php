@@ -20,6 +20,16 @@ public function column(string $column): static
         return $this;
     }
 
+    public function operators(): array
+    {
+        return ['is_true', 'is_false'];
+    }
+
+    protected function conditionColumn(): string
+    {
+        return $this->column ?? $this->key;
+    }
+
     public function trueLabel(string $label): static
     {
         return $this->meta(['trueLabel' => $label]);
@@ -3,9 +3,17 @@
 namespace App\Core\Resources\Filters;
 
 use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Support\Carbon;
 
 class DateRangeFilter extends Filter
 {
+    /**
+     * Relative date ranges for the "relative" query builder operator.
+     */
+    public const RELATIVE_RANGES = [
+        'today', 'yesterday', 'last_7_days', 'last_30_days', 'this_week', 'this_month', 'last_month', 'this_year',
+    ];
+
     protected ?string $column = null;
 
     protected function filterType(): string
@@ -35,4 +43,55 @@ public function apply(Builder $query, mixed $value): Builder
 
         return $query;
     }
+
+    public function operators(): array
+    {
+        return ['equals', 'before', 'after', 'between', 'relative', 'is_empty', 'is_not_empty'];
+    }
+
+    public function applyCondition(Builder $query, string $operator, mixed $value): Builder
+    {
+        $column = $this->conditionColumn();
+
+        return match ($operator) {
+            'equals' => $query->whereDate($column, $value),
+            'before' => $query->whereDate($column, '<', $value),
+            'after' => $query->whereDate($column, '>', $value),
+            'between' => $this->apply($query, ['from' => $value[0] ?? null, 'to' => $value[1] ?? null]),
+            'relative' => $this->applyRelative($query, $column, (string) $value),
+            default => parent::applyCondition($query, $operator, $value),
+        };
+    }
+
+    protected function conditionColumn(): string
+    {
+        return $this->column ?? $this->key;
+    }
+
+    /**
+     * Limit the column to a relative range such as "last_7_days", which includes today.
+     */
+    protected function applyRelative(Builder $query, string $column, string $range): Builder
+    {
+        $today = Carbon::today();
+
+        [$from, $to] = match ($range) {
+            'today' => [$today, $today],
+            'yesterday' => [$today->copy()->subDay(), $today->copy()->subDay()],
+            'last_7_days' => [$today->copy()->subDays(6), $today],
+            'last_30_days' => [$today->copy()->subDays(29), $today],
+            'this_week' => [$today->copy()->startOfWeek(), $today->copy()->endOfWeek()],
+            'this_month' => [$today->copy()->startOfMonth(), $today->copy()->endOfMonth()],
+            'last_month' => [$today->copy()->subMonthNoOverflow()->startOfMonth(), $today->copy()->subMonthNoOverflow()->endOfMonth()],
+            'this_year' => [$today->copy()->startOfYear(), $today->copy()->endOfYear()],
+            default => [null, null],
+        };
+
+        if (! $from) {
+            return $query;
+        }
+
+        return $query->whereDate($column, '>=', $from->toDateString())
+            ->whereDate($column, '<=', $to->toDateString());
+    }
 }
@@ -47,9 +47,80 @@ public function toArray(): array
             'label' => $this->label,
             'default' => $this->default,
             'meta' => $this->meta,
+            'operators' => $this->operators(),
         ];
     }
 
+    /**
+     * Operators this filter supports as a condition in the advanced query builder.
+     * An empty list keeps the filter out of the query builder.
+     */
+    public function operators(): array
+    {
+        return ['equals', 'not_equals', 'is_empty', 'is_not_empty'];
+    }
+
+    /**
+     * Apply an advanced query builder condition to the query.
+     * Unsupported operators leave the query unchanged.
+     */
+    public function applyCondition(Builder $query, string $operator, mixed $value): Builder
+    {
+        if (! in_array($operator, $this->operators(), true)) {
+            return $query;
+        }
+
+        $column = $this->conditionColumn();
+
+        return match ($operator) {
+            'equals' => $query->where($column, $value),
+            'not_equals' => $query->where(fn ($q) => $q->where($column, '!=', $value)->orWhereNull($column)),
+            'in' => $query->whereIn($column, (array) $value),
+            'not_in' => $query->where(fn ($q) => $q->whereNotIn($column, (array) $value)->orWhereNull($column)),
+            'contains' => $this->whereLike($query, $column, '%'.$this->escapeLike($value).'%'),
+            'not_contains' => $query->where(fn ($q) => $this->whereLike($q, $column, '%'.$this->escapeLike($value).'%', true)->orWhereNull($column)),
+            'starts_with' => $this->whereLike($query, $column, $this->escapeLike($value).'%'),
+            'ends_with' => $this->whereLike($query, $column, '%'.$this->escapeLike($value)),
+            'gt' => $query->where($column, '>', $value),
+            'gte' => $query->where($column, '>=', $value),
+            'lt' => $query->where($column, '<', $value),
+            'lte' => $query->where($column, '<=', $value),
+            'between' => $query->whereBetween($column, array_slice(array_values((array) $value), 0, 2)),
+            'is_true' => $query->where($column, true),
+            'is_false' => $query->where($column, false),
+            'is_empty' => $query->whereNull($column),
+            'is_not_empty' => $query->whereNotNull($column),
+            default => $query,
+        };
+    }
+
+    /**
+     * Match the column against a LIKE pattern whose wildcards were escaped with escapeLike().
+     * The escape character is given explicitly since databases don't agree on a default.
+     */
+    protected function whereLike(Builder $query, string $column, string $pattern, bool $not = false): Builder
+    {
+        $wrapped = $query->getQuery()->getGrammar()->wrap($column);
+
+        return $query->whereRaw($wrapped.($not ? ' NOT' : '')." LIKE ? ESCAPE '!'", [$pattern]);
+    }
+
+    /**
+     * Escape LIKE wildcards so "50%" or "a_b" are matched literally.
+     */
+    protected function escapeLike(mixed $value): string
+    {
+        return str_replace(['!', '%', '_'], ['!!', '!%', '!_'], (string) $value);
+    }
+
+    /**
+     * Column compared by query builder conditions.
+     */
+    protected function conditionColumn(): string
+    {
+        return $this->key;
+    }
+
     /**
      * Apply the filter to the query.
      */
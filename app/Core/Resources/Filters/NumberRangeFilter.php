@@ -0,0 +1,48 @@
+<?php
+
+namespace App\Core\Resources\Filters;
+
+use Illuminate\Database\Eloquent\Builder;
+
+class NumberRangeFilter extends Filter
+{
+    protected ?string $column = null;
+
+    protected function filterType(): string
+    {
+        return 'number-range';
+    }
+
+    public function column(string $column): static
+    {
+        $this->column = $column;
+
+        return $this;
+    }
+
+    public function operators(): array
+    {
+        return ['equals', 'not_equals', 'gt', 'gte', 'lt', 'lte', 'between', 'is_empty', 'is_not_empty'];
+    }
+
+    public function apply(Builder $query, mixed $value): Builder
+    {
+        $column = $this->conditionColumn();
+
+        if (is_array($value)) {
+            if (isset($value['min']) && $value['min'] !== '') {
+                $query->where($column, '>=', $value['min']);
+            }
+            if (isset($value['max']) && $value['max'] !== '') {
+                $query->where($column, '<=', $value['max']);
+            }
+        }
+
+        return $query;
+    }
+
+    protected function conditionColumn(): string
+    {
+        return $this->column ?? $this->key;
+    }
+}
@@ -53,6 +53,16 @@ public function column(string $column): static
         return $this;
     }
 
+    public function operators(): array
+    {
+        return ['equals', 'not_equals', 'in', 'not_in', 'is_empty', 'is_not_empty'];
+    }
+
+    protected function conditionColumn(): string
+    {
+        return $this->column ?? $this->key;
+    }
+
     public function apply(Builder $query, mixed $value): Builder
     {
         $column = $this->column ?? $this->key;
@@ -0,0 +1,49 @@
+<?php
+
+namespace App\Core\Resources\Filters;
+
+use Illuminate\Database\Eloquent\Builder;
+
+class TextFilter extends Filter
+{
+    protected ?string $column = null;
+
+    protected function filterType(): string
+    {
+        return 'text';
+    }
+
+    public function column(string $column): static
+    {
+        $this->column = $column;
+
+        return $this;
+    }
+
+    public function operators(): array
+    {
+        return ['contains', 'not_contains', 'equals', 'not_equals', 'starts_with', 'ends_with', 'is_empty', 'is_not_empty'];
+    }
+
+    public function apply(Builder $query, mixed $value): Builder
+    {
+        return $this->applyCondition($query, 'contains', $value);
+    }
+
+    public function applyCondition(Builder $query, string $operator, mixed $value): Builder
+    {
+        $column = $this->conditionColumn();
+
+        // Blank strings count as empty too
+        return match ($operator) {
+            'is_empty' => $query->where(fn ($q) => $q->whereNull($column)->orWhere($column, '')),
+            'is_not_empty' => $query->whereNotNull($column)->where($column, '!=', ''),
+            default => parent::applyCondition($query, $operator, $value),
+        };
+    }
+
+    protected function conditionColumn(): string
+    {
+        return $this->column ?? $this->key;
+    }
+}
@@ -0,0 +1,42 @@
+<?php
+
+namespace App\Core\Resources\Filters;
+
+use Illuminate\Database\Eloquent\Builder;
+
+/**
+ * Trashed filter added automatically to resources with soft deletes.
+ * No value shows records without trashed ones; "with" includes them and "only" shows just the trash.
+ */
+class TrashedFilter extends SelectFilter
+{
+    public function __construct(?string $label = null, ?string $key = null)
+    {
+        parent::__construct($label ?? 'Trashed', $key ?? 'trashed');
+
+        $this->options([
+            'with' => 'With trashed',
+            'only' => 'Only trashed',
+        ]);
+        $this->meta(['emptyLabel' => 'Without trashed']);
+    }
+
+    public static function make(?string $label = null, ?string $key = null): static
+    {
+        return new static($label, $key);
+    }
+
+    public function operators(): array
+    {
+        return [];
+    }
+
+    public function apply(Builder $query, mixed $value): Builder
+    {
+        return match ($value) {
+            'with' => $query->withTrashed(),
+            'only' => $query->onlyTrashed(),
+            default => $query,
+        };
+    }
+}
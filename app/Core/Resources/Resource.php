@@ -5,6 +5,9 @@
 use App\Core\Resources\Fields\Date;
 use App\Core\Resources\Fields\ID;
 use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\SoftDeletes;
+use Illuminate\Support\Arr;
+use Illuminate\Support\Facades\Auth;
 
 abstract class Resource
 {
@@ -43,6 +46,53 @@ abstract class Resource
      */
     public static int $perPage = 15;
 
+    /**
+     * Indicates if the index pages through records with cursors instead of page numbers.
+     * Cursor pages stay fast on large tables, but have no total or page numbers.
+     */
+    public static bool $cursorPagination = false;
+
+    /**
+     * Indicates if the resource can be exported.
+     */
+    public static bool $exportable = true;
+
+    /**
+     * Indicates if records can be bulk imported from CSV/XLSX files.
+     */
+    public static bool $importable = true;
+
+    /**
+     * Indicates if deleted records go to the trash and can be restored.
+     * The model must use the SoftDeletes trait.
+     */
+    public static bool $softDeletes = false;
+
+    /**
+     * Attributes left out when a record is duplicated: the copy gets the form defaults.
+     * Password and has-many fields are never copied.
+     */
+    public static array $duplicateExcept = [];
+
+    /**
+     * Attributes that must differ on a duplicate: the copy gets a " (Copy)" suffix,
+     * numbered until no other record has the value.
+     */
+    public static array $duplicateUnique = [];
+
+    /**
+     * Indicates if duplicates copy the record's many-to-many relations (deep copy).
+     */
+    public static bool $duplicateRelations = false;
+
+    /**
+     * The policy class deciding what the current user may do with the resource.
+     * Defaults to ResourcePolicy, which allows everything.
+     */
+    public static ?string $policy = null;
+
+    protected ?ResourcePolicy $policyInstance = null;
+
     /**
      * Get the fields shown in the index/table view.
      * ID and Created At are automatically added.
@@ -69,6 +119,27 @@ public function filters(): array
         return [];
     }
 
+    /**
+     * Get filters with auto-included filters (Trashed for soft deleting resources,
+     * and the Advanced query builder over the others).
+     */
+    public function getFilters(): array
+    {
+        $filters = $this->filters();
+
+        if (static::softDeletes()) {
+            $filters[] = Filters\TrashedFilter::make();
+        }
+
+        $advanced = Filters\AdvancedFilter::make()->filters($filters);
+
+        if (empty($advanced->conditionFilters())) {
+            return $filters;
+        }
+
+        return array_merge($filters, [$advanced]);
+    }
+
     /**
      * Get the actions available for the resource.
      */
@@ -77,6 +148,17 @@ public function actions(): array
         return [];
     }
 
+    /**
+     * Get the actions the current user may run.
+     */
+    public function getActions(): array
+    {
+        return array_values(array_filter(
+            $this->actions(),
+            fn ($action) => $this->can('runAction:'.$action->key)
+        ));
+    }
+
     /**
      * Get the relationships to eager load.
      */
@@ -90,11 +172,11 @@ public function with(): array
      */
     public function getIndexFields(): array
     {
-        return array_merge(
+        return $this->authorizeFields(array_merge(
             [ID::make()->sortable()],
             $this->indexFields(),
             [Date::make('Created At')->sortable()]
-        );
+        ));
     }
 
     /**
@@ -102,22 +184,91 @@ public function getIndexFields(): array
      */
     public function getShowFields(): array
     {
-        return array_merge(
+        return $this->authorizeFields(array_merge(
             [ID::make()],
             $this->showFields(),
             [
                 Date::make('Created At'),
                 Date::make('Updated At'),
             ]
-        );
+        ));
     }
 
     /**
      * Get form fields (no auto-included fields).
+     * Fields the current user can read but not write are marked read-only.
      */
     public function getFormFields(): array
     {
-        return $this->formFields();
+        return $this->authorizeFields($this->formFields(), true);
+    }
+
+    /**
+     * Get the fields that can be written to an export file.
+     * Defaults to the index fields, minus fields that have no flat value.
+     */
+    public function getExportFields(): array
+    {
+        return collect($this->flattenFields($this->getIndexFields()))
+            ->reject(fn ($field) => $field instanceof Fields\Password
+                || $field instanceof Fields\Media
+                || $field instanceof Fields\Image
+                || $field instanceof Fields\HasMany)
+            ->values()
+            ->all();
+    }
+
+    /**
+     * Get the form fields that can be filled from an import file.
+     */
+    public function getImportFields(): array
+    {
+        return collect($this->flattenFields($this->getFormFields()))
+            ->reject(fn ($field) => $field instanceof Fields\Media
+                || $field instanceof Fields\Image
+                || $field instanceof Fields\HasMany
+                || ! $this->canWriteField($field->attribute))
+            ->values()
+            ->all();
+    }
+
+    /**
+     * Get the attributes the index can be grouped by: its sortable columns.
+     */
+    public function groupableAttributes(): array
+    {
+        return collect($this->flattenFields($this->getIndexFields()))
+            ->filter(fn ($field) => $field->sortable)
+            ->map(fn ($field) => $field->attribute)
+            ->values()
+            ->all();
+    }
+
+    /**
+     * Get the aggregate functions declared on the index columns, keyed by attribute.
+     */
+    public function aggregateColumns(): array
+    {
+        return collect($this->flattenFields($this->getIndexFields()))
+            ->filter(fn ($field) => ! empty($field->meta()['aggregates']))
+            ->mapWithKeys(fn ($field) => [$field->attribute => $field->meta()['aggregates']])
+            ->all();
+    }
+
+    /**
+     * Get the export formats offered for the resource.
+     * An ExportAction in actions() narrows the list to its configured formats.
+     */
+    public function exportFormats(): array
+    {
+        if (! static::$exportable) {
+            return [];
+        }
+
+        $exportAction = collect($this->actions())
+            ->first(fn ($action) => $action instanceof Actions\ExportAction);
+
+        return $exportAction ? $exportAction->getFormats() : Actions\ExportAction::FORMATS;
     }
 
     /**
@@ -159,15 +310,43 @@ protected function flattenSectionFields(Fields\Section $section): array
     }
 
     /**
-     * Get all form fields with conditional visibility evaluated.
+     * Get the form fields that accept input: conditional visibility evaluated
+     * and fields the current user cannot write left out.
      */
     public function getVisibleFields(array $formData): array
     {
         return collect($this->flattenFields($this->getFormFields()))
-            ->filter(fn ($field) => $field->isVisible($formData))
+            ->filter(fn ($field) => $field->isVisible($formData) && $this->canWriteField($field->attribute))
             ->all();
     }
 
+    /**
+     * Remove the fields the current user cannot read, also inside sections and groups.
+     * Form fields the user cannot write are marked read-only.
+     */
+    protected function authorizeFields(array $fields, bool $form = false): array
+    {
+        $authorized = [];
+
+        foreach ($fields as $item) {
+            if ($item instanceof Fields\Section || $item instanceof Fields\Group) {
+                $item->fields = $this->authorizeFields($item->fields, $form);
+
+                if (! empty($item->fields)) {
+                    $authorized[] = $item;
+                }
+            } elseif ($this->canReadField($item->attribute)) {
+                if ($form && ! $this->canWriteField($item->attribute)) {
+                    $item->meta(['readonly' => true]);
+                }
+
+                $authorized[] = $item;
+            }
+        }
+
+        return $authorized;
+    }
+
     /**
      * Get validation rules from form fields.
      */
@@ -180,6 +359,8 @@ public function rules(string $context = 'create'): array
             if ($field->rules) {
                 $rules[$field->attribute] = $field->rules;
             }
+
+            $rules = $field->withNestedRules($rules);
         }
 
         return $rules;
@@ -201,6 +382,90 @@ public static function model(): string
         return static::$model;
     }
 
+    /**
+     * Check if the resource opted into soft deletes and its model supports them.
+     */
+    public static function softDeletes(): bool
+    {
+        return static::$softDeletes
+            && in_array(SoftDeletes::class, class_uses_recursive(static::model()));
+    }
+
+    /**
+     * Get the resource's policy.
+     */
+    public function policy(): ResourcePolicy
+    {
+        return $this->policyInstance ??= new (static::$policy ?? ResourcePolicy::class)($this);
+    }
+
+    /**
+     * Check if the current user may perform an ability on the resource, or on one of its records.
+     * Abilities are those in ResourcePolicy::ABILITIES and "runAction:{action key}".
+     * Without an authenticated user (console commands) everything is allowed.
+     */
+    public function can(string $ability, ?Model $model = null): bool
+    {
+        $user = Auth::user();
+
+        if (! $user) {
+            return true;
+        }
+
+        if (str_starts_with($ability, 'runAction:')) {
+            return $this->policy()->runAction($user, substr($ability, strlen('runAction:')), $model);
+        }
+
+        if (! in_array($ability, ResourcePolicy::ABILITIES, true)) {
+            throw new \InvalidArgumentException("Unknown resource ability: {$ability}");
+        }
+
+        return $this->policy()->{$ability}($user, $model);
+    }
+
+    /**
+     * Get the current user's resource-wide abilities, keyed by ability.
+     */
+    public function abilities(): array
+    {
+        return collect(ResourcePolicy::ABILITIES)
+            ->mapWithKeys(fn ($ability) => [$ability => $this->can($ability)])
+            ->all();
+    }
+
+    /**
+     * Check if the current user may see a field's value.
+     */
+    public function canReadField(string $attribute): bool
+    {
+        $user = Auth::user();
+
+        return ! $user || $this->policy()->readField($user, $attribute);
+    }
+
+    /**
+     * Check if the current user may change a field's value (requires reading it too).
+     */
+    public function canWriteField(string $attribute): bool
+    {
+        $user = Auth::user();
+
+        return ! $user || ($this->policy()->readField($user, $attribute) && $this->policy()->writeField($user, $attribute));
+    }
+
+    /**
+     * Get the attributes of the resource's fields that the current user cannot read.
+     */
+    public function unreadableAttributes(): array
+    {
+        return collect($this->flattenFields(array_merge($this->indexFields(), $this->showFields(), $this->formFields())))
+            ->map(fn ($field) => $field->attribute)
+            ->unique()
+            ->reject(fn ($attribute) => $this->canReadField($attribute))
+            ->values()
+            ->all();
+    }
+
     /**
      * Get resource key (lowercase plural).
      */
@@ -215,13 +480,13 @@ public static function key(): string
 
     /**
      * Transform model data for response.
+     * Uses the index fields unless other fields are given (e.g. show fields for the detail view).
      */
-    public function transform(Model $model): array
+    public function transform(Model $model, ?array $fields = null): array
     {
-        $data = $model->toArray();
+        $data = Arr::except($model->toArray(), $this->unreadableAttributes());
 
-        // Use index fields for transformation
-        $fields = $this->flattenFields($this->getIndexFields());
+        $fields = $this->flattenFields($fields ?? $this->getIndexFields());
 
         foreach ($fields as $field) {
             if (method_exists($field, 'transformValue')) {
@@ -0,0 +1,95 @@
+<?php
+
+namespace App\Core\Resources;
+
+use App\Core\Services\PermissionRegistry;
+use App\Models\User;
+use Illuminate\Database\Eloquent\Model;
+
+/**
+ * Decides what a user may do with a resource. By default an ability is allowed when one
+ * of the user's roles grants its permission ("countries.update"), see PermissionRegistry.
+ * Resources point at a subclass with public static ?string $policy to add their own rules.
+ *
+ * Record abilities get the record when one is involved, and null when the question
+ * is about the resource as a whole (meta, and bulk operations before they check each record).
+ */
+class ResourcePolicy
+{
+    /**
+     * Abilities reported in the resource meta.
+     */
+    public const ABILITIES = ['viewAny', 'view', 'create', 'update', 'delete', 'restore', 'forceDelete'];
+
+    public function __construct(protected Resource $resource) {}
+
+    public function viewAny(User $user): bool
+    {
+        return $this->granted($user, 'viewAny');
+    }
+
+    public function view(User $user, ?Model $model = null): bool
+    {
+        return $this->viewAny($user) && $this->granted($user, 'view');
+    }
+
+    public function create(User $user): bool
+    {
+        return $this->granted($user, 'create');
+    }
+
+    public function update(User $user, ?Model $model = null): bool
+    {
+        return $this->granted($user, 'update');
+    }
+
+    public function delete(User $user, ?Model $model = null): bool
+    {
+        return $this->granted($user, 'delete');
+    }
+
+    public function restore(User $user, ?Model $model = null): bool
+    {
+        return $this->delete($user, $model) && $this->granted($user, 'restore');
+    }
+
+    public function forceDelete(User $user, ?Model $model = null): bool
+    {
+        return $this->delete($user, $model) && $this->granted($user, 'forceDelete');
+    }
+
+    /**
+     * Run one of the resource's actions, by action key.
+     * Decided like the action's ability (update unless the action declares another), for the record if given.
+     */
+    public function runAction(User $user, string $action, ?Model $model = null): bool
+    {
+        $ability = collect($this->resource->actions())->firstWhere('key', $action)?->ability ?? 'update';
+
+        return $this->{$ability}($user, $model);
+    }
+
+    /**
+     * See a field's value. Unreadable fields are left out of the meta and every response.
+     */
+    public function readField(User $user, string $attribute): bool
+    {
+        return true;
+    }
+
+    /**
+     * Change a field's value. Unwritable fields are shown read-only and ignored on save.
+     */
+    public function writeField(User $user, string $attribute): bool
+    {
+        return true;
+    }
+
+    /**
+     * Check if one of the user's roles grants the resource permission for an ability.
+     */
+    protected function granted(User $user, string $ability): bool
+    {
+        return $user->hasPermission(PermissionRegistry::resourcePermission($this->resource::key(), $ability));
+    }
+}
@@ -0,0 +1,60 @@
+<?php
+
+namespace App\Core\Services;
+
+use App\Core\Resources\ResourcePolicy;
+
+/**
+ * Lists the permissions roles can be granted: one per ability of every registered
+ * resource ("countries.update") plus the page permissions in config/permissions.php.
+ */
+class PermissionRegistry
+{
+    /**
+     * Granted to roles that have every permission, including ones added later.
+     */
+    public const WILDCARD = '*';
+
+    /**
+     * Get the registered resources with their permission per ability.
+     */
+    public function resources(): array
+    {
+        return collect(config('resources', []))
+            ->filter(fn ($class) => class_exists($class))
+            ->map(fn ($class) => [
+                'key' => $class::key(),
+                'label' => $class::$label,
+                'permissions' => collect(ResourcePolicy::ABILITIES)
+                    ->mapWithKeys(fn ($ability) => [$ability => static::resourcePermission($class::key(), $ability)])
+                    ->all(),
+            ])
+            ->values()
+            ->all();
+    }
+
+    /**
+     * Get the page permissions, by key and label.
+     */
+    public function pages(): array
+    {
+        return config('permissions.pages', []);
+    }
+
+    /**
+     * Get every permission a role can be granted.
+     */
+    public function all(): array
+    {
+        return collect($this->resources())
+            ->flatMap(fn ($resource) => array_values($resource['permissions']))
+            ->merge(array_keys($this->pages()))
+            ->values()
+            ->all();
+    }
+
+    public static function resourcePermission(string $resourceKey, string $ability): string
+    {
+        return "{$resourceKey}.{$ability}";
+    }
+}
@@ -0,0 +1,151 @@
+<?php
+
+namespace App\Core\Services;
+
+use App\Models\ResourceActivity;
+use App\Services\ImpersonationService;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Pagination\LengthAwarePaginator;
+use Illuminate\Support\Arr;
+use Illuminate\Support\Facades\Auth;
+
+class ResourceActivityService
+{
+    /**
+     * Stored instead of the values of hidden attributes (passwords, tokens).
+     */
+    public const REDACTED = '[hidden]';
+
+    /**
+     * Attributes that change on every write and are left out of diffs.
+     */
+    protected const IGNORED = ['created_at', 'updated_at'];
+
+    public function __construct(protected ImpersonationService $impersonation) {}
+
+    /**
+     * Record an activity for a resource record by the current user.
+     *
+     * @param  array  $changes  Per-attribute ['old' => ..., 'new' => ...], see diff()
+     * @param  string|null  $action  Resource action key for "action" events
+     */
+    public function log(
+        string $resource,
+        string $event,
+        int|string $subjectId,
+        array $changes = [],
+        ?string $action = null
+    ): ResourceActivity {
+        return ResourceActivity::create([
+            'user_id' => Auth::id(),
+            'impersonator_id' => $this->impersonation->getImpersonationData()['admin_id'] ?? null,
+            'resource' => $resource,
+            'subject_id' => (string) $subjectId,
+            'event' => $event,
+            'action' => $action,
+            'changes' => $changes ?: null,
+        ]);
+    }
+
+    /**
+     * Diff two sets of raw model attributes.
+     * Timestamps and the primary key are skipped and hidden attributes are redacted.
+     *
+     * @return array<string, array{old: mixed, new: mixed}>
+     */
+    public function diff(Model $model, array $before, array $after): array
+    {
+        $ignored = [...self::IGNORED, $model->getKeyName()];
+        $changes = [];
+
+        foreach (array_unique([...array_keys($before), ...array_keys($after)]) as $attribute) {
+            $old = $before[$attribute] ?? null;
+            $new = $after[$attribute] ?? null;
+
+            if (in_array($attribute, $ignored, true) || $this->same($old, $new)) {
+                continue;
+            }
+
+            $changes[$attribute] = in_array($attribute, $model->getHidden(), true)
+                ? ['old' => self::REDACTED, 'new' => self::REDACTED]
+                : ['old' => $old, 'new' => $new];
+        }
+
+        return $changes;
+    }
+
+    /**
+     * Get paginated activities, newest first.
+     *
+     * @param  array  $params  Optional user_id, resource, subject_id, event, from and to (dates) and perPage
+     */
+    public function paginate(array $params = []): LengthAwarePaginator
+    {
+        $query = ResourceActivity::query()
+            ->with(['user:id,name,email', 'impersonator:id,name,email'])
+            ->latest('id');
+
+        foreach (['user_id', 'resource', 'subject_id', 'event'] as $column) {
+            if (isset($params[$column]) && $params[$column] !== '') {
+                $query->where($column, $params[$column]);
+            }
+        }
+
+        if (! empty($params['from'])) {
+            $query->whereDate('created_at', '>=', $params['from']);
+        }
+
+        if (! empty($params['to'])) {
+            $query->whereDate('created_at', '<=', $params['to']);
+        }
+
+        return $query->paginate(max(1, min((int) ($params['perPage'] ?? 25), 100)));
+    }
+
+    /**
+     * Leave the attributes the current user may not read out of the activities' changes.
+     *
+     * @param  callable(string): array  $unreadable  Unreadable attributes of a resource key
+     */
+    public function withoutUnreadable(LengthAwarePaginator $activities, callable $unreadable): LengthAwarePaginator
+    {
+        $activities->getCollection()->each(function (ResourceActivity $activity) use ($unreadable) {
+            if ($activity->changes) {
+                $activity->changes = Arr::except($activity->changes, $unreadable($activity->resource)) ?: null;
+            }
+        });
+
+        return $activities;
+    }
+
+    /**
+     * Get the most recent activity on a record.
+     */
+    public function latest(string $resource, string $subjectId): ?ResourceActivity
+    {
+        return ResourceActivity::query()
+            ->with('user:id,name')
+            ->where('resource', $resource)
+            ->where('subject_id', $subjectId)
+            ->latest('id')
+            ->first();
+    }
+
+    /**
+     * Compare raw attribute values the way the database stores them (1 and "1" are the same).
+     */
+    protected function same(mixed $old, mixed $new): bool
+    {
+        if ($old === null || $new === null) {
+            return $old === $new;
+        }
+
+        if (! is_scalar($old) || ! is_scalar($new)) {
+            return $old == $new;
+        }
+
+        $normalize = fn ($value) => is_bool($value) ? (string) (int) $value : (string) $value;
+
+        return $normalize($old) === $normalize($new);
+    }
+}
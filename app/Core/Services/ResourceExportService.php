@@ -0,0 +1,193 @@
+<?php
+
+namespace App\Core\Services;
+
+use App\Core\Resources\Fields\Field;
+use App\Core\Resources\Fields\KeyValue;
+use App\Core\Resources\Fields\Repeater;
+use App\Core\Resources\Resource;
+use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Database\Eloquent\Model;
+use OpenSpout\Common\Entity\Row;
+use OpenSpout\Writer\XLSX\Writer as XlsxWriter;
+use Symfony\Component\HttpFoundation\StreamedResponse;
+
+class ResourceExportService
+{
+    /**
+     * Number of models loaded per chunk while streaming.
+     */
+    protected int $chunkSize = 500;
+
+    protected array $contentTypes = [
+        'csv' => 'text/csv; charset=UTF-8',
+        'xlsx' => 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'json' => 'application/json',
+    ];
+
+    public function __construct(protected Resource $resource) {}
+
+    /**
+     * Stream an export of the resource in the given format.
+     *
+     * @param  array  $params  Index params (search, sort, direction, filters)
+     * @param  array  $columns  Attributes to include (empty = all export fields)
+     * @param  array|null  $ids  Restrict the export to these IDs
+     */
+    public function stream(string $format, array $params = [], array $columns = [], ?array $ids = null): StreamedResponse
+    {
+        if (! in_array($format, $this->resource->exportFormats(), true)) {
+            throw new \InvalidArgumentException("Unsupported export format: {$format}");
+        }
+
+        $fields = $this->resolveFields($columns);
+        $query = (new ResourceService($this->resource))->indexQuery($params);
+
+        if (! empty($ids)) {
+            $query->whereIn($query->getModel()->getQualifiedKeyName(), $ids);
+        }
+
+        $filename = $this->resource::key().'-'.now()->format('Y-m-d-His').'.'.$format;
+
+        return response()->streamDownload(
+            fn () => match ($format) {
+                'csv' => $this->writeCsv($query, $fields),
+                'xlsx' => $this->writeXlsx($query, $fields),
+                'json' => $this->writeJson($query, $fields),
+            },
+            $filename,
+            ['Content-Type' => $this->contentTypes[$format]]
+        );
+    }
+
+    /**
+     * Resolve requested columns against the resource's export fields,
+     * keeping the order the resource declares them in.
+     */
+    public function resolveFields(array $columns = []): array
+    {
+        $fields = $this->resource->getExportFields();
+
+        if (empty($columns)) {
+            return $fields;
+        }
+
+        return array_values(array_filter(
+            $fields,
+            fn (Field $field) => in_array($field->attribute, $columns, true)
+        ));
+    }
+
+    /**
+     * Build a flat row of export values for a model.
+     */
+    public function row(Model $model, array $fields): array
+    {
+        $row = [];
+
+        foreach ($fields as $field) {
+            $value = $field->transformValue($model->getAttribute($field->attribute), $model);
+
+            // Repeater rows and key-value pairs are written as JSON, which imports read back
+            $row[$field->attribute] = ($field instanceof Repeater || $field instanceof KeyValue) && is_array($value)
+                ? json_encode($value)
+                : $this->exportValue($value);
+        }
+
+        return $row;
+    }
+
+    /**
+     * Flatten a transformed field value into a scalar.
+     */
+    protected function exportValue(mixed $value): mixed
+    {
+        if ($value instanceof \BackedEnum) {
+            return $value->value;
+        }
+
+        if ($value instanceof \DateTimeInterface) {
+            return $value->format('Y-m-d H:i:s');
+        }
+
+        if (is_array($value)) {
+            // BelongsTo: ['id' => 1, 'display' => 'Name']
+            if (array_key_exists('display', $value)) {
+                return $value['display'];
+            }
+
+            // BelongsToMany: list of ['id', 'display'] pairs
+            if (array_is_list($value)) {
+                return collect($value)
+                    ->map(fn ($item) => is_array($item) ? ($item['display'] ?? $item['name'] ?? $item['id'] ?? null) : $item)
+                    ->filter(fn ($item) => $item !== null)
+                    ->implode(', ');
+            }
+
+            return json_encode($value);
+        }
+
+        return $value;
+    }
+
+    /**
+     * Build a row for a spreadsheet (CSV or XLSX). Text that a spreadsheet app would read
+     * as a formula ("=HYPERLINK(...)") is prefixed with an apostrophe so it stays text.
+     */
+    protected function spreadsheetRow(Model $model, array $fields): array
+    {
+        return array_map(
+            fn ($value) => is_string($value) && preg_match('/^[=+\-@\t\r]/', $value) ? "'".$value : $value,
+            array_values($this->row($model, $fields))
+        );
+    }
+
+    protected function headings(array $fields): array
+    {
+        return array_map(fn (Field $field) => $field->label, $fields);
+    }
+
+    protected function writeCsv(Builder $query, array $fields): void
+    {
+        $handle = fopen('php://output', 'w');
+
+        // UTF-8 BOM so spreadsheet apps detect the encoding
+        fwrite($handle, "\xEF\xBB\xBF");
+        fputcsv($handle, $this->headings($fields));
+
+        foreach ($query->lazy($this->chunkSize) as $model) {
+            fputcsv($handle, array_map(
+                fn ($value) => is_bool($value) ? ($value ? 'Yes' : 'No') : $value,
+                $this->spreadsheetRow($model, $fields)
+            ));
+        }
+
+        fclose($handle);
+    }
+
+    protected function writeXlsx(Builder $query, array $fields): void
+    {
+        $writer = new XlsxWriter;
+        $writer->openToFile('php://output');
+        $writer->addRow(Row::fromValues($this->headings($fields)));
+
+        foreach ($query->lazy($this->chunkSize) as $model) {
+            $writer->addRow(Row::fromValues($this->spreadsheetRow($model, $fields)));
+        }
+
+        $writer->close();
+    }
+
+    protected function writeJson(Builder $query, array $fields): void
+    {
+        echo '[';
+
+        $first = true;
+        foreach ($query->lazy($this->chunkSize) as $model) {
+            echo ($first ? '' : ',').json_encode($this->row($model, $fields), JSON_UNESCAPED_UNICODE);
+            $first = false;
+        }
+
+        echo ']';
+    }
+}
@@ -0,0 +1,474 @@
+<?php
+
+namespace App\Core\Services;
+
+use App\Core\Resources\Fields\Field;
+use App\Core\Resources\Resource;
+use App\Http\Requests\ResourceStoreRequest;
+use App\Models\ResourceImport;
+use App\Models\User;
+use Illuminate\Http\UploadedFile;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Storage;
+use Illuminate\Support\Facades\Validator;
+use OpenSpout\Reader\CSV\Reader as CsvReader;
+use OpenSpout\Reader\XLSX\Reader as XlsxReader;
+use Symfony\Component\HttpFoundation\StreamedResponse;
+
+class ResourceImportService
+{
+    /**
+     * Disk import files are stored on until processed.
+     */
+    protected string $disk = ResourceImport::DISK;
+
+    /**
+     * Save progress to the database every N rows while processing.
+     */
+    protected int $progressInterval = 25;
+
+    /**
+     * Maximum number of row errors kept for the error report.
+     */
+    protected int $maxStoredErrors = 5000;
+
+    /**
+     * Related values that could not be matched while mapping the current row.
+     */
+    protected array $unresolved = [];
+
+    public function __construct(protected Resource $resource) {}
+
+    /**
+     * Store an uploaded file and read its header row.
+     */
+    public function upload(UploadedFile $file, User $user): ResourceImport
+    {
+        $format = strtolower($file->getClientOriginalExtension()) === 'xlsx' ? 'xlsx' : 'csv';
+
+        $import = ResourceImport::create([
+            'user_id' => $user->id,
+            'resource' => $this->resource::key(),
+            'file_name' => $file->getClientOriginalName(),
+            'file_path' => $file->store('imports', $this->disk),
+            'format' => $format,
+            'status' => ResourceImport::STATUS_PENDING,
+        ]);
+
+        $headers = [];
+        $total = 0;
+
+        foreach ($this->readRows($import) as $index => $row) {
+            if ($index === 0) {
+                $headers = array_map(fn ($value) => trim((string) $value), $row);
+
+                continue;
+            }
+
+            $total++;
+        }
+
+        $import->update([
+            'headers' => $headers,
+            'total_rows' => $total,
+        ]);
+
+        return $import;
+    }
+
+    /**
+     * Get the first data rows of the file, keyed by header.
+     */
+    public function sample(ResourceImport $import, int $limit = 5): array
+    {
+        $sample = [];
+
+        foreach ($this->dataRows($import) as $rowNumber => $row) {
+            if (count($sample) >= $limit) {
+                break;
+            }
+
+            $sample[] = $this->combine($import->headers, $row);
+        }
+
+        return $sample;
+    }
+
+    /**
+     * Guess a column mapping by matching headers to field attributes and labels.
+     *
+     * @return array<string, int> attribute => column index
+     */
+    public function suggestMapping(array $headers): array
+    {
+        $normalize = fn ($value) => str((string) $value)->lower()->replaceMatches('/[^a-z0-9]/', '')->toString();
+        $normalizedHeaders = array_map($normalize, $headers);
+        $mapping = [];
+
+        foreach ($this->resource->getImportFields() as $field) {
+            foreach ([$field->attribute, $field->label] as $candidate) {
+                $index = array_search($normalize($candidate), $normalizedHeaders, true);
+
+                if ($index !== false) {
+                    $mapping[$field->attribute] = $index;
+                    break;
+                }
+            }
+        }
+
+        return $mapping;
+    }
+
+    /**
+     * Map and validate the first rows of the file without saving anything.
+     */
+    public function preview(ResourceImport $import, array $mapping, int $limit = 20): array
+    {
+        $rows = [];
+        $valid = 0;
+
+        foreach ($this->dataRows($import) as $rowNumber => $row) {
+            if (count($rows) >= $limit) {
+                break;
+            }
+
+            [$data, $errors] = $this->validateRow($this->mapRow($row, $mapping));
+
+            if (empty($errors)) {
+                $valid++;
+            }
+
+            $rows[] = [
+                'row' => $rowNumber,
+                'values' => $data,
+                'errors' => $errors,
+            ];
+        }
+
+        return [
+            'rows' => $rows,
+            'valid' => $valid,
+            'invalid' => count($rows) - $valid,
+        ];
+    }
+
+    /**
+     * Import every row of the file, recording progress and per-row errors.
+     */
+    public function process(ResourceImport $import): void
+    {
+        $import->update([
+            'status' => ResourceImport::STATUS_PROCESSING,
+            'started_at' => now(),
+            'processed_rows' => 0,
+            'imported_rows' => 0,
+            'failed_rows' => 0,
+            'row_errors' => [],
+        ]);
+
+        $service = new ResourceService($this->resource);
+        $counts = ['processed' => 0, 'imported' => 0, 'failed' => 0];
+        $rowErrors = [];
+
+        try {
+            foreach ($this->dataRows($import) as $rowNumber => $row) {
+                [$data, $errors] = $this->validateRow($this->mapRow($row, $import->mapping ?? []));
+
+                if (empty($errors)) {
+                    try {
+                        DB::transaction(fn () => $service->store($data));
+                        $counts['imported']++;
+                    } catch (\Throwable $e) {
+                        $errors = ['_row' => [$e->getMessage()]];
+                    }
+                }
+
+                if (! empty($errors)) {
+                    $counts['failed']++;
+
+                    if (count($rowErrors) < $this->maxStoredErrors) {
+                        $rowErrors[] = [
+                            'row' => $rowNumber,
+                            'values' => $this->normalizeRow($row),
+                            'errors' => $errors,
+                        ];
+                    }
+                }
+
+                $counts['processed']++;
+
+                if ($counts['processed'] % $this->progressInterval === 0) {
+                    $import->update([
+                        'processed_rows' => $counts['processed'],
+                        'imported_rows' => $counts['imported'],
+                        'failed_rows' => $counts['failed'],
+                    ]);
+                }
+            }
+
+            $import->update([
+                'status' => ResourceImport::STATUS_COMPLETED,
+                'processed_rows' => $counts['processed'],
+                'imported_rows' => $counts['imported'],
+                'failed_rows' => $counts['failed'],
+                'row_errors' => $rowErrors,
+                'completed_at' => now(),
+            ]);
+        } catch (\Throwable $e) {
+            $import->update([
+                'status' => ResourceImport::STATUS_FAILED,
+                'processed_rows' => $counts['processed'],
+                'imported_rows' => $counts['imported'],
+                'failed_rows' => $counts['failed'],
+                'row_errors' => $rowErrors,
+                'error_message' => $e->getMessage(),
+                'completed_at' => now(),
+            ]);
+
+            throw $e;
+        } finally {
+            Storage::disk($this->disk)->delete($import->file_path);
+        }
+    }
+
+    /**
+     * Stream a CSV of the rows that failed, with their original values and errors.
+     */
+    public function errorReport(ResourceImport $import): StreamedResponse
+    {
+        $filename = pathinfo($import->file_name, PATHINFO_FILENAME).'-errors.csv';
+
+        return response()->streamDownload(function () use ($import) {
+            $handle = fopen('php://output', 'w');
+
+            fwrite($handle, "\xEF\xBB\xBF");
+            fputcsv($handle, array_merge(['Row'], $import->headers ?? [], ['Errors']));
+
+            foreach ($import->row_errors ?? [] as $error) {
+                $messages = collect($error['errors'])->flatten()->implode(' ');
+
+                fputcsv($handle, array_merge([$error['row']], $this->normalizeRow($error['values']), [$messages]));
+            }
+
+            fclose($handle);
+        }, $filename, ['Content-Type' => 'text/csv; charset=UTF-8']);
+    }
+
+    /**
+     * Convert a raw file row into field data using the column mapping.
+     */
+    public function mapRow(array $row, array $mapping): array
+    {
+        $data = [];
+        $this->unresolved = [];
+
+        foreach ($this->resource->getImportFields() as $field) {
+            if (! array_key_exists($field->attribute, $mapping) || $mapping[$field->attribute] === null) {
+                continue;
+            }
+
+            $data[$field->attribute] = $this->castValue($field, $row[(int) $mapping[$field->attribute]] ?? null);
+        }
+
+        if (! empty($this->unresolved)) {
+            $data['__unresolved'] = $this->unresolved;
+        }
+
+        return $data;
+    }
+
+    /**
+     * Validate mapped row data with the resource's store rules.
+     *
+     * @return array{0: array, 1: array} [data, errors]
+     */
+    public function validateRow(array $data): array
+    {
+        $unresolved = $data['__unresolved'] ?? [];
+        unset($data['__unresolved']);
+
+        $formRequest = ResourceStoreRequest::create('/', 'POST', $data);
+        $formRequest->setResource($this->resource::class);
+
+        $validator = Validator::make($data, $formRequest->rules(), $this->resource->messages());
+
+        $errors = $validator->errors()->toArray();
+
+        foreach ($unresolved as $attribute => $values) {
+            $errors[$attribute][] = 'Could not find: '.implode(', ', $values);
+        }
+
+        return [$data, $errors];
+    }
+
+    /**
+     * Cast a raw cell value to what the field expects.
+     */
+    protected function castValue(Field $field, mixed $value): mixed
+    {
+        if ($value instanceof \DateTimeInterface) {
+            return $value->format('Y-m-d');
+        }
+
+        if (is_string($value)) {
+            $value = trim($value);
+        }
+
+        if ($value === '' || $value === null) {
+            return null;
+        }
+
+        $type = $field->toArray()['type'];
+        $meta = $field->meta();
+
+        return match (true) {
+            $type === 'boolean' => in_array(strtolower((string) $value), ['1', 'true', 'yes', 'y', 'on'], true),
+            $type === 'number' => is_numeric($value) ? $value + 0 : $value,
+            $type === 'belongs-to' => $this->resolveRelated($field, [$value])[0] ?? null,
+            $type === 'belongs-to-many',
+            $type === 'select' && ! empty($meta['multiple']) && ! empty($meta['resource']) => $this->resolveRelated(
+                $field,
+                array_filter(array_map('trim', preg_split('/[,;]/', (string) $value)), 'strlen')
+            ),
+            $type === 'select' => $this->resolveOption($meta['options'] ?? [], $value),
+            // Exports write repeater rows and key-value pairs as JSON
+            in_array($type, ['repeater', 'key-value'], true) => is_array(json_decode((string) $value, true))
+                ? json_decode((string) $value, true)
+                : $value,
+            default => $value,
+        };
+    }
+
+    /**
+     * Match a select value by key or (case-insensitive) label.
+     */
+    protected function resolveOption(array $options, mixed $value): mixed
+    {
+        if (array_key_exists($value, $options)) {
+            return $value;
+        }
+
+        foreach ($options as $key => $label) {
+            if (strcasecmp((string) $label, (string) $value) === 0) {
+                return $key;
+            }
+        }
+
+        return $value;
+    }
+
+    /**
+     * Resolve related records by ID or by the related title attribute.
+     */
+    protected function resolveRelated(Field $field, array $values): array
+    {
+        $meta = $field->meta();
+
+        if (empty($meta['resourceClass'])) {
+            return array_values($values);
+        }
+
+        $modelClass = $meta['resourceClass']::model();
+        $titleAttribute = $meta['titleAttribute'] ?? 'name';
+
+        $ids = [];
+
+        foreach ($values as $value) {
+            $id = is_numeric($value)
+                ? $modelClass::whereKey((int) $value)->value('id')
+                : $modelClass::where($titleAttribute, $value)->value('id');
+
+            if ($id === null) {
+                $this->unresolved[$field->attribute][] = $value;
+
+                continue;
+            }
+
+            $ids[] = $id;
+        }
+
+        return $ids;
+    }
+
+    /**
+     * Read every row of the file (including the header row).
+     */
+    protected function readRows(ResourceImport $import): \Generator
+    {
+        $reader = $import->format === 'xlsx' ? new XlsxReader : new CsvReader;
+        $reader->open(Storage::disk($this->disk)->path($import->file_path));
+
+        try {
+            $index = 0;
+
+            foreach ($reader->getSheetIterator() as $sheet) {
+                foreach ($sheet->getRowIterator() as $row) {
+                    yield $index++ => $row->toArray();
+                }
+
+                // Only the first sheet is imported
+                break;
+            }
+        } finally {
+            $reader->close();
+        }
+    }
+
+    /**
+     * Read data rows keyed by their 1-based spreadsheet row number, skipping blank rows.
+     */
+    protected function dataRows(ResourceImport $import): \Generator
+    {
+        foreach ($this->readRows($import) as $index => $row) {
+            if ($index === 0 || $this->isBlank($row)) {
+                continue;
+            }
+
+            yield $index + 1 => $row;
+        }
+    }
+
+    protected function isBlank(array $row): bool
+    {
+        foreach ($row as $value) {
+            if ($value !== null && trim((string) ($value instanceof \DateTimeInterface ? 'date' : $value)) !== '') {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    protected function combine(array $headers, array $row): array
+    {
+        $combined = [];
+
+        foreach ($headers as $index => $header) {
+            $combined[$header] = $this->normalizeCell($row[$index] ?? null);
+        }
+
+        return $combined;
+    }
+
+    /**
+     * Raw cells as values that survive JSON storage and CSV output.
+     */
+    protected function normalizeRow(array $row): array
+    {
+        return array_map(fn ($value) => $this->normalizeCell($value), array_values($row));
+    }
+
+    /**
+     * Dates become Y-m-d strings and other non-scalar cells (e.g. XLSX time intervals) strings.
+     */
+    protected function normalizeCell(mixed $value): mixed
+    {
+        return match (true) {
+            $value instanceof \DateTimeInterface => $value->format('Y-m-d'),
+            $value instanceof \DateInterval => $value->format('%H:%I:%S'),
+            is_array($value) => json_encode($value),
+            is_object($value) => method_exists($value, '__toString') ? (string) $value : null,
+            default => $value,
+        };
+    }
+}
@@ -3,18 +3,187 @@
 namespace App\Core\Services;
 
 use App\Core\Resources\Resource;
+use App\Exceptions\StaleVersionException;
+use App\Models\ResourceActivity;
 use Illuminate\Database\Eloquent\Builder;
 use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\HasMany;
+use Illuminate\Database\Query\Builder as QueryBuilder;
 use Illuminate\Pagination\LengthAwarePaginator;
+use Illuminate\Support\Arr;
+use Illuminate\Support\Facades\DB;
 
 class ResourceService
 {
+    /**
+     * Parent HasMany relationship that queries and creates are scoped to.
+     */
+    protected ?HasMany $via = null;
+
     public function __construct(protected Resource $resource) {}
 
+    /**
+     * Scope the service to the children of a parent's HasMany relationship.
+     */
+    public function via(?HasMany $relation): static
+    {
+        $this->via = $relation;
+
+        return $this;
+    }
+
     /**
      * Get paginated index of resources.
      */
     public function index(array $params = []): LengthAwarePaginator
+    {
+        $query = $this->indexQuery($params);
+
+        $perPage = $params['perPage'] ?? $this->resource::$perPage;
+
+        $paginator = $query->paginate($perPage);
+
+        // Transform each item through resource fields
+        $paginator->getCollection()->transform(function ($item) {
+            return $this->transformModel($item);
+        });
+
+        return $paginator;
+    }
+
+    /**
+     * Get a cursor-paginated index of resources, as the paginator's JSON array.
+     */
+    public function cursorIndex(array $params = []): array
+    {
+        $query = $this->indexQuery($params);
+
+        // Cursors need a unique order, so records with the same sort value fall back to the key
+        if (! empty($params['sort']) && $params['sort'] !== 'id') {
+            $query->orderBy('id', strtolower($params['direction'] ?? 'asc') === 'desc' ? 'desc' : 'asc');
+        }
+
+        $perPage = $params['perPage'] ?? $this->resource::$perPage;
+
+        $paginator = $query->cursorPaginate($perPage, ['*'], 'cursor', $params['cursor'] ?? null);
+
+        // The cursors are read from the models, so build them before transforming the items
+        $page = $paginator->toArray();
+        $page['data'] = $paginator->getCollection()
+            ->map(fn ($item) => $this->transformModel($item))
+            ->all();
+
+        return $page;
+    }
+
+    /**
+     * Get the record count and the declared column aggregates of every record matching
+     * the search and filters, overall and, when grouping, per group in group order.
+     */
+    public function aggregates(array $params = []): array
+    {
+        $query = $this->indexQuery(Arr::except($params, ['sort', 'groupBy']))
+            ->reorder()
+            ->toBase();
+
+        $totalsQuery = clone $query;
+        $aliases = $this->selectAggregates($totalsQuery);
+        $totals = $totalsQuery->first();
+
+        $result = [
+            'count' => (int) $totals->aggregate_count,
+            'aggregates' => $this->readAggregates($totals, $aliases),
+            'groups' => null,
+        ];
+
+        if ($groupBy = $this->groupBy($params)) {
+            $groupsQuery = (clone $query)->select($groupBy);
+            $aliases = $this->selectAggregates($groupsQuery);
+
+            $result['groups'] = $groupsQuery
+                ->groupBy($groupBy)
+                ->orderBy($groupBy, $this->groupDirection($params))
+                ->get()
+                ->map(fn ($row) => [
+                    'value' => $row->{$groupBy},
+                    'count' => (int) $row->aggregate_count,
+                    'aggregates' => $this->readAggregates($row, $aliases),
+                ])
+                ->all();
+        }
+
+        return $result;
+    }
+
+    /**
+     * Add the record count and the declared column aggregates to a query's select.
+     *
+     * @return array Column aliases mapped to [attribute, function]
+     */
+    protected function selectAggregates(QueryBuilder $query): array
+    {
+        $query->selectRaw('count(*) as aggregate_count');
+
+        $aliases = [];
+        foreach ($this->resource->aggregateColumns() as $attribute => $functions) {
+            foreach ($functions as $function) {
+                $alias = 'aggregate_'.count($aliases);
+                $query->selectRaw("{$function}({$query->getGrammar()->wrap($attribute)}) as {$alias}");
+                $aliases[$alias] = [$attribute, $function];
+            }
+        }
+
+        return $aliases;
+    }
+
+    /**
+     * Read the aggregates selected by selectAggregates() from a result row, by attribute and function.
+     */
+    protected function readAggregates(object $row, array $aliases): array
+    {
+        $aggregates = [];
+
+        foreach ($aliases as $alias => [$attribute, $function]) {
+            $value = $row->{$alias};
+
+            // Databases return sums and averages of decimals as strings; dates stay strings
+            $aggregates[$attribute][$function] = match (true) {
+                $value === null => null,
+                $function === 'count' => (int) $value,
+                is_numeric($value) => $value + 0,
+                default => $value,
+            };
+        }
+
+        return $aggregates;
+    }
+
+    /**
+     * Get the attribute to group by, when it is one the resource can be grouped by.
+     */
+    protected function groupBy(array $params): ?string
+    {
+        $groupBy = $params['groupBy'] ?? null;
+
+        return is_string($groupBy) && in_array($groupBy, $this->resource->groupableAttributes(), true)
+            ? $groupBy
+            : null;
+    }
+
+    /**
+     * Groups follow the sort direction when sorting by the grouped column, and go ascending otherwise.
+     */
+    protected function groupDirection(array $params): string
+    {
+        $sortsByGroup = ($params['sort'] ?? null) === ($params['groupBy'] ?? null);
+
+        return $sortsByGroup && strtolower($params['direction'] ?? 'asc') === 'desc' ? 'desc' : 'asc';
+    }
+
+    /**
+     * Build the index query with search, filters, sorting and eager loads applied.
+     */
+    public function indexQuery(array $params = []): Builder
     {
         $query = $this->baseQuery();
 
@@ -28,6 +197,12 @@ public function index(array $params = []): LengthAwarePaginator
             $this->applyFilters($query, $params['filters']);
         }
 
+        // Grouped tables sort by the group first, so the rows of a group are together
+        $groupBy = $this->groupBy($params);
+        if ($groupBy && $groupBy !== ($params['sort'] ?? null)) {
+            $this->applySort($query, $groupBy);
+        }
+
         // Apply sorting
         if (! empty($params['sort'])) {
             $this->applySort($query, $params['sort'], $params['direction'] ?? 'asc');
@@ -42,16 +217,7 @@ public function index(array $params = []): LengthAwarePaginator
             $query->with($with);
         }
 
-        $perPage = $params['perPage'] ?? $this->resource::$perPage;
-
-        $paginator = $query->paginate($perPage);
-
-        // Transform each item through resource fields
-        $paginator->getCollection()->transform(function ($item) {
-            return $this->transformModel($item);
-        });
-
-        return $paginator;
+        return $query;
     }
 
     /**
@@ -59,7 +225,7 @@ public function index(array $params = []): LengthAwarePaginator
      */
     protected function transformModel(Model $model): array
     {
-        $data = $model->toArray();
+        $data = Arr::except($model->toArray(), $this->resource->unreadableAttributes());
 
         $fields = $this->resource->flattenFields($this->resource->getIndexFields());
 
@@ -90,6 +256,116 @@ public function show(int|string $id): Model
         return $query->findOrFail($id);
     }
 
+    /**
+     * Find a record of the resource (within the parent relationship, if any), without eager loads.
+     */
+    public function find(int|string $id, bool $withTrashed = false): Model
+    {
+        $query = $this->baseQuery();
+
+        if ($withTrashed && $this->resource::softDeletes()) {
+            $query->withTrashed();
+        }
+
+        return $query->findOrFail($id);
+    }
+
+    /**
+     * Get the version token of a record: a hash of its stored attributes.
+     * Forms send back the version they loaded so saving over someone else's changes is refused.
+     */
+    public function version(Model $model): string
+    {
+        return sha1(json_encode($model->getAttributes()));
+    }
+
+    /**
+     * Detach a child from the parent relationship by clearing its foreign key.
+     */
+    public function detach(int|string $id): Model
+    {
+        if (! $this->via) {
+            throw new \LogicException('Detaching requires a parent relationship.');
+        }
+
+        $model = $this->baseQuery()->findOrFail($id);
+        $model->setAttribute($this->via->getForeignKeyName(), null)->save();
+
+        return $model;
+    }
+
+    /**
+     * Get a single resource transformed for the read-only detail view.
+     */
+    public function detail(int|string $id): array
+    {
+        $model = $this->baseQuery()
+            ->with($this->getShowRelationshipsToLoad())
+            ->findOrFail($id);
+
+        return $this->resource->transform($model, $this->resource->getShowFields());
+    }
+
+    /**
+     * Get the form values of a copy of a record, for review before it is saved as a new record.
+     * Nothing is stored: the copy is created through store() once the form is submitted.
+     */
+    public function duplicate(int|string $id): array
+    {
+        $model = $this->find($id);
+        $attributes = $model->toArray();
+        $values = [];
+
+        foreach ($this->resource->flattenFields($this->resource->getFormFields()) as $field) {
+            $attribute = $field->attribute;
+
+            if ($field instanceof \App\Core\Resources\Fields\HasMany
+                || $field instanceof \App\Core\Resources\Fields\Password
+                || in_array($attribute, $this->resource::$duplicateExcept, true)
+                || ! $this->resource->canWriteField($attribute)) {
+                continue;
+            }
+
+            if ($this->isManyToMany($field)) {
+                if ($this->resource::$duplicateRelations) {
+                    $values[$attribute] = $model->$attribute()->allRelatedIds()->all();
+                }
+
+                continue;
+            }
+
+            if (array_key_exists($attribute, $attributes)) {
+                $values[$attribute] = in_array($attribute, $this->resource::$duplicateUnique, true)
+                    ? $this->uniqueCopy($attribute, $attributes[$attribute])
+                    : $attributes[$attribute];
+            }
+        }
+
+        return $values;
+    }
+
+    /**
+     * Get a value for the copy of a unique attribute: "Value (Copy)", "Value (Copy 2)", ...
+     * the first one no record (trashed ones included) has yet.
+     */
+    protected function uniqueCopy(string $attribute, mixed $value): mixed
+    {
+        if (! is_string($value) || $value === '') {
+            return $value;
+        }
+
+        $modelClass = $this->resource::model();
+        $query = $this->resource::softDeletes() ? $modelClass::withTrashed() : $modelClass::query();
+
+        for ($copy = 1; ; $copy++) {
+            $candidate = $value.($copy === 1 ? ' (Copy)' : " (Copy {$copy})");
+
+            if (! (clone $query)->where($attribute, $candidate)->exists()) {
+                return $candidate;
+            }
+        }
+    }
+
     /**
      * Create a new resource.
      */
@@ -109,23 +385,49 @@ public function store(array $data): Model
             $modelData['password'] = bcrypt($modelData['password']);
         }
 
-        $model = $modelClass::create($modelData);
+        // Children created through a parent relationship get its foreign key
+        $model = $this->via
+            ? $this->via->create($modelData)
+            : $modelClass::create($modelData);
 
         // Handle relationships
-        $this->syncRelationships($model, $relationshipData);
+        $relationChanges = $this->syncRelationships($model, $relationshipData);
+
+        $this->logActivity(ResourceActivity::EVENT_CREATED, $model, [
+            ...$this->activity()->diff($model, [], $model->getAttributes()),
+            ...$relationChanges,
+        ]);
 
         return $model->fresh($this->getRelationshipsToLoad());
     }
 
     /**
      * Update a resource.
+     *
+     * @param  string|null  $version  Version the changes are based on, see version()
+     *
+     * @throws StaleVersionException when the record changed since that version
      */
-    public function update(int|string $id, array $data): Model
+    public function update(int|string $id, array $data, ?string $version = null): Model
     {
         // Filter data to only include visible fields
         $data = $this->filterVisibleFieldsData($data);
 
-        $model = $this->baseQuery()->findOrFail($id);
+        $model = DB::transaction(fn () => $this->updateLocked($id, $data, $version));
+
+        return $model->fresh($this->getRelationshipsToLoad());
+    }
+
+    /**
+     * Update a resource while it is locked, so no other save can land between the version check and this one.
+     */
+    protected function updateLocked(int|string $id, array $data, ?string $version): Model
+    {
+        $model = $this->baseQuery()->lockForUpdate()->findOrFail($id);
+
+        if ($version !== null && ! hash_equals($this->version($model), $version)) {
+            throw new StaleVersionException;
+        }
 
         // Separate relationship data
         $relationshipData = $this->extractRelationshipData($data);
@@ -139,12 +441,22 @@ public function update(int|string $id, array $data): Model
             unset($modelData['password']);
         }
 
+        $before = $model->getAttributes();
         $model->update($modelData);
 
         // Handle relationships
-        $this->syncRelationships($model, $relationshipData);
+        $relationChanges = $this->syncRelationships($model, $relationshipData);
 
-        return $model->fresh($this->getRelationshipsToLoad());
+        $changes = [
+            ...$this->activity()->diff($model, $before, $model->getAttributes()),
+            ...$relationChanges,
+        ];
+
+        if (! empty($changes)) {
+            $this->logActivity(ResourceActivity::EVENT_UPDATED, $model, $changes);
+        }
+
+        return $model;
     }
 
     /**
@@ -154,29 +466,120 @@ public function destroy(int|string $id): bool
     {
         $model = $this->baseQuery()->findOrFail($id);
 
+        $this->logActivity(ResourceActivity::EVENT_DELETED, $model, $this->snapshot($model));
+
         return $model->delete();
     }
 
     /**
-     * Bulk delete resources.
+     * Restore a trashed resource.
+     */
+    public function restore(int|string $id): Model
+    {
+        $model = $this->baseQuery()->onlyTrashed()->findOrFail($id);
+        $model->restore();
+
+        $this->logActivity(ResourceActivity::EVENT_RESTORED, $model);
+
+        return $model;
+    }
+
+    /**
+     * Permanently delete a resource, trashed or not.
      */
-    public function bulkDestroy(array $ids): int
+    public function forceDestroy(int|string $id): bool
     {
-        return $this->baseQuery()->whereIn('id', $ids)->delete();
+        $model = $this->baseQuery()->withTrashed()->findOrFail($id);
+
+        $this->logActivity(ResourceActivity::EVENT_FORCE_DELETED, $model, $this->snapshot($model));
+
+        return $model->forceDelete();
     }
 
     /**
-     * Bulk update resources.
+     * Bulk restore trashed resources. Records the policy refuses to restore are skipped.
+     *
+     * @param  array  $selection  See selectionQuery()
      */
-    public function bulkUpdate(array $ids, array $data): int
+    public function bulkRestore(array $selection): int
     {
-        return $this->baseQuery()->whereIn('id', $ids)->update($data);
+        return DB::transaction(function () use ($selection) {
+            $query = $this->selectionQuery($selection)->onlyTrashed();
+            $ids = [];
+
+            foreach ((clone $query)->lazy() as $model) {
+                if (! $this->resource->can('restore', $model)) {
+                    continue;
+                }
+
+                $this->logActivity(ResourceActivity::EVENT_RESTORED, $model);
+                $ids[] = $model->getKey();
+            }
+
+            return $query->whereKey($ids)->restore();
+        });
     }
 
     /**
-     * Run an action on resources.
+     * Bulk delete resources. Records the policy refuses to delete are skipped.
+     *
+     * @param  array  $selection  See selectionQuery()
      */
-    public function runAction(string $actionKey, array $ids, array $data = []): mixed
+    public function bulkDestroy(array $selection): int
+    {
+        return DB::transaction(function () use ($selection) {
+            $query = $this->selectionQuery($selection);
+            $ids = [];
+
+            foreach ((clone $query)->lazy() as $model) {
+                if (! $this->resource->can('delete', $model)) {
+                    continue;
+                }
+
+                $this->logActivity(ResourceActivity::EVENT_DELETED, $model, $this->snapshot($model));
+                $ids[] = $model->getKey();
+            }
+
+            return $query->whereKey($ids)->delete();
+        });
+    }
+
+    /**
+     * Bulk update resources. Records the policy refuses to update are skipped.
+     *
+     * @param  array  $selection  See selectionQuery()
+     */
+    public function bulkUpdate(array $selection, array $data): int
+    {
+        return DB::transaction(function () use ($selection, $data) {
+            $query = $this->selectionQuery($selection);
+            $ids = [];
+
+            foreach ((clone $query)->lazy() as $model) {
+                if (! $this->resource->can('update', $model)) {
+                    continue;
+                }
+
+                $before = $model->getAttributes();
+                $changes = $this->activity()->diff($model, $before, [...$before, ...$data]);
+
+                if (! empty($changes)) {
+                    $this->logActivity(ResourceActivity::EVENT_UPDATED, $model, $changes);
+                }
+
+                $ids[] = $model->getKey();
+            }
+
+            return $query->whereKey($ids)->update($data);
+        });
+    }
+
+    /**
+     * Run an action on resources. Records the policy refuses the action for are left out.
+     *
+     * @param  array  $selection  See selectionQuery()
+     */
+    public function runAction(string $actionKey, array $selection, array $data = []): mixed
     {
         $action = collect($this->resource->actions())
             ->firstWhere('key', $actionKey);
@@ -185,9 +588,72 @@ public function runAction(string $actionKey, array $ids, array $data = []): mixe
             throw new \InvalidArgumentException("Action not found: {$actionKey}");
         }
 
-        $models = $this->baseQuery()->whereIn('id', $ids)->get();
+        $models = $this->selectionQuery($selection)->get()
+            ->filter(fn (Model $model) => $this->resource->can('runAction:'.$actionKey, $model))
+            ->values();
+        $before = $models->mapWithKeys(fn ($model) => [$model->getKey() => $model->getAttributes()]);
+
+        $result = $action->handle($models, $data);
+
+        // Actions that change the models they are given get a diff
+        foreach ($models as $model) {
+            $this->logActivity(
+                ResourceActivity::EVENT_ACTION,
+                $model,
+                $this->activity()->diff($model, $before[$model->getKey()], $model->getAttributes()),
+                $actionKey
+            );
+        }
+
+        return $result;
+    }
+
+    /**
+     * Build the query for a bulk selection.
+     *
+     * @param  array  $selection  Either ['ids' => [...]] for explicit records, or
+     *                            ['query' => ['search' => ..., 'filters' => [...]]] for every matching record
+     */
+    public function selectionQuery(array $selection): Builder
+    {
+        $query = $this->baseQuery();
 
-        return $action->handle($models, $data);
+        if (array_key_exists('ids', $selection)) {
+            return $query->whereIn($query->getModel()->getQualifiedKeyName(), (array) $selection['ids']);
+        }
+
+        $params = $selection['query'] ?? [];
+
+        if (! empty($params['search']) && $this->resource::$searchable) {
+            $this->applySearch($query, $params['search']);
+        }
+
+        if (! empty($params['filters']) && is_array($params['filters'])) {
+            $this->applyFilters($query, $params['filters']);
+        }
+
+        return $query;
+    }
+
+    /**
+     * Record an activity for a model of this resource.
+     */
+    protected function logActivity(string $event, Model $model, array $changes = [], ?string $action = null): void
+    {
+        $this->activity()->log($this->resource::key(), $event, $model->getKey(), $changes, $action);
+    }
+
+    /**
+     * The model's current values as changes to nothing, for deletes.
+     */
+    protected function snapshot(Model $model): array
+    {
+        return $this->activity()->diff($model, $model->getAttributes(), []);
+    }
+
+    protected function activity(): ResourceActivityService
+    {
+        return app(ResourceActivityService::class);
     }
 
     /**
@@ -196,8 +662,13 @@ public function runAction(string $actionKey, array $ids, array $data = []): mixe
     protected function baseQuery(): Builder
     {
         $modelClass = $this->resource::model();
+        $query = $modelClass::query();
 
-        return $modelClass::query();
+        if ($this->via) {
+            $query->where($this->via->getQualifiedForeignKeyName(), $this->via->getParentKey());
+        }
+
+        return $query;
     }
 
     /**
@@ -227,7 +698,7 @@ protected function applyFilters(Builder $query, array $filters): void
             }
 
             // Find the filter definition
-            foreach ($this->resource->filters() as $filter) {
+            foreach ($this->resource->getFilters() as $filter) {
                 if ($filter->key === $key) {
                     $filter->apply($query, $value);
                     break;
@@ -269,6 +740,30 @@ protected function getRelationshipsToLoad(): array
         return $relationships;
     }
 
+    /**
+     * Get relationships needed to display the show fields.
+     */
+    protected function getShowRelationshipsToLoad(): array
+    {
+        $relationships = $this->resource->with();
+        $modelClass = $this->resource::model();
+
+        foreach ($this->resource->flattenFields($this->resource->getShowFields()) as $field) {
+            $relationName = match (true) {
+                $field instanceof \App\Core\Resources\Fields\BelongsTo => $field->relationName(),
+                // HasMany children are paginated by their own inline table
+                $field instanceof \App\Core\Resources\Fields\BelongsToMany => $field->attribute,
+                default => null,
+            };
+
+            if ($relationName && method_exists($modelClass, $relationName) && ! in_array($relationName, $relationships)) {
+                $relationships[] = $relationName;
+            }
+        }
+
+        return $relationships;
+    }
+
     /**
      * Extract relationship data from request data.
      */
@@ -297,18 +792,36 @@ protected function extractRelationshipData(array $data): array
         return $relationshipData;
     }
 
+    /**
+     * Check if a form field holds the IDs of a many-to-many relation.
+     */
+    protected function isManyToMany(object $field): bool
+    {
+        if ($field instanceof \App\Core\Resources\Fields\BelongsToMany) {
+            return true;
+        }
+
+        $meta = $field->meta();
+
+        return $field instanceof \App\Core\Resources\Fields\Select
+            && ! empty($meta['multiple'])
+            && isset($meta['resource']);
+    }
+
     /**
      * Sync relationships for a model.
+     * Returns the old and new related IDs of each relationship that changed.
      */
-    protected function syncRelationships(Model $model, array $relationshipData): void
+    protected function syncRelationships(Model $model, array $relationshipData): array
     {
+        $changes = [];
         $fields = $this->resource->flattenFields($this->resource->getFormFields());
 
         foreach ($fields as $field) {
             if ($field instanceof \App\Core\Resources\Fields\BelongsToMany) {
                 $relationName = $field->attribute;
                 if (isset($relationshipData[$relationName])) {
-                    $model->$relationName()->sync($relationshipData[$relationName]);
+                    $changes[$relationName] = $this->syncRelation($model, $relationName, $relationshipData[$relationName]);
                 }
             } elseif ($field instanceof \App\Core\Resources\Fields\Select) {
                 // Handle Select fields with multiple and resource (relationship fields)
@@ -316,11 +829,31 @@ protected function syncRelationships(Model $model, array $relationshipData): voi
                 if (isset($meta['multiple']) && $meta['multiple'] && isset($meta['resource'])) {
                     $relationName = $field->attribute;
                     if (isset($relationshipData[$relationName])) {
-                        $model->$relationName()->sync($relationshipData[$relationName]);
+                        $changes[$relationName] = $this->syncRelation($model, $relationName, $relationshipData[$relationName]);
                     }
                 }
             }
         }
+
+        return array_filter($changes);
+    }
+
+    /**
+     * Sync a many-to-many relationship and return its old and new related IDs, or null when nothing changed.
+     */
+    protected function syncRelation(Model $model, string $relationName, array $ids): ?array
+    {
+        $before = $model->$relationName()->allRelatedIds()->all();
+        $result = $model->$relationName()->sync($ids);
+
+        if (empty($result['attached']) && empty($result['detached'])) {
+            return null;
+        }
+
+        return [
+            'old' => $before,
+            'new' => $model->$relationName()->allRelatedIds()->all(),
+        ];
     }
 
     /**
@@ -0,0 +1,13 @@
+<?php
+
+namespace App\Exceptions;
+
+use Exception;
+
+class StaleVersionException extends Exception
+{
+    public function __construct()
+    {
+        parent::__construct('The record changed since the version the update is based on.');
+    }
+}
@@ -0,0 +1,13 @@
+<?php
+
+namespace App\Exceptions;
+
+use Exception;
+
+class UploadOffsetMismatchException extends Exception
+{
+    public function __construct(public readonly int $offset)
+    {
+        parent::__construct("The upload is at offset {$offset}.");
+    }
+}
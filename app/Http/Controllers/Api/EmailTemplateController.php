@@ -19,7 +19,7 @@ public function __construct(
 
     public function index(Request $request): JsonResponse
     {
-        if (! $request->user()->isAdmin()) {
+        if (! $request->user()->hasPermission('email-templates.manage')) {
             abort(403, 'Unauthorized');
         }
 
@@ -2,20 +2,125 @@
 
 namespace App\Http\Controllers\Api;
 
+use App\Exceptions\UploadOffsetMismatchException;
 use App\Http\Controllers\Controller;
+use App\Models\ChunkedUpload;
 use App\Services\Media\BlurPlaceholderService;
+use App\Services\Media\ChunkedUploadService;
+use App\Services\Media\MediaLibraryService;
 use App\Services\Media\SecureMediaUrlService;
+use Illuminate\Database\Eloquent\Model;
 use Illuminate\Http\JsonResponse;
 use Illuminate\Http\Request;
+use Illuminate\Validation\Rule;
+use Spatie\MediaLibrary\MediaCollections\Exceptions\FileCannotBeAdded;
 use Spatie\MediaLibrary\MediaCollections\Models\Media;
 
 class MediaController extends Controller
 {
     public function __construct(
         protected BlurPlaceholderService $blurPlaceholderService,
-        protected SecureMediaUrlService $secureMediaUrlService
+        protected SecureMediaUrlService $secureMediaUrlService,
+        protected ChunkedUploadService $chunkedUploadService,
+        protected MediaLibraryService $mediaLibraryService
     ) {}
 
+    /**
+     * List the files of all models, filtered by name, type, collection and owner model.
+     */
+    public function index(Request $request): JsonResponse
+    {
+        $request->validate([
+            'search' => 'nullable|string|max:255',
+            'type' => ['nullable', 'string', Rule::in(MediaLibraryService::TYPES)],
+            'collection' => 'nullable|string',
+            'model_type' => 'nullable|string',
+            'perPage' => 'nullable|integer|min:1|max:100',
+        ]);
+
+        $media = $this->mediaLibraryService->paginate($request->only([
+            'search', 'type', 'collection', 'model_type', 'perPage',
+        ]));
+
+        return response()->json($media->through(fn (Media $item) => $this->libraryData($item)));
+    }
+
+    /**
+     * Get the options for the media library filters.
+     */
+    public function filters(): JsonResponse
+    {
+        return response()->json($this->mediaLibraryService->filters());
+    }
+
+    /**
+     * Delete several files of the media library.
+     */
+    public function bulkDestroy(Request $request): JsonResponse
+    {
+        $validated = $request->validate([
+            'ids' => 'required|array|min:1',
+            'ids.*' => 'integer|distinct',
+        ]);
+
+        $count = $this->mediaLibraryService->delete($validated['ids']);
+
+        return response()->json([
+            'message' => 'Files deleted successfully',
+            'count' => $count,
+        ]);
+    }
+
+    /**
+     * Add a copy of a library file to a model's collection, instead of uploading it again.
+     */
+    public function attach(Request $request, Media $media): JsonResponse
+    {
+        $validated = $request->validate([
+            'model_type' => 'required|string',
+            'model_id' => 'required|integer',
+            'collection' => 'required|string',
+        ]);
+
+        $rawModelType = $validated['model_type'];
+
+        // Normalize the model type - handle both single and double backslashes
+        $modelType = preg_replace('/\\\\+/', '\\', $rawModelType);
+
+        // Validate that the model class exists
+        if (! class_exists($modelType)) {
+            return response()->json([
+                'message' => 'Invalid model type',
+                'error' => "Class {$modelType} not found. Received: {$rawModelType}",
+            ], 422);
+        }
+
+        $model = $modelType::findOrFail($validated['model_id']);
+
+        if (! method_exists($model, 'addMedia')) {
+            return response()->json([
+                'message' => 'Model does not support media uploads',
+            ], 422);
+        }
+
+        if (! $this->canAccessMedia($model)) {
+            abort(403, 'Unauthorized access to media');
+        }
+
+        try {
+            $copy = $this->mediaLibraryService->attach($media, $model, $validated['collection']);
+        } catch (FileCannotBeAdded $e) {
+            return response()->json([
+                'message' => $e->getMessage(),
+            ], 422);
+        }
+
+        return response()->json([
+            'message' => 'File added successfully',
+            'data' => $this->mediaData($copy),
+        ], 201);
+    }
+
     /**
      * Upload a single file.
      */
@@ -64,17 +169,7 @@ public function upload(Request $request): JsonResponse
 
         return response()->json([
             'message' => 'File uploaded successfully',
-            'data' => [
-                'id' => $media->id,
-                'name' => $media->file_name,
-                'url' => $this->secureMediaUrlService->getTemporaryUrl($media),
-                'thumbnail' => $media->hasGeneratedConversion('thumb')
-                    ? $this->secureMediaUrlService->getTemporaryConversionUrl($media, 'thumb')
-                    : $this->secureMediaUrlService->getTemporaryUrl($media),
-                'blur_placeholder' => $this->blurPlaceholderService->getBlurPlaceholder($media),
-                'size' => $media->size,
-                'mime_type' => $media->mime_type,
-            ],
+            'data' => $this->mediaData($media),
         ], 201);
     }
 
@@ -126,17 +221,7 @@ public function uploadMultiple(Request $request): JsonResponse
                 $this->blurPlaceholderService->generateAndStore($media);
             }
 
-            $uploadedMedia[] = [
-                'id' => $media->id,
-                'name' => $media->file_name,
-                'url' => $this->secureMediaUrlService->getTemporaryUrl($media),
-                'thumbnail' => $media->hasGeneratedConversion('thumb')
-                    ? $this->secureMediaUrlService->getTemporaryConversionUrl($media, 'thumb')
-                    : $this->secureMediaUrlService->getTemporaryUrl($media),
-                'blur_placeholder' => $this->blurPlaceholderService->getBlurPlaceholder($media),
-                'size' => $media->size,
-                'mime_type' => $media->mime_type,
-            ];
+            $uploadedMedia[] = $this->mediaData($media);
         }
 
         return response()->json([
@@ -145,6 +230,266 @@ public function uploadMultiple(Request $request): JsonResponse
         ], 201);
     }
 
+    /**
+     * Start a chunked upload. The client then sends the file in chunks and completes the upload.
+     */
+    public function startUpload(Request $request): JsonResponse
+    {
+        $validated = $request->validate([
+            'file_name' => 'required|string|max:255',
+            'size' => 'required|integer|min:1|max:'.config('media-library.max_file_size'),
+            'mime_type' => 'nullable|string|max:255',
+            'model_type' => 'required|string',
+            'model_id' => 'required|integer',
+            'collection' => 'required|string',
+        ]);
+
+        $rawModelType = $validated['model_type'];
+
+        // Normalize the model type - handle both single and double backslashes
+        $modelType = preg_replace('/\\\\+/', '\\', $rawModelType);
+
+        // Validate that the model class exists
+        if (! class_exists($modelType)) {
+            return response()->json([
+                'message' => 'Invalid model type',
+                'error' => "Class {$modelType} not found. Received: {$rawModelType}",
+            ], 422);
+        }
+
+        $model = $modelType::findOrFail($validated['model_id']);
+
+        if (! method_exists($model, 'addMedia')) {
+            return response()->json([
+                'message' => 'Model does not support media uploads',
+            ], 422);
+        }
+
+        if (! $this->canAccessMedia($model)) {
+            abort(403, 'Unauthorized access to media');
+        }
+
+        $upload = $this->chunkedUploadService->start(
+            $request->user(),
+            $model,
+            $validated['collection'],
+            $validated['file_name'],
+            $validated['size'],
+            $validated['mime_type'] ?? null
+        );
+
+        return response()->json([
+            'message' => 'Upload started',
+            'data' => $this->uploadData($upload),
+        ], 201)->header('Upload-Offset', $upload->offset);
+    }
+
+    /**
+     * Get the offset of a chunked upload, to resume it.
+     */
+    public function uploadStatus(ChunkedUpload $upload): JsonResponse
+    {
+        $this->authorizeUpload($upload);
+
+        return response()->json([
+            'data' => $this->uploadData($upload),
+        ])->header('Upload-Offset', $upload->offset);
+    }
+
+    /**
+     * Append a chunk to an upload. The request body is the chunk and the Upload-Offset
+     * header the offset it starts at, which must be the offset of the upload.
+     */
+    public function uploadChunk(Request $request, ChunkedUpload $upload): JsonResponse
+    {
+        $this->authorizeUpload($upload);
+
+        $offset = $request->header('Upload-Offset');
+
+        if (! is_numeric($offset)) {
+            return response()->json([
+                'message' => 'The Upload-Offset header is required',
+            ], 422);
+        }
+
+        try {
+            $this->chunkedUploadService->append($upload, (int) $offset, $request->getContent(true));
+        } catch (UploadOffsetMismatchException $e) {
+            // The client resumes from the offset the server has
+            return response()->json([
+                'message' => 'The chunk does not start at the offset of the upload',
+                'offset' => $e->offset,
+            ], 409)->header('Upload-Offset', $e->offset);
+        }
+
+        return response()->json([
+            'data' => $this->uploadData($upload),
+        ])->header('Upload-Offset', $upload->offset);
+    }
+
+    /**
+     * Add a fully received chunked upload to the media library.
+     */
+    public function completeUpload(ChunkedUpload $upload): JsonResponse
+    {
+        $this->authorizeUpload($upload);
+
+        if (! $upload->isComplete()) {
+            return response()->json([
+                'message' => 'The upload is not complete',
+                'offset' => $upload->offset,
+            ], 409)->header('Upload-Offset', $upload->offset);
+        }
+
+        try {
+            $media = $this->chunkedUploadService->complete($upload);
+        } catch (FileCannotBeAdded $e) {
+            $this->chunkedUploadService->cancel($upload);
+
+            return response()->json([
+                'message' => $e->getMessage(),
+            ], 422);
+        }
+
+        // Generate blur placeholder for images
+        if (str_starts_with($media->mime_type, 'image/')) {
+            $this->blurPlaceholderService->generateAndStore($media);
+        }
+
+        return response()->json([
+            'message' => 'File uploaded successfully',
+            'data' => $this->mediaData($media),
+        ], 201);
+    }
+
+    /**
+     * Cancel a chunked upload and discard the bytes received.
+     */
+    public function cancelUpload(ChunkedUpload $upload): JsonResponse
+    {
+        $this->authorizeUpload($upload);
+
+        $this->chunkedUploadService->cancel($upload);
+
+        return response()->json([
+            'message' => 'Upload cancelled',
+        ]);
+    }
+
+    /**
+     * Update the caption and alt text of a media file.
+     */
+    public function update(Request $request, Media $media): JsonResponse
+    {
+        $this->authorizeMedia($media);
+
+        $validated = $request->validate([
+            'caption' => 'nullable|string|max:500',
+            'alt' => 'nullable|string|max:255',
+        ]);
+
+        foreach ($validated as $property => $value) {
+            $media->setCustomProperty($property, $value);
+        }
+
+        $media->save();
+
+        return response()->json([
+            'message' => 'Media updated successfully',
+            'data' => $this->mediaData($media),
+        ]);
+    }
+
+    /**
+     * Save the order of a gallery. The IDs are all media of one model's collection, in their new order.
+     */
+    public function reorder(Request $request): JsonResponse
+    {
+        $validated = $request->validate([
+            'ids' => 'required|array|min:1',
+            'ids.*' => 'integer|distinct',
+        ]);
+
+        $media = Media::whereIn('id', $validated['ids'])->get();
+
+        $galleries = $media->unique(fn (Media $item) => $item->model_type.'|'.$item->model_id.'|'.$item->collection_name);
+
+        if ($media->count() !== count($validated['ids']) || $galleries->count() !== 1) {
+            return response()->json([
+                'message' => 'The media must all belong to the same collection',
+            ], 422);
+        }
+
+        $this->authorizeMedia($media->first());
+
+        Media::setNewOrder($validated['ids']);
+
+        return response()->json([
+            'message' => 'Media order saved successfully',
+        ]);
+    }
+
+    /**
+     * Make a media file the cover of its collection.
+     */
+    public function cover(Media $media): JsonResponse
+    {
+        $this->authorizeMedia($media);
+
+        $collection = Media::where('model_type', $media->model_type)
+            ->where('model_id', $media->model_id)
+            ->where('collection_name', $media->collection_name)
+            ->get();
+
+        foreach ($collection as $item) {
+            $isCover = $item->is($media);
+
+            if ((bool) $item->getCustomProperty('cover', false) !== $isCover) {
+                $item->setCustomProperty('cover', $isCover);
+                $item->save();
+            }
+        }
+
+        return response()->json([
+            'message' => 'Cover updated successfully',
+            'data' => $this->mediaData($media->refresh()),
+        ]);
+    }
+
+    /**
+     * Replace the file of a media item (e.g. with an edited image), keeping its
+     * position, caption, alt text and cover flag.
+     */
+    public function replace(Request $request, Media $media): JsonResponse
+    {
+        $this->authorizeMedia($media);
+
+        $request->validate([
+            'file' => 'required|file|max:10240', // 10MB max
+        ]);
+
+        // The blur placeholder belongs to the old file
+        $properties = collect($media->custom_properties)->except('blur_placeholder')->all();
+
+        $replacement = $media->model->addMediaFromRequest('file')
+            ->withCustomProperties($properties)
+            ->toMediaCollection($media->collection_name);
+
+        $replacement->order_column = $media->order_column;
+        $replacement->save();
+
+        if (str_starts_with($replacement->mime_type, 'image/')) {
+            $this->blurPlaceholderService->generateAndStore($replacement);
+        }
+
+        $media->delete();
+
+        return response()->json([
+            'message' => 'File replaced successfully',
+            'data' => $this->mediaData($replacement),
+        ]);
+    }
+
     /**
      * Download a media file.
      */
@@ -179,6 +524,96 @@ public function destroy(Media $media): JsonResponse
         ]);
     }
 
+    /**
+     * Abort unless the current user can change the media of its parent model.
+     */
+    protected function authorizeMedia(Media $media): void
+    {
+        $model = $media->model;
+
+        if (! $model || ! $this->canAccessMedia($model) || ! $this->canUpdateMediaOwner($model)) {
+            abort(403, 'Unauthorized access to media');
+        }
+    }
+
+    /**
+     * Users can change the media of their own account, of records their role lets them
+     * update through the model's resource, and any media with the media.manage permission.
+     */
+    protected function canUpdateMediaOwner(Model $model): bool
+    {
+        $user = auth()->user();
+
+        if ($model->is($user) || $user->hasPermission('media.manage')) {
+            return true;
+        }
+
+        $resourceClass = collect(config('resources', []))
+            ->first(fn ($class) => class_exists($class) && $class::model() === $model::class);
+
+        return $resourceClass !== null && (new $resourceClass)->can('update', $model);
+    }
+
+    /**
+     * Uploads can only be seen and continued by the user who started them.
+     */
+    protected function authorizeUpload(ChunkedUpload $upload): void
+    {
+        if ($upload->user_id !== auth()->id()) {
+            abort(404);
+        }
+    }
+
+    /**
+     * Chunked upload data as returned to the client.
+     */
+    protected function uploadData(ChunkedUpload $upload): array
+    {
+        return [
+            'id' => $upload->id,
+            'file_name' => $upload->file_name,
+            'size' => $upload->size,
+            'offset' => $upload->offset,
+            'chunk_size' => ChunkedUploadService::CHUNK_SIZE,
+        ];
+    }
+
+    /**
+     * Media data as returned to the client.
+     */
+    protected function mediaData(Media $media): array
+    {
+        return [
+            'id' => $media->id,
+            'name' => $media->file_name,
+            'url' => $this->secureMediaUrlService->getTemporaryUrl($media),
+            'thumbnail' => $media->hasGeneratedConversion('thumb')
+                ? $this->secureMediaUrlService->getTemporaryConversionUrl($media, 'thumb')
+                : $this->secureMediaUrlService->getTemporaryUrl($media),
+            'blur_placeholder' => $this->blurPlaceholderService->getBlurPlaceholder($media),
+            'size' => $media->size,
+            'mime_type' => $media->mime_type,
+            'caption' => $media->getCustomProperty('caption'),
+            'alt' => $media->getCustomProperty('alt'),
+            'cover' => (bool) $media->getCustomProperty('cover', false),
+        ];
+    }
+
+    /**
+     * Media data with its owner, as listed in the media library.
+     */
+    protected function libraryData(Media $media): array
+    {
+        return $this->mediaData($media) + [
+            'type' => $this->mediaLibraryService->type($media),
+            'collection' => $media->collection_name,
+            'model_type' => $media->model_type,
+            'model_label' => $this->mediaLibraryService->modelLabel($media->model_type),
+            'model_id' => $media->model_id,
+            'created_at' => $media->created_at,
+        ];
+    }
+
     /**
      * Check if the current user can access the media's parent model.
      */
@@ -0,0 +1,62 @@
+<?php
+
+namespace App\Http\Controllers\Api;
+
+use App\Core\Resources\ResourcePolicy;
+use App\Core\Services\PermissionRegistry;
+use App\Http\Controllers\Controller;
+use App\Models\Role;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+use Illuminate\Validation\Rule;
+
+class RolePermissionController extends Controller
+{
+    public function __construct(protected PermissionRegistry $permissions) {}
+
+    /**
+     * Get a role's permissions with the matrix of resources, abilities and pages to edit them.
+     */
+    public function show(Role $role): JsonResponse
+    {
+        return response()->json($this->matrix($role));
+    }
+
+    /**
+     * Replace a role's permissions.
+     */
+    public function update(Request $request, Role $role): JsonResponse
+    {
+        if ($role->hasAllPermissions()) {
+            return response()->json([
+                'message' => "The {$role->name} role has every permission and can't be changed.",
+            ], 422);
+        }
+
+        $validated = $request->validate([
+            'permissions' => 'present|array',
+            'permissions.*' => ['string', 'distinct', Rule::in($this->permissions->all())],
+        ]);
+
+        $role->update(['permissions' => array_values($validated['permissions'])]);
+
+        return response()->json(array_merge(
+            ['message' => 'Permissions updated successfully.'],
+            $this->matrix($role)
+        ));
+    }
+
+    protected function matrix(Role $role): array
+    {
+        return [
+            'role' => $role->only(['id', 'name', 'slug']),
+            'permissions' => $role->hasAllPermissions() ? $this->permissions->all() : ($role->permissions ?? []),
+            'locked' => $role->hasAllPermissions(),
+            'abilities' => ResourcePolicy::ABILITIES,
+            'resources' => $this->permissions->resources(),
+            'pages' => collect($this->permissions->pages())
+                ->map(fn ($label, $key) => ['key' => $key, 'label' => $label])
+                ->values(),
+        ];
+    }
+}
@@ -25,11 +25,11 @@ public function handle(Request $request, Closure $next): Response
             return response()->json(['message' => 'Unauthenticated'], 401);
         }
 
-        // Check both admin role AND whitelist
+        // Check both admin.access permission AND whitelist
         if (! $request->user()->canAccessAdminPanel()) {
-            // For web routes, redirect to user dashboard if they have user role
+            // For web routes, redirect to user dashboard if they can access it
             if (! $request->expectsJson()) {
-                if ($request->user()->isUser()) {
+                if ($request->user()->canAccessUserPanel()) {
                     return redirect()->route('user');
                 }
 
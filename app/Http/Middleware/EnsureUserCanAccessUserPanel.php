@@ -25,8 +25,8 @@ public function handle(Request $request, Closure $next): Response
             return response()->json(['message' => 'Unauthenticated'], 401);
         }
 
-        // Check if user has the 'user' role
-        if (! $request->user()->isUser()) {
+        // Check if one of the user's roles grants user panel access
+        if (! $request->user()->canAccessUserPanel()) {
             // For web routes, redirect to admin dashboard if they can access it
             if (! $request->expectsJson()) {
                 if ($request->user()->canAccessAdminPanel()) {
@@ -11,7 +11,7 @@ class EmailTemplateRequest extends FormRequest
      */
     public function authorize(): bool
     {
-        return $this->user()?->isAdmin() ?? false;
+        return $this->user()?->hasPermission('email-templates.manage') ?? false;
     }
 
     /**
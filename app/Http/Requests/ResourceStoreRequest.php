@@ -37,6 +37,11 @@ public function rules(): array
                 continue; // Skip validation for hidden fields
             }
 
+            // Values of fields the user cannot write are ignored, so not validated either
+            if (! $resource->canWriteField($field->attribute)) {
+                continue;
+            }
+
             // Get base rules
             $fieldRules = $field->rules ?? [];
 
@@ -56,6 +61,9 @@ public function rules(): array
             if (! empty($fieldRules)) {
                 $rules[$field->attribute] = $fieldRules;
             }
+
+            // Repeater rows and key-value entries are validated by path, so errors name the row
+            $rules = $field->withNestedRules($rules);
         }
 
         return $rules;
@@ -22,12 +22,12 @@ public function authorize(): bool
         }
 
         // Check if setting is public or if user is admin
-        if (! $setting->is_public && ! $this->user()->isAdmin()) {
+        if (! $setting->is_public && ! $this->user()->hasPermission('settings.manage')) {
             return false;
         }
 
         // Check scope-based permissions
-        if ($setting->scope === 'admin' && ! $this->user()->isAdmin()) {
+        if ($setting->scope === 'admin' && ! $this->user()->hasPermission('settings.manage')) {
             return false;
         }
 
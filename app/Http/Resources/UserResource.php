@@ -25,6 +25,12 @@ public function toArray(Request $request): array
             'role_name' => $this->whenLoaded('roles', function () {
                 return $this->role()?->name;
             }),
+            'roles' => $this->whenLoaded('roles', function () {
+                return $this->roles->pluck('slug');
+            }),
+            'permissions' => $this->whenLoaded('roles', function () {
+                return $this->permissions();
+            }),
             'is_admin' => $this->whenLoaded('roles', function () {
                 return $this->isAdmin();
             }),
@@ -0,0 +1,53 @@
+<?php
+
+namespace App\Jobs;
+
+use App\Core\Services\ResourceImportService;
+use App\Models\ResourceImport;
+use Illuminate\Contracts\Queue\ShouldQueue;
+use Illuminate\Foundation\Queue\Queueable;
+use Illuminate\Support\Facades\Auth;
+
+class ProcessResourceImport implements ShouldQueue
+{
+    use Queueable;
+
+    /**
+     * Imports are not retried; failed rows are reported instead.
+     */
+    public int $tries = 1;
+
+    public int $timeout = 3600;
+
+    public function __construct(public ResourceImport $import) {}
+
+    /**
+     * Execute the job.
+     */
+    public function handle(): void
+    {
+        $resourceClass = config("resources.{$this->import->resource}");
+
+        if (! $resourceClass || ! class_exists($resourceClass)) {
+            $this->import->update([
+                'status' => ResourceImport::STATUS_FAILED,
+                'error_message' => "Resource [{$this->import->resource}] not found",
+                'completed_at' => now(),
+            ]);
+
+            return;
+        }
+
+        // Run as the importing user so their policy applies and the activity log names them.
+        // The worker is long-lived, so the user is forgotten again before the next job.
+        if ($this->import->user) {
+            Auth::setUser($this->import->user);
+        }
+
+        try {
+            (new ResourceImportService(new $resourceClass))->process($this->import);
+        } finally {
+            Auth::forgetUser();
+        }
+    }
+}
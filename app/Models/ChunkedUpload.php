@@ -0,0 +1,87 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Database\Eloquent\Concerns\HasUuids;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Prunable;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Support\Facades\Storage;
+
+class ChunkedUpload extends Model
+{
+    use HasUuids, Prunable;
+
+    /**
+     * Disk the received bytes are written to until the upload is complete.
+     */
+    public const DISK = 'local';
+
+    /**
+     * Hours an upload can go without a new chunk before it is pruned.
+     */
+    public const EXPIRES_AFTER_HOURS = 24;
+
+    protected $fillable = [
+        'user_id',
+        'model_type',
+        'model_id',
+        'collection',
+        'file_name',
+        'mime_type',
+        'size',
+        'offset',
+        'file_path',
+    ];
+
+    protected $hidden = [
+        'file_path',
+    ];
+
+    protected function casts(): array
+    {
+        return [
+            'model_id' => 'integer',
+            'size' => 'integer',
+            'offset' => 'integer',
+        ];
+    }
+
+    public function user(): BelongsTo
+    {
+        return $this->belongsTo(User::class);
+    }
+
+    /**
+     * Check if all bytes of the file have been received.
+     */
+    public function isComplete(): bool
+    {
+        return $this->offset >= $this->size;
+    }
+
+    /**
+     * Absolute path of the partial file.
+     */
+    public function path(): string
+    {
+        return Storage::disk(self::DISK)->path($this->file_path);
+    }
+
+    /**
+     * Uploads abandoned for longer than EXPIRES_AFTER_HOURS.
+     */
+    public function prunable(): Builder
+    {
+        return static::where('updated_at', '<', now()->subHours(self::EXPIRES_AFTER_HOURS));
+    }
+
+    /**
+     * Delete the partial file along with the upload.
+     */
+    protected function pruning(): void
+    {
+        Storage::disk(self::DISK)->delete($this->file_path);
+    }
+}
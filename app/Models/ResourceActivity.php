@@ -0,0 +1,51 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+class ResourceActivity extends Model
+{
+    public const EVENT_CREATED = 'created';
+
+    public const EVENT_UPDATED = 'updated';
+
+    public const EVENT_DELETED = 'deleted';
+
+    public const EVENT_RESTORED = 'restored';
+
+    public const EVENT_FORCE_DELETED = 'force_deleted';
+
+    public const EVENT_ACTION = 'action';
+
+    protected $fillable = [
+        'user_id',
+        'impersonator_id',
+        'resource',
+        'subject_id',
+        'event',
+        'action',
+        'changes',
+    ];
+
+    protected function casts(): array
+    {
+        return [
+            'changes' => 'array',
+        ];
+    }
+
+    public function user(): BelongsTo
+    {
+        return $this->belongsTo(User::class);
+    }
+
+    /**
+     * The admin who was impersonating the user when the change was made.
+     */
+    public function impersonator(): BelongsTo
+    {
+        return $this->belongsTo(User::class, 'impersonator_id');
+    }
+}
@@ -0,0 +1,119 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Prunable;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Support\Facades\Storage;
+
+class ResourceImport extends Model
+{
+    use Prunable;
+
+    /**
+     * Disk uploaded files are kept on until the import has run.
+     */
+    public const DISK = 'local';
+
+    /**
+     * Hours an uploaded file can wait to be imported before it is pruned.
+     */
+    public const EXPIRES_AFTER_HOURS = 24;
+
+    public const STATUS_PENDING = 'pending';
+
+    public const STATUS_QUEUED = 'queued';
+
+    public const STATUS_PROCESSING = 'processing';
+
+    public const STATUS_COMPLETED = 'completed';
+
+    public const STATUS_FAILED = 'failed';
+
+    protected $fillable = [
+        'user_id',
+        'resource',
+        'file_name',
+        'file_path',
+        'format',
+        'headers',
+        'mapping',
+        'status',
+        'total_rows',
+        'processed_rows',
+        'imported_rows',
+        'failed_rows',
+        'row_errors',
+        'error_message',
+        'started_at',
+        'completed_at',
+    ];
+
+    protected $hidden = [
+        'file_path',
+        'row_errors',
+    ];
+
+    protected $appends = [
+        'progress',
+    ];
+
+    protected function casts(): array
+    {
+        return [
+            'headers' => 'array',
+            'mapping' => 'array',
+            'row_errors' => 'array',
+            'started_at' => 'datetime',
+            'completed_at' => 'datetime',
+        ];
+    }
+
+    public function user(): BelongsTo
+    {
+        return $this->belongsTo(User::class);
+    }
+
+    /**
+     * Check if the import has finished (successfully or not).
+     */
+    public function isFinished(): bool
+    {
+        return in_array($this->status, [self::STATUS_COMPLETED, self::STATUS_FAILED]);
+    }
+
+    /**
+     * Get the progress percentage attribute.
+     */
+    public function getProgressAttribute(): int
+    {
+        if ($this->status === self::STATUS_COMPLETED) {
+            return 100;
+        }
+
+        if ($this->total_rows === 0) {
+            return 0;
+        }
+
+        return (int) floor(($this->processed_rows / $this->total_rows) * 100);
+    }
+
+    /**
+     * Imports uploaded but never started within EXPIRES_AFTER_HOURS.
+     */
+    public function prunable(): Builder
+    {
+        return static::where('status', self::STATUS_PENDING)
+            ->where('updated_at', '<', now()->subHours(self::EXPIRES_AFTER_HOURS));
+    }
+
+    /**
+     * Delete the uploaded file along with the import.
+     */
+    protected function pruning(): void
+    {
+        Storage::disk(self::DISK)->delete($this->file_path);
+    }
+}
@@ -2,6 +2,7 @@
 
 namespace App\Models;
 
+use App\Core\Services\PermissionRegistry;
 use Illuminate\Database\Eloquent\Factories\HasFactory;
 use Illuminate\Database\Eloquent\Model;
 use Illuminate\Database\Eloquent\Relations\BelongsToMany;
@@ -14,8 +15,21 @@ class Role extends Model
         'name',
         'slug',
         'description',
+        'permissions',
     ];
 
+    /**
+     * Get the attributes that should be cast.
+     *
+     * @return array<string, string>
+     */
+    protected function casts(): array
+    {
+        return [
+            'permissions' => 'array',
+        ];
+    }
+
     /**
      * Get the users that have this role.
      */
@@ -24,4 +38,20 @@ public function users(): BelongsToMany
         return $this->belongsToMany(User::class, 'role_user')
             ->withTimestamps();
     }
+
+    /**
+     * Check if the role has every permission (e.g. the admin role).
+     */
+    public function hasAllPermissions(): bool
+    {
+        return in_array(PermissionRegistry::WILDCARD, $this->permissions ?? [], true);
+    }
+
+    /**
+     * Check if the role grants a permission.
+     */
+    public function grants(string $permission): bool
+    {
+        return $this->hasAllPermissions() || in_array($permission, $this->permissions ?? [], true);
+    }
 }
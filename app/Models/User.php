@@ -3,6 +3,7 @@
 namespace App\Models;
 
 // use Illuminate\Contracts\Auth\MustVerifyEmail;
+use App\Core\Services\PermissionRegistry;
 use App\Enums\Status;
 use Illuminate\Database\Eloquent\Factories\HasFactory;
 use Illuminate\Database\Eloquent\Relations\BelongsToMany;
@@ -119,7 +120,7 @@ public function llmConversations(): HasMany
     }
 
     /**
-     * Get the roles assigned to the user (user can only have one role).
+     * Get the roles assigned to the user.
      */
     public function roles(): BelongsToMany
     {
@@ -128,11 +129,11 @@ public function roles(): BelongsToMany
     }
 
     /**
-     * Get the user's role (since user can only have one role).
+     * Get the user's primary role (the first one assigned).
      */
     public function role(): ?Role
     {
-        return $this->roles()->first();
+        return $this->roles()->orderBy('role_user.id')->first();
     }
 
     /**
@@ -161,13 +162,53 @@ public function isUser(): bool
 
     /**
      * Check if user can access admin panel.
-     * Requires both admin role AND user ID to be in the whitelist.
+     * Requires both the admin.access permission AND user ID to be in the whitelist.
      */
     public function canAccessAdminPanel(): bool
     {
         $allowedAdminIds = config('admin.id', []);
 
-        return $this->isAdmin() && in_array($this->id, $allowedAdminIds);
+        return $this->rolesGrant('admin.access') && in_array($this->id, $allowedAdminIds);
+    }
+
+    /**
+     * Check if user can access user panel.
+     */
+    public function canAccessUserPanel(): bool
+    {
+        return $this->rolesGrant('user.access');
+    }
+
+    /**
+     * Check if any of the user's roles grants a permission.
+     * Admin panel access also requires the whitelist, see canAccessAdminPanel().
+     */
+    public function hasPermission(string $permission): bool
+    {
+        if ($permission === 'admin.access') {
+            return $this->canAccessAdminPanel();
+        }
+
+        return $this->rolesGrant($permission);
+    }
+
+    /**
+     * Get every permission the user has, with wildcard roles expanded.
+     */
+    public function permissions(): array
+    {
+        return collect(app(PermissionRegistry::class)->all())
+            ->filter(fn ($permission) => $this->hasPermission($permission))
+            ->values()
+            ->all();
+    }
+
+    protected function rolesGrant(string $permission): bool
+    {
+        // Query when the roles aren't loaded, so serializing the appended flags doesn't add them
+        $roles = $this->relationLoaded('roles') ? $this->roles : $this->roles()->get();
+
+        return $roles->contains(fn (Role $role) => $role->grants($permission));
     }
 
     /**
@@ -195,20 +236,36 @@ public function getIsUserAttribute(): bool
     }
 
     /**
-     * Assign a role to the user (replaces existing role).
+     * Assign a role to the user (replaces existing roles).
      */
     public function assignRole(int|string $role): void
     {
-        // Detach existing role first (user can only have one role)
-        $this->roles()->detach();
+        $this->syncRoles([$role]);
+    }
 
-        if (is_string($role)) {
-            $role = Role::where('slug', $role)->firstOrFail();
-        } elseif (is_int($role)) {
-            $role = Role::findOrFail($role);
-        }
+    /**
+     * Add a role to the roles the user already has.
+     */
+    public function addRole(int|string $role): void
+    {
+        $this->roles()->syncWithoutDetaching([$this->findRole($role)->id]);
+        $this->unsetRelation('roles');
+    }
+
+    /**
+     * Replace the user's roles, given by slug or ID.
+     */
+    public function syncRoles(array $roles): void
+    {
+        $this->roles()->sync(array_map(fn ($role) => $this->findRole($role)->id, $roles));
+        $this->unsetRelation('roles');
+    }
 
-        $this->roles()->attach($role->id);
+    protected function findRole(int|string $role): Role
+    {
+        return is_int($role)
+            ? Role::findOrFail($role)
+            : Role::where('slug', $role)->firstOrFail();
     }
 
     /**
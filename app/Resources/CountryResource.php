@@ -13,7 +13,9 @@
 use App\Core\Resources\Fields\Text;
 use App\Core\Resources\Fields\Textarea;
 use App\Core\Resources\Filters\BooleanFilter;
+use App\Core\Resources\Filters\NumberRangeFilter;
 use App\Core\Resources\Filters\SelectFilter;
+use App\Core\Resources\Filters\TextFilter;
 use App\Core\Resources\Resource;
 use App\Models\Country;
 
@@ -31,6 +33,12 @@ class CountryResource extends Resource
 
     public static int $perPage = 20;
 
+    public static array $duplicateExcept = ['code', 'code_alpha3'];
+
+    public static array $duplicateUnique = ['name'];
+
+    public static bool $duplicateRelations = true;
+
     /**
      * Fields shown in the index/table view.
      * ID and Created At are auto-added.
@@ -109,7 +117,7 @@ public function formFields(): array
                         ->cols('col-span-12 md:col-span-4'),
 
                     Text::make('Code Alpha3', 'code_alpha3')
-                        ->rules('nullable|string|max:3')
+                        ->rules('required|string|size:3|unique:countries,code_alpha3')
                         ->placeholder('USA')
                         ->cols('col-span-12 md:col-span-4'),
 
@@ -134,7 +142,7 @@ public function formFields(): array
                 ->icon('map')
                 ->fields([
                     Text::make('Region')
-                        ->rules('nullable|string|max:255')
+                        ->rules('required|string|max:255')
                         ->placeholder('Americas')
                         ->cols('col-span-12 md:col-span-6'),
 
@@ -287,6 +295,12 @@ public function filters(): array
                 ->column('is_eu_member')
                 ->trueLabel('Yes')
                 ->falseLabel('No'),
+
+            TextFilter::make('Capital')
+                ->column('capital'),
+
+            NumberRangeFilter::make('Display Order')
+                ->column('display_order'),
         ];
     }
 
@@ -13,6 +13,7 @@
 use App\Core\Resources\Fields\Select;
 use App\Core\Resources\Fields\Text;
 use App\Core\Resources\Filters\BelongsToManyFilter;
+use App\Core\Resources\Filters\DateRangeFilter;
 use App\Core\Resources\Filters\SelectFilter;
 use App\Core\Resources\Resource;
 use App\Enums\Status;
@@ -32,6 +33,10 @@ class UserResource extends Resource
 
     public static int $perPage = 15;
 
+    public static array $duplicateExcept = ['email', 'avatar'];
+
+    public static bool $duplicateRelations = true;
+
     /**
      * Fields shown in the index/table view.
      * ID and Created At are auto-added.
@@ -152,6 +157,9 @@ public function filters(): array
             BelongsToManyFilter::make('Role')
                 ->options(fn () => \App\Models\Role::pluck('name', 'id')->toArray())
                 ->relationship('roles'),
+
+            DateRangeFilter::make('Created', 'created_at')
+                ->column('created_at'),
         ];
     }
 
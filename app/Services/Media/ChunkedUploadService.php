@@ -0,0 +1,111 @@
+<?php
+
+namespace App\Services\Media;
+
+use App\Exceptions\UploadOffsetMismatchException;
+use App\Models\ChunkedUpload;
+use App\Models\User;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Support\Facades\Storage;
+use Spatie\MediaLibrary\MediaCollections\Models\Media;
+
+/**
+ * Resumable uploads in chunks, modelled on tus: an upload is started with the file's
+ * size, the bytes are appended in order at the offset the server reports, and the
+ * file is added to the media library once all bytes have been received.
+ */
+class ChunkedUploadService
+{
+    /**
+     * Chunk size suggested to clients, in bytes. Kept below PHP's default post_max_size.
+     */
+    public const CHUNK_SIZE = 5 * 1024 * 1024;
+
+    /**
+     * Start an upload of a file for a model's media collection.
+     */
+    public function start(User $user, Model $model, string $collection, string $fileName, int $size, ?string $mimeType = null): ChunkedUpload
+    {
+        $upload = new ChunkedUpload([
+            'user_id' => $user->id,
+            'model_type' => $model::class,
+            'model_id' => $model->getKey(),
+            'collection' => $collection,
+            'file_name' => basename($fileName),
+            'mime_type' => $mimeType,
+            'size' => $size,
+            'offset' => 0,
+        ]);
+
+        $upload->id = $upload->newUniqueId();
+        $upload->file_path = "chunked-uploads/{$upload->id}.part";
+        Storage::disk(ChunkedUpload::DISK)->put($upload->file_path, '');
+        $upload->save();
+
+        return $upload;
+    }
+
+    /**
+     * Append the bytes of a stream at the given offset.
+     * Bytes beyond the size given at the start are ignored.
+     *
+     * @param  resource  $stream
+     *
+     * @throws UploadOffsetMismatchException when the offset is not where the upload is
+     */
+    public function append(ChunkedUpload $upload, int $offset, $stream): ChunkedUpload
+    {
+        $path = $upload->path();
+        $handle = fopen($path, 'ab');
+
+        try {
+            // One chunk at a time, so a retried request cannot interleave with the original
+            flock($handle, LOCK_EX);
+            clearstatcache(true, $path);
+
+            $current = filesize($path);
+
+            if ($current !== $offset) {
+                throw new UploadOffsetMismatchException($current);
+            }
+
+            stream_copy_to_stream($stream, $handle, $upload->size - $offset);
+            fflush($handle);
+            clearstatcache(true, $path);
+
+            $upload->update(['offset' => filesize($path)]);
+        } finally {
+            flock($handle, LOCK_UN);
+            fclose($handle);
+        }
+
+        return $upload;
+    }
+
+    /**
+     * Add the received file to the media library and end the upload.
+     */
+    public function complete(ChunkedUpload $upload): Media
+    {
+        $model = $upload->model_type::findOrFail($upload->model_id);
+
+        $media = $model->addMedia($upload->path())
+            ->usingFileName($upload->file_name)
+            ->usingName(pathinfo($upload->file_name, PATHINFO_FILENAME))
+            ->toMediaCollection($upload->collection);
+
+        // addMedia moved the partial file into the library
+        $upload->delete();
+
+        return $media;
+    }
+
+    /**
+     * Discard an upload and the bytes received so far.
+     */
+    public function cancel(ChunkedUpload $upload): void
+    {
+        Storage::disk(ChunkedUpload::DISK)->delete($upload->file_path);
+        $upload->delete();
+    }
+}
@@ -0,0 +1,147 @@
+<?php
+
+namespace App\Services\Media;
+
+use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Pagination\LengthAwarePaginator;
+use Spatie\MediaLibrary\HasMedia;
+use Spatie\MediaLibrary\MediaCollections\FileAdder;
+use Spatie\MediaLibrary\MediaCollections\Models\Media;
+
+/**
+ * All media files across models, for the media library page and the media picker.
+ */
+class MediaLibraryService
+{
+    /**
+     * File types the library can be filtered by. "document" is everything else.
+     */
+    public const TYPES = ['image', 'video', 'audio', 'document'];
+
+    /**
+     * Types recognised by the first part of the MIME type.
+     */
+    protected const MIME_TYPES = ['image', 'video', 'audio'];
+
+    /**
+     * Custom properties that describe a file's place in its collection and are not copied with it.
+     */
+    protected const PLACEMENT_PROPERTIES = ['cover'];
+
+    /**
+     * Get paginated media, newest first.
+     *
+     * @param  array  $params  Optional search, type, collection, model_type and perPage
+     */
+    public function paginate(array $params = []): LengthAwarePaginator
+    {
+        $query = Media::query()->latest('id');
+
+        if (! empty($params['search'])) {
+            $query->where(function (Builder $query) use ($params) {
+                $query->where('file_name', 'like', "%{$params['search']}%")
+                    ->orWhere('name', 'like', "%{$params['search']}%");
+            });
+        }
+
+        if (! empty($params['type'])) {
+            $this->whereType($query, $params['type']);
+        }
+
+        if (! empty($params['collection'])) {
+            $query->where('collection_name', $params['collection']);
+        }
+
+        if (! empty($params['model_type'])) {
+            $query->where('model_type', $params['model_type']);
+        }
+
+        return $query->paginate(max(1, min((int) ($params['perPage'] ?? 24), 100)));
+    }
+
+    /**
+     * Get the options for the library filters: the collections and owner models in use.
+     */
+    public function filters(): array
+    {
+        return [
+            'types' => self::TYPES,
+            'collections' => Media::query()->distinct()->orderBy('collection_name')->pluck('collection_name')->values(),
+            'models' => Media::query()->distinct()->orderBy('model_type')->pluck('model_type')
+                ->map(fn (string $type) => ['value' => $type, 'label' => $this->modelLabel($type)])
+                ->values(),
+        ];
+    }
+
+    /**
+     * Copy a file of the library into a model's collection, keeping its caption and alt text.
+     * The copy is added at the end of the collection rather than at the original's position.
+     */
+    public function attach(Media $media, Model&HasMedia $model, string $collection): Media
+    {
+        $properties = collect($media->custom_properties)->except(self::PLACEMENT_PROPERTIES)->all();
+
+        return $media->copy($model, $collection, '', '', fn (FileAdder $fileAdder) => $fileAdder
+            ->setOrder(null)
+            ->withCustomProperties($properties));
+    }
+
+    /**
+     * Delete media files with their conversions.
+     *
+     * @param  array<int>  $ids
+     * @return int The number of files deleted
+     */
+    public function delete(array $ids): int
+    {
+        $media = Media::whereIn('id', $ids)->get();
+
+        $media->each(fn (Media $item) => $item->delete());
+
+        return $media->count();
+    }
+
+    /**
+     * Readable name of an owner model, e.g. "User" for App\Models\User.
+     */
+    public function modelLabel(string $modelType): string
+    {
+        return class_basename(Model::getActualClassNameForMorph($modelType));
+    }
+
+    /**
+     * File type of a media item, one of TYPES.
+     */
+    public function type(Media $media): string
+    {
+        foreach (self::MIME_TYPES as $type) {
+            if (str_starts_with((string) $media->mime_type, "{$type}/")) {
+                return $type;
+            }
+        }
+
+        return 'document';
+    }
+
+    /**
+     * Limit a query to one file type.
+     */
+    protected function whereType(Builder $query, string $type): void
+    {
+        if ($type !== 'document') {
+            $query->where('mime_type', 'like', "{$type}/%");
+
+            return;
+        }
+
+        $query->where(function (Builder $query) {
+            $query->whereNull('mime_type')
+                ->orWhere(function (Builder $query) {
+                    foreach (self::MIME_TYPES as $type) {
+                        $query->where('mime_type', 'not like', "{$type}/%");
+                    }
+                });
+        });
+    }
+}
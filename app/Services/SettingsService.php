@@ -35,6 +35,7 @@ public function set(string $key, mixed $value, string $scope = 'global', ?int $s
 
         $group = $existingSetting?->group ?? $this->getGroupForKey($key) ?? 'general';
         $label = $existingSetting?->label ?? $this->getLabelForKey($key);
+        $type = $existingSetting?->type ?? $this->getTypeForValue($value);
 
         $setting = Setting::updateOrCreate(
             [
@@ -45,6 +46,7 @@ public function set(string $key, mixed $value, string $scope = 'global', ?int $s
             ],
             [
                 'value' => $this->encodeValue($value),
+                'type' => $type,
                 'group' => $group,
                 'label' => $label,
             ]
@@ -79,6 +81,19 @@ protected function getGroupForKey(string $key): ?string
         return null;
     }
 
+    /**
+     * Infer the storage type for a setting that does not exist yet.
+     */
+    protected function getTypeForValue(mixed $value): string
+    {
+        return match (true) {
+            is_array($value), is_object($value) => 'json',
+            is_bool($value) => 'boolean',
+            is_int($value) => 'integer',
+            default => 'string',
+        };
+    }
+
     /**
      * Get a human-readable label for a setting key.
      */
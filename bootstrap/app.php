@@ -15,6 +15,7 @@
         $middleware->alias([
             'admin' => \App\Http\Middleware\EnsureUserCanAccessAdminPanel::class,
             'user' => \App\Http\Middleware\EnsureUserCanAccessUserPanel::class,
+            'permission' => \App\Http\Middleware\EnsureUserHasPermission::class,
             'token.query' => \App\Http\Middleware\TokenFromQueryParameter::class,
         ]);
 
@@ -24,6 +25,12 @@
     ->withSchedule(function ($schedule) {
         // Cleanup temporary image uploads hourly (images older than 24 hours)
         $schedule->command('temp-images:cleanup')->hourly();
+
+        // Delete chunked uploads and imports abandoned for more than a day, with their files
+        $schedule->command('model:prune', ['--model' => [
+            \App\Models\ChunkedUpload::class,
+            \App\Models\ResourceImport::class,
+        ]])->daily();
     })
     ->withExceptions(function (Exceptions $exceptions): void {
         //
@@ -13,8 +13,9 @@
     /*
      * The maximum file size of an item in bytes.
      * Adding a larger file will result in an exception.
+     * Chunked uploads (large videos, PDFs) are limited to this size as well.
      */
-    'max_file_size' => 1024 * 1024 * 10, // 10MB
+    'max_file_size' => (int) env('MEDIA_MAX_FILE_SIZE', 1024 * 1024 * 10), // 10MB
 
     /*
      * This queue connection will be used to generate derived and responsive images.
@@ -0,0 +1,25 @@
+<?php
+
+return [
+
+    /*
+    |--------------------------------------------------------------------------
+    | Page Permissions
+    |--------------------------------------------------------------------------
+    |
+    | Permissions for the panels and pages outside the resource registry,
+    | by key and label. Resource permissions ("{resource}.{ability}") are
+    | generated from config/resources.php and don't need to be listed.
+    |
+    */
+
+    'pages' => [
+        'admin.access' => 'Access the admin panel',
+        'user.access' => 'Access the user panel',
+        'activity.view' => 'View the activity log',
+        'email-templates.manage' => 'Manage email templates',
+        'media.manage' => 'Browse and delete files in the media library',
+        'settings.manage' => 'Manage global and system settings',
+    ],
+
+];
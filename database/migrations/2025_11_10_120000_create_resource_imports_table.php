@@ -0,0 +1,45 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('resource_imports', function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('user_id')->constrained()->cascadeOnDelete();
+            $table->string('resource');
+            $table->string('file_name');
+            $table->string('file_path');
+            $table->string('format', 10);
+            $table->json('headers')->nullable();
+            $table->json('mapping')->nullable();
+            $table->string('status', 20)->default('pending'); // pending, queued, processing, completed, failed
+            $table->unsignedInteger('total_rows')->default(0);
+            $table->unsignedInteger('processed_rows')->default(0);
+            $table->unsignedInteger('imported_rows')->default(0);
+            $table->unsignedInteger('failed_rows')->default(0);
+            $table->json('row_errors')->nullable();
+            $table->text('error_message')->nullable();
+            $table->timestamp('started_at')->nullable();
+            $table->timestamp('completed_at')->nullable();
+            $table->timestamps();
+
+            $table->index(['resource', 'user_id']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('resource_imports');
+    }
+};
@@ -0,0 +1,37 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::create('resource_activities', function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('user_id')->nullable()->constrained()->nullOnDelete();
+            $table->foreignId('impersonator_id')->nullable()->constrained('users')->nullOnDelete();
+            $table->string('resource');
+            $table->string('subject_id');
+            $table->string('event', 20); // created, updated, deleted, restored, force_deleted, action
+            $table->string('action')->nullable(); // Resource action key for "action" events
+            $table->json('changes')->nullable(); // { attribute: { old, new } }
+            $table->timestamps();
+
+            $table->index(['resource', 'subject_id']);
+            $table->index('created_at');
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::dropIfExists('resource_activities');
+    }
+};
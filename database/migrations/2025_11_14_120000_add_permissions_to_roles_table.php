@@ -0,0 +1,33 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('roles', function (Blueprint $table) {
+            $table->json('permissions')->nullable()->after('description'); // ["countries.view", ...] or ["*"]
+        });
+
+        // Keep the access the seeded roles had before permissions existed
+        DB::table('roles')->where('slug', 'admin')->update(['permissions' => json_encode(['*'])]);
+        DB::table('roles')->where('slug', 'user')->update(['permissions' => json_encode(['user.access'])]);
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('roles', function (Blueprint $table) {
+            $table->dropColumn('permissions');
+        });
+    }
+};
@@ -0,0 +1,31 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('role_user', function (Blueprint $table) {
+            // Added first so the user_id foreign key keeps an index
+            $table->unique(['user_id', 'role_id']);
+            $table->dropUnique(['user_id']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('role_user', function (Blueprint $table) {
+            $table->unique('user_id');
+            $table->dropUnique(['user_id', 'role_id']);
+        });
+    }
+};
@@ -0,0 +1,202 @@
+import { ref, computed, toValue } from 'vue'
+import { settingsService } from '@/services/settingsService'
+
+export const MIN_COLUMN_WIDTH = 60
+
+/**
+ * User setting key for a resource's column layout
+ */
+export function columnLayoutKey(resource) {
+  return `resource_columns_${resource}`
+}
+
+function emptyLayout() {
+  return { order: [], hidden: [], widths: {}, pinFirst: false, pinLast: false }
+}
+
+/**
+ * Composable for a user's column layout of a resource table
+ * The layout (order, hidden columns, widths and pinned first/last columns) is
+ * stored per user per resource; saved views can temporarily show other columns
+ * @param {String|Ref|Function} resource - Resource key
+ * @param {Ref|Function} fields - Index fields from the resource meta
+ * @param {Object} options - { persistDelay } in ms before changes are stored
+ * @returns {Object} Column layout state and methods
+ */
+export function useColumnLayout(resource, fields, { persistDelay = 500 } = {}) {
+  const order = ref([])
+  const hidden = ref([])
+  const widths = ref({})
+  const pinFirst = ref(false)
+  const pinLast = ref(false)
+
+  // Last stored layout, restored when a saved view stops overriding the columns
+  let savedLayout = emptyLayout()
+  // A saved view sets which columns show; showing or moving them then only lasts for the view
+  let viewColumnsActive = false
+  let persistTimeout = null
+
+  const allAttributes = computed(() => (toValue(fields) || []).map(field => field.attribute))
+
+  // All fields in display order; fields the layout doesn't know yet go last
+  const columns = computed(() => {
+    const all = toValue(fields) || []
+    const byAttribute = new Map(all.map(field => [field.attribute, field]))
+    const known = order.value.filter(attribute => byAttribute.has(attribute))
+    const added = allAttributes.value.filter(attribute => !known.includes(attribute))
+
+    return [...known, ...added].map(attribute => byAttribute.get(attribute))
+  })
+
+  const visibleColumns = computed(() => {
+    return columns.value.filter(field => !hidden.value.includes(field.attribute))
+  })
+
+  // Visible attributes in display order, or null when every column shows in server order
+  const visibleAttributes = computed(() => {
+    const attributes = visibleColumns.value.map(field => field.attribute)
+    const isDefault = attributes.length === allAttributes.value.length &&
+      attributes.every((attribute, index) => attribute === allAttributes.value[index])
+
+    return isDefault ? null : attributes
+  })
+
+  function snapshot() {
+    return {
+      order: [...order.value],
+      hidden: [...hidden.value],
+      widths: { ...widths.value },
+      pinFirst: pinFirst.value,
+      pinLast: pinLast.value
+    }
+  }
+
+  function applyLayout(layout) {
+    order.value = Array.isArray(layout.order) ? [...layout.order] : []
+    hidden.value = Array.isArray(layout.hidden) ? [...layout.hidden] : []
+    widths.value = layout.widths && typeof layout.widths === 'object' ? { ...layout.widths } : {}
+    pinFirst.value = !!layout.pinFirst
+    pinLast.value = !!layout.pinLast
+  }
+
+  /**
+   * Load the stored layout for the resource
+   */
+  async function load() {
+    let layout = emptyLayout()
+
+    try {
+      const response = await settingsService.getUserSetting(columnLayoutKey(toValue(resource)))
+      layout = { ...layout, ...(response.setting?.value || {}) }
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        console.error('Failed to load column layout:', error)
+      }
+    }
+
+    savedLayout = layout
+    applyLayout(layout)
+  }
+
+  /**
+   * Store the current layout (debounced so resizing and dragging save once)
+   * While a saved view sets the columns, only widths and pinning are stored
+   */
+  function persist() {
+    const current = snapshot()
+    savedLayout = viewColumnsActive
+      ? { ...savedLayout, widths: current.widths, pinFirst: current.pinFirst, pinLast: current.pinLast }
+      : current
+
+    if (persistTimeout) clearTimeout(persistTimeout)
+    persistTimeout = setTimeout(async () => {
+      persistTimeout = null
+      try {
+        await settingsService.updateUserSetting(columnLayoutKey(toValue(resource)), savedLayout)
+      } catch (error) {
+        console.error('Failed to save column layout:', error)
+      }
+    }, persistDelay)
+  }
+
+  function toggleColumn(attribute) {
+    if (hidden.value.includes(attribute)) {
+      hidden.value = hidden.value.filter(item => item !== attribute)
+    } else if (visibleColumns.value.length > 1) {
+      // Always keep at least one column visible
+      hidden.value = [...hidden.value, attribute]
+    }
+    persist()
+  }
+
+  /**
+   * Reorder columns
+   * @param {Array} attributes - New order; columns left out keep their place after them
+   */
+  function reorder(attributes) {
+    const rest = columns.value.map(field => field.attribute).filter(attribute => !attributes.includes(attribute))
+    order.value = [...attributes, ...rest]
+    persist()
+  }
+
+  function setWidth(attribute, width) {
+    widths.value = { ...widths.value, [attribute]: Math.max(MIN_COLUMN_WIDTH, Math.round(width)) }
+  }
+
+  function resetWidth(attribute) {
+    const { [attribute]: _removed, ...rest } = widths.value
+    widths.value = rest
+    persist()
+  }
+
+  function setPinned(edge, pinned) {
+    if (edge === 'first') pinFirst.value = pinned
+    if (edge === 'last') pinLast.value = pinned
+    persist()
+  }
+
+  /**
+   * Show exactly these columns in this order without storing them (saved views)
+   * @param {Array|null} attributes - Visible attributes, null restores the stored layout
+   */
+  function applyColumns(attributes) {
+    viewColumnsActive = Array.isArray(attributes)
+
+    if (!viewColumnsActive) {
+      applyLayout(savedLayout)
+      return
+    }
+
+    const known = attributes.filter(attribute => allAttributes.value.includes(attribute))
+    order.value = [...known, ...allAttributes.value.filter(attribute => !known.includes(attribute))]
+    hidden.value = allAttributes.value.filter(attribute => !known.includes(attribute))
+  }
+
+  /**
+   * Forget the customized layout and show all columns in server order
+   */
+  function reset() {
+    viewColumnsActive = false
+    applyLayout(emptyLayout())
+    persist()
+  }
+
+  return {
+    columns,
+    visibleColumns,
+    visibleAttributes,
+    hidden,
+    widths,
+    pinFirst,
+    pinLast,
+    load,
+    persist,
+    toggleColumn,
+    reorder,
+    setWidth,
+    resetWidth,
+    setPinned,
+    applyColumns,
+    reset
+  }
+}
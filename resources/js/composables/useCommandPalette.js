@@ -0,0 +1,16 @@
+import { ref } from 'vue'
+
+// One palette for the whole app, opened with Ctrl+K or from the navbar search
+const isOpen = ref(false)
+
+/**
+ * Open state of the global command palette
+ */
+export function useCommandPalette() {
+  return {
+    isOpen,
+    open: () => { isOpen.value = true },
+    close: () => { isOpen.value = false },
+    toggle: () => { isOpen.value = !isOpen.value }
+  }
+}
@@ -0,0 +1,31 @@
+import { ref } from 'vue'
+import { useAuthStore } from '@/stores/auth'
+import { settingsService } from '@/services/settingsService'
+
+// Shared so every toggle (navbar button, command palette) shows the same mode
+const isDark = ref(false)
+
+/**
+ * Dark mode of the app: the "dark" class on <html>, cached in localStorage
+ * and saved as the user's dark_mode setting
+ */
+export function useDarkMode() {
+  // Follow the class App.vue and the settings store apply on load
+  isDark.value = document.documentElement.classList.contains('dark')
+
+  async function toggle() {
+    isDark.value = !isDark.value
+    document.documentElement.classList.toggle('dark', isDark.value)
+    localStorage.setItem('setting_dark_mode', isDark.value ? 'dark' : 'light')
+
+    if (useAuthStore().isAuthenticated) {
+      try {
+        await settingsService.updateUserSetting('dark_mode', isDark.value)
+      } catch (error) {
+        console.error('Failed to save dark mode preference:', error)
+      }
+    }
+  }
+
+  return { isDark, toggle }
+}
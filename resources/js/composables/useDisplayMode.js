@@ -0,0 +1,64 @@
+import { ref, computed, toValue } from 'vue'
+import { settingsService } from '@/services/settingsService'
+import { availableDisplayModes } from '@/utils/displayModes'
+
+/**
+ * User setting key for a resource's display mode
+ */
+export function displayModeKey(resource) {
+  return `resource_display_${resource}`
+}
+
+/**
+ * Composable for the display mode (table, grid or kanban) a user chose for a resource listing
+ * Modes the resource's fields do not allow fall back to the table
+ * @param {String|Ref|Function} resource - Resource key
+ * @param {Ref|Function} fields - Index fields from the resource meta
+ * @returns {Object} { mode, modes, load, setMode }
+ */
+export function useDisplayMode(resource, fields) {
+  const stored = ref('table')
+
+  const modes = computed(() => availableDisplayModes(toValue(fields)))
+
+  const mode = computed(() => {
+    return modes.value.some(candidate => candidate.value === stored.value) ? stored.value : 'table'
+  })
+
+  /**
+   * Load the stored mode for the resource
+   */
+  async function load() {
+    stored.value = 'table'
+
+    try {
+      const response = await settingsService.getUserSetting(displayModeKey(toValue(resource)))
+      stored.value = response.setting?.value || 'table'
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        console.error('Failed to load display mode:', error)
+      }
+    }
+  }
+
+  /**
+   * Switch to a mode and store it
+   */
+  async function setMode(value) {
+    if (value === stored.value) return
+
+    stored.value = value
+    try {
+      await settingsService.updateUserSetting(displayModeKey(toValue(resource)), value)
+    } catch (error) {
+      console.error('Failed to save display mode:', error)
+    }
+  }
+
+  return {
+    mode,
+    modes,
+    load,
+    setMode
+  }
+}
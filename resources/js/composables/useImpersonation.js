@@ -0,0 +1,88 @@
+import { useRouter } from 'vue-router'
+import { impersonationService } from '@/services/impersonationService'
+import { useAuthStore } from '@/stores/auth'
+import { useDialog } from '@/composables/useDialog'
+import { useToast } from '@/composables/useToast'
+
+export function useImpersonation() {
+  const router = useRouter()
+  const authStore = useAuthStore()
+  const toast = useToast()
+  const { confirmWarning } = useDialog()
+
+  /**
+   * Check if the current user may impersonate a user record
+   * Only allowed if:
+   * 1. Resource is 'users'
+   * 2. Current user is an admin
+   * 3. Target user is not the current user (can't impersonate yourself)
+   * 4. Target user is not an admin (can't impersonate other admins)
+   * 5. Target user has the 'user' role (is_user = true)
+   */
+  function canImpersonate(resource, user) {
+    // Only available on users resource
+    if (resource !== 'users' || !user) {
+      return false
+    }
+
+    // Current user must be an admin
+    if (!authStore.user?.can_access_admin_panel) {
+      return false
+    }
+
+    // Cannot impersonate yourself
+    if (user.id === authStore.user?.id) {
+      return false
+    }
+
+    // Cannot impersonate other admins
+    if (user.can_access_admin_panel) {
+      return false
+    }
+
+    // Only show for users with 'user' role (non-admin types)
+    if (!user.is_user) {
+      return false
+    }
+
+    return true
+  }
+
+  /**
+   * Confirm, start impersonating and redirect to the user dashboard
+   * @returns {Promise<boolean>} Whether impersonation started
+   */
+  async function impersonate(user) {
+    const confirmed = await confirmWarning(
+      `Are you sure you want to impersonate <strong>${user.name}</strong>?<br><br>You will be logged in as this user and can see their account.`
+    )
+
+    if (!confirmed) {
+      return false
+    }
+
+    try {
+      await impersonationService.impersonate(user.id)
+
+      // Refresh user data
+      await authStore.fetchUser()
+
+      toast.success(`Successfully impersonating ${user.name}.`)
+
+      // Redirect to user dashboard
+      router.push({ name: 'user.dashboard' })
+
+      return true
+    } catch (error) {
+      console.error('Failed to impersonate user:', error)
+      toast.error(error.response?.data?.message || 'Failed to impersonate user.')
+
+      return false
+    }
+  }
+
+  return {
+    canImpersonate,
+    impersonate
+  }
+}
@@ -0,0 +1,206 @@
+import { ref, toValue } from 'vue'
+import { resourceService } from '@/core/services/resourceService'
+
+const INLINE_TYPES = ['text', 'email', 'number', 'select', 'date', 'belongsTo', 'belongs-to']
+
+function isBelongsTo(field) {
+  return field.type === 'belongsTo' || field.type === 'belongs-to'
+}
+
+function cellKey(id, attribute) {
+  return `${id}:${attribute}`
+}
+
+/**
+ * Check if a table cell can be edited in place
+ * @param {Object} field - Index field
+ * @param {Array} editableAttributes - Attributes the patch endpoint accepts (meta.editable)
+ */
+export function isInlineEditable(field, editableAttributes = []) {
+  if (!INLINE_TYPES.includes(field.type) || !editableAttributes.includes(field.attribute)) {
+    return false
+  }
+
+  // Toggleable fields already switch in place
+  if (field.meta?.readonly || field.meta?.readonlyOnUpdate || field.meta?.toggleable) {
+    return false
+  }
+
+  return !(field.type === 'select' && (field.meta?.multiple || field.meta?.serverSide))
+}
+
+/**
+ * Value shown in the input for a cell
+ * BelongsTo cells hold { id, display } in the index data
+ */
+export function toInputValue(value, field) {
+  if (isBelongsTo(field)) {
+    return value?.id ?? value ?? ''
+  }
+
+  if (field.type === 'date') {
+    return value ? String(value).slice(0, 10) : ''
+  }
+
+  return value ?? ''
+}
+
+/**
+ * Composable for editing ResourceTable cells in place through the patch endpoint
+ * @param {String|Ref|Function} resource - Resource key
+ * @param {Ref} rows - Table rows, updated optimistically
+ * @returns {Object} Inline edit state and methods
+ */
+export function useInlineEdit(resource, rows) {
+  const editing = ref(null) // { id, attribute, field }
+  const draft = ref({})
+  const errors = ref({}) // Server errors per cell key
+  const relationOptions = ref({})
+
+  function isEditing(item, field) {
+    return editing.value?.id === item.id && editing.value?.attribute === field.attribute
+  }
+
+  function cellErrors(item, field) {
+    return errors.value[cellKey(item.id, field.attribute)] || null
+  }
+
+  async function loadOptions(field) {
+    const needsOptions = isBelongsTo(field) || (field.type === 'select' && field.meta?.resource)
+    if (!needsOptions || relationOptions.value[field.attribute]) return
+
+    try {
+      const response = await resourceService.index(field.meta.resource, { perPage: 100 })
+      relationOptions.value[field.attribute] = response.data.map(item => ({
+        value: item.id,
+        label: item[field.meta.titleAttribute || 'name'] || item.id
+      }))
+    } catch (error) {
+      console.error(`Failed to load options for ${field.attribute}:`, error)
+    }
+  }
+
+  /**
+   * Open the editor on a cell
+   * @param {Object} item - Row
+   * @param {Object} field - Index field
+   * @param {*} value - Starting value (defaults to the cell's current value)
+   */
+  async function start(item, field, value = undefined) {
+    editing.value = { id: item.id, attribute: field.attribute, field }
+    // The whole row is the draft so dependsOn/disabledWhen conditions still apply
+    draft.value = {
+      ...item,
+      [field.attribute]: value === undefined ? toInputValue(item[field.attribute], field) : value
+    }
+    await loadOptions(field)
+  }
+
+  function cancel() {
+    if (editing.value) {
+      delete errors.value[cellKey(editing.value.id, editing.value.attribute)]
+    }
+    editing.value = null
+  }
+
+  // Value shown in the cell until the server responds
+  function optimisticValue(value, field) {
+    if (isBelongsTo(field)) {
+      if (value === null) return null
+      const option = (relationOptions.value[field.attribute] || []).find(option => option.value == value)
+      return { id: value, display: option?.label ?? value }
+    }
+
+    return value
+  }
+
+  /**
+   * Save the open cell, updating the row optimistically
+   * A rejected value reopens the cell (when nothing else is being edited) with the errors
+   * @returns {Promise<Boolean>} Whether the value was saved (or unchanged)
+   */
+  async function commit() {
+    if (!editing.value) return true
+
+    const { id, attribute, field } = editing.value
+    const item = toValue(rows).find(row => row.id === id)
+    let value = draft.value[attribute]
+    editing.value = null
+
+    if (!item) return false
+
+    // Empty inputs clear non-text columns
+    if (value === '' && field.type !== 'text' && field.type !== 'email') {
+      value = null
+    }
+
+    // Inputs may hand back numbers as strings, so compare loosely
+    if (String(value ?? '') === String(toInputValue(item[attribute], field))) {
+      delete errors.value[cellKey(id, attribute)]
+      return true
+    }
+
+    const previous = item[attribute]
+    item[attribute] = optimisticValue(value, field)
+
+    try {
+      const response = await resourceService.patch(toValue(resource), id, { [attribute]: value })
+      Object.assign(item, response.data)
+      delete errors.value[cellKey(id, attribute)]
+      return true
+    } catch (error) {
+      item[attribute] = previous
+      errors.value[cellKey(id, attribute)] = error.response?.data?.errors?.[attribute] ||
+        [error.response?.data?.message || 'Failed to save.']
+
+      if (!editing.value) {
+        await start(item, field, value ?? '')
+      }
+
+      return false
+    }
+  }
+
+  /**
+   * Save the open cell and edit the next (1) or previous (-1) editable cell
+   * @param {Number} direction - 1 for Tab, -1 for Shift+Tab
+   * @param {Array} editableFields - Editable fields in column order
+   */
+  async function move(direction, editableFields) {
+    if (!editing.value || !editableFields.length) return
+
+    const list = toValue(rows)
+    const rowIndex = list.findIndex(row => row.id === editing.value.id)
+    let fieldIndex = editableFields.findIndex(field => field.attribute === editing.value.attribute) + direction
+    let targetRow = rowIndex
+
+    // Wrap onto the next or previous row
+    if (fieldIndex >= editableFields.length) {
+      fieldIndex = 0
+      targetRow++
+    } else if (fieldIndex < 0) {
+      fieldIndex = editableFields.length - 1
+      targetRow--
+    }
+
+    const saving = commit()
+
+    if (list[targetRow]) {
+      await start(list[targetRow], editableFields[fieldIndex])
+    }
+
+    await saving
+  }
+
+  return {
+    editing,
+    draft,
+    relationOptions,
+    isEditing,
+    cellErrors,
+    start,
+    cancel,
+    commit,
+    move
+  }
+}
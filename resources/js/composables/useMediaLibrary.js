@@ -0,0 +1,92 @@
+import { ref } from 'vue'
+import { mediaService } from '@/services/mediaService'
+import { libraryParams } from '@/utils/mediaLibrary'
+
+// Wait after the last keystroke before searching
+const SEARCH_DELAY = 300
+
+/**
+ * Composable for browsing the media library, shared by the library page and the media picker
+ * @param {Object} options - { type: file type the library is limited to, perPage }
+ * @returns {Object} Library state and methods
+ */
+export function useMediaLibrary({ type = '', perPage = 24 } = {}) {
+  const items = ref([])
+  const pagination = ref(null)
+  const loading = ref(false)
+  const error = ref(null)
+  const filterOptions = ref({ types: [], collections: [], models: [] })
+  const filters = ref({
+    search: '',
+    type,
+    collection: '',
+    model_type: ''
+  })
+
+  let searchTimer = null
+
+  async function load(page = 1) {
+    loading.value = true
+    error.value = null
+
+    try {
+      const response = await mediaService.library({ ...libraryParams(filters.value, page), perPage })
+      items.value = response.data
+      pagination.value = {
+        current_page: response.current_page,
+        last_page: response.last_page,
+        from: response.from,
+        to: response.to,
+        total: response.total
+      }
+    } catch (err) {
+      console.error('Failed to load the media library:', err)
+      error.value = err.response?.data?.message || 'Failed to load the media library'
+    } finally {
+      loading.value = false
+    }
+  }
+
+  async function loadFilters() {
+    try {
+      filterOptions.value = await mediaService.getLibraryFilters()
+    } catch (err) {
+      console.error('Failed to load the media library filters:', err)
+    }
+  }
+
+  /**
+   * Reload from the first page after a filter changed
+   */
+  function applyFilters() {
+    clearTimeout(searchTimer)
+    return load(1)
+  }
+
+  /**
+   * Reload once the search text stops changing
+   */
+  function search() {
+    clearTimeout(searchTimer)
+    searchTimer = setTimeout(() => load(1), SEARCH_DELAY)
+  }
+
+  function reset() {
+    clearTimeout(searchTimer)
+    filters.value = { search: '', type, collection: '', model_type: '' }
+  }
+
+  return {
+    items,
+    pagination,
+    loading,
+    error,
+    filters,
+    filterOptions,
+    load,
+    loadFilters,
+    applyFilters,
+    search,
+    reset
+  }
+}
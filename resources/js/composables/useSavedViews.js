@@ -0,0 +1,214 @@
+import { ref, computed, toValue } from 'vue'
+import { settingsService } from '@/services/settingsService'
+import { useAuthStore } from '@/stores/auth'
+
+/**
+ * Setting keys for a resource's views
+ * Personal views (and the default view) are a user setting,
+ * views published by settings managers are a global setting shared by everyone
+ */
+export function savedViewKeys(resource) {
+  return {
+    personal: `resource_views_${resource}`,
+    published: `resource_published_views_${resource}`
+  }
+}
+
+/**
+ * Read a setting value, treating a missing setting as empty
+ * @param {Function} fetcher - Settings service call returning { setting }
+ * @param {*} fallback - Value to use when the setting does not exist
+ */
+async function readSetting(fetcher, fallback) {
+  try {
+    const response = await fetcher()
+    return response.setting?.value ?? fallback
+  } catch (error) {
+    if (error.response?.status !== 404) {
+      console.error('Failed to load saved views:', error)
+    }
+    return fallback
+  }
+}
+
+function generateId() {
+  return `view_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`
+}
+
+/**
+ * Composable for named, per-user table views of a resource
+ * A view captures table state: { search, sort, direction, filters, perPage, groupBy, columns }
+ * @param {String|Ref|Function} resource - Resource key
+ * @returns {Object} Saved views state and methods
+ */
+export function useSavedViews(resource) {
+  const authStore = useAuthStore()
+
+  const personalViews = ref([])
+  const publishedViews = ref([])
+  const defaultViewId = ref(null)
+  const activeViewId = ref(null)
+  const loading = ref(false)
+
+  // Published views are stored in a global setting, so publishing needs the permission to change it
+  const canPublish = computed(() => authStore.can('settings.manage'))
+
+  const views = computed(() => [
+    ...personalViews.value.map(view => ({ ...view, published: false })),
+    ...publishedViews.value.map(view => ({ ...view, published: true }))
+  ])
+
+  const activeView = computed(() => findView(activeViewId.value))
+
+  const defaultView = computed(() => findView(defaultViewId.value))
+
+  function findView(id) {
+    return views.value.find(view => view.id === id) || null
+  }
+
+  function keys() {
+    return savedViewKeys(toValue(resource))
+  }
+
+  /**
+   * Load personal and published views for the resource
+   */
+  async function load() {
+    loading.value = true
+    try {
+      const { personal, published } = keys()
+      const [personalValue, publishedValue] = await Promise.all([
+        readSetting(() => settingsService.getUserSetting(personal), {}),
+        readSetting(() => settingsService.getGlobalSetting(published), [])
+      ])
+
+      personalViews.value = Array.isArray(personalValue.views) ? personalValue.views : []
+      publishedViews.value = Array.isArray(publishedValue) ? publishedValue : []
+      defaultViewId.value = personalValue.default ?? null
+
+      // Forget a default that points at a deleted or unpublished view
+      if (!findView(defaultViewId.value)) {
+        defaultViewId.value = null
+      }
+    } finally {
+      loading.value = false
+    }
+  }
+
+  async function persistPersonal() {
+    await settingsService.updateUserSetting(keys().personal, {
+      views: personalViews.value,
+      default: defaultViewId.value
+    })
+  }
+
+  async function persistPublished() {
+    await settingsService.updateGlobalSetting(keys().published, publishedViews.value)
+  }
+
+  /**
+   * Save the current table state as a new named view
+   * @param {String} name - View name
+   * @param {Object} state - Table state to capture
+   * @param {Object} options - { publish, makeDefault }
+   * @returns {Promise<Object>} The saved view
+   */
+  async function saveView(name, state, { publish = false, makeDefault = false } = {}) {
+    if (publish && !canPublish.value) {
+      throw new Error('Only settings managers can publish views.')
+    }
+
+    const view = { id: generateId(), name: name.trim(), state }
+
+    if (publish) {
+      publishedViews.value = [...publishedViews.value, view]
+      await persistPublished()
+    } else {
+      personalViews.value = [...personalViews.value, view]
+    }
+
+    if (makeDefault) {
+      defaultViewId.value = view.id
+    }
+
+    if (!publish || makeDefault) {
+      await persistPersonal()
+    }
+
+    activeViewId.value = view.id
+
+    return findView(view.id)
+  }
+
+  /**
+   * Overwrite a view's state with the current table state
+   */
+  async function updateView(id, state) {
+    const view = findView(id)
+    if (!view) return
+
+    const replace = list => list.map(item => (item.id === id ? { ...item, state } : item))
+
+    if (view.published) {
+      publishedViews.value = replace(publishedViews.value)
+      await persistPublished()
+    } else {
+      personalViews.value = replace(personalViews.value)
+      await persistPersonal()
+    }
+  }
+
+  /**
+   * Delete a view (published views can only be removed by settings managers)
+   */
+  async function deleteView(id) {
+    const view = findView(id)
+    if (!view) return
+
+    if (view.published) {
+      if (!canPublish.value) {
+        throw new Error('Only settings managers can remove published views.')
+      }
+      publishedViews.value = publishedViews.value.filter(item => item.id !== id)
+      await persistPublished()
+    } else {
+      personalViews.value = personalViews.value.filter(item => item.id !== id)
+    }
+
+    if (activeViewId.value === id) {
+      activeViewId.value = null
+    }
+
+    const clearsDefault = defaultViewId.value === id
+    if (clearsDefault) {
+      defaultViewId.value = null
+    }
+
+    if (!view.published || clearsDefault) {
+      await persistPersonal()
+    }
+  }
+
+  /**
+   * Make a view (personal or published) the current user's default, or clear it with null
+   */
+  async function setDefault(id) {
+    defaultViewId.value = id
+    await persistPersonal()
+  }
+
+  return {
+    views,
+    activeView,
+    activeViewId,
+    defaultView,
+    defaultViewId,
+    canPublish,
+    loading,
+    load,
+    saveView,
+    updateView,
+    deleteView,
+    setDefault
+  }
+}
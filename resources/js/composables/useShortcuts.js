@@ -0,0 +1,130 @@
+import { ref, computed, onMounted, onBeforeUnmount } from 'vue'
+import { matchesShortcut, targetHandlesKey } from '@/utils/shortcuts'
+
+/**
+ * Keyboard shortcuts registry
+ * Components register a group of shortcuts while they are mounted; a single keydown
+ * listener dispatches them and the ? overlay lists every registered group.
+ *
+ * A shortcut is { keys, description, handler, when, allowInInputs, allowInModals, hidden }:
+ * - keys: a combination or a list of them ("j", ["Delete", "Backspace"], "mod+k")
+ * - when: shortcuts whose condition is false are skipped and left out of the overlay
+ * - allowInInputs: also fires while typing in a field, or for Enter on a focused button
+ * - allowInModals: also fires while a dialog (aria-modal) is open over the page
+ * - hidden: fires but is left out of the overlay
+ *
+ * @example
+ * useShortcuts('Orders', [
+ *   { keys: 'r', description: 'Refresh', handler: () => fetchData() },
+ *   { keys: 'mod+s', description: 'Save', handler: save, allowInInputs: true, when: () => dirty.value }
+ * ])
+ */
+
+// Registered groups, most recent last: { id, label, shortcuts }
+const groups = ref([])
+let nextId = 1
+let listening = false
+
+function isAvailable(shortcut) {
+  return !shortcut.when || !!shortcut.when()
+}
+
+function keysOf(shortcut) {
+  return Array.isArray(shortcut.keys) ? shortcut.keys : [shortcut.keys]
+}
+
+function hasOpenModal() {
+  return !!document.querySelector('[aria-modal="true"]')
+}
+
+/**
+ * Run the first matching shortcut, most recently registered groups first
+ * @returns {Boolean} Whether a shortcut handled the event
+ */
+export function dispatchShortcut(event) {
+  if (event.defaultPrevented || event.isComposing) return false
+
+  const typing = targetHandlesKey(event.target, event.key)
+  const modalOpen = hasOpenModal()
+
+  for (const group of [...groups.value].reverse()) {
+    for (const shortcut of group.shortcuts) {
+      if (!keysOf(shortcut).some(combo => matchesShortcut(event, combo))) continue
+      if (typing && !shortcut.allowInInputs) continue
+      if (modalOpen && !shortcut.allowInModals) continue
+      if (!isAvailable(shortcut)) continue
+
+      event.preventDefault()
+      shortcut.handler(event)
+      return true
+    }
+  }
+
+  return false
+}
+
+function listen() {
+  if (listening) return
+  document.addEventListener('keydown', dispatchShortcut)
+  listening = true
+}
+
+/**
+ * Add a group of shortcuts to the registry
+ * @returns {Function} Removes the group again
+ */
+export function registerShortcuts(label, shortcuts) {
+  const id = nextId++
+  groups.value = [...groups.value, { id, label, shortcuts }]
+  listen()
+
+  return () => {
+    groups.value = groups.value.filter(group => group.id !== id)
+  }
+}
+
+/**
+ * Groups with their currently available shortcuts, for the overlay
+ * Groups sharing a label are merged, and a key is listed once, for the group it fires in
+ */
+export const shortcutGroups = computed(() => {
+  const taken = new Set()
+  const merged = []
+
+  for (const group of [...groups.value].reverse()) {
+    const shortcuts = group.shortcuts.filter(shortcut => {
+      if (!isAvailable(shortcut)) return false
+
+      const fresh = keysOf(shortcut).some(combo => !taken.has(combo))
+      keysOf(shortcut).forEach(combo => taken.add(combo))
+      return fresh && !shortcut.hidden
+    })
+    if (!shortcuts.length) continue
+
+    const existing = merged.find(entry => entry.label === group.label)
+    if (existing) {
+      existing.shortcuts.unshift(...shortcuts)
+    } else {
+      merged.unshift({ label: group.label, shortcuts })
+    }
+  }
+
+  return merged
+})
+
+/**
+ * Register shortcuts while the calling component is mounted
+ */
+export function useShortcuts(label, shortcuts) {
+  let unregister = null
+
+  onMounted(() => {
+    unregister = registerShortcuts(label, shortcuts)
+  })
+
+  onBeforeUnmount(() => {
+    unregister?.()
+  })
+
+  return { shortcutGroups }
+}
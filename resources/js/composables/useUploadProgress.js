@@ -15,9 +15,11 @@ export function useUploadProgress() {
    *
    * @param {string} uploadId - Unique upload identifier
    * @param {File} file - File being uploaded
+   * @param {Object} options - Upload options
+   * @param {boolean} options.resumable - Whether the upload can be paused, resumed and retried (chunked uploads)
    * @returns {Object} Upload progress tracker
    */
-  function createUpload(uploadId, file) {
+  function createUpload(uploadId, file, { resumable = false } = {}) {
     const uploadData = {
       id: uploadId,
       file,
@@ -32,6 +34,8 @@ export function useUploadProgress() {
       lastUpdateTime: Date.now(),
       lastLoaded: 0,
       isCompleted: false,
+      isPaused: false,
+      resumable,
       hasError: false,
       errorMessage: null,
       cancelToken: null
@@ -131,6 +135,40 @@ export function useUploadProgress() {
     removeUpload(uploadId)
   }
 
+  /**
+   * Pause upload: stop the current request and keep the tracker
+   * Whoever runs the upload resumes it (see mediaService.uploadResumable)
+   *
+   * @param {string} uploadId - Upload identifier
+   */
+  function pauseUpload(uploadId) {
+    const upload = uploads.value.get(uploadId)
+    if (!upload) return
+
+    upload.isPaused = true
+    upload.speed = 0
+    upload.eta = 0
+
+    if (upload.cancelToken) {
+      upload.cancelToken.cancel('Upload paused by user')
+    }
+  }
+
+  /**
+   * Mark a paused or failed upload as running again
+   *
+   * @param {string} uploadId - Upload identifier
+   */
+  function resumeUpload(uploadId) {
+    const upload = uploads.value.get(uploadId)
+    if (!upload) return
+
+    upload.isPaused = false
+    upload.hasError = false
+    upload.errorMessage = null
+    upload.lastUpdateTime = Date.now()
+  }
+
   /**
    * Remove upload from tracking
    *
@@ -252,6 +290,8 @@ export function useUploadProgress() {
     completeUpload,
     failUpload,
     cancelUpload,
+    pauseUpload,
+    resumeUpload,
     removeUpload,
     getUpload,
     getActiveUploads,
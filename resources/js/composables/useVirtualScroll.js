@@ -0,0 +1,56 @@
+import { ref, computed, toValue } from 'vue'
+
+/**
+ * Windowing for long lists of fixed-height items: only the items in view (plus an
+ * overscan margin) are rendered, between two spacers standing in for the rest.
+ * Used by VirtualScroll.vue and by ResourceTable's infinite scroll mode.
+ *
+ * @param {Ref|Function} items - The full list
+ * @param {Object} options - itemHeight, containerHeight and overscan (values, refs or getters)
+ *
+ * @example
+ * const { visibleItems, offsetY, afterHeight, handleScroll } = useVirtualScroll(() => props.items, {
+ *   itemHeight: 40,
+ *   containerHeight: 400
+ * })
+ */
+export function useVirtualScroll(items, { itemHeight, containerHeight, overscan = 5 }) {
+  const scrollTop = ref(0)
+
+  const list = computed(() => toValue(items) || [])
+  const height = computed(() => toValue(itemHeight))
+
+  const totalHeight = computed(() => list.value.length * height.value)
+  const visibleCount = computed(() => Math.ceil(toValue(containerHeight) / height.value))
+  const startIndex = computed(() => Math.max(0, Math.floor(scrollTop.value / height.value) - toValue(overscan)))
+  const endIndex = computed(() => Math.min(list.value.length - 1, startIndex.value + visibleCount.value + toValue(overscan) * 2))
+  const visibleItems = computed(() => list.value.slice(startIndex.value, endIndex.value + 1))
+  // Heights of the spacers before and after the rendered items
+  const offsetY = computed(() => startIndex.value * height.value)
+  const visibleHeight = computed(() => (endIndex.value - startIndex.value + 1) * height.value)
+  const afterHeight = computed(() => totalHeight.value - offsetY.value - visibleHeight.value)
+
+  function handleScroll(event) {
+    scrollTop.value = event.target.scrollTop
+  }
+
+  /**
+   * Whether the container is scrolled to within the given distance (px) of the end
+   */
+  function isNearEnd(threshold = 0) {
+    return scrollTop.value + toValue(containerHeight) >= totalHeight.value - threshold
+  }
+
+  return {
+    scrollTop,
+    totalHeight,
+    startIndex,
+    endIndex,
+    visibleItems,
+    offsetY,
+    visibleHeight,
+    afterHeight,
+    handleScroll,
+    isNearEnd
+  }
+}
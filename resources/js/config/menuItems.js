@@ -1,13 +1,17 @@
 import { useContextRoutes } from '@/composables/useContextRoutes'
+import { useAuthStore } from '@/stores/auth'
+import { filterMenuItems } from '@/utils/permissions'
 
-// Admin menu items
+// Admin menu items, with the permission their page requires
 export const adminMainMenuItems = [
   { to: { name: 'admin.dashboard' }, icon: 'dashboard', label: 'Dashboard' },
-  { to: { name: 'admin.users' }, icon: 'team', label: 'Users' },
-  { to: { name: 'admin.roles' }, icon: 'shield', label: 'Roles' },
-  { to: { name: 'admin.countries' }, icon: 'globe', label: 'Countries' },
-  { to: { name: 'admin.timezones' }, icon: 'clock', label: 'Timezones' },
-  { to: { name: 'admin.email-templates.index' }, icon: 'mail', label: 'Email Templates' },
+  { to: { name: 'admin.users' }, icon: 'team', label: 'Users', permission: 'users.viewAny' },
+  { to: { name: 'admin.roles' }, icon: 'shield', label: 'Roles', permission: 'roles.viewAny' },
+  { to: { name: 'admin.countries' }, icon: 'globe', label: 'Countries', permission: 'countries.viewAny' },
+  { to: { name: 'admin.timezones' }, icon: 'clock', label: 'Timezones', permission: 'timezones.viewAny' },
+  { to: { name: 'admin.email-templates.index' }, icon: 'mail', label: 'Email Templates', permission: 'email-templates.manage' },
+  { to: { name: 'admin.media' }, icon: 'image', label: 'Media', permission: 'media.manage' },
+  { to: { name: 'admin.activity' }, icon: 'list', label: 'Activity', permission: 'activity.view' },
 ]
 
 export function getAdminMoreMenuItems() {
@@ -29,4 +33,11 @@ export function getUserMoreMenuItems() {
     { to: { name: profileRoutes.value.personal }, icon: 'profile', label: 'Profile' },
     { to: { name: settingsRoutes.value.appearance }, icon: 'settings', label: 'Settings' },
   ]
-}
\ No newline at end of file
+}
+
+/**
+ * Menu items the current user has the permission for
+ */
+export function visibleMenuItems(items) {
+  return filterMenuItems(items, useAuthStore().permissions)
+}
@@ -0,0 +1,37 @@
+/**
+ * Activity Service
+ * Reads the audit log of changes made through the resource API
+ */
+
+export const activityService = {
+  /**
+   * Get activity across all resources
+   * @param {Object} params - Filters: user_id, resource, event, from, to (dates), page, perPage
+   * @returns {Promise}
+   */
+  async index(params = {}) {
+    const response = await window.axios.get('/api/activity', { params })
+    return response.data
+  },
+
+  /**
+   * Get the options for the activity filters (resources and events)
+   * @returns {Promise}
+   */
+  async getMeta() {
+    const response = await window.axios.get('/api/activity/meta')
+    return response.data
+  },
+
+  /**
+   * Get the history of a single resource record
+   * @param {string} resource - Resource name
+   * @param {number|string} id - Resource ID
+   * @param {Object} params - page, perPage
+   * @returns {Promise}
+   */
+  async forRecord(resource, id, params = {}) {
+    const response = await window.axios.get(`/api/resources/${resource}/${id}/activity`, { params })
+    return response.data
+  }
+}
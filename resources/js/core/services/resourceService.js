@@ -4,7 +4,49 @@
  * Works with any resource registered in config/resources.php
  */
 
+/**
+ * Read the filename from a Content-Disposition header
+ */
+function filenameFromResponse(response, fallback) {
+  const disposition = response.headers?.['content-disposition'] || ''
+  const match = disposition.match(/filename="?([^";]+)"?/)
+
+  return match ? match[1] : fallback
+}
+
+/**
+ * Save a blob through a temporary download link
+ */
+function saveBlob(blob, filename) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Request body for a bulk selection
+ * An array selects those IDs; a descriptor ({ query: { search, filters }, viaResource, viaResourceId, viaRelationship })
+ * lets the server resolve every matching record
+ */
+function selectionPayload(selection) {
+  return Array.isArray(selection) ? { ids: selection } : selection
+}
+
 export const resourceService = {
+  /**
+   * Get the registered resources the current user may view
+   * @returns {Promise} { data: [{ key, label, singularLabel, title, searchable, can }] }
+   */
+  async list() {
+    const response = await window.axios.get('/api/resources')
+    return response.data
+  },
+
   /**
    * Get resource metadata (fields, filters, actions)
    * @param {string} resource - Resource name (e.g., 'users', 'countries')
@@ -29,14 +71,39 @@ export const resourceService = {
     return response.data
   },
 
+  /**
+   * Get the record count and column aggregates of every record matching the search and filters
+   * @param {string} resource - Resource name
+   * @param {Object} params - Query parameters (search, filters, groupBy, sort, direction)
+   * @returns {Promise} { count, aggregates: { attribute: { sum, avg, ... } }, groups: [{ value, count, aggregates }] | null }
+   */
+  async aggregates(resource, params = {}) {
+    const response = await window.axios.get(`/api/resources/${resource}/aggregates`, { params })
+    return response.data
+  },
+
   /**
    * Get single resource by ID
    * @param {string} resource - Resource name
    * @param {number|string} id - Resource ID
+   * @param {string|null} context - 'show' returns display values for the detail view; omit for raw form data
    * @returns {Promise}
    */
-  async show(resource, id) {
-    const response = await window.axios.get(`/api/resources/${resource}/${id}`)
+  async show(resource, id, context = null) {
+    const response = context
+      ? await window.axios.get(`/api/resources/${resource}/${id}`, { params: { context } })
+      : await window.axios.get(`/api/resources/${resource}/${id}`)
+    return response.data
+  },
+
+  /**
+   * Get the form values for a copy of a record (nothing is stored until the copy is created with store())
+   * @param {string} resource - Resource name
+   * @param {number|string} id - ID of the record to copy
+   * @returns {Promise} { data: { attribute: value } }
+   */
+  async duplicate(resource, id) {
+    const response = await window.axios.get(`/api/resources/${resource}/${id}/duplicate`)
     return response.data
   },
 
@@ -44,15 +111,19 @@ export const resourceService = {
    * Create new resource
    * @param {string} resource - Resource name
    * @param {Object} data - Resource data
+   * @param {Object|null} via - Parent relationship to create the record under ({ viaResource, viaResourceId, viaRelationship })
    * @returns {Promise}
    */
-  async store(resource, data) {
-    const response = await window.axios.post(`/api/resources/${resource}`, data)
+  async store(resource, data, via = null) {
+    const response = via
+      ? await window.axios.post(`/api/resources/${resource}`, data, { params: via })
+      : await window.axios.post(`/api/resources/${resource}`, data)
     return response.data
   },
 
   /**
    * Update existing resource
+   * With `_version` (from show()) in the data, the server answers 409 if the record changed since
    * @param {string} resource - Resource name
    * @param {number|string} id - Resource ID
    * @param {Object} data - Resource data
@@ -86,26 +157,71 @@ export const resourceService = {
     return response.data
   },
 
+  /**
+   * Restore a trashed resource
+   * @param {string} resource - Resource name
+   * @param {number|string} id - Resource ID
+   * @returns {Promise}
+   */
+  async restore(resource, id) {
+    const response = await window.axios.post(`/api/resources/${resource}/${id}/restore`)
+    return response.data
+  },
+
+  /**
+   * Permanently delete a resource, trashed or not
+   * @param {string} resource - Resource name
+   * @param {number|string} id - Resource ID
+   * @returns {Promise}
+   */
+  async forceDestroy(resource, id) {
+    const response = await window.axios.delete(`/api/resources/${resource}/${id}/force`)
+    return response.data
+  },
+
+  /**
+   * Detach a child resource from its parent's HasMany relationship
+   * @param {string} resource - Child resource name
+   * @param {number|string} id - Child resource ID
+   * @param {Object} via - Parent relationship ({ viaResource, viaResourceId, viaRelationship })
+   * @returns {Promise}
+   */
+  async detach(resource, id, via) {
+    const response = await window.axios.post(`/api/resources/${resource}/${id}/detach`, via)
+    return response.data
+  },
+
   /**
    * Bulk delete resources
    * @param {string} resource - Resource name
-   * @param {Array} ids - Array of resource IDs
+   * @param {Array|Object} selection - Array of resource IDs, or a selection descriptor (see selectionPayload)
+   * @returns {Promise}
+   */
+  async bulkDelete(resource, selection) {
+    const response = await window.axios.post(`/api/resources/${resource}/bulk/delete`, selectionPayload(selection))
+    return response.data
+  },
+
+  /**
+   * Bulk restore trashed resources
+   * @param {string} resource - Resource name
+   * @param {Array|Object} selection - Array of resource IDs, or a selection descriptor (see selectionPayload)
    * @returns {Promise}
    */
-  async bulkDelete(resource, ids) {
-    const response = await window.axios.post(`/api/resources/${resource}/bulk/delete`, { ids })
+  async bulkRestore(resource, selection) {
+    const response = await window.axios.post(`/api/resources/${resource}/bulk/restore`, selectionPayload(selection))
     return response.data
   },
 
   /**
    * Bulk update resources
    * @param {string} resource - Resource name
-   * @param {Array} ids - Array of resource IDs
+   * @param {Array|Object} selection - Array of resource IDs, or a selection descriptor (see selectionPayload)
    * @param {Object} data - Data to update
    * @returns {Promise}
    */
-  async bulkUpdate(resource, ids, data) {
-    const response = await window.axios.post(`/api/resources/${resource}/bulk/update`, { ids, ...data })
+  async bulkUpdate(resource, selection, data) {
+    const response = await window.axios.post(`/api/resources/${resource}/bulk/update`, { ...selectionPayload(selection), data })
     return response.data
   },
 
@@ -113,15 +229,121 @@ export const resourceService = {
    * Run custom action on resources
    * @param {string} resource - Resource name
    * @param {string} action - Action key
-   * @param {Array} ids - Array of resource IDs
+   * @param {Array|Object} selection - Array of resource IDs, or a selection descriptor (see selectionPayload)
    * @param {Object} data - Additional action data
    * @returns {Promise}
    */
-  async runAction(resource, action, ids, data = {}) {
-    const response = await window.axios.post(`/api/resources/${resource}/actions/${action}`, { ids, ...data })
+  async runAction(resource, action, selection, data = {}) {
+    const response = await window.axios.post(`/api/resources/${resource}/actions/${action}`, { ...selectionPayload(selection), data })
+    return response.data
+  },
+
+  /**
+   * Export resources as a file download
+   * @param {string} resource - Resource name
+   * @param {Object} params - Export parameters
+   * @param {string} params.format - File format: 'csv', 'xlsx' or 'json'
+   * @param {Array} params.columns - Attributes to include (empty for all)
+   * @param {Array} params.ids - Restrict the export to these IDs (omit to export all matching records)
+   * @param {string} params.search - Current search term
+   * @param {string} params.sort - Current sort column
+   * @param {string} params.direction - Current sort direction
+   * @param {Object} params.filters - Current filters
+   * @returns {Promise<{blob: Blob, filename: string}>}
+   */
+  async export(resource, params = {}) {
+    const response = await window.axios.get(`/api/resources/${resource}/export`, {
+      params,
+      responseType: 'blob'
+    })
+
+    return {
+      blob: response.data,
+      filename: filenameFromResponse(response, `${resource}.${params.format || 'csv'}`)
+    }
+  },
+
+  /**
+   * Export resources and save the file in the browser
+   * @param {string} resource - Resource name
+   * @param {Object} params - Export parameters (see export())
+   * @returns {Promise<string>} The saved filename
+   */
+  async downloadExport(resource, params = {}) {
+    const { blob, filename } = await this.export(resource, params)
+
+    saveBlob(blob, filename)
+
+    return filename
+  },
+
+  /**
+   * Upload a CSV/XLSX file to start an import
+   * @param {string} resource - Resource name
+   * @param {File} file - File to import
+   * @returns {Promise<{import: Object, sample: Array, mapping: Object}>} Import record, first rows and suggested mapping
+   */
+  async uploadImport(resource, file) {
+    const formData = new FormData()
+    formData.append('file', file)
+
+    const response = await window.axios.post(`/api/resources/${resource}/imports`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    })
+    return response.data
+  },
+
+  /**
+   * Validate the first rows of an import with a column mapping
+   * @param {string} resource - Resource name
+   * @param {number} importId - Import ID
+   * @param {Object} mapping - Field attribute => column index
+   * @returns {Promise<{rows: Array, valid: number, invalid: number}>}
+   */
+  async previewImport(resource, importId, mapping) {
+    const response = await window.axios.post(`/api/resources/${resource}/imports/${importId}/preview`, { mapping })
+    return response.data
+  },
+
+  /**
+   * Start processing an import in the background
+   * @param {string} resource - Resource name
+   * @param {number} importId - Import ID
+   * @returns {Promise}
+   */
+  async commitImport(resource, importId) {
+    const response = await window.axios.post(`/api/resources/${resource}/imports/${importId}/commit`)
     return response.data
   },
 
+  /**
+   * Get import status and progress
+   * @param {string} resource - Resource name
+   * @param {number} importId - Import ID
+   * @returns {Promise<{import: Object, errors: Array}>}
+   */
+  async getImport(resource, importId) {
+    const response = await window.axios.get(`/api/resources/${resource}/imports/${importId}`)
+    return response.data
+  },
+
+  /**
+   * Download a CSV of the rows that failed to import
+   * @param {string} resource - Resource name
+   * @param {number} importId - Import ID
+   * @returns {Promise<string>} The saved filename
+   */
+  async downloadImportErrors(resource, importId) {
+    const response = await window.axios.get(`/api/resources/${resource}/imports/${importId}/errors`, {
+      responseType: 'blob'
+    })
+
+    const filename = filenameFromResponse(response, `${resource}-import-errors.csv`)
+    saveBlob(response.data, filename)
+
+    return filename
+  },
+
   /**
    * Search related resources (for BelongsTo fields)
    * @param {string} resource - Resource name
@@ -1,5 +1,6 @@
 import { createRouter, createWebHistory } from 'vue-router'
 import { useAuthStore } from '@/stores/auth'
+import { routePermission } from '@/utils/permissions'
 import AdminLayout from '@/layouts/AdminLayout.vue'
 import ProfileLayout from '@/layouts/ProfileLayout.vue'
 import SettingsLayout from '@/layouts/SettingsLayout.vue'
@@ -15,13 +16,16 @@ const routes = [
     meta: { auth: 'admin' },
     children: [
       { path: '', name: 'admin.dashboard', component: Dashboard, meta: { title: 'Dashboard', auth: 'admin' } },
-      { path: 'users', name: 'admin.users', component: () => import('@/pages/admin/UsersResource.vue'), meta: { title: 'Users', auth: 'admin' } },
-      { path: 'roles', name: 'admin.roles', component: () => import('@/pages/admin/RolesResource.vue'), meta: { title: 'Roles', auth: 'admin' } },
-      { path: 'countries', name: 'admin.countries', component: () => import('@/pages/admin/CountriesResource.vue'), meta: { title: 'Countries', auth: 'admin' } },
-      { path: 'timezones', name: 'admin.timezones', component: () => import('@/pages/admin/TimezonesResource.vue'), meta: { title: 'Timezones', auth: 'admin' } },
-      { path: 'email-templates', name: 'admin.email-templates.index', component: () => import('@/pages/admin/EmailTemplates.vue'), meta: { title: 'Email Templates', auth: 'admin' } },
-      { path: 'email-templates/create', name: 'admin.email-templates.create', component: () => import('@/pages/admin/EmailTemplateForm.vue'), meta: { title: 'Create Email Template', auth: 'admin' } },
-      { path: 'email-templates/:id/edit', name: 'admin.email-templates.edit', component: () => import('@/pages/admin/EmailTemplateForm.vue'), meta: { title: 'Edit Email Template', auth: 'admin' } },
+      { path: 'users', name: 'admin.users', component: () => import('@/pages/admin/UsersResource.vue'), meta: { title: 'Users', auth: 'admin', permission: 'users.viewAny' } },
+      { path: 'roles', name: 'admin.roles', component: () => import('@/pages/admin/RolesResource.vue'), meta: { title: 'Roles', auth: 'admin', permission: 'roles.viewAny' } },
+      { path: 'countries', name: 'admin.countries', component: () => import('@/pages/admin/CountriesResource.vue'), meta: { title: 'Countries', auth: 'admin', permission: 'countries.viewAny' } },
+      { path: 'timezones', name: 'admin.timezones', component: () => import('@/pages/admin/TimezonesResource.vue'), meta: { title: 'Timezones', auth: 'admin', permission: 'timezones.viewAny' } },
+      { path: 'email-templates', name: 'admin.email-templates.index', component: () => import('@/pages/admin/EmailTemplates.vue'), meta: { title: 'Email Templates', auth: 'admin', permission: 'email-templates.manage' } },
+      { path: 'email-templates/create', name: 'admin.email-templates.create', component: () => import('@/pages/admin/EmailTemplateForm.vue'), meta: { title: 'Create Email Template', auth: 'admin', permission: 'email-templates.manage' } },
+      { path: 'email-templates/:id/edit', name: 'admin.email-templates.edit', component: () => import('@/pages/admin/EmailTemplateForm.vue'), meta: { title: 'Edit Email Template', auth: 'admin', permission: 'email-templates.manage' } },
+      { path: 'activity', name: 'admin.activity', component: () => import('@/pages/admin/ActivityLog.vue'), meta: { title: 'Activity', auth: 'admin', permission: 'activity.view' } },
+      { path: 'media', name: 'admin.media', component: () => import('@/pages/admin/MediaLibrary.vue'), meta: { title: 'Media Library', auth: 'admin', permission: 'media.manage' } },
+      { path: ':resource/:id(\\d+)', name: 'admin.resource.show', component: () => import('@/pages/admin/ResourceDetail.vue'), meta: { title: 'Details', auth: 'admin', permission: to => `${to.params.resource}.view` } },
 
       // Admin Profile Routes
       {
@@ -45,8 +49,8 @@ const routes = [
           { path: 'appearance', name: 'admin.settings.appearance', component: () => import('@/pages/admin/settings/Appearance.vue'), meta: { title: 'Appearance', auth: 'admin' } },
           { path: 'notifications', name: 'admin.settings.notifications', component: () => import('@/pages/admin/settings/Notifications.vue'), meta: { title: 'Notifications', auth: 'admin' } },
           { path: 'preferences', name: 'admin.settings.preferences', component: () => import('@/pages/admin/settings/Preferences.vue'), meta: { title: 'Preferences', auth: 'admin' } },
-          { path: 'global', name: 'admin.settings.global', component: () => import('@/pages/settings/Global.vue'), meta: { title: 'Global Settings', auth: 'admin' } },
-          { path: 'system', name: 'admin.settings.system', component: () => import('@/pages/settings/System.vue'), meta: { title: 'System Settings', auth: 'admin' } }
+          { path: 'global', name: 'admin.settings.global', component: () => import('@/pages/settings/Global.vue'), meta: { title: 'Global Settings', auth: 'admin', permission: 'settings.manage' } },
+          { path: 'system', name: 'admin.settings.system', component: () => import('@/pages/settings/System.vue'), meta: { title: 'System Settings', auth: 'admin', permission: 'settings.manage' } }
         ]
       },
 
@@ -132,7 +136,7 @@ const routes = [
       // Check if user is authenticated and has admin access
       const authStore = useAuthStore()
       if (authStore.isAuthenticated) {
-        if (authStore.user?.can_access_admin_panel) {
+        if (authStore.can('admin.access')) {
           return { name: 'admin.error.notFound' }
         }
         return { name: 'user.error.notFound' }
@@ -159,6 +163,15 @@ router.beforeEach(async (to, _from, next) => {
 
   // Check if route requires authentication (auth meta is set)
   if (to.meta.auth !== undefined) {
+    // A user cached before permissions were sent has none to check, load them first
+    if (authStore.isAuthenticated && authStore.user.permissions === undefined) {
+      try {
+        await authStore.fetchUser()
+      } catch {
+        // A 401 logs out (handled below), anything else leaves the cached user in place
+      }
+    }
+
     // Ensure user is authenticated for all protected routes
     if (!authStore.isAuthenticated) {
       // No token or user, redirect to login
@@ -166,32 +179,37 @@ router.beforeEach(async (to, _from, next) => {
       return
     }
 
-    // Check role-based access
+    // Check panel access
     const requiredAuth = to.meta.auth
 
     if (requiredAuth === 'admin') {
-      // Admin-only route - check whitelist
-      if (!authStore.user?.can_access_admin_panel) {
+      // Admin-only route - admin.access is only granted to whitelisted users
+      if (!authStore.can('admin.access')) {
         // Regular users trying to access admin routes -> redirect to user 404
         next({ name: 'user.error.notFound' })
         return
       }
     } else if (requiredAuth === 'user') {
-      // User-only route - users with 'user' role only
-      if (authStore.user?.can_access_admin_panel) {
+      // User-only route - users without admin panel access only
+      if (authStore.can('admin.access')) {
         // Admins trying to access user-only routes -> redirect to admin 404
         next({ name: 'admin.error.notFound' })
         return
       }
 
-      // Check if user has 'user' role
-      if (!authStore.user?.is_user) {
+      if (!authStore.can('user.access')) {
         next({ name: 'user.error.notFound' })
         return
       }
     }
     // For requiredAuth === '' (common routes), user is authenticated and any role can access
 
+    // Check the page's own permission (e.g. "countries.viewAny")
+    if (!authStore.can(routePermission(to))) {
+      next({ name: requiredAuth === 'user' ? 'user.error.forbidden' : 'admin.error.forbidden' })
+      return
+    }
+
     next()
   }
   // Check if route is guest only (login, register, etc.)
@@ -206,7 +224,7 @@ router.beforeEach(async (to, _from, next) => {
         next(false)
       } else {
         // Direct navigation (new tab/refresh) or from another guest route, redirect to dashboard
-        const redirectTo = to.query.redirect || { name: authStore.user?.can_access_admin_panel ? 'admin.dashboard' : 'user.dashboard' }
+        const redirectTo = to.query.redirect || { name: authStore.can('admin.access') ? 'admin.dashboard' : 'user.dashboard' }
         next(redirectTo)
       }
     } else {
@@ -3,6 +3,8 @@
  * Handles all API calls for media uploads and management
  */
 
+import { chunkRange, forgetUpload, isRetryable, rememberUpload, retryDelay, storedUploadId, uploadFingerprint } from '@/utils/chunkedUpload'
+
 export const mediaService = {
   /**
    * Upload a single file
@@ -64,6 +66,149 @@ export const mediaService = {
     return response.data
   },
 
+  /**
+   * Start a chunked upload
+   * @param {File} file - The file to upload
+   * @param {string} modelType - Laravel model class
+   * @param {number} modelId - Model instance ID
+   * @param {string} collection - Spatie media collection name
+   * @returns {Promise<Object>} { data: { id, offset, size, chunk_size } }
+   */
+  async startChunkedUpload(file, modelType, modelId, collection = 'default') {
+    const response = await window.axios.post('/api/media/uploads', {
+      file_name: file.name,
+      size: file.size,
+      mime_type: file.type || null,
+      model_type: modelType,
+      model_id: modelId,
+      collection
+    })
+
+    return response.data
+  },
+
+  /**
+   * Get a chunked upload, with the offset to resume from
+   * @param {string} uploadId - Upload ID
+   */
+  async getChunkedUpload(uploadId) {
+    const response = await window.axios.get(`/api/media/uploads/${uploadId}`)
+    return response.data
+  },
+
+  /**
+   * Send one chunk of a chunked upload
+   * @param {string} uploadId - Upload ID
+   * @param {number} offset - Offset of the chunk in the file; must be the upload's offset
+   * @param {Blob} chunk - The bytes
+   * @param {Object} options - Upload options (onUploadProgress, cancelToken)
+   */
+  async uploadChunk(uploadId, offset, chunk, options = {}) {
+    const response = await window.axios.patch(`/api/media/uploads/${uploadId}`, chunk, {
+      headers: {
+        'Content-Type': 'application/offset+octet-stream',
+        'Upload-Offset': offset
+      },
+      onUploadProgress: options.onUploadProgress,
+      cancelToken: options.cancelToken
+    })
+
+    return response.data
+  },
+
+  /**
+   * Add a fully sent chunked upload to the media collection
+   * @param {string} uploadId - Upload ID
+   */
+  async completeChunkedUpload(uploadId) {
+    const response = await window.axios.post(`/api/media/uploads/${uploadId}/complete`)
+    return response.data
+  },
+
+  /**
+   * Cancel a chunked upload and discard what was sent
+   * @param {string} uploadId - Upload ID
+   */
+  async cancelChunkedUpload(uploadId) {
+    forgetUpload(uploadId)
+    const response = await window.axios.delete(`/api/media/uploads/${uploadId}`)
+    return response.data
+  },
+
+  /**
+   * Upload a file in chunks, resuming an earlier upload of the same file if there is one
+   * Failed chunks are retried with backoff; a cancelled request (pause) rejects, and calling
+   * this again with the same file continues from the offset the server has
+   * @param {File} file - The file to upload
+   * @param {string} modelType - Laravel model class
+   * @param {number} modelId - Model instance ID
+   * @param {string} collection - Spatie media collection name
+   * @param {Object} options - Upload options
+   * @param {Function} options.onUploadProgress - Progress callback ({ loaded, total } of the whole file)
+   * @param {Object} options.cancelToken - Axios cancel token
+   * @param {Function} options.onStarted - Called with the upload ID once known
+   * @param {number} options.retries - Attempts per chunk after the first (default 3)
+   * @returns {Promise<Object>} The upload response ({ data: media })
+   */
+  async uploadResumable(file, modelType, modelId, collection = 'default', options = {}) {
+    const { onUploadProgress, cancelToken, onStarted, retries = 3 } = options
+    const fingerprint = uploadFingerprint(file, { modelType, modelId, collection })
+
+    let upload = null
+    const storedId = storedUploadId(fingerprint)
+
+    if (storedId) {
+      try {
+        upload = (await this.getChunkedUpload(storedId)).data
+      } catch (error) {
+        // Expired or finished elsewhere: start over
+        if (error.response?.status !== 404) throw error
+        forgetUpload(storedId)
+      }
+    }
+
+    if (!upload) {
+      upload = (await this.startChunkedUpload(file, modelType, modelId, collection)).data
+      rememberUpload(fingerprint, upload.id)
+    }
+
+    onStarted?.(upload.id)
+
+    let offset = upload.offset
+    let attempt = 0
+
+    while (offset < file.size) {
+      const { start, end } = chunkRange(offset, file.size, upload.chunk_size)
+
+      try {
+        const response = await this.uploadChunk(upload.id, start, file.slice(start, end), {
+          cancelToken,
+          onUploadProgress: event => onUploadProgress?.({ loaded: start + event.loaded, total: file.size })
+        })
+
+        offset = response.data.offset
+        attempt = 0
+      } catch (error) {
+        // The server has a different offset (e.g. a retried chunk already arrived): continue from there
+        if (error.response?.status === 409) {
+          offset = error.response.data.offset
+          continue
+        }
+
+        if (window.axios.isCancel(error) || !isRetryable(error) || attempt >= retries) throw error
+
+        await new Promise(resolve => setTimeout(resolve, retryDelay(attempt++)))
+      }
+    }
+
+    onUploadProgress?.({ loaded: file.size, total: file.size })
+
+    const result = await this.completeChunkedUpload(upload.id)
+    forgetUpload(upload.id)
+
+    return result
+  },
+
   /**
    * Delete a media file
    * @param {number} mediaId - Media ID to delete
@@ -73,6 +218,99 @@ export const mediaService = {
     return response.data
   },
 
+  /**
+   * Update the caption and alt text of a media file
+   * @param {number} mediaId - Media ID
+   * @param {Object} data - { caption, alt }
+   */
+  async update(mediaId, data) {
+    const response = await window.axios.patch(`/api/media/${mediaId}`, data)
+    return response.data
+  },
+
+  /**
+   * Save the order of a gallery
+   * @param {number[]} ids - All media IDs of the collection, in their new order
+   */
+  async reorder(ids) {
+    const response = await window.axios.post('/api/media/reorder', { ids })
+    return response.data
+  },
+
+  /**
+   * Make a media file the cover of its collection
+   * @param {number} mediaId - Media ID
+   */
+  async setCover(mediaId) {
+    const response = await window.axios.post(`/api/media/${mediaId}/cover`)
+    return response.data
+  },
+
+  /**
+   * Replace the file of a media item, keeping its position, caption and alt text
+   * @param {number} mediaId - Media ID
+   * @param {File} file - The new file (e.g. an edited image)
+   * @param {Object} options - Upload options (onUploadProgress, cancelToken)
+   */
+  async replace(mediaId, file, options = {}) {
+    const formData = new FormData()
+    formData.append('file', file)
+
+    const response = await window.axios.post(`/api/media/${mediaId}/replace`, formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data'
+      },
+      onUploadProgress: options.onUploadProgress,
+      cancelToken: options.cancelToken
+    })
+
+    return response.data
+  },
+
+  /**
+   * Get the files of all models in the media library
+   * @param {Object} params - Filters: search, type, collection, model_type, page, perPage
+   * @returns {Promise}
+   */
+  async library(params = {}) {
+    const response = await window.axios.get('/api/media', { params })
+    return response.data
+  },
+
+  /**
+   * Get the options for the media library filters (types, collections and owner models)
+   * @returns {Promise}
+   */
+  async getLibraryFilters() {
+    const response = await window.axios.get('/api/media/filters')
+    return response.data
+  },
+
+  /**
+   * Delete several files of the media library
+   * @param {number[]} ids - Media IDs
+   */
+  async bulkDelete(ids) {
+    const response = await window.axios.post('/api/media/bulk-delete', { ids })
+    return response.data
+  },
+
+  /**
+   * Add a copy of a library file to a model's collection instead of uploading it again
+   * @param {number} mediaId - Media ID of the library file
+   * @param {string} modelType - Laravel model class
+   * @param {number} modelId - Model instance ID
+   * @param {string} collection - Spatie media collection name
+   */
+  async attach(mediaId, modelType, modelId, collection = 'default') {
+    const response = await window.axios.post(`/api/media/${mediaId}/attach`, {
+      model_type: modelType,
+      model_id: modelId,
+      collection
+    })
+    return response.data
+  },
+
   /**
    * Get media URL with optional conversion
    */
@@ -0,0 +1,27 @@
+/**
+ * Role Service
+ * Handles API calls for role permissions
+ */
+
+export const roleService = {
+  /**
+   * Get a role's permissions with the resources, abilities and pages of the permission matrix
+   * @param {number} roleId - ID of the role
+   * @returns {Promise}
+   */
+  async getPermissions(roleId) {
+    const response = await window.axios.get(`/api/roles/${roleId}/permissions`)
+    return response.data
+  },
+
+  /**
+   * Replace a role's permissions
+   * @param {number} roleId - ID of the role
+   * @param {Array<string>} permissions - Granted permissions
+   * @returns {Promise}
+   */
+  async updatePermissions(roleId, permissions) {
+    const response = await window.axios.put(`/api/roles/${roleId}/permissions`, { permissions })
+    return response.data
+  },
+}
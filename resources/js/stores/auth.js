@@ -6,6 +6,7 @@
 import { defineStore } from 'pinia'
 import { ref, computed } from 'vue'
 import { authService } from '@/services/authService'
+import { hasPermission } from '@/utils/permissions'
 
 export const useAuthStore = defineStore('auth', () => {
   // Helper function to get user from localStorage
@@ -102,6 +103,14 @@ export const useAuthStore = defineStore('auth', () => {
   const isAuthenticated = computed(() => !!token.value && !!user.value)
   const userName = computed(() => user.value?.name || '')
   const userEmail = computed(() => user.value?.email || '')
+  const permissions = computed(() => user.value?.permissions || [])
+
+  /**
+   * Check if the user has a permission (e.g. "countries.update" or "activity.view")
+   */
+  function can(permission) {
+    return hasPermission(permissions.value, permission)
+  }
 
   // Actions
   async function login(credentials) {
@@ -369,6 +378,8 @@ export const useAuthStore = defineStore('auth', () => {
     isAuthenticated,
     userName,
     userEmail,
+    permissions,
+    can,
     // Actions
     login,
     register,
@@ -18,6 +18,7 @@ export const useToastStore = defineStore('toast', () => {
       duration: toast.duration ?? defaultDuration.value,
       closable: toast.closable ?? true,
       icon: toast.icon,
+      action: toast.action, // Optional { label, handler } button, e.g. Undo
       timestamp: Date.now()
     }
 
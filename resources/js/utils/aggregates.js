@@ -0,0 +1,64 @@
+/**
+ * Row Grouping and Aggregate Utilities
+ * Aggregates come from the aggregates endpoint as { attribute: { sum, avg, min, max, count } },
+ * for the whole result set and per group
+ */
+
+export const AGGREGATE_LABELS = {
+  sum: 'Sum',
+  avg: 'Avg',
+  min: 'Min',
+  max: 'Max',
+  count: 'Count'
+}
+
+/**
+ * Key comparing a row's value with a group value from the server
+ * Rows hold display values (true, { id, display }) where the server groups raw ones (1, 5)
+ */
+export function groupKey(value) {
+  if (value === null || value === undefined || value === '') return ''
+  if (value === true) return '1'
+  if (value === false) return '0'
+  if (typeof value === 'object') return String(value.id ?? value.value ?? JSON.stringify(value))
+  return String(value)
+}
+
+/**
+ * Runs of consecutive rows sharing the value of an attribute (the index sorts by the group first)
+ * @returns {Array} [{ key, value, start, size }] with start the index of the first row
+ */
+export function groupRows(rows, attribute) {
+  const groups = []
+
+  rows.forEach((row, index) => {
+    const key = groupKey(row[attribute])
+    const last = groups[groups.length - 1]
+
+    if (last && last.key === key) {
+      last.size++
+    } else {
+      groups.push({ key, value: row[attribute], start: index, size: 1 })
+    }
+  })
+
+  return groups
+}
+
+/**
+ * Server groups by key, for the counts and aggregates of the groups on the page
+ */
+export function groupsByKey(groups) {
+  return new Map((groups || []).map(group => [groupKey(group.value), group]))
+}
+
+/**
+ * Display text of an aggregate value: numbers with up to 2 decimals, dates and text as they are
+ */
+export function formatAggregate(value) {
+  if (value === null || value === undefined) return '—'
+  if (typeof value === 'number') {
+    return new Intl.NumberFormat(undefined, { maximumFractionDigits: 2 }).format(value)
+  }
+  return String(value)
+}
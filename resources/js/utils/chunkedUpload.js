@@ -0,0 +1,78 @@
+/**
+ * Chunked Upload Utilities
+ * Large files are uploaded in chunks at the offset the server reports (tus-style).
+ * Started uploads are remembered in localStorage by file, so choosing the same file
+ * again - also after a page reload - resumes the upload instead of starting over
+ */
+
+export const STORAGE_KEY = 'media_chunked_uploads'
+
+/**
+ * Key identifying a file uploaded to a model's collection
+ */
+export function uploadFingerprint(file, { modelType, modelId, collection }) {
+  return [modelType, modelId, collection, file.name, file.size, file.lastModified].join('|')
+}
+
+function readStored() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {}
+  } catch {
+    return {}
+  }
+}
+
+function writeStored(uploads) {
+  try {
+    if (Object.keys(uploads).length) {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(uploads))
+    } else {
+      localStorage.removeItem(STORAGE_KEY)
+    }
+  } catch {
+    // Without storage, uploads can still be paused and resumed until the page is left
+  }
+}
+
+/**
+ * Upload ID stored for a file, if its upload was started before
+ */
+export function storedUploadId(fingerprint) {
+  return readStored()[fingerprint] || null
+}
+
+export function rememberUpload(fingerprint, uploadId) {
+  writeStored({ ...readStored(), [fingerprint]: uploadId })
+}
+
+/**
+ * Forget a finished or cancelled upload
+ */
+export function forgetUpload(uploadId) {
+  const uploads = readStored()
+  writeStored(Object.fromEntries(Object.entries(uploads).filter(([, id]) => id !== uploadId)))
+}
+
+/**
+ * Byte range of the chunk starting at an offset
+ * @returns {Object} { start, end } - end is exclusive, as for Blob.slice
+ */
+export function chunkRange(offset, size, chunkSize) {
+  return { start: offset, end: Math.min(offset + chunkSize, size) }
+}
+
+/**
+ * Whether a failed chunk request is worth sending again: network errors, timeouts and server errors
+ */
+export function isRetryable(error) {
+  const status = error?.response?.status
+  if (!status) return true
+  return status === 408 || status === 429 || status >= 500
+}
+
+/**
+ * Milliseconds to wait before a retry: 1s, 2s, 4s, ... up to 30s
+ */
+export function retryDelay(attempt) {
+  return Math.min(1000 * 2 ** attempt, 30000)
+}
@@ -0,0 +1,125 @@
+/**
+ * Command Palette Utilities
+ * Commands are { id, type, label, description, icon, to?, run? } where type is
+ * "action", "page" or "record"; pages come from the menu and the router
+ */
+
+import { routePermission } from '@/utils/permissions'
+
+const WORD_SEPARATORS = ' -_./:'
+
+/**
+ * How well a query matches a text, or null when its characters do not all appear in order
+ * Matches at the start, at word starts and in a row score higher
+ */
+export function fuzzyScore(query, text) {
+  const needle = (query || '').trim().toLowerCase()
+  const haystack = (text || '').toLowerCase()
+
+  if (!needle) return 0
+
+  let score = 0
+  let last = -1
+
+  for (const char of needle) {
+    const index = haystack.indexOf(char, last + 1)
+    if (index === -1) return null
+
+    score += 1
+    if (index === last + 1) score += 3
+    if (index === 0 || WORD_SEPARATORS.includes(haystack[index - 1])) score += 4
+    // Letters skipped between two matches
+    if (last >= 0) score -= Math.min(index - last - 1, 5) * 0.2
+    last = index
+  }
+
+  if (haystack.startsWith(needle)) score += 15
+  else if (haystack.includes(needle)) score += 10
+
+  return score
+}
+
+/**
+ * Commands matching the query, best first (all of them, in order, for an empty query)
+ */
+export function searchCommands(commands, query, limit = 8) {
+  if (!(query || '').trim()) return commands.slice(0, limit)
+
+  return commands
+    .map(command => ({
+      command,
+      score: Math.max(
+        fuzzyScore(query, command.label) ?? -Infinity,
+        // Descriptions (paths, resource names) help, but less than the label
+        (fuzzyScore(query, command.description) ?? -Infinity) - 5
+      )
+    }))
+    .filter(entry => entry.score > -Infinity)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(entry => entry.command)
+}
+
+/**
+ * Page commands for menu items ({ to, icon, label })
+ */
+export function menuCommands(items) {
+  return items.map(item => ({
+    id: `page:${item.to.name}`,
+    type: 'page',
+    label: item.label,
+    description: null,
+    icon: item.icon,
+    to: item.to
+  }))
+}
+
+/**
+ * Page commands for the named routes of a panel the user may open
+ * Routes with parameters, redirects, error pages and routes without a title are left out
+ * @param {Array} routes - router.getRoutes()
+ * @param {String} panel - "admin" or "user" (meta.auth)
+ * @param {Function} can - Permission check of the current user
+ */
+export function routeCommands(routes, panel, can) {
+  return routes
+    .filter(route => {
+      return route.name
+        && route.meta?.title
+        && route.meta.auth === panel
+        && !route.redirect
+        && !route.path.includes(':')
+        && !/\.(error|notFound)/.test(route.name)
+        && can(routePermission(route))
+    })
+    .map(route => ({
+      id: `page:${route.name}`,
+      type: 'page',
+      label: route.meta.title,
+      description: route.path,
+      icon: 'link',
+      to: { name: route.name }
+    }))
+}
+
+/**
+ * Commands without duplicates, keeping the first of each id
+ */
+export function uniqueCommands(commands) {
+  const seen = new Set()
+
+  return commands.filter(command => {
+    if (seen.has(command.id)) return false
+    seen.add(command.id)
+    return true
+  })
+}
+
+/**
+ * Label of a record in search results: its title attribute, or its ID
+ */
+export function recordLabel(record, titleAttribute) {
+  const title = record[titleAttribute]
+  if (title === null || title === undefined || title === '') return `#${record.id}`
+  return typeof title === 'object' ? title.display ?? `#${record.id}` : String(title)
+}
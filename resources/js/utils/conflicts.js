@@ -0,0 +1,60 @@
+/**
+ * Conflict Utilities
+ * Field-by-field comparison of a form being saved ("mine") with the record as someone else
+ * saved it meanwhile ("theirs"), for resolving a 409 from an outdated version in ResourceForm
+ */
+
+/**
+ * Comparable form of a value: empty values are alike, and so are 1, "1" and true
+ */
+function normalize(value) {
+  if (value === null || value === undefined || value === '') return null
+  if (typeof value === 'boolean') return value ? '1' : '0'
+  if (typeof value === 'number') return String(value)
+  if (Array.isArray(value)) return value.map(entry => JSON.stringify(normalize(entry))).sort()
+  return value
+}
+
+export function sameValue(a, b) {
+  return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b))
+}
+
+/**
+ * Fields where the value being saved differs from the current one
+ * Fields the user changed default to keeping theirs ("mine"); the others to taking the current value
+ * @param {Array} fields - Form fields
+ * @param {Object} original - Values when the form was loaded
+ * @param {Object} mine - Values being saved
+ * @param {Object} theirs - Current values
+ * @returns {Array} { field, mine, theirs, mineChanged, theirsChanged, choice }
+ */
+export function conflictingFields(fields, original, mine, theirs) {
+  return fields
+    .filter(field => Object.prototype.hasOwnProperty.call(theirs, field.attribute))
+    .filter(field => !sameValue(mine[field.attribute], theirs[field.attribute]))
+    .map(field => {
+      const mineChanged = !sameValue(mine[field.attribute], original[field.attribute])
+
+      return {
+        field,
+        mine: mine[field.attribute],
+        theirs: theirs[field.attribute],
+        mineChanged,
+        theirsChanged: !sameValue(theirs[field.attribute], original[field.attribute]),
+        choice: mineChanged ? 'mine' : 'theirs'
+      }
+    })
+}
+
+/**
+ * Values to save after choosing per field
+ */
+export function mergeConflicts(mine, conflicts) {
+  const merged = { ...mine }
+
+  for (const conflict of conflicts) {
+    merged[conflict.field.attribute] = conflict.choice === 'theirs' ? conflict.theirs : conflict.mine
+  }
+
+  return merged
+}
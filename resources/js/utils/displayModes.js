@@ -0,0 +1,60 @@
+/**
+ * Resource Listing Display Mode Utilities
+ * Listings show as a table, as a card grid (resources with an image or media field)
+ * or as a kanban board (resources with a select field with options)
+ */
+
+export const DISPLAY_MODES = [
+  { value: 'table', label: 'Table', icon: 'table' },
+  { value: 'grid', label: 'Cards', icon: 'squares-2x2' },
+  { value: 'kanban', label: 'Board', icon: 'view-columns' }
+]
+
+/**
+ * Image or media field shown at the top of grid cards, if any
+ */
+export function cardImageField(fields) {
+  return (fields || []).find(field => field.type === 'image' || field.type === 'media') || null
+}
+
+/**
+ * Select field whose options are the kanban columns: the first single select with static options
+ */
+export function kanbanField(fields) {
+  return (fields || []).find(field => {
+    return field.type === 'select' && !field.meta?.multiple && Object.keys(field.meta?.options || {}).length > 0
+  }) || null
+}
+
+/**
+ * Display modes the fields allow, in DISPLAY_MODES order
+ */
+export function availableDisplayModes(fields) {
+  return DISPLAY_MODES.filter(mode => {
+    if (mode.value === 'grid') return !!cardImageField(fields)
+    if (mode.value === 'kanban') return !!kanbanField(fields)
+    return true
+  })
+}
+
+/**
+ * Kanban columns for the field's options, in option order, with the records of each
+ * Records whose value is not an option get a column of their own after the options
+ * @returns {Array} [{ value, label, items }]
+ */
+export function kanbanColumns(items, field) {
+  const columns = Object.entries(field.meta?.options || {}).map(([value, label]) => ({ value, label, items: [] }))
+
+  for (const item of items || []) {
+    const value = item[field.attribute] === null || item[field.attribute] === undefined ? '' : String(item[field.attribute])
+    let column = columns.find(candidate => candidate.value === value)
+
+    if (!column) {
+      column = { value, label: value || 'None', items: [] }
+      columns.push(column)
+    }
+    column.items.push(item)
+  }
+
+  return columns
+}
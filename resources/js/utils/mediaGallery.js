@@ -0,0 +1,94 @@
+/**
+ * Media Gallery Utilities
+ * Media field values are one media item ({ id, url, thumbnail, ... }) or, for multiple
+ * and gallery fields, a list of them in media order; one item of a gallery can be the cover
+ */
+
+/**
+ * Media items of a field value, as a list
+ */
+export function mediaItems(value) {
+  if (!value) return []
+  return Array.isArray(value) ? value : [value]
+}
+
+/**
+ * Item shown where a record has room for one image: the cover, else the first item
+ */
+export function coverMedia(value) {
+  const items = mediaItems(value)
+  return items.find(item => item.cover) || items[0] || null
+}
+
+/**
+ * The items with only the given one marked as cover
+ */
+export function withCover(items, id) {
+  return items.map(item => ({ ...item, cover: item.id === id }))
+}
+
+/**
+ * Whether a file matches the accepted types ('image/*', 'application/pdf', ...)
+ */
+export function acceptsFile(file, acceptedTypes) {
+  if (!acceptedTypes?.length) return true
+
+  return acceptedTypes.some(type => {
+    if (type.endsWith('/*')) {
+      return file.type.startsWith(type.slice(0, -1))
+    }
+    return file.type === type
+  })
+}
+
+/**
+ * Why a file cannot be added, or null when it can
+ * @param {File} file
+ * @param {Object} options - { acceptedTypes, maxFileSize (MB) }
+ */
+export function fileError(file, { acceptedTypes = [], maxFileSize = null } = {}) {
+  if (!acceptsFile(file, acceptedTypes)) {
+    return `${file.name} is not an accepted file type`
+  }
+
+  if (maxFileSize && file.size > maxFileSize * 1024 * 1024) {
+    return `${file.name} is larger than ${maxFileSize}MB`
+  }
+
+  return null
+}
+
+/**
+ * Split dropped files into those to upload and the errors of the others,
+ * keeping within the number of free places of the gallery
+ * @returns {Object} { files, errors }
+ */
+export function partitionFiles(files, { acceptedTypes = [], maxFileSize = null, maxFiles = null, count = 0 } = {}) {
+  const accepted = []
+  const errors = []
+
+  for (const file of files) {
+    const error = fileError(file, { acceptedTypes, maxFileSize })
+    if (error) {
+      errors.push(error)
+    } else if (maxFiles && count + accepted.length >= maxFiles) {
+      errors.push(`${file.name} was not added: the gallery holds at most ${maxFiles} files`)
+    } else {
+      accepted.push(file)
+    }
+  }
+
+  return { files: accepted, errors }
+}
+
+/**
+ * Lightbox images of the media items, with the caption as name when there is one
+ */
+export function lightboxImages(items) {
+  return items.map(item => ({
+    ...item,
+    url: item.url,
+    name: item.caption || item.name,
+    alt: item.alt || item.caption || item.name || ''
+  }))
+}
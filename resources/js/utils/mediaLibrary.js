@@ -0,0 +1,102 @@
+/**
+ * Media Library Utilities
+ * The library lists the files of all models; the media picker selects some of them
+ * to reuse in a field or the rich text editor instead of uploading them again
+ */
+
+import { acceptsFile } from '@/utils/mediaGallery'
+
+// Labels of the file types the library can be filtered by
+export const MEDIA_TYPE_LABELS = {
+  image: 'Images',
+  video: 'Videos',
+  audio: 'Audio',
+  document: 'Documents'
+}
+
+// Icon of a file without a preview, by type
+const TYPE_ICONS = {
+  image: 'image',
+  video: 'film',
+  audio: 'music-note',
+  document: 'file'
+}
+
+/**
+ * Query parameters of the library filters, without the ones left empty
+ */
+export function libraryParams(filters, page = 1) {
+  const params = Object.fromEntries(
+    Object.entries(filters).filter(([, value]) => value !== '' && value !== null && value !== undefined)
+  )
+
+  return { ...params, page }
+}
+
+/**
+ * Library type that covers all the accepted types, e.g. 'image' for ['image/*'],
+ * or null when they span several types
+ */
+export function acceptedMediaType(acceptedTypes) {
+  if (!acceptedTypes?.length) return null
+
+  // Types other than images, videos and audio are all documents
+  const types = new Set(acceptedTypes.map(type => {
+    const group = type.split('/')[0]
+    return TYPE_ICONS[group] ? group : 'document'
+  }))
+
+  return types.size === 1 ? [...types][0] : null
+}
+
+/**
+ * Whether a library item matches the accepted types ('image/*', 'application/pdf', ...)
+ */
+export function acceptsMedia(item, acceptedTypes) {
+  return acceptsFile({ type: item.mime_type || '' }, acceptedTypes)
+}
+
+/**
+ * Icon of a library item without a preview
+ */
+export function mediaTypeIcon(item) {
+  return TYPE_ICONS[item.type] || TYPE_ICONS.document
+}
+
+/**
+ * The selection after clicking an item: a single pick replaces the selection,
+ * a multiple pick toggles the item while keeping within the limit
+ * @param {Array} selected - Selected items
+ * @param {Object} item - Clicked item
+ * @param {Object} options - { multiple, max }
+ */
+export function toggleSelection(selected, item, { multiple = false, max = null } = {}) {
+  const isSelected = selected.some(entry => entry.id === item.id)
+
+  if (!multiple) {
+    return isSelected ? [] : [item]
+  }
+
+  if (isSelected) {
+    return selected.filter(entry => entry.id !== item.id)
+  }
+
+  if (max !== null && selected.length >= max) {
+    return selected
+  }
+
+  return [...selected, item]
+}
+
+/**
+ * Human readable file size
+ */
+export function formatFileSize(bytes) {
+  if (!bytes) return '0 B'
+
+  const k = 1024
+  const sizes = ['B', 'KB', 'MB', 'GB']
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(k)), sizes.length - 1)
+
+  return `${parseFloat((bytes / Math.pow(k, i)).toFixed(1))} ${sizes[i]}`
+}
@@ -0,0 +1,40 @@
+/**
+ * Permission Utilities
+ * Permissions are resource abilities ("countries.update") or page permissions ("activity.view").
+ * The user payload lists every permission the user's roles grant.
+ */
+
+/**
+ * Whether a permission is in the list; no permission required means allowed
+ */
+export function hasPermission(permissions, permission) {
+  if (!permission) return true
+  return Array.isArray(permissions) && permissions.includes(permission)
+}
+
+/**
+ * Permission a route requires, from meta.permission
+ * (a string, or a function of the route for routes like the resource detail page)
+ */
+export function routePermission(route) {
+  const permission = route?.meta?.permission
+  return typeof permission === 'function' ? permission(route) : permission || null
+}
+
+/**
+ * Menu items the user may open
+ */
+export function filterMenuItems(items, permissions) {
+  return items.filter(item => hasPermission(permissions, item.permission))
+}
+
+/**
+ * Copy of the granted permissions with the given ones added or removed
+ */
+export function togglePermissions(granted, permissions, enabled) {
+  if (enabled) {
+    return [...new Set([...granted, ...permissions])]
+  }
+
+  return granted.filter(permission => !permissions.includes(permission))
+}
@@ -0,0 +1,112 @@
+/**
+ * Query Builder Utilities
+ * Conditions for the advanced filter mode: a group is { match: 'all'|'any', rules: [] }
+ * whose rules are conditions { filter, operator, value } on a resource filter, or nested groups
+ */
+
+export const OPERATOR_LABELS = {
+  equals: 'is',
+  not_equals: 'is not',
+  in: 'is any of',
+  not_in: 'is none of',
+  contains: 'contains',
+  not_contains: 'does not contain',
+  starts_with: 'starts with',
+  ends_with: 'ends with',
+  gt: 'is greater than',
+  gte: 'is at least',
+  lt: 'is less than',
+  lte: 'is at most',
+  between: 'is between',
+  before: 'is before',
+  after: 'is after',
+  relative: 'is in the',
+  is_true: 'is true',
+  is_false: 'is false',
+  is_empty: 'is empty',
+  is_not_empty: 'is not empty'
+}
+
+export const RELATIVE_DATE_RANGES = [
+  { value: 'today', label: 'Today' },
+  { value: 'yesterday', label: 'Yesterday' },
+  { value: 'last_7_days', label: 'Last 7 days' },
+  { value: 'last_30_days', label: 'Last 30 days' },
+  { value: 'this_week', label: 'This week' },
+  { value: 'this_month', label: 'This month' },
+  { value: 'last_month', label: 'Last month' },
+  { value: 'this_year', label: 'This year' }
+]
+
+const VALUELESS_OPERATORS = ['is_empty', 'is_not_empty', 'is_true', 'is_false']
+
+export function createGroup(match = 'all') {
+  return { match, rules: [] }
+}
+
+/**
+ * New condition on a filter, using its first operator
+ */
+export function createRule(filter) {
+  const operator = filter.operators[0]
+
+  return { filter: filter.key, operator, value: defaultValue(operator) }
+}
+
+export function defaultValue(operator) {
+  if (VALUELESS_OPERATORS.includes(operator)) return null
+  if (operator === 'in' || operator === 'not_in') return []
+  if (operator === 'between') return ['', '']
+  return ''
+}
+
+export function isGroup(rule) {
+  return Array.isArray(rule?.rules)
+}
+
+/**
+ * How a condition's value is entered
+ * @returns {String} none, relative, multi-select, select, range, date, number or text
+ */
+export function valueInput(filter, operator) {
+  if (!filter || VALUELESS_OPERATORS.includes(operator)) return 'none'
+  if (operator === 'relative') return 'relative'
+  if (operator === 'in' || operator === 'not_in') return 'multi-select'
+  if (operator === 'between') return 'range'
+  if (filter.options?.length) return 'select'
+  if (filter.type === 'date-range') return 'date'
+  if (filter.type === 'number-range') return 'number'
+  return 'text'
+}
+
+/**
+ * Whether a condition has the value its operator needs (the server skips incomplete ones)
+ */
+export function isRuleComplete(rule) {
+  if (VALUELESS_OPERATORS.includes(rule.operator)) return true
+  if (rule.operator === 'between') {
+    return Array.isArray(rule.value) && rule.value.length === 2 && rule.value.every(bound => bound !== '' && bound !== null)
+  }
+  if (Array.isArray(rule.value)) return rule.value.length > 0
+  return rule.value !== '' && rule.value !== null && rule.value !== undefined
+}
+
+/**
+ * Copy of a group without incomplete conditions and empty groups, or null when nothing is left
+ */
+export function pruneGroup(group) {
+  const rules = (group?.rules || [])
+    .map(rule => isGroup(rule) ? pruneGroup(rule) : (isRuleComplete(rule) ? { ...rule } : null))
+    .filter(Boolean)
+
+  return rules.length ? { match: group.match === 'any' ? 'any' : 'all', rules } : null
+}
+
+/**
+ * Number of conditions in a group and its nested groups
+ */
+export function countConditions(group) {
+  return (group?.rules || []).reduce((count, rule) => {
+    return count + (isGroup(rule) ? countConditions(rule) : 1)
+  }, 0)
+}
@@ -0,0 +1,56 @@
+/**
+ * Rich Content Utilities
+ * Display of rich text (HTML), markdown and code field values: always sanitized with DOMPurify,
+ * as HTML for detail views and previews or as a short plain-text excerpt for table cells
+ */
+
+import { marked } from 'marked'
+import DOMPurify from 'dompurify'
+
+// Closing block tags and line breaks become spaces so excerpts don't run words together
+const BLOCK_BOUNDARY = /<\/(p|div|h[1-6]|li|blockquote|pre|tr|td|th)>|<br\s*\/?>/gi
+
+export function isRichTextType(type) {
+  return type === 'rich-text' || type === 'richText'
+}
+
+/**
+ * Whether values of the field type are displayed as HTML (rich text and markdown)
+ */
+export function isHtmlContentType(type) {
+  return isRichTextType(type) || type === 'markdown'
+}
+
+export function sanitizeHtml(html) {
+  return DOMPurify.sanitize(html || '')
+}
+
+export function renderMarkdown(markdown) {
+  return DOMPurify.sanitize(marked.parse(markdown || '', { async: false }))
+}
+
+/**
+ * Sanitized HTML of a rich text or markdown value
+ */
+export function contentHtml(value, type) {
+  return type === 'markdown' ? renderMarkdown(value) : sanitizeHtml(value)
+}
+
+/**
+ * Plain-text excerpt of a rich text, markdown or code value, at most `length` characters
+ * Code keeps its first line only
+ */
+export function contentExcerpt(value, type, length = 80) {
+  if (value === null || value === undefined || value === '') return ''
+
+  let text
+  if (type === 'code') {
+    text = String(value).split('\n').find(line => line.trim()) || ''
+  } else {
+    const html = contentHtml(String(value), type).replace(BLOCK_BOUNDARY, match => `${match} `)
+    text = new DOMParser().parseFromString(html, 'text/html').body.textContent || ''
+  }
+
+  text = text.replace(/\s+/g, ' ').trim()
+  return text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text
+}
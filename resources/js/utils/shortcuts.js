@@ -0,0 +1,108 @@
+/**
+ * Keyboard Shortcut Utilities
+ * Shortcuts are written as key combinations like "j", "?", "Delete" or "mod+k",
+ * where "mod" is Cmd on macOS and Ctrl elsewhere
+ */
+
+const MODIFIERS = ['mod', 'ctrl', 'alt', 'shift']
+
+const KEY_LABELS = {
+  arrowup: '↑',
+  arrowdown: '↓',
+  arrowleft: '←',
+  arrowright: '→',
+  enter: 'Enter',
+  escape: 'Esc',
+  delete: 'Del',
+  backspace: 'Backspace',
+  ' ': 'Space'
+}
+
+export function isMac() {
+  return typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform || '')
+}
+
+/**
+ * Split a combination into its key and modifiers
+ * @returns {{ key: String, mod: Boolean, ctrl: Boolean, alt: Boolean, shift: Boolean }}
+ */
+export function parseShortcut(combo) {
+  const parts = combo.split('+')
+  // "mod++" ends with an empty part for the plus key itself
+  const key = parts.pop() || '+'
+  const modifiers = parts.map(part => part.toLowerCase())
+
+  return {
+    key: key.toLowerCase(),
+    ...Object.fromEntries(MODIFIERS.map(modifier => [modifier, modifiers.includes(modifier)]))
+  }
+}
+
+/**
+ * Whether a keydown event is the given combination
+ * Shift is ignored for symbol keys, as typing "?" or "/" may need it depending on the layout
+ */
+export function matchesShortcut(event, combo) {
+  const shortcut = parseShortcut(combo)
+  const key = (event.key || '').toLowerCase()
+
+  if (key !== shortcut.key) return false
+
+  const mod = isMac() ? event.metaKey : event.ctrlKey
+  const ctrl = isMac() ? event.ctrlKey : false
+  if (mod !== shortcut.mod || ctrl !== shortcut.ctrl || event.altKey !== shortcut.alt) return false
+  // Cmd on other platforms is left to the browser and the OS
+  if (!isMac() && event.metaKey) return false
+
+  const isSymbol = shortcut.key.length === 1 && !/[a-z0-9]/.test(shortcut.key)
+  return isSymbol || event.shiftKey === shortcut.shift
+}
+
+/**
+ * Whether the user is typing in the element, so single keys belong to it
+ */
+export function isTypingTarget(element) {
+  if (!element || !element.tagName) return false
+  if (element.isContentEditable) return true
+
+  const tag = element.tagName.toLowerCase()
+  if (tag === 'textarea' || tag === 'select') return true
+  if (tag !== 'input') return false
+
+  return !['checkbox', 'radio', 'button', 'submit', 'reset', 'range', 'color', 'file'].includes(element.type)
+}
+
+/**
+ * Whether the focused element uses the key itself: fields take every key,
+ * buttons and links take Enter and Space
+ */
+export function targetHandlesKey(element, key) {
+  if (isTypingTarget(element)) return true
+  if (key !== 'Enter' && key !== ' ') return false
+
+  return !!element?.closest?.('button, a[href], summary, [role="button"], [role="link"]')
+}
+
+/**
+ * Keys of a combination as shown in <kbd> tags, e.g. "mod+k" => ["⌘", "K"] on macOS and ["Ctrl", "K"] elsewhere
+ */
+export function shortcutLabel(combo) {
+  const shortcut = parseShortcut(combo)
+  const keys = []
+
+  if (shortcut.ctrl) keys.push(isMac() ? '⌃' : 'Ctrl')
+  if (shortcut.mod) keys.push(isMac() ? '⌘' : 'Ctrl')
+  if (shortcut.alt) keys.push(isMac() ? '⌥' : 'Alt')
+  if (shortcut.shift) keys.push(isMac() ? '⇧' : 'Shift')
+
+  if (KEY_LABELS[shortcut.key]) {
+    keys.push(KEY_LABELS[shortcut.key])
+  } else if (shortcut.key.length === 1) {
+    // Single keys read as typed ("j"), letters after modifiers as on the keycap ("⌘ K")
+    keys.push(keys.length ? shortcut.key.toUpperCase() : shortcut.key)
+  } else {
+    keys.push(combo.split('+').pop())
+  }
+
+  return keys
+}
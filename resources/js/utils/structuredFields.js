@@ -0,0 +1,115 @@
+/**
+ * Structured Field Utilities
+ * Rows of repeater fields and pairs of key-value fields: new rows, per-row validation errors
+ * and conversion between stored objects and editable pair lists
+ */
+
+/**
+ * A new repeater row with each row field's default value
+ */
+export function emptyRow(fields) {
+  const row = {}
+
+  for (const field of fields || []) {
+    if (field.default !== null && field.default !== undefined) {
+      row[field.attribute] = field.default
+    } else if (field.type === 'boolean') {
+      row[field.attribute] = false
+    } else if (field.type === 'repeater' || (field.type === 'select' && field.meta?.multiple)) {
+      row[field.attribute] = []
+    } else {
+      row[field.attribute] = null
+    }
+  }
+
+  return row
+}
+
+/**
+ * Validation errors of one row, keyed relative to the row
+ * The server reports row errors under dotted paths: "addresses.1.city" becomes "city" for row 1
+ * and "addresses.1.phones.0.number" becomes "phones.0.number" for a repeater inside the row
+ */
+export function rowErrors(errors, path, index) {
+  const prefix = `${path}.${index}.`
+  const result = {}
+
+  for (const [key, messages] of Object.entries(errors || {})) {
+    if (key.startsWith(prefix)) {
+      result[key.slice(prefix.length)] = messages
+    }
+  }
+
+  return result
+}
+
+/**
+ * Validation errors of key-value entries, keyed by entry key ("metadata.motto" becomes "motto")
+ */
+export function pairErrors(errors, path) {
+  const prefix = `${path}.`
+  const result = {}
+
+  for (const [key, messages] of Object.entries(errors || {})) {
+    if (key.startsWith(prefix)) {
+      result[key.slice(prefix.length)] = messages
+    }
+  }
+
+  return result
+}
+
+/**
+ * Editable pairs of a key-value object, in key order
+ * @returns {Array} [{ key, value }]
+ */
+export function pairsFromObject(object) {
+  if (!object || typeof object !== 'object' || Array.isArray(object)) return []
+  return Object.entries(object).map(([key, value]) => ({ key, value }))
+}
+
+/**
+ * Object of the pairs with a key; for repeated keys the last pair wins
+ */
+export function objectFromPairs(pairs) {
+  const object = {}
+
+  for (const pair of pairs || []) {
+    const key = (pair.key ?? '').trim()
+    if (key !== '') {
+      object[key] = pair.value
+    }
+  }
+
+  return object
+}
+
+/**
+ * Keys used by more than one pair
+ */
+export function duplicateKeys(pairs) {
+  const seen = new Set()
+  const duplicates = new Set()
+
+  for (const pair of pairs || []) {
+    const key = (pair.key ?? '').trim()
+    if (key === '') continue
+    if (seen.has(key)) duplicates.add(key)
+    seen.add(key)
+  }
+
+  return duplicates
+}
+
+/**
+ * Short display text of a repeater or key-value value, for table cells
+ */
+export function structuredSummary(value, type) {
+  if (type === 'repeater') {
+    const count = Array.isArray(value) ? value.length : 0
+    return count ? `${count} ${count === 1 ? 'item' : 'items'}` : '-'
+  }
+
+  const pairs = pairsFromObject(value)
+  return pairs.length ? pairs.map(pair => `${pair.key}: ${pair.value ?? ''}`).join(', ') : '-'
+}
@@ -1,5 +1,6 @@
 <?php
 
+use App\Core\Http\Controllers\ActivityController;
 use App\Core\Http\Controllers\ResourceController;
 use App\Http\Controllers\Api\AuthController;
 use App\Http\Controllers\Api\CommentController;
@@ -7,6 +8,7 @@
 use App\Http\Controllers\Api\EmailTemplateController;
 use App\Http\Controllers\Api\ImpersonationController;
 use App\Http\Controllers\Api\MediaController;
+use App\Http\Controllers\Api\RolePermissionController;
 use App\Http\Controllers\Api\SettingsController;
 use App\Http\Controllers\Api\TimezonesController;
 use App\Http\Controllers\Api\UserSettingsController;
@@ -47,9 +49,11 @@
         Route::get('/settings', [SettingsController::class, 'index'])->name('api.settings.index');
         Route::get('/settings/groups', [SettingsController::class, 'groups'])->name('api.settings.groups');
         Route::get('/settings/{key}', [SettingsController::class, 'show'])->name('api.settings.show');
-        Route::post('/settings', [SettingsController::class, 'store'])->name('api.settings.store');
-        Route::put('/settings/{key}', [SettingsController::class, 'update'])->name('api.settings.update');
-        Route::delete('/settings/{key}', [SettingsController::class, 'destroy'])->name('api.settings.destroy');
+        Route::middleware('permission:settings.manage')->group(function () {
+            Route::post('/settings', [SettingsController::class, 'store'])->name('api.settings.store');
+            Route::put('/settings/{key}', [SettingsController::class, 'update'])->name('api.settings.update');
+            Route::delete('/settings/{key}', [SettingsController::class, 'destroy'])->name('api.settings.destroy');
+        });
     });
 
     // Settings lists (public within auth)
@@ -62,7 +66,7 @@
     Route::put('/user/settings/{key}', [UserSettingsController::class, 'updateSingle'])->name('api.user.settings.update-single');
 
     // Email template routes (admin-only)
-    Route::middleware('admin')->prefix('email-templates')->name('api.email-templates.')->group(function () {
+    Route::middleware(['admin', 'permission:email-templates.manage'])->prefix('email-templates')->name('api.email-templates.')->group(function () {
         Route::get('/', [EmailTemplateController::class, 'index'])->name('index');
         Route::post('/', [EmailTemplateController::class, 'store'])->name('store');
         Route::get('/{template}', [EmailTemplateController::class, 'show'])->name('show');
@@ -78,6 +82,26 @@
     Route::prefix('media')->name('api.media.')->group(function () {
         Route::post('/upload', [MediaController::class, 'upload'])->name('upload');
         Route::post('/upload-multiple', [MediaController::class, 'uploadMultiple'])->name('upload-multiple');
+        Route::post('/reorder', [MediaController::class, 'reorder'])->name('reorder');
+
+        // Media library of all models' files and the picker that reuses them (admin-only)
+        Route::middleware(['admin', 'permission:media.manage'])->group(function () {
+            Route::get('/', [MediaController::class, 'index'])->name('index');
+            Route::get('/filters', [MediaController::class, 'filters'])->name('filters');
+            Route::post('/bulk-delete', [MediaController::class, 'bulkDestroy'])->name('bulk-delete');
+            Route::post('/{media}/attach', [MediaController::class, 'attach'])->name('attach');
+        });
+
+        // Chunked, resumable uploads (start, offset, append chunk, complete, cancel)
+        Route::post('/uploads', [MediaController::class, 'startUpload'])->name('uploads.start');
+        Route::get('/uploads/{upload}', [MediaController::class, 'uploadStatus'])->name('uploads.show');
+        Route::patch('/uploads/{upload}', [MediaController::class, 'uploadChunk'])->name('uploads.chunk');
+        Route::post('/uploads/{upload}/complete', [MediaController::class, 'completeUpload'])->name('uploads.complete');
+        Route::delete('/uploads/{upload}', [MediaController::class, 'cancelUpload'])->name('uploads.cancel');
+
+        Route::patch('/{media}', [MediaController::class, 'update'])->name('update');
+        Route::post('/{media}/cover', [MediaController::class, 'cover'])->name('cover');
+        Route::post('/{media}/replace', [MediaController::class, 'replace'])->name('replace');
         Route::get('/{media}/download', [MediaController::class, 'download'])->name('download');
         Route::delete('/{media}', [MediaController::class, 'destroy'])->name('destroy');
     });
@@ -90,10 +114,30 @@
         Route::delete('/{comment}', [CommentController::class, 'destroy'])->name('comments.destroy');
     });
 
+    // Activity log of changes made through the resource API (admin-only)
+    Route::middleware(['admin', 'permission:activity.view'])->prefix('activity')->name('api.activity.')->group(function () {
+        Route::get('/', [ActivityController::class, 'index'])->name('index');
+        Route::get('/meta', [ActivityController::class, 'meta'])->name('meta');
+    });
+
+    // Role permission matrix (admin-only)
+    Route::middleware('admin')->prefix('roles/{role}/permissions')->name('api.roles.permissions.')->group(function () {
+        Route::get('/', [RolePermissionController::class, 'show'])->middleware('permission:roles.view')->name('show');
+        Route::put('/', [RolePermissionController::class, 'update'])->middleware('permission:roles.update')->name('update');
+    });
+
     // Generic Resource CRUD routes (admin-only)
     Route::middleware('admin')->prefix('resources')->name('api.resources.')->group(function () {
+        Route::get('/', [ResourceController::class, 'resources'])->name('list');
         Route::get('{resource}/meta', [ResourceController::class, 'meta'])->name('meta');
         Route::get('{resource}/search', [ResourceController::class, 'searchRelated'])->name('search');
+        Route::get('{resource}/aggregates', [ResourceController::class, 'aggregates'])->name('aggregates');
+        Route::get('{resource}/export', [ResourceController::class, 'export'])->name('export');
+        Route::post('{resource}/imports', [ResourceController::class, 'uploadImport'])->name('imports.upload');
+        Route::get('{resource}/imports/{import}', [ResourceController::class, 'showImport'])->name('imports.show');
+        Route::post('{resource}/imports/{import}/preview', [ResourceController::class, 'previewImport'])->name('imports.preview');
+        Route::post('{resource}/imports/{import}/commit', [ResourceController::class, 'commitImport'])->name('imports.commit');
+        Route::get('{resource}/imports/{import}/errors', [ResourceController::class, 'importErrors'])->name('imports.errors');
         Route::get('{resource}', [ResourceController::class, 'index'])->name('index');
         Route::post('{resource}', [ResourceController::class, 'store'])->name('store');
         Route::get('{resource}/{id}', [ResourceController::class, 'show'])->name('show');
@@ -101,7 +145,13 @@
         Route::patch('{resource}/{id}', [ResourceController::class, 'patch'])->name('patch');
         Route::delete('{resource}/{id}', [ResourceController::class, 'destroy'])->name('destroy');
         Route::post('{resource}/bulk/delete', [ResourceController::class, 'bulkDelete'])->name('bulk.delete');
+        Route::post('{resource}/bulk/restore', [ResourceController::class, 'bulkRestore'])->name('bulk.restore');
         Route::post('{resource}/bulk/update', [ResourceController::class, 'bulkUpdate'])->name('bulk.update');
         Route::post('{resource}/actions/{action}', [ResourceController::class, 'runAction'])->name('actions.run');
+        Route::post('{resource}/{id}/detach', [ResourceController::class, 'detach'])->name('detach');
+        Route::get('{resource}/{id}/activity', [ResourceController::class, 'activity'])->name('activity');
+        Route::get('{resource}/{id}/duplicate', [ResourceController::class, 'duplicate'])->name('duplicate');
+        Route::post('{resource}/{id}/restore', [ResourceController::class, 'restore'])->name('restore');
+        Route::delete('{resource}/{id}/force', [ResourceController::class, 'forceDestroy'])->name('force-destroy');
     });
 });
@@ -0,0 +1,186 @@
+<?php
+
+namespace Tests\Feature\Api;
+
+use App\Models\ChunkedUpload;
+use App\Models\User;
+use App\Services\Media\BlurPlaceholderService;
+use App\Services\Media\SecureMediaUrlService;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Storage;
+use Illuminate\Testing\TestResponse;
+use Tests\TestCase;
+
+class ChunkedUploadTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected User $authUser;
+
+    protected string $content = 'The quick brown fox jumps over the lazy dog';
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        config(['media-library.disk_name' => 'public']);
+        Storage::fake('public');
+        Storage::fake(ChunkedUpload::DISK);
+
+        $this->mock(SecureMediaUrlService::class, function ($mock) {
+            $mock->shouldReceive('getTemporaryUrl')->andReturn('https://example.test/file.txt');
+            $mock->shouldReceive('getTemporaryConversionUrl')->andReturn('https://example.test/file.txt');
+        });
+        $this->mock(BlurPlaceholderService::class, function ($mock) {
+            $mock->shouldReceive('generateAndStore');
+            $mock->shouldReceive('getBlurPlaceholder')->andReturn(null);
+        });
+
+        $this->authUser = User::factory()->create();
+    }
+
+    protected function authHeaders(?User $user = null): array
+    {
+        $token = ($user ?? $this->authUser)->createToken('test')->plainTextToken;
+
+        return [
+            'Authorization' => "Bearer {$token}",
+            'Accept' => 'application/json',
+        ];
+    }
+
+    protected function startUpload(): string
+    {
+        $response = $this->postJson('/api/media/uploads', [
+            'file_name' => 'notes.txt',
+            'size' => strlen($this->content),
+            'mime_type' => 'text/plain',
+            'model_type' => User::class,
+            'model_id' => $this->authUser->id,
+            'collection' => 'documents',
+        ], $this->authHeaders());
+
+        $response->assertCreated()->assertJsonPath('data.offset', 0);
+
+        return $response->json('data.id');
+    }
+
+    protected function sendChunk(string $id, int $offset, string $bytes, ?User $user = null): TestResponse
+    {
+        $headers = $this->authHeaders($user) + [
+            'Upload-Offset' => $offset,
+            'Content-Type' => 'application/offset+octet-stream',
+        ];
+
+        return $this->call('PATCH', "/api/media/uploads/{$id}", [], [], [], $this->transformHeadersToServerVars($headers), $bytes);
+    }
+
+    public function test_uploads_a_file_in_chunks(): void
+    {
+        $id = $this->startUpload();
+
+        $this->sendChunk($id, 0, substr($this->content, 0, 20))
+            ->assertOk()
+            ->assertJsonPath('data.offset', 20)
+            ->assertHeader('Upload-Offset', 20);
+
+        $this->sendChunk($id, 20, substr($this->content, 20))
+            ->assertOk()
+            ->assertJsonPath('data.offset', strlen($this->content));
+
+        $response = $this->postJson("/api/media/uploads/{$id}/complete", [], $this->authHeaders());
+
+        $response->assertCreated()->assertJsonPath('data.name', 'notes.txt');
+
+        $media = $this->authUser->fresh()->getFirstMedia('documents');
+        $this->assertSame($this->content, file_get_contents($media->getPath()));
+        $this->assertDatabaseMissing('chunked_uploads', ['id' => $id]);
+    }
+
+    public function test_reports_the_offset_to_resume_from(): void
+    {
+        $id = $this->startUpload();
+        $this->sendChunk($id, 0, substr($this->content, 0, 10));
+
+        $this->getJson("/api/media/uploads/{$id}", $this->authHeaders())
+            ->assertOk()
+            ->assertJsonPath('data.offset', 10)
+            ->assertJsonPath('data.size', strlen($this->content));
+    }
+
+    public function test_rejects_a_chunk_at_the_wrong_offset(): void
+    {
+        $id = $this->startUpload();
+        $this->sendChunk($id, 0, substr($this->content, 0, 10));
+
+        // A retried first chunk must not be appended twice
+        $this->sendChunk($id, 0, substr($this->content, 0, 10))
+            ->assertStatus(409)
+            ->assertJsonPath('offset', 10);
+    }
+
+    public function test_ignores_bytes_beyond_the_announced_size(): void
+    {
+        $id = $this->startUpload();
+
+        $this->sendChunk($id, 0, $this->content.'extra')
+            ->assertOk()
+            ->assertJsonPath('data.offset', strlen($this->content));
+    }
+
+    public function test_cannot_complete_an_incomplete_upload(): void
+    {
+        $id = $this->startUpload();
+        $this->sendChunk($id, 0, substr($this->content, 0, 10));
+
+        $this->postJson("/api/media/uploads/{$id}/complete", [], $this->authHeaders())
+            ->assertStatus(409)
+            ->assertJsonPath('offset', 10);
+    }
+
+    public function test_cancel_discards_the_upload(): void
+    {
+        $id = $this->startUpload();
+        $path = ChunkedUpload::find($id)->file_path;
+
+        $this->deleteJson("/api/media/uploads/{$id}", [], $this->authHeaders())->assertOk();
+
+        $this->assertDatabaseMissing('chunked_uploads', ['id' => $id]);
+        Storage::disk(ChunkedUpload::DISK)->assertMissing($path);
+    }
+
+    public function test_other_users_cannot_continue_an_upload(): void
+    {
+        $id = $this->startUpload();
+
+        // Authenticate the next request afresh instead of reusing the resolved user
+        $this->app['auth']->forgetGuards();
+
+        $this->sendChunk($id, 0, $this->content, User::factory()->create())->assertNotFound();
+    }
+
+    public function test_rejects_files_larger_than_the_media_limit(): void
+    {
+        config(['media-library.max_file_size' => 100]);
+
+        $this->postJson('/api/media/uploads', [
+            'file_name' => 'movie.mp4',
+            'size' => 101,
+            'model_type' => User::class,
+            'model_id' => $this->authUser->id,
+            'collection' => 'documents',
+        ], $this->authHeaders())->assertUnprocessable()->assertJsonValidationErrors('size');
+    }
+
+    public function test_prunes_abandoned_uploads(): void
+    {
+        $id = $this->startUpload();
+        $path = ChunkedUpload::find($id)->file_path;
+
+        $this->travel(ChunkedUpload::EXPIRES_AFTER_HOURS + 1)->hours();
+        $this->artisan('model:prune', ['--model' => [ChunkedUpload::class]]);
+
+        $this->assertDatabaseMissing('chunked_uploads', ['id' => $id]);
+        Storage::disk(ChunkedUpload::DISK)->assertMissing($path);
+    }
+}
@@ -0,0 +1,177 @@
+<?php
+
+namespace Tests\Feature\Api;
+
+use App\Models\User;
+use App\Services\Media\BlurPlaceholderService;
+use App\Services\Media\SecureMediaUrlService;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Http\UploadedFile;
+use Illuminate\Support\Facades\Storage;
+use Spatie\MediaLibrary\MediaCollections\Models\Media;
+use Tests\TestCase;
+
+class MediaGalleryTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected User $authUser;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        config(['media-library.disk_name' => 'public']);
+        Storage::fake('public');
+
+        // Signed URLs and blur placeholders are not what these tests are about
+        $this->mock(SecureMediaUrlService::class, function ($mock) {
+            $mock->shouldReceive('getTemporaryUrl')->andReturn('https://example.test/file.jpg');
+            $mock->shouldReceive('getTemporaryConversionUrl')->andReturn('https://example.test/thumb.jpg');
+        });
+        $this->mock(BlurPlaceholderService::class, function ($mock) {
+            $mock->shouldReceive('generateAndStore');
+            $mock->shouldReceive('getBlurPlaceholder')->andReturn(null);
+        });
+
+        $this->authUser = User::factory()->create();
+    }
+
+    protected function authHeaders(): array
+    {
+        $token = $this->authUser->createToken('test')->plainTextToken;
+
+        return [
+            'Authorization' => "Bearer {$token}",
+            'Accept' => 'application/json',
+        ];
+    }
+
+    protected function addGalleryImage(User $user, string $name): Media
+    {
+        return $user->addMedia(UploadedFile::fake()->image($name))->toMediaCollection('gallery');
+    }
+
+    public function test_updates_caption_and_alt_text(): void
+    {
+        $media = $this->addGalleryImage($this->authUser, 'beach.jpg');
+
+        $response = $this->patchJson("/api/media/{$media->id}", [
+            'caption' => 'Sunset at the beach',
+            'alt' => 'Orange sky over the sea',
+        ], $this->authHeaders());
+
+        $response->assertOk()
+            ->assertJsonPath('data.caption', 'Sunset at the beach')
+            ->assertJsonPath('data.alt', 'Orange sky over the sea');
+
+        $media->refresh();
+        $this->assertSame('Sunset at the beach', $media->getCustomProperty('caption'));
+        $this->assertSame('Orange sky over the sea', $media->getCustomProperty('alt'));
+    }
+
+    public function test_reorders_a_gallery(): void
+    {
+        $first = $this->addGalleryImage($this->authUser, 'first.jpg');
+        $second = $this->addGalleryImage($this->authUser, 'second.jpg');
+        $third = $this->addGalleryImage($this->authUser, 'third.jpg');
+
+        $response = $this->postJson('/api/media/reorder', [
+            'ids' => [$third->id, $first->id, $second->id],
+        ], $this->authHeaders());
+
+        $response->assertOk();
+
+        $this->assertSame(
+            [$third->id, $first->id, $second->id],
+            $this->authUser->fresh()->getMedia('gallery')->pluck('id')->all()
+        );
+    }
+
+    public function test_reorder_rejects_media_of_different_collections(): void
+    {
+        $gallery = $this->addGalleryImage($this->authUser, 'gallery.jpg');
+        $other = $this->authUser->addMedia(UploadedFile::fake()->image('other.jpg'))->toMediaCollection('documents');
+
+        $response = $this->postJson('/api/media/reorder', [
+            'ids' => [$other->id, $gallery->id],
+        ], $this->authHeaders());
+
+        $response->assertStatus(422);
+    }
+
+    public function test_sets_a_single_cover(): void
+    {
+        $first = $this->addGalleryImage($this->authUser, 'first.jpg');
+        $second = $this->addGalleryImage($this->authUser, 'second.jpg');
+
+        $this->postJson("/api/media/{$first->id}/cover", [], $this->authHeaders())->assertOk();
+        $response = $this->postJson("/api/media/{$second->id}/cover", [], $this->authHeaders());
+
+        $response->assertOk()->assertJsonPath('data.cover', true);
+
+        $this->assertFalse($first->refresh()->getCustomProperty('cover'));
+        $this->assertTrue($second->refresh()->getCustomProperty('cover'));
+    }
+
+    public function test_replaces_a_file_keeping_its_place_and_caption(): void
+    {
+        $first = $this->addGalleryImage($this->authUser, 'first.jpg');
+        $second = $this->addGalleryImage($this->authUser, 'second.jpg');
+        $second->setCustomProperty('caption', 'Keep me')->save();
+
+        $response = $this->post("/api/media/{$second->id}/replace", [
+            'file' => UploadedFile::fake()->image('second-edited.jpg'),
+        ], $this->authHeaders());
+
+        $response->assertOk()
+            ->assertJsonPath('data.name', 'second-edited.jpg')
+            ->assertJsonPath('data.caption', 'Keep me');
+
+        $this->assertNull(Media::find($second->id));
+
+        $gallery = $this->authUser->fresh()->getMedia('gallery');
+        $this->assertSame($first->id, $gallery->first()->id);
+        $this->assertSame('second-edited.jpg', $gallery->last()->file_name);
+    }
+
+    public function test_other_users_cannot_change_the_gallery(): void
+    {
+        $first = $this->addGalleryImage($this->authUser, 'first.jpg');
+        $second = $this->addGalleryImage($this->authUser, 'second.jpg');
+
+        $this->authUser = User::factory()->create();
+        $this->app['auth']->forgetGuards();
+
+        $this->patchJson("/api/media/{$first->id}", ['caption' => 'Nope'], $this->authHeaders())->assertForbidden();
+        $this->postJson('/api/media/reorder', ['ids' => [$second->id, $first->id]], $this->authHeaders())->assertForbidden();
+        $this->postJson("/api/media/{$first->id}/cover", [], $this->authHeaders())->assertForbidden();
+        $this->post("/api/media/{$first->id}/replace", [
+            'file' => UploadedFile::fake()->image('first-edited.jpg'),
+        ], $this->authHeaders())->assertForbidden();
+
+        $this->assertNull($first->refresh()->getCustomProperty('caption'));
+        $this->assertNull($first->getCustomProperty('cover'));
+        $this->assertSame('first.jpg', $first->file_name);
+    }
+
+    public function test_media_managers_can_change_any_gallery(): void
+    {
+        $media = $this->addGalleryImage($this->authUser, 'beach.jpg');
+
+        $this->authUser = User::factory()->create();
+        $this->authUser->assignRole('admin');
+        $this->app['auth']->forgetGuards();
+
+        $this->patchJson("/api/media/{$media->id}", ['caption' => 'Sunset'], $this->authHeaders())
+            ->assertOk()
+            ->assertJsonPath('data.caption', 'Sunset');
+    }
+
+    public function test_requires_authentication(): void
+    {
+        $media = $this->addGalleryImage($this->authUser, 'beach.jpg');
+
+        $this->patchJson("/api/media/{$media->id}", ['caption' => 'Nope'])->assertUnauthorized();
+    }
+}
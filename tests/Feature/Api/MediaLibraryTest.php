@@ -0,0 +1,168 @@
+<?php
+
+namespace Tests\Feature\Api;
+
+use App\Models\User;
+use App\Services\Media\BlurPlaceholderService;
+use App\Services\Media\SecureMediaUrlService;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Http\UploadedFile;
+use Illuminate\Support\Facades\Storage;
+use Spatie\MediaLibrary\MediaCollections\Models\Media;
+use Tests\TestCase;
+
+class MediaLibraryTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected User $authUser;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        config(['media-library.disk_name' => 'public']);
+        Storage::fake('public');
+
+        $this->mock(SecureMediaUrlService::class, function ($mock) {
+            $mock->shouldReceive('getTemporaryUrl')->andReturn('https://example.test/file.jpg');
+            $mock->shouldReceive('getTemporaryConversionUrl')->andReturn('https://example.test/thumb.jpg');
+        });
+        $this->mock(BlurPlaceholderService::class, function ($mock) {
+            $mock->shouldReceive('generateAndStore');
+            $mock->shouldReceive('getBlurPlaceholder')->andReturn(null);
+        });
+
+        $this->authUser = User::factory()->create();
+        $this->authUser->assignRole('admin');
+
+        config(['admin.id' => [$this->authUser->id]]);
+    }
+
+    protected function authHeaders(): array
+    {
+        $token = $this->authUser->createToken('test')->plainTextToken;
+
+        return [
+            'Authorization' => "Bearer {$token}",
+            'Accept' => 'application/json',
+        ];
+    }
+
+    protected function addMedia(User $user, UploadedFile $file, string $collection): Media
+    {
+        return $user->addMedia($file)->toMediaCollection($collection);
+    }
+
+    public function test_lists_the_files_of_all_models_newest_first(): void
+    {
+        $other = User::factory()->create();
+        $first = $this->addMedia($this->authUser, UploadedFile::fake()->image('beach.jpg'), 'gallery');
+        $second = $this->addMedia($other, UploadedFile::fake()->create('report.pdf', 10, 'application/pdf'), 'documents');
+
+        $response = $this->getJson('/api/media', $this->authHeaders());
+
+        $response->assertOk()
+            ->assertJsonPath('total', 2)
+            ->assertJsonPath('data.0.id', $second->id)
+            ->assertJsonPath('data.0.type', 'document')
+            ->assertJsonPath('data.0.collection', 'documents')
+            ->assertJsonPath('data.0.model_label', 'User')
+            ->assertJsonPath('data.0.model_id', $other->id)
+            ->assertJsonPath('data.1.id', $first->id)
+            ->assertJsonPath('data.1.type', 'image');
+    }
+
+    public function test_filters_by_name_type_collection_and_owner(): void
+    {
+        $image = $this->addMedia($this->authUser, UploadedFile::fake()->image('beach.jpg'), 'gallery');
+        $document = $this->addMedia($this->authUser, UploadedFile::fake()->create('report.pdf', 10, 'application/pdf'), 'documents');
+
+        $this->getJson('/api/media?search=beach', $this->authHeaders())
+            ->assertJsonPath('total', 1)
+            ->assertJsonPath('data.0.id', $image->id);
+
+        $this->getJson('/api/media?type=document', $this->authHeaders())
+            ->assertJsonPath('total', 1)
+            ->assertJsonPath('data.0.id', $document->id);
+
+        $this->getJson('/api/media?collection=gallery', $this->authHeaders())
+            ->assertJsonPath('total', 1)
+            ->assertJsonPath('data.0.id', $image->id);
+
+        $this->getJson('/api/media?model_type='.urlencode(User::class), $this->authHeaders())
+            ->assertJsonPath('total', 2);
+    }
+
+    public function test_rejects_an_unknown_type(): void
+    {
+        $this->getJson('/api/media?type=spreadsheet', $this->authHeaders())
+            ->assertUnprocessable()
+            ->assertJsonValidationErrors('type');
+    }
+
+    public function test_lists_the_filter_options_in_use(): void
+    {
+        $this->addMedia($this->authUser, UploadedFile::fake()->image('beach.jpg'), 'gallery');
+        $this->addMedia($this->authUser, UploadedFile::fake()->image('avatar.jpg'), 'avatars');
+
+        $this->getJson('/api/media/filters', $this->authHeaders())
+            ->assertOk()
+            ->assertJsonPath('types', ['image', 'video', 'audio', 'document'])
+            ->assertJsonPath('collections', ['avatars', 'gallery'])
+            ->assertJsonPath('models', [['value' => User::class, 'label' => 'User']]);
+    }
+
+    public function test_deletes_files_in_bulk(): void
+    {
+        $first = $this->addMedia($this->authUser, UploadedFile::fake()->image('first.jpg'), 'gallery');
+        $second = $this->addMedia($this->authUser, UploadedFile::fake()->image('second.jpg'), 'gallery');
+        $kept = $this->addMedia($this->authUser, UploadedFile::fake()->image('kept.jpg'), 'gallery');
+
+        $this->postJson('/api/media/bulk-delete', ['ids' => [$first->id, $second->id]], $this->authHeaders())
+            ->assertOk()
+            ->assertJsonPath('count', 2);
+
+        $this->assertSame([$kept->id], Media::pluck('id')->all());
+        Storage::disk('public')->assertMissing($first->getPathRelativeToRoot());
+    }
+
+    public function test_attaches_a_copy_to_another_model(): void
+    {
+        $other = User::factory()->create();
+        $existing = $this->addMedia($other, UploadedFile::fake()->image('existing.jpg'), 'gallery');
+        $source = $this->addMedia($this->authUser, UploadedFile::fake()->image('beach.jpg'), 'gallery');
+        $source->setCustomProperty('caption', 'Sunset')->setCustomProperty('cover', true)->save();
+
+        $response = $this->postJson("/api/media/{$source->id}/attach", [
+            'model_type' => User::class,
+            'model_id' => $other->id,
+            'collection' => 'gallery',
+        ], $this->authHeaders());
+
+        $response->assertCreated()
+            ->assertJsonPath('data.name', 'beach.jpg')
+            ->assertJsonPath('data.caption', 'Sunset')
+            ->assertJsonPath('data.cover', false);
+
+        // The original stays with its model and the copy goes to the end of the gallery
+        $this->assertNotNull($source->fresh());
+        $this->assertSame(
+            [$existing->id, $response->json('data.id')],
+            $other->fresh()->getMedia('gallery')->pluck('id')->all()
+        );
+    }
+
+    public function test_requires_the_media_permission(): void
+    {
+        $this->authUser->roles()->detach();
+        config(['admin.id' => []]);
+
+        $media = $this->addMedia($this->authUser, UploadedFile::fake()->image('beach.jpg'), 'gallery');
+
+        $this->getJson('/api/media', $this->authHeaders())->assertForbidden();
+        $this->postJson('/api/media/bulk-delete', ['ids' => [$media->id]], $this->authHeaders())->assertForbidden();
+
+        $this->assertNotNull($media->fresh());
+    }
+}
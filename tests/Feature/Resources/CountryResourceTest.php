@@ -153,6 +153,30 @@ public function test_validation_fails_for_duplicate_code(): void
             ->assertJsonValidationErrors(['code']);
     }
 
+    public function test_validation_requires_a_unique_three_letter_alpha3_code(): void
+    {
+        Country::factory()->create(['code_alpha3' => 'USA']);
+
+        $data = [
+            'code' => 'UT',
+            'numeric_code' => '841',
+            'name' => 'Another Country',
+            'region' => 'Americas',
+        ];
+
+        $this->postJson($this->resourcePath, $data, $this->authHeaders())
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['code_alpha3']);
+
+        $this->postJson($this->resourcePath, [...$data, 'code_alpha3' => 'US'], $this->authHeaders())
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['code_alpha3']);
+
+        $this->postJson($this->resourcePath, [...$data, 'code_alpha3' => 'USA'], $this->authHeaders())
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['code_alpha3']);
+    }
+
     public function test_can_search_resources(): void
     {
         Country::factory()->create(['name' => 'United States', 'code' => 'US']);
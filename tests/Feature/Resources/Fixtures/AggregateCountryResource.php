@@ -0,0 +1,25 @@
+<?php
+
+namespace Tests\Feature\Resources\Fixtures;
+
+use App\Core\Resources\Fields\Boolean;
+use App\Core\Resources\Fields\Number;
+use App\Core\Resources\Fields\Text;
+use App\Resources\CountryResource;
+
+/**
+ * Country resource with aggregates on the display order column.
+ */
+class AggregateCountryResource extends CountryResource
+{
+    public function indexFields(): array
+    {
+        return [
+            Text::make('Name')->sortable()->searchable(),
+            Text::make('Region')->sortable(),
+            Text::make('Capital'),
+            Number::make('Display Order', 'display_order')->sortable()->aggregates('sum', 'avg', 'min', 'max'),
+            Boolean::make('Is Active', 'is_active')->sortable(),
+        ];
+    }
+}
@@ -0,0 +1,53 @@
+<?php
+
+namespace Tests\Feature\Resources\Fixtures;
+
+use App\Core\Resources\Fields\HasMany;
+use App\Core\Resources\Fields\Number;
+use App\Core\Resources\Fields\Text;
+use App\Core\Resources\Resource;
+use App\Models\Comment;
+
+/**
+ * Comment resource with a self-referencing HasMany (replies) for relationship and soft delete tests.
+ */
+class CommentResource extends Resource
+{
+    public static string $model = Comment::class;
+
+    public static string $label = 'Comments';
+
+    public static string $singularLabel = 'Comment';
+
+    public static string $title = 'comment';
+
+    public static array $search = ['comment'];
+
+    public static bool $softDeletes = true;
+
+    public function indexFields(): array
+    {
+        return [
+            Text::make('Comment'),
+        ];
+    }
+
+    public function showFields(): array
+    {
+        return [
+            Text::make('Comment'),
+            HasMany::make('Replies')->resource(self::class),
+        ];
+    }
+
+    public function formFields(): array
+    {
+        return [
+            Text::make('Comment')->rules('required|string'),
+            Number::make('User', 'user_id')->rules('required|integer'),
+            Text::make('Commentable Type', 'commentable_type')->rules('required|string'),
+            Number::make('Commentable ID', 'commentable_id')->rules('required|integer'),
+            HasMany::make('Replies')->resource(self::class),
+        ];
+    }
+}
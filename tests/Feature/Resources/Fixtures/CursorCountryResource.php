@@ -0,0 +1,13 @@
+<?php
+
+namespace Tests\Feature\Resources\Fixtures;
+
+use App\Resources\CountryResource;
+
+/**
+ * Country resource paginated with cursors.
+ */
+class CursorCountryResource extends CountryResource
+{
+    public static bool $cursorPagination = true;
+}
@@ -0,0 +1,44 @@
+<?php
+
+namespace Tests\Feature\Resources\Fixtures;
+
+use App\Core\Resources\ResourcePolicy;
+use App\Models\User;
+use Illuminate\Database\Eloquent\Model;
+
+/**
+ * Policy for policy tests: no creating or deleting, only the bulk_delete action,
+ * the capital is hidden and the region is read-only.
+ */
+class RestrictedCountryPolicy extends ResourcePolicy
+{
+    public function create(User $user): bool
+    {
+        return false;
+    }
+
+    public function update(User $user, ?Model $model = null): bool
+    {
+        return ! $model || $model->getAttribute('code') !== 'XX';
+    }
+
+    public function delete(User $user, ?Model $model = null): bool
+    {
+        return false;
+    }
+
+    public function runAction(User $user, string $action, ?Model $model = null): bool
+    {
+        return $action === 'bulk_delete';
+    }
+
+    public function readField(User $user, string $attribute): bool
+    {
+        return $attribute !== 'capital';
+    }
+
+    public function writeField(User $user, string $attribute): bool
+    {
+        return $attribute !== 'region';
+    }
+}
@@ -0,0 +1,13 @@
+<?php
+
+namespace Tests\Feature\Resources\Fixtures;
+
+use App\Resources\CountryResource;
+
+/**
+ * Country resource guarded by RestrictedCountryPolicy.
+ */
+class RestrictedCountryResource extends CountryResource
+{
+    public static ?string $policy = RestrictedCountryPolicy::class;
+}
@@ -0,0 +1,15 @@
+<?php
+
+namespace Tests\Feature\Resources\Fixtures;
+
+use App\Resources\CountryResource;
+
+/**
+ * Country resource whose duplicates leave out the timezones and copy the name as it is.
+ */
+class ShallowDuplicateCountryResource extends CountryResource
+{
+    public static array $duplicateUnique = [];
+
+    public static bool $duplicateRelations = false;
+}
@@ -0,0 +1,33 @@
+<?php
+
+namespace Tests\Feature\Resources\Fixtures;
+
+use App\Core\Resources\Fields\KeyValue;
+use App\Core\Resources\Fields\Number;
+use App\Core\Resources\Fields\Repeater;
+use App\Core\Resources\Fields\Text;
+use App\Resources\CountryResource;
+
+/**
+ * Country resource whose languages are repeater rows and whose metadata is key-value pairs.
+ */
+class StructuredCountryResource extends CountryResource
+{
+    public function formFields(): array
+    {
+        return [
+            Text::make('Name')->rules('required|string|max:255'),
+            Text::make('Code')->rules('required|string|max:2|unique:countries,code'),
+            Text::make('Code Alpha3', 'code_alpha3')->rules('required|string|max:3'),
+            Number::make('Numeric Code', 'numeric_code')->rules('required|integer'),
+            Text::make('Region')->rules('required|string'),
+            Repeater::make('Languages')
+                ->fields([
+                    Text::make('Name')->rules('required|string|max:50'),
+                    Text::make('Code')->rules('nullable|string|size:2'),
+                ])
+                ->max(3),
+            KeyValue::make('Metadata')->valueRules('nullable|string|max:20'),
+        ];
+    }
+}
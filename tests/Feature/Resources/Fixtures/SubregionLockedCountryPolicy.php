@@ -0,0 +1,17 @@
+<?php
+
+namespace Tests\Feature\Resources\Fixtures;
+
+use App\Core\Resources\ResourcePolicy;
+use App\Models\User;
+
+/**
+ * Policy for import tests: everything is allowed except writing the subregion.
+ */
+class SubregionLockedCountryPolicy extends ResourcePolicy
+{
+    public function writeField(User $user, string $attribute): bool
+    {
+        return $attribute !== 'subregion';
+    }
+}
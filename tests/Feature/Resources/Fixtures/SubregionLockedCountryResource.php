@@ -0,0 +1,13 @@
+<?php
+
+namespace Tests\Feature\Resources\Fixtures;
+
+use App\Resources\CountryResource;
+
+/**
+ * Country resource guarded by SubregionLockedCountryPolicy.
+ */
+class SubregionLockedCountryResource extends CountryResource
+{
+    public static ?string $policy = SubregionLockedCountryPolicy::class;
+}
@@ -0,0 +1,202 @@
+<?php
+
+namespace Tests\Feature\Resources;
+
+use App\Core\Services\ResourceActivityService;
+use App\Models\Country;
+use App\Models\ResourceActivity;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Crypt;
+use Illuminate\Support\Facades\Session;
+use Tests\TestCase;
+
+class ResourceActivityTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected User $user;
+
+    protected string $resourcePath = '/api/resources/countries';
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->user = User::factory()->create();
+        $this->user->assignRole('admin');
+
+        config(['admin.id' => [$this->user->id]]);
+    }
+
+    protected function authHeaders(): array
+    {
+        $token = $this->user->createToken('test')->plainTextToken;
+
+        return [
+            'Authorization' => "Bearer {$token}",
+            'Accept' => 'application/json',
+        ];
+    }
+
+    public function test_updating_a_record_logs_the_changed_fields(): void
+    {
+        $country = Country::factory()->create(['name' => 'Old Name', 'capital' => 'Capital']);
+
+        $this->patchJson("{$this->resourcePath}/{$country->id}", ['name' => 'New Name'], $this->authHeaders())
+            ->assertOk();
+
+        $activity = ResourceActivity::sole();
+
+        $this->assertSame($this->user->id, $activity->user_id);
+        $this->assertSame('countries', $activity->resource);
+        $this->assertSame((string) $country->id, $activity->subject_id);
+        $this->assertSame(ResourceActivity::EVENT_UPDATED, $activity->event);
+        $this->assertSame(['name' => ['old' => 'Old Name', 'new' => 'New Name']], $activity->changes);
+    }
+
+    public function test_updates_without_changes_are_not_logged(): void
+    {
+        $country = Country::factory()->create(['name' => 'Same']);
+
+        $this->patchJson("{$this->resourcePath}/{$country->id}", ['name' => 'Same'], $this->authHeaders())
+            ->assertOk();
+
+        $this->assertDatabaseCount('resource_activities', 0);
+    }
+
+    public function test_deleting_a_record_logs_a_snapshot(): void
+    {
+        $country = Country::factory()->create(['name' => 'Gone']);
+
+        $this->deleteJson("{$this->resourcePath}/{$country->id}", [], $this->authHeaders())
+            ->assertOk();
+
+        $activity = ResourceActivity::sole();
+
+        $this->assertSame(ResourceActivity::EVENT_DELETED, $activity->event);
+        $this->assertSame(['old' => 'Gone', 'new' => null], $activity->changes['name']);
+    }
+
+    public function test_hidden_attributes_are_redacted(): void
+    {
+        $target = User::factory()->create();
+
+        $this->patchJson('/api/resources/users/'.$target->id, ['password' => 'new-password-123'], $this->authHeaders())
+            ->assertOk();
+
+        $activity = ResourceActivity::where('resource', 'users')->sole();
+
+        $this->assertSame(
+            ['old' => ResourceActivityService::REDACTED, 'new' => ResourceActivityService::REDACTED],
+            $activity->changes['password']
+        );
+    }
+
+    public function test_bulk_updates_and_actions_log_one_entry_per_record(): void
+    {
+        $countries = Country::factory()->count(2)->create(['is_active' => true]);
+        $ids = $countries->pluck('id')->all();
+
+        $this->postJson("{$this->resourcePath}/bulk/update", [
+            'ids' => $ids,
+            'data' => ['is_active' => false],
+        ], $this->authHeaders())->assertOk();
+
+        $this->postJson("{$this->resourcePath}/actions/bulk_update", [
+            'ids' => $ids,
+            'data' => ['display_order' => 7],
+        ], $this->authHeaders())->assertOk();
+
+        $this->assertSame(2, ResourceActivity::where('event', ResourceActivity::EVENT_UPDATED)->count());
+
+        $actions = ResourceActivity::where('event', ResourceActivity::EVENT_ACTION)->get();
+
+        $this->assertCount(2, $actions);
+        $this->assertSame(['bulk_update'], $actions->pluck('action')->unique()->all());
+    }
+
+    public function test_record_history_lists_its_activity_newest_first(): void
+    {
+        $country = Country::factory()->create(['name' => 'First']);
+        $other = Country::factory()->create();
+
+        $this->patchJson("{$this->resourcePath}/{$country->id}", ['name' => 'Second'], $this->authHeaders());
+        $this->patchJson("{$this->resourcePath}/{$country->id}", ['name' => 'Third'], $this->authHeaders());
+        $this->patchJson("{$this->resourcePath}/{$other->id}", ['name' => 'Other'], $this->authHeaders());
+
+        $response = $this->getJson("{$this->resourcePath}/{$country->id}/activity", $this->authHeaders());
+
+        $response->assertOk()
+            ->assertJsonCount(2, 'data')
+            ->assertJsonPath('data.0.changes.name.new', 'Third')
+            ->assertJsonPath('data.0.user.id', $this->user->id);
+    }
+
+    public function test_activity_log_can_be_filtered_by_user_resource_and_event(): void
+    {
+        $other = User::factory()->create();
+        $country = Country::factory()->create();
+
+        ResourceActivity::create([
+            'user_id' => $this->user->id,
+            'resource' => 'countries',
+            'subject_id' => (string) $country->id,
+            'event' => ResourceActivity::EVENT_UPDATED,
+        ]);
+        ResourceActivity::create([
+            'user_id' => $other->id,
+            'resource' => 'countries',
+            'subject_id' => (string) $country->id,
+            'event' => ResourceActivity::EVENT_UPDATED,
+        ]);
+        ResourceActivity::create([
+            'user_id' => $this->user->id,
+            'resource' => 'users',
+            'subject_id' => (string) $other->id,
+            'event' => ResourceActivity::EVENT_DELETED,
+        ]);
+
+        $this->getJson('/api/activity?user_id='.$this->user->id, $this->authHeaders())
+            ->assertOk()
+            ->assertJsonCount(2, 'data');
+
+        $this->getJson('/api/activity?resource=countries&event=updated', $this->authHeaders())
+            ->assertOk()
+            ->assertJsonCount(2, 'data');
+
+        $this->getJson('/api/activity?from='.now()->addDay()->toDateString(), $this->authHeaders())
+            ->assertOk()
+            ->assertJsonCount(0, 'data');
+    }
+
+    public function test_activity_log_validates_its_filters(): void
+    {
+        $this->getJson('/api/activity?event=exploded&from=2025-02-01&to=2025-01-01', $this->authHeaders())
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['event', 'to']);
+    }
+
+    public function test_activity_log_requires_admin(): void
+    {
+        $this->user->roles()->detach();
+        config(['admin.id' => []]);
+
+        $this->getJson('/api/activity', $this->authHeaders())
+            ->assertForbidden();
+    }
+
+    public function test_the_impersonating_admin_is_recorded(): void
+    {
+        $admin = User::factory()->create();
+        $impersonated = User::factory()->create();
+
+        $this->actingAs($impersonated);
+        Session::put('impersonating', Crypt::encryptString(json_encode(['admin_id' => $admin->id])));
+
+        $activity = app(ResourceActivityService::class)->log('countries', ResourceActivity::EVENT_UPDATED, 1);
+
+        $this->assertSame($impersonated->id, $activity->user_id);
+        $this->assertSame($admin->id, $activity->impersonator_id);
+    }
+}
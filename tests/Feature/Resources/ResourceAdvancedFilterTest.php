@@ -0,0 +1,210 @@
+<?php
+
+namespace Tests\Feature\Resources;
+
+use App\Models\Country;
+use App\Models\Role;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class ResourceAdvancedFilterTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected User $user;
+
+    protected string $resourcePath = '/api/resources/countries';
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->user = User::factory()->create();
+        $this->user->assignRole('admin');
+
+        config(['admin.id' => [$this->user->id]]);
+    }
+
+    protected function authHeaders(): array
+    {
+        $token = $this->user->createToken('test')->plainTextToken;
+
+        return [
+            'Authorization' => "Bearer {$token}",
+            'Accept' => 'application/json',
+        ];
+    }
+
+    protected function filterIds(string $path, array $filters): array
+    {
+        $response = $this->getJson($path.'?'.http_build_query(['filters' => $filters]), $this->authHeaders());
+
+        $response->assertOk();
+
+        return collect($response->json('data'))->pluck('id')->sort()->values()->all();
+    }
+
+    public function test_meta_lists_filter_operators_and_the_advanced_filter(): void
+    {
+        $response = $this->getJson("{$this->resourcePath}/meta", $this->authHeaders());
+
+        $response->assertOk();
+
+        $filters = collect($response->json('filters'))->keyBy('key');
+
+        $this->assertSame('advanced', $filters['advanced']['type']);
+        $this->assertContains('in', $filters['region']['operators']);
+        $this->assertSame(['is_true', 'is_false'], $filters['is_active']['operators']);
+        $this->assertContains('between', $filters['display_order']['operators']);
+    }
+
+    public function test_conditions_in_an_any_group_are_joined_with_or(): void
+    {
+        $finland = Country::factory()->create(['region' => 'Europe', 'capital' => 'Helsinki']);
+        $japan = Country::factory()->create(['region' => 'Asia', 'capital' => 'Tokyo']);
+        Country::factory()->create(['region' => 'Africa', 'capital' => 'Nairobi']);
+
+        $ids = $this->filterIds($this->resourcePath, ['advanced' => [
+            'match' => 'any',
+            'rules' => [
+                ['filter' => 'region', 'operator' => 'equals', 'value' => 'Europe'],
+                ['filter' => 'capital', 'operator' => 'starts_with', 'value' => 'Tok'],
+            ],
+        ]]);
+
+        $this->assertSame([$finland->id, $japan->id], $ids);
+    }
+
+    public function test_nested_groups_combine_and_with_or(): void
+    {
+        $active = Country::factory()->create(['region' => 'Europe', 'is_active' => true, 'display_order' => 5]);
+        $ordered = Country::factory()->create(['region' => 'Europe', 'is_active' => false, 'display_order' => 50]);
+        Country::factory()->create(['region' => 'Europe', 'is_active' => false, 'display_order' => 5]);
+        Country::factory()->create(['region' => 'Asia', 'is_active' => true, 'display_order' => 50]);
+
+        $ids = $this->filterIds($this->resourcePath, ['advanced' => [
+            'match' => 'all',
+            'rules' => [
+                ['filter' => 'region', 'operator' => 'in', 'value' => ['Europe', 'Oceania']],
+                [
+                    'match' => 'any',
+                    'rules' => [
+                        ['filter' => 'is_active', 'operator' => 'is_true'],
+                        ['filter' => 'display_order', 'operator' => 'between', 'value' => [10, 100]],
+                    ],
+                ],
+            ],
+        ]]);
+
+        $this->assertSame([$active->id, $ordered->id], $ids);
+    }
+
+    public function test_advanced_conditions_combine_with_basic_filters(): void
+    {
+        $match = Country::factory()->create(['region' => 'Europe', 'capital' => null]);
+        Country::factory()->create(['region' => 'Europe', 'capital' => 'Paris']);
+        Country::factory()->create(['region' => 'Asia', 'capital' => null]);
+
+        $ids = $this->filterIds($this->resourcePath, [
+            'region' => 'Europe',
+            'advanced' => [
+                'match' => 'all',
+                'rules' => [['filter' => 'capital', 'operator' => 'is_empty']],
+            ],
+        ]);
+
+        $this->assertSame([$match->id], $ids);
+    }
+
+    public function test_incomplete_and_unknown_conditions_are_ignored(): void
+    {
+        Country::factory()->count(2)->create();
+
+        $ids = $this->filterIds($this->resourcePath, ['advanced' => [
+            'match' => 'all',
+            'rules' => [
+                ['filter' => 'capital', 'operator' => 'contains', 'value' => ''],
+                ['filter' => 'name', 'operator' => 'equals', 'value' => 'Nope'],
+                ['filter' => 'region', 'operator' => 'gt', 'value' => 'Europe'],
+            ],
+        ]]);
+
+        $this->assertCount(2, $ids);
+    }
+
+    public function test_malformed_conditions_are_ignored(): void
+    {
+        Country::factory()->count(2)->create();
+
+        $ids = $this->filterIds($this->resourcePath, ['advanced' => [
+            'match' => 'all',
+            'rules' => [
+                ['filter' => ['capital'], 'operator' => 'equals', 'value' => 'Berlin'],
+                ['filter' => 'capital', 'operator' => 'contains', 'value' => ['Berlin']],
+                ['filter' => 'name', 'operator' => 'between', 'value' => [['a'], ['b']]],
+            ],
+        ]]);
+
+        $this->assertCount(2, $ids);
+    }
+
+    public function test_text_conditions_match_wildcards_literally(): void
+    {
+        $percent = Country::factory()->create(['capital' => '100% Town']);
+        $underscore = Country::factory()->create(['capital' => 'Snake_City']);
+        Country::factory()->create(['capital' => '100 Towns']);
+        Country::factory()->create(['capital' => 'SnakeXCity']);
+
+        $this->assertSame([$percent->id], $this->filterIds($this->resourcePath, ['advanced' => [
+            'match' => 'all',
+            'rules' => [['filter' => 'capital', 'operator' => 'contains', 'value' => '0%']],
+        ]]));
+
+        $this->assertSame([$underscore->id], $this->filterIds($this->resourcePath, ['advanced' => [
+            'match' => 'all',
+            'rules' => [['filter' => 'capital', 'operator' => 'starts_with', 'value' => 'Snake_']],
+        ]]));
+    }
+
+    public function test_relative_date_conditions(): void
+    {
+        $recent = User::factory()->create(['created_at' => now()->subDays(3)]);
+        User::factory()->create(['created_at' => now()->subDays(20)]);
+
+        $ids = $this->filterIds('/api/resources/users', ['advanced' => [
+            'match' => 'all',
+            'rules' => [['filter' => 'created_at', 'operator' => 'relative', 'value' => 'last_7_days']],
+        ]]);
+
+        $this->assertSame([$this->user->id, $recent->id], $ids);
+    }
+
+    public function test_belongs_to_many_conditions(): void
+    {
+        $editor = Role::firstOrCreate(['slug' => 'editor'], ['name' => 'Editor']);
+        $withRole = User::factory()->create();
+        $withRole->roles()->attach($editor);
+        $withoutRoles = User::factory()->create();
+
+        $this->assertSame([$withRole->id], $this->filterIds('/api/resources/users', ['advanced' => [
+            'match' => 'all',
+            'rules' => [['filter' => 'role', 'operator' => 'in', 'value' => [$editor->id]]],
+        ]]));
+
+        $this->assertSame([$withoutRoles->id], $this->filterIds('/api/resources/users', ['advanced' => [
+            'match' => 'all',
+            'rules' => [['filter' => 'role', 'operator' => 'is_empty']],
+        ]]));
+    }
+
+    public function test_basic_range_filters_use_object_values(): void
+    {
+        $inside = Country::factory()->create(['display_order' => 20]);
+        Country::factory()->create(['display_order' => 80]);
+
+        $this->assertSame([$inside->id], $this->filterIds($this->resourcePath, [
+            'display_order' => ['min' => 10, 'max' => 30],
+        ]));
+    }
+}
@@ -0,0 +1,122 @@
+<?php
+
+namespace Tests\Feature\Resources;
+
+use App\Core\Resources\Fields\Number;
+use App\Models\Country;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\Feature\Resources\Fixtures\AggregateCountryResource;
+use Tests\TestCase;
+
+class ResourceAggregatesTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected User $user;
+
+    protected string $resourcePath = '/api/resources/countries';
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->user = User::factory()->create();
+        $this->user->assignRole('admin');
+
+        config([
+            'admin.id' => [$this->user->id],
+            'resources.countries' => AggregateCountryResource::class,
+        ]);
+
+        // Searching for "Aggland" leaves out any other countries
+        foreach ([
+            ['Aggland East', 'Europe', 10],
+            ['Aggland North', 'Europe', 20],
+            ['Aggland West', 'Europe', 30],
+            ['Aggland South', 'Asia', 5],
+            ['Elsewhere', 'Europe', 100],
+        ] as [$name, $region, $order]) {
+            Country::factory()->create(['name' => $name, 'region' => $region, 'display_order' => $order]);
+        }
+    }
+
+    protected function authHeaders(): array
+    {
+        $token = $this->user->createToken('test')->plainTextToken;
+
+        return [
+            'Authorization' => "Bearer {$token}",
+            'Accept' => 'application/json',
+        ];
+    }
+
+    public function test_meta_includes_the_declared_aggregates(): void
+    {
+        $response = $this->getJson("{$this->resourcePath}/meta", $this->authHeaders());
+
+        $field = collect($response->json('fields'))->firstWhere('attribute', 'display_order');
+
+        $this->assertSame(['sum', 'avg', 'min', 'max'], $field['meta']['aggregates']);
+    }
+
+    public function test_aggregates_cover_every_matching_record(): void
+    {
+        $response = $this->getJson("{$this->resourcePath}/aggregates?search=Aggland", $this->authHeaders());
+
+        $response->assertOk()
+            ->assertJsonPath('count', 4)
+            ->assertJsonPath('aggregates.display_order.sum', 65)
+            ->assertJsonPath('aggregates.display_order.min', 5)
+            ->assertJsonPath('aggregates.display_order.max', 30)
+            ->assertJsonPath('groups', null);
+
+        $this->assertEquals(16.25, $response->json('aggregates.display_order.avg'));
+    }
+
+    public function test_aggregates_per_group(): void
+    {
+        $response = $this->getJson("{$this->resourcePath}/aggregates?search=Aggland&groupBy=region", $this->authHeaders());
+
+        $response->assertOk()
+            ->assertJsonPath('count', 4)
+            ->assertJsonPath('groups.*.value', ['Asia', 'Europe'])
+            ->assertJsonPath('groups.*.count', [1, 3])
+            ->assertJsonPath('groups.1.aggregates.display_order.sum', 60);
+
+        $this->assertEquals(20, $response->json('groups.1.aggregates.display_order.avg'));
+    }
+
+    public function test_groups_follow_the_sort_direction_of_the_grouped_column(): void
+    {
+        $this->getJson(
+            "{$this->resourcePath}/aggregates?search=Aggland&groupBy=region&sort=region&direction=desc",
+            $this->authHeaders()
+        )->assertJsonPath('groups.*.value', ['Europe', 'Asia']);
+    }
+
+    public function test_grouping_requires_a_sortable_index_column(): void
+    {
+        $this->getJson("{$this->resourcePath}/aggregates?groupBy=capital", $this->authHeaders())
+            ->assertStatus(422)
+            ->assertJsonValidationErrors('groupBy');
+    }
+
+    public function test_grouped_index_keeps_the_rows_of_a_group_together(): void
+    {
+        $response = $this->getJson(
+            "{$this->resourcePath}?search=Aggland&groupBy=region&sort=name&direction=desc",
+            $this->authHeaders()
+        );
+
+        $response->assertOk()
+            ->assertJsonPath('data.*.name', ['Aggland South', 'Aggland West', 'Aggland North', 'Aggland East']);
+    }
+
+    public function test_unknown_aggregate_functions_are_rejected(): void
+    {
+        $this->expectException(\InvalidArgumentException::class);
+
+        Number::make('Display Order', 'display_order')->aggregates('median');
+    }
+}
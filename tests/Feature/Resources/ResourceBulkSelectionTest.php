@@ -0,0 +1,143 @@
+<?php
+
+namespace Tests\Feature\Resources;
+
+use App\Models\Comment;
+use App\Models\Country;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\Feature\Resources\Fixtures\CommentResource;
+use Tests\TestCase;
+
+class ResourceBulkSelectionTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected User $user;
+
+    protected string $resourcePath = '/api/resources/countries';
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->user = User::factory()->create();
+        $this->user->assignRole('admin');
+
+        config(['admin.id' => [$this->user->id]]);
+    }
+
+    protected function authHeaders(): array
+    {
+        $token = $this->user->createToken('test')->plainTextToken;
+
+        return [
+            'Authorization' => "Bearer {$token}",
+            'Accept' => 'application/json',
+        ];
+    }
+
+    protected function makeComment(string $text, ?Comment $parent = null): Comment
+    {
+        return Comment::create([
+            'comment' => $text,
+            'user_id' => $this->user->id,
+            'commentable_type' => User::class,
+            'commentable_id' => $this->user->id,
+            'parent_id' => $parent?->id,
+        ]);
+    }
+
+    public function test_bulk_delete_resolves_every_record_matching_the_query(): void
+    {
+        $finland = Country::factory()->create(['name' => 'Finland', 'region' => 'Europe']);
+        $thailand = Country::factory()->create(['name' => 'Thailand', 'region' => 'Asia']);
+        $poland = Country::factory()->create(['name' => 'Poland', 'region' => 'Europe']);
+        $france = Country::factory()->create(['name' => 'France', 'region' => 'Europe']);
+
+        $response = $this->postJson(
+            "{$this->resourcePath}/bulk/delete",
+            ['query' => ['search' => 'land', 'filters' => ['region' => 'Europe']]],
+            $this->authHeaders()
+        );
+
+        $response->assertOk()
+            ->assertJsonPath('affected', 2);
+
+        $this->assertDatabaseMissing('countries', ['id' => $finland->id]);
+        $this->assertDatabaseMissing('countries', ['id' => $poland->id]);
+        $this->assertDatabaseHas('countries', ['id' => $thailand->id]);
+        $this->assertDatabaseHas('countries', ['id' => $france->id]);
+    }
+
+    public function test_bulk_update_resolves_every_record_matching_the_query(): void
+    {
+        $germany = Country::factory()->create(['region' => 'Europe', 'is_active' => true]);
+        $japan = Country::factory()->create(['region' => 'Asia', 'is_active' => true]);
+
+        $response = $this->postJson(
+            "{$this->resourcePath}/bulk/update",
+            [
+                'query' => ['filters' => ['region' => 'Europe']],
+                'data' => ['is_active' => false],
+            ],
+            $this->authHeaders()
+        );
+
+        $response->assertOk()
+            ->assertJsonPath('affected', 1);
+
+        $this->assertDatabaseHas('countries', ['id' => $germany->id, 'is_active' => false]);
+        $this->assertDatabaseHas('countries', ['id' => $japan->id, 'is_active' => true]);
+    }
+
+    public function test_run_action_resolves_every_record_matching_the_query(): void
+    {
+        Country::factory()->count(3)->create(['region' => 'Europe', 'is_active' => true]);
+        Country::factory()->create(['region' => 'Asia', 'is_active' => true]);
+
+        $response = $this->postJson(
+            "{$this->resourcePath}/actions/bulk_update",
+            [
+                'query' => ['search' => null, 'filters' => ['region' => 'Europe']],
+                'data' => ['is_active' => false],
+            ],
+            $this->authHeaders()
+        );
+
+        $response->assertOk()
+            ->assertJsonPath('result', 3);
+
+        $this->assertSame(3, Country::where('is_active', false)->count());
+    }
+
+    public function test_bulk_selection_requires_ids_or_query(): void
+    {
+        $this->postJson("{$this->resourcePath}/bulk/delete", [], $this->authHeaders())
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['ids', 'query']);
+    }
+
+    public function test_query_selection_is_scoped_to_the_parent_relationship(): void
+    {
+        config(['resources.comments' => CommentResource::class]);
+
+        $parent = $this->makeComment('Parent');
+        $reply = $this->makeComment('Reply', $parent);
+        $other = $this->makeComment('Other');
+
+        $response = $this->postJson('/api/resources/comments/bulk/delete', [
+            'query' => ['filters' => []],
+            'viaResource' => 'comments',
+            'viaResourceId' => $parent->id,
+            'viaRelationship' => 'replies',
+        ], $this->authHeaders());
+
+        $response->assertOk()
+            ->assertJsonPath('affected', 1);
+
+        $this->assertDatabaseMissing('comments', ['id' => $reply->id]);
+        $this->assertDatabaseHas('comments', ['id' => $parent->id]);
+        $this->assertDatabaseHas('comments', ['id' => $other->id]);
+    }
+}
@@ -0,0 +1,105 @@
+<?php
+
+namespace Tests\Feature\Resources;
+
+use App\Models\Country;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\Feature\Resources\Fixtures\CursorCountryResource;
+use Tests\TestCase;
+
+class ResourceCursorPaginationTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected User $user;
+
+    protected string $resourcePath = '/api/resources/countries';
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->user = User::factory()->create();
+        $this->user->assignRole('admin');
+
+        config([
+            'admin.id' => [$this->user->id],
+            'resources.countries' => CursorCountryResource::class,
+        ]);
+    }
+
+    protected function authHeaders(): array
+    {
+        $token = $this->user->createToken('test')->plainTextToken;
+
+        return [
+            'Authorization' => "Bearer {$token}",
+            'Accept' => 'application/json',
+        ];
+    }
+
+    public function test_meta_reports_the_pagination_mode(): void
+    {
+        $this->getJson("{$this->resourcePath}/meta", $this->authHeaders())
+            ->assertOk()
+            ->assertJsonPath('pagination', 'cursor');
+    }
+
+    public function test_offset_pagination_is_the_default(): void
+    {
+        config(['resources.countries' => \App\Resources\CountryResource::class]);
+
+        $this->getJson("{$this->resourcePath}/meta", $this->authHeaders())
+            ->assertJsonPath('pagination', 'offset');
+
+        $this->getJson("{$this->resourcePath}?perPage=2", $this->authHeaders())
+            ->assertOk()
+            ->assertJsonStructure(['data', 'current_page', 'last_page', 'total']);
+    }
+
+    public function test_index_pages_through_records_with_cursors(): void
+    {
+        foreach (['Cursorland A', 'Cursorland B', 'Cursorland C', 'Cursorland D', 'Cursorland E'] as $name) {
+            Country::factory()->create(['name' => $name]);
+        }
+
+        $query = 'perPage=2&sort=name&direction=asc&search=Cursorland';
+
+        $first = $this->getJson("{$this->resourcePath}?{$query}", $this->authHeaders());
+
+        $first->assertOk()
+            ->assertJsonMissingPath('total')
+            ->assertJsonPath('prev_cursor', null)
+            ->assertJsonPath('data.*.name', ['Cursorland A', 'Cursorland B']);
+
+        $second = $this->getJson(
+            "{$this->resourcePath}?{$query}&cursor={$first->json('next_cursor')}",
+            $this->authHeaders()
+        );
+
+        $second->assertOk()->assertJsonPath('data.*.name', ['Cursorland C', 'Cursorland D']);
+        $this->assertNotNull($second->json('prev_cursor'));
+
+        $last = $this->getJson(
+            "{$this->resourcePath}?{$query}&cursor={$second->json('next_cursor')}",
+            $this->authHeaders()
+        );
+
+        $last->assertOk()
+            ->assertJsonPath('data.*.name', ['Cursorland E'])
+            ->assertJsonPath('next_cursor', null);
+    }
+
+    public function test_cursor_pages_keep_the_search(): void
+    {
+        foreach (['Cursorland North', 'Cursorland South', 'Elsewhere'] as $name) {
+            Country::factory()->create(['name' => $name]);
+        }
+
+        $this->getJson("{$this->resourcePath}?perPage=10&search=Cursorland", $this->authHeaders())
+            ->assertOk()
+            ->assertJsonCount(2, 'data')
+            ->assertJsonPath('next_cursor', null);
+    }
+}
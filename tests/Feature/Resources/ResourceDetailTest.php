@@ -0,0 +1,85 @@
+<?php
+
+namespace Tests\Feature\Resources;
+
+use App\Models\Country;
+use App\Models\Timezone;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class ResourceDetailTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected User $user;
+
+    protected string $resourcePath = '/api/resources/countries';
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->user = User::factory()->create();
+        $this->user->assignRole('admin');
+
+        config(['admin.id' => [$this->user->id]]);
+    }
+
+    protected function authHeaders(): array
+    {
+        $token = $this->user->createToken('test')->plainTextToken;
+
+        return [
+            'Authorization' => "Bearer {$token}",
+            'Accept' => 'application/json',
+        ];
+    }
+
+    public function test_meta_returns_show_fields_for_show_context(): void
+    {
+        $response = $this->getJson("{$this->resourcePath}/meta?context=show", $this->authHeaders());
+
+        $response->assertOk();
+
+        $attributes = collect($response->json('fields'))->pluck('attribute')->all();
+
+        $this->assertEquals('id', $attributes[0]);
+        $this->assertContains('capital', $attributes);
+        $this->assertContains('currency_name', $attributes);
+        $this->assertEquals(['created_at', 'updated_at'], array_slice($attributes, -2));
+    }
+
+    public function test_show_context_returns_display_values(): void
+    {
+        $country = Country::factory()->create(['name' => 'Japan']);
+        $timezone = Timezone::factory()->create(['name' => 'Asia/Tokyo']);
+        $country->timezones()->attach($timezone);
+
+        $response = $this->getJson("{$this->resourcePath}/{$country->id}?context=show", $this->authHeaders());
+
+        $response->assertOk()
+            ->assertJsonPath('data.id', $country->id)
+            ->assertJsonPath('data.name', 'Japan')
+            ->assertJsonPath('data.timezones.0.id', $timezone->id)
+            ->assertJsonPath('data.timezones.0.display', 'Asia/Tokyo');
+    }
+
+    public function test_show_without_context_returns_raw_form_data(): void
+    {
+        $country = Country::factory()->create();
+        $country->timezones()->attach(Timezone::factory()->create());
+
+        $response = $this->getJson("{$this->resourcePath}/{$country->id}", $this->authHeaders());
+
+        $response->assertOk()
+            ->assertJsonPath('data.id', $country->id)
+            ->assertJsonMissingPath('data.timezones.0.display');
+    }
+
+    public function test_show_context_returns_404_for_missing_record(): void
+    {
+        $this->getJson("{$this->resourcePath}/999999?context=show", $this->authHeaders())
+            ->assertNotFound();
+    }
+}
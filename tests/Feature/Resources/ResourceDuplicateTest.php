@@ -0,0 +1,135 @@
+<?php
+
+namespace Tests\Feature\Resources;
+
+use App\Models\Country;
+use App\Models\Timezone;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\Feature\Resources\Fixtures\RestrictedCountryResource;
+use Tests\Feature\Resources\Fixtures\ShallowDuplicateCountryResource;
+use Tests\TestCase;
+
+class ResourceDuplicateTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected User $user;
+
+    protected string $resourcePath = '/api/resources/countries';
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->user = User::factory()->create();
+        $this->user->assignRole('admin');
+
+        config(['admin.id' => [$this->user->id]]);
+    }
+
+    protected function authHeaders(): array
+    {
+        $token = $this->user->createToken('test')->plainTextToken;
+
+        return [
+            'Authorization' => "Bearer {$token}",
+            'Accept' => 'application/json',
+        ];
+    }
+
+    public function test_duplicate_returns_form_values_without_storing_a_record(): void
+    {
+        $country = Country::factory()->create(['name' => 'Dupland', 'capital' => 'Dup City', 'display_order' => 7]);
+        $count = Country::count();
+
+        $response = $this->getJson("{$this->resourcePath}/{$country->id}/duplicate", $this->authHeaders());
+
+        $response->assertOk()
+            ->assertJsonPath('data.capital', 'Dup City')
+            ->assertJsonPath('data.display_order', 7)
+            ->assertJsonMissingPath('data.id')
+            ->assertJsonMissingPath('data.created_at');
+
+        $this->assertSame($count, Country::count());
+    }
+
+    public function test_duplicate_leaves_out_excluded_attributes(): void
+    {
+        $country = Country::factory()->create(['name' => 'Dupland']);
+
+        $this->getJson("{$this->resourcePath}/{$country->id}/duplicate", $this->authHeaders())
+            ->assertOk()
+            ->assertJsonMissingPath('data.code')
+            ->assertJsonMissingPath('data.code_alpha3');
+    }
+
+    public function test_duplicate_suffixes_unique_attributes_until_free(): void
+    {
+        $country = Country::factory()->create(['name' => 'Dupland']);
+
+        $this->getJson("{$this->resourcePath}/{$country->id}/duplicate", $this->authHeaders())
+            ->assertJsonPath('data.name', 'Dupland (Copy)');
+
+        Country::factory()->create(['name' => 'Dupland (Copy)']);
+
+        $this->getJson("{$this->resourcePath}/{$country->id}/duplicate", $this->authHeaders())
+            ->assertJsonPath('data.name', 'Dupland (Copy 2)');
+    }
+
+    public function test_duplicate_copies_many_to_many_relations_when_enabled(): void
+    {
+        $country = Country::factory()->create();
+        $timezones = Timezone::factory()->count(2)->create();
+        $country->timezones()->attach($timezones->pluck('id'));
+
+        $response = $this->getJson("{$this->resourcePath}/{$country->id}/duplicate", $this->authHeaders());
+
+        $this->assertEqualsCanonicalizing($timezones->pluck('id')->all(), $response->json('data.timezones'));
+    }
+
+    public function test_duplicate_can_leave_relations_and_names_as_they_are(): void
+    {
+        config(['resources.countries' => ShallowDuplicateCountryResource::class]);
+
+        $country = Country::factory()->create(['name' => 'Dupland']);
+        $country->timezones()->attach(Timezone::factory()->create()->id);
+
+        $this->getJson("{$this->resourcePath}/{$country->id}/duplicate", $this->authHeaders())
+            ->assertOk()
+            ->assertJsonPath('data.name', 'Dupland')
+            ->assertJsonMissingPath('data.timezones');
+    }
+
+    public function test_duplicate_values_can_be_saved_as_a_new_record(): void
+    {
+        $country = Country::factory()->create(['name' => 'Dupland']);
+        $country->timezones()->attach(Timezone::factory()->create()->id);
+
+        $values = $this->getJson("{$this->resourcePath}/{$country->id}/duplicate", $this->authHeaders())->json('data');
+
+        $response = $this->postJson($this->resourcePath, [...$values, 'code' => 'DQ', 'code_alpha3' => 'DQX'], $this->authHeaders());
+
+        $response->assertCreated()->assertJsonPath('data.name', 'Dupland (Copy)');
+
+        $copy = Country::where('code', 'DQ')->firstOrFail();
+        $this->assertNotSame($country->id, $copy->id);
+        $this->assertEquals($country->timezones->pluck('id')->all(), $copy->timezones->pluck('id')->all());
+    }
+
+    public function test_duplicate_requires_the_create_ability(): void
+    {
+        config(['resources.countries' => RestrictedCountryResource::class]);
+
+        $country = Country::factory()->create();
+
+        $this->getJson("{$this->resourcePath}/{$country->id}/duplicate", $this->authHeaders())
+            ->assertForbidden();
+    }
+
+    public function test_duplicate_of_a_missing_record_is_not_found(): void
+    {
+        $this->getJson("{$this->resourcePath}/999999/duplicate", $this->authHeaders())
+            ->assertNotFound();
+    }
+}
@@ -0,0 +1,181 @@
+<?php
+
+namespace Tests\Feature\Resources;
+
+use App\Models\Country;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use OpenSpout\Reader\XLSX\Reader as XlsxReader;
+use Tests\TestCase;
+
+class ResourceExportTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected User $user;
+
+    protected string $resourcePath = '/api/resources/countries';
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->user = User::factory()->create();
+        $this->user->assignRole('admin');
+
+        config(['admin.id' => [$this->user->id]]);
+    }
+
+    protected function authHeaders(): array
+    {
+        $token = $this->user->createToken('test')->plainTextToken;
+
+        return [
+            'Authorization' => "Bearer {$token}",
+            'Accept' => 'application/json',
+        ];
+    }
+
+    public function test_meta_includes_export_formats_and_fields(): void
+    {
+        $response = $this->getJson("{$this->resourcePath}/meta", $this->authHeaders());
+
+        $response->assertOk()
+            ->assertJsonPath('export.formats', ['csv', 'xlsx', 'json'])
+            ->assertJsonStructure(['export' => ['fields' => ['*' => ['attribute', 'label']]]]);
+
+        $attributes = collect($response->json('export.fields'))->pluck('attribute');
+        $this->assertContains('name', $attributes);
+        $this->assertNotContains('flag_svg', $attributes);
+    }
+
+    public function test_can_export_csv_with_selected_columns(): void
+    {
+        Country::factory()->create(['name' => 'Germany', 'code' => 'DE']);
+        Country::factory()->create(['name' => 'France', 'code' => 'FR']);
+
+        $response = $this->get(
+            "{$this->resourcePath}/export?format=csv&columns[]=name&columns[]=code&sort=name&direction=asc",
+            $this->authHeaders()
+        );
+
+        $response->assertOk();
+        $this->assertStringContainsString('text/csv', $response->headers->get('Content-Type'));
+        $this->assertStringContainsString('attachment; filename=countries-', $response->headers->get('Content-Disposition'));
+
+        $lines = array_values(array_filter(explode("\n", str_replace("\xEF\xBB\xBF", '', $response->streamedContent()))));
+
+        $this->assertEquals('Name,Code', $lines[0]);
+        $this->assertEquals('France,FR', $lines[1]);
+        $this->assertEquals('Germany,DE', $lines[2]);
+    }
+
+    public function test_export_respects_search_and_filters(): void
+    {
+        Country::factory()->create(['name' => 'United States', 'region' => 'Americas']);
+        Country::factory()->create(['name' => 'United Kingdom', 'region' => 'Europe']);
+        Country::factory()->create(['name' => 'Germany', 'region' => 'Europe']);
+
+        $response = $this->get(
+            "{$this->resourcePath}/export?format=json&columns[]=name&search=United&filters[region]=Europe",
+            $this->authHeaders()
+        );
+
+        $response->assertOk();
+
+        $this->assertEquals([['name' => 'United Kingdom']], json_decode($response->streamedContent(), true));
+    }
+
+    public function test_export_can_be_limited_to_selected_ids(): void
+    {
+        $selected = Country::factory()->create(['name' => 'Spain']);
+        Country::factory()->create(['name' => 'Italy']);
+
+        $response = $this->get(
+            "{$this->resourcePath}/export?format=json&columns[]=name&ids[]={$selected->id}",
+            $this->authHeaders()
+        );
+
+        $response->assertOk();
+
+        $this->assertEquals([['name' => 'Spain']], json_decode($response->streamedContent(), true));
+    }
+
+    public function test_can_export_xlsx(): void
+    {
+        Country::factory()->count(3)->create();
+
+        $response = $this->get("{$this->resourcePath}/export?format=xlsx", $this->authHeaders());
+
+        $response->assertOk();
+        $this->assertEquals(
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            $response->headers->get('Content-Type')
+        );
+
+        // XLSX files are zip archives
+        $this->assertStringStartsWith('PK', $response->streamedContent());
+    }
+
+    public function test_csv_export_keeps_formulas_as_text(): void
+    {
+        Country::factory()->create(['name' => '=HYPERLINK("https://evil.test","Click")', 'code' => 'XX']);
+
+        $response = $this->get("{$this->resourcePath}/export?format=csv&columns[]=name&columns[]=code", $this->authHeaders());
+
+        $lines = array_values(array_filter(explode("\n", str_replace("\xEF\xBB\xBF", '', $response->streamedContent()))));
+
+        $this->assertEquals(['\'=HYPERLINK("https://evil.test","Click")', 'XX'], str_getcsv($lines[1]));
+    }
+
+    public function test_xlsx_export_keeps_formulas_as_text(): void
+    {
+        Country::factory()->create(['name' => '=HYPERLINK("https://evil.test","Click")']);
+
+        $response = $this->get("{$this->resourcePath}/export?format=xlsx&columns[]=name", $this->authHeaders());
+
+        $path = tempnam(sys_get_temp_dir(), 'export');
+        file_put_contents($path, $response->streamedContent());
+
+        $reader = new XlsxReader;
+        $reader->open($path);
+        $rows = [];
+        foreach ($reader->getSheetIterator() as $sheet) {
+            foreach ($sheet->getRowIterator() as $row) {
+                $rows[] = $row->toArray();
+            }
+        }
+        $reader->close();
+        unlink($path);
+
+        $this->assertEquals(['\'=HYPERLINK("https://evil.test","Click")'], $rows[1]);
+    }
+
+    public function test_export_rejects_unknown_format(): void
+    {
+        $response = $this->getJson("{$this->resourcePath}/export?format=pdf", $this->authHeaders());
+
+        $response->assertStatus(422)
+            ->assertJsonValidationErrors(['format']);
+    }
+
+    public function test_export_rejects_when_no_exportable_columns_selected(): void
+    {
+        $response = $this->getJson("{$this->resourcePath}/export?format=csv&columns[]=flag_svg", $this->authHeaders());
+
+        $response->assertStatus(422)
+            ->assertJsonPath('message', 'No exportable columns selected');
+    }
+
+    public function test_export_requires_admin(): void
+    {
+        $user = User::factory()->create();
+        $token = $user->createToken('test')->plainTextToken;
+
+        $response = $this->getJson("{$this->resourcePath}/export?format=csv", [
+            'Authorization' => "Bearer {$token}",
+        ]);
+
+        $response->assertStatus(403);
+    }
+}
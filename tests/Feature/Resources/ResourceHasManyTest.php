@@ -0,0 +1,130 @@
+<?php
+
+namespace Tests\Feature\Resources;
+
+use App\Models\Comment;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\Feature\Resources\Fixtures\CommentResource;
+use Tests\TestCase;
+
+class ResourceHasManyTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected User $user;
+
+    protected Comment $parent;
+
+    protected string $resourcePath = '/api/resources/comments';
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->user = User::factory()->create();
+        $this->user->assignRole('admin');
+
+        config([
+            'admin.id' => [$this->user->id],
+            'resources.comments' => CommentResource::class,
+        ]);
+
+        $this->parent = $this->makeComment('Parent');
+    }
+
+    protected function authHeaders(): array
+    {
+        $token = $this->user->createToken('test')->plainTextToken;
+
+        return [
+            'Authorization' => "Bearer {$token}",
+            'Accept' => 'application/json',
+        ];
+    }
+
+    protected function makeComment(string $text, ?Comment $parent = null): Comment
+    {
+        return Comment::create([
+            'comment' => $text,
+            'user_id' => $this->user->id,
+            'commentable_type' => User::class,
+            'commentable_id' => $this->user->id,
+            'parent_id' => $parent?->id,
+        ]);
+    }
+
+    protected function via(string $relationship = 'replies'): array
+    {
+        return [
+            'viaResource' => 'comments',
+            'viaResourceId' => $this->parent->id,
+            'viaRelationship' => $relationship,
+        ];
+    }
+
+    public function test_index_is_scoped_to_the_parent_relationship(): void
+    {
+        $this->makeComment('Reply one', $this->parent);
+        $this->makeComment('Reply two', $this->parent);
+        $this->makeComment('Unrelated');
+
+        $response = $this->getJson($this->resourcePath.'?'.http_build_query($this->via()), $this->authHeaders());
+
+        $response->assertOk()->assertJsonPath('total', 2);
+        $this->assertEqualsCanonicalizing(
+            ['Reply one', 'Reply two'],
+            collect($response->json('data'))->pluck('comment')->all()
+        );
+    }
+
+    public function test_store_sets_the_parent_foreign_key(): void
+    {
+        $response = $this->postJson($this->resourcePath.'?'.http_build_query($this->via()), [
+            'comment' => 'New reply',
+            'user_id' => $this->user->id,
+            'commentable_type' => User::class,
+            'commentable_id' => $this->user->id,
+        ], $this->authHeaders());
+
+        $response->assertCreated();
+
+        $this->assertDatabaseHas('comments', [
+            'comment' => 'New reply',
+            'parent_id' => $this->parent->id,
+        ]);
+    }
+
+    public function test_detach_clears_the_foreign_key(): void
+    {
+        $reply = $this->makeComment('Reply', $this->parent);
+
+        $this->postJson("{$this->resourcePath}/{$reply->id}/detach", $this->via(), $this->authHeaders())
+            ->assertOk();
+
+        $this->assertNull($reply->fresh()->parent_id);
+    }
+
+    public function test_detach_only_applies_to_children_of_the_parent(): void
+    {
+        $other = $this->makeComment('Other');
+
+        $this->postJson("{$this->resourcePath}/{$other->id}/detach", $this->via(), $this->authHeaders())
+            ->assertNotFound();
+    }
+
+    public function test_unknown_relationship_is_rejected(): void
+    {
+        $this->getJson($this->resourcePath.'?'.http_build_query($this->via('secrets')), $this->authHeaders())
+            ->assertNotFound();
+    }
+
+    public function test_detach_requires_a_parent_relationship(): void
+    {
+        $reply = $this->makeComment('Reply', $this->parent);
+
+        $this->postJson("{$this->resourcePath}/{$reply->id}/detach", [], $this->authHeaders())
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['viaResource', 'viaResourceId', 'viaRelationship']);
+    }
+}
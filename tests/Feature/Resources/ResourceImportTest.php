@@ -0,0 +1,362 @@
+<?php
+
+namespace Tests\Feature\Resources;
+
+use App\Jobs\ProcessResourceImport;
+use App\Models\Country;
+use App\Models\ResourceImport;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Http\UploadedFile;
+use Illuminate\Support\Facades\Auth;
+use Illuminate\Support\Facades\Queue;
+use Illuminate\Support\Facades\Storage;
+use OpenSpout\Common\Entity\Row;
+use OpenSpout\Common\Entity\Style\Style;
+use OpenSpout\Writer\XLSX\Writer as XlsxWriter;
+use Tests\Feature\Resources\Fixtures\SubregionLockedCountryResource;
+use Tests\TestCase;
+
+class ResourceImportTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected User $user;
+
+    protected string $resourcePath = '/api/resources/countries';
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Storage::fake('local');
+
+        $this->user = User::factory()->create();
+        $this->user->assignRole('admin');
+
+        config(['admin.id' => [$this->user->id]]);
+    }
+
+    protected function authHeaders(): array
+    {
+        $token = $this->user->createToken('test')->plainTextToken;
+
+        return [
+            'Authorization' => "Bearer {$token}",
+            'Accept' => 'application/json',
+        ];
+    }
+
+    protected function csvFile(array $rows): UploadedFile
+    {
+        $content = collect($rows)->map(fn ($row) => implode(',', $row))->implode("\n");
+
+        return UploadedFile::fake()->createWithContent('countries.csv', $content);
+    }
+
+    protected function xlsxFile(array $rows): UploadedFile
+    {
+        $path = tempnam(sys_get_temp_dir(), 'import');
+        $dateStyle = (new Style)->setFormat('yyyy-mm-dd');
+
+        $writer = new XlsxWriter;
+        $writer->openToFile($path);
+
+        foreach ($rows as $row) {
+            $writer->addRow(Row::fromValues($row, $dateStyle));
+        }
+
+        $writer->close();
+
+        $file = UploadedFile::fake()->createWithContent('countries.xlsx', file_get_contents($path));
+        unlink($path);
+
+        return $file;
+    }
+
+    protected function uploadCsv(array $rows): array
+    {
+        return $this->post("{$this->resourcePath}/imports", [
+            'file' => $this->csvFile($rows),
+        ], $this->authHeaders())->assertCreated()->json();
+    }
+
+    public function test_meta_reports_resource_as_importable(): void
+    {
+        $this->getJson("{$this->resourcePath}/meta", $this->authHeaders())
+            ->assertOk()
+            ->assertJsonPath('importable', true);
+    }
+
+    public function test_upload_reads_headers_and_suggests_mapping(): void
+    {
+        $result = $this->uploadCsv([
+            ['Name', 'Country Code', 'Code Alpha3', 'Numeric Code'],
+            ['Wakanda', 'WK', 'WKD', '998'],
+            ['Genovia', 'GV', 'GNV', '997'],
+        ]);
+
+        $this->assertEquals(['Name', 'Country Code', 'Code Alpha3', 'Numeric Code'], $result['import']['headers']);
+        $this->assertEquals(2, $result['import']['total_rows']);
+        $this->assertEquals('pending', $result['import']['status']);
+        $this->assertArrayNotHasKey('file_path', $result['import']);
+
+        $this->assertEquals(0, $result['mapping']['name']);
+        $this->assertEquals(2, $result['mapping']['code_alpha3']);
+        $this->assertEquals(3, $result['mapping']['numeric_code']);
+        $this->assertArrayNotHasKey('code', $result['mapping']);
+
+        $this->assertEquals('Wakanda', $result['sample'][0]['Name']);
+    }
+
+    public function test_upload_rejects_unsupported_files(): void
+    {
+        $response = $this->post("{$this->resourcePath}/imports", [
+            'file' => UploadedFile::fake()->create('countries.pdf', 10, 'application/pdf'),
+        ], $this->authHeaders());
+
+        $response->assertStatus(422)
+            ->assertJsonValidationErrors(['file']);
+    }
+
+    public function test_preview_reports_row_errors_without_saving(): void
+    {
+        Country::factory()->create(['code' => 'FR']);
+
+        $result = $this->uploadCsv([
+            ['Name', 'Code', 'Code Alpha3', 'Numeric Code', 'Region'],
+            ['Wakanda', 'WK', 'WKD', '998', 'Africa'],
+            ['Duplicate', 'FR', 'DUP', '997', 'Europe'],
+        ]);
+
+        $response = $this->postJson("{$this->resourcePath}/imports/{$result['import']['id']}/preview", [
+            'mapping' => ['name' => 0, 'code' => 1, 'code_alpha3' => 2, 'numeric_code' => 3, 'region' => 4],
+        ], $this->authHeaders());
+
+        $response->assertOk()
+            ->assertJsonPath('valid', 1)
+            ->assertJsonPath('invalid', 1)
+            ->assertJsonPath('rows.0.row', 2)
+            ->assertJsonPath('rows.0.errors', [])
+            ->assertJsonPath('rows.1.row', 3);
+
+        $this->assertArrayHasKey('code', $response->json('rows.1.errors'));
+        $this->assertDatabaseMissing('countries', ['name' => 'Wakanda']);
+    }
+
+    public function test_preview_reports_rows_missing_a_region(): void
+    {
+        $result = $this->uploadCsv([
+            ['Name', 'Code', 'Code Alpha3', 'Numeric Code', 'Region'],
+            ['Wakanda', 'WK', 'WKD', '998', ''],
+        ]);
+
+        $response = $this->postJson("{$this->resourcePath}/imports/{$result['import']['id']}/preview", [
+            'mapping' => ['name' => 0, 'code' => 1, 'code_alpha3' => 2, 'numeric_code' => 3, 'region' => 4],
+        ], $this->authHeaders());
+
+        $response->assertOk()
+            ->assertJsonPath('valid', 0)
+            ->assertJsonPath('invalid', 1);
+
+        $this->assertArrayHasKey('region', $response->json('rows.0.errors'));
+    }
+
+    public function test_commit_queues_the_import(): void
+    {
+        Queue::fake();
+
+        $result = $this->uploadCsv([
+            ['Name', 'Code', 'Code Alpha3', 'Numeric Code'],
+            ['Wakanda', 'WK', 'WKD', '998'],
+        ]);
+        $importId = $result['import']['id'];
+
+        $this->postJson("{$this->resourcePath}/imports/{$importId}/preview", [
+            'mapping' => ['name' => 0, 'code' => 1, 'code_alpha3' => 2, 'numeric_code' => 3],
+        ], $this->authHeaders())->assertOk();
+
+        $this->postJson("{$this->resourcePath}/imports/{$importId}/commit", [], $this->authHeaders())
+            ->assertStatus(202)
+            ->assertJsonPath('import.status', 'queued');
+
+        Queue::assertPushed(ProcessResourceImport::class, fn ($job) => $job->import->id === $importId);
+
+        // A second commit is rejected
+        $this->postJson("{$this->resourcePath}/imports/{$importId}/commit", [], $this->authHeaders())
+            ->assertStatus(422);
+    }
+
+    public function test_processing_imports_valid_rows_and_records_failures(): void
+    {
+        Country::factory()->create(['code' => 'FR']);
+
+        $result = $this->uploadCsv([
+            ['Name', 'Code', 'Code Alpha3', 'Numeric Code', 'Region'],
+            ['Wakanda', 'WK', 'WKD', '998', 'Africa'],
+            ['Duplicate', 'FR', 'DUP', '997', 'Europe'],
+            ['Genovia', 'GV', 'GNV', '996', 'Europe'],
+        ]);
+        $importId = $result['import']['id'];
+
+        $this->postJson("{$this->resourcePath}/imports/{$importId}/preview", [
+            'mapping' => ['name' => 0, 'code' => 1, 'code_alpha3' => 2, 'numeric_code' => 3, 'region' => 4],
+        ], $this->authHeaders())->assertOk();
+
+        // The sync queue runs the job immediately
+        $this->postJson("{$this->resourcePath}/imports/{$importId}/commit", [], $this->authHeaders())
+            ->assertStatus(202);
+
+        $this->assertDatabaseHas('countries', ['name' => 'Wakanda', 'code' => 'WK']);
+        $this->assertDatabaseHas('countries', ['name' => 'Genovia', 'code' => 'GV']);
+        $this->assertDatabaseMissing('countries', ['name' => 'Duplicate']);
+
+        $response = $this->getJson("{$this->resourcePath}/imports/{$importId}", $this->authHeaders());
+
+        $response->assertOk()
+            ->assertJsonPath('import.status', 'completed')
+            ->assertJsonPath('import.processed_rows', 3)
+            ->assertJsonPath('import.imported_rows', 2)
+            ->assertJsonPath('import.failed_rows', 1)
+            ->assertJsonPath('import.progress', 100)
+            ->assertJsonPath('errors.0.row', 3);
+
+        Storage::disk('local')->assertMissing(ResourceImport::find($importId)->file_path);
+    }
+
+    public function test_error_report_lists_failed_rows(): void
+    {
+        $result = $this->uploadCsv([
+            ['Name', 'Code', 'Code Alpha3', 'Numeric Code'],
+            ['', 'WK', 'WKD', '998'],
+        ]);
+        $importId = $result['import']['id'];
+
+        $this->postJson("{$this->resourcePath}/imports/{$importId}/preview", [
+            'mapping' => ['name' => 0, 'code' => 1, 'code_alpha3' => 2, 'numeric_code' => 3],
+        ], $this->authHeaders());
+        $this->postJson("{$this->resourcePath}/imports/{$importId}/commit", [], $this->authHeaders());
+
+        $response = $this->get("{$this->resourcePath}/imports/{$importId}/errors", $this->authHeaders());
+
+        $response->assertOk();
+        $lines = array_values(array_filter(explode("\n", str_replace("\xEF\xBB\xBF", '', $response->streamedContent()))));
+
+        $this->assertEquals('Row,Name,Code,"Code Alpha3","Numeric Code",Errors', $lines[0]);
+        $this->assertStringStartsWith('2,,WK,WKD,998,', $lines[1]);
+    }
+
+    public function test_error_report_lists_xlsx_dates_as_text(): void
+    {
+        Country::factory()->create(['code' => 'FR']);
+
+        $result = $this->post("{$this->resourcePath}/imports", [
+            'file' => $this->xlsxFile([
+                ['Name', 'Code', 'Founded'],
+                ['Duplicate', 'FR', new \DateTimeImmutable('1966-07-01')],
+            ]),
+        ], $this->authHeaders())->assertCreated()->json();
+        $importId = $result['import']['id'];
+
+        $this->postJson("{$this->resourcePath}/imports/{$importId}/preview", [
+            'mapping' => ['name' => 0, 'code' => 1],
+        ], $this->authHeaders());
+        $this->postJson("{$this->resourcePath}/imports/{$importId}/commit", [], $this->authHeaders());
+
+        $this->assertSame(['Duplicate', 'FR', '1966-07-01'], ResourceImport::find($importId)->row_errors[0]['values']);
+
+        $response = $this->get("{$this->resourcePath}/imports/{$importId}/errors", $this->authHeaders());
+
+        $response->assertOk();
+        $lines = array_values(array_filter(explode("\n", str_replace("\xEF\xBB\xBF", '', $response->streamedContent()))));
+
+        $this->assertStringStartsWith('2,Duplicate,FR,1966-07-01,', $lines[1]);
+    }
+
+    public function test_unwritable_fields_cannot_be_mapped(): void
+    {
+        config(['resources.countries' => SubregionLockedCountryResource::class]);
+
+        $result = $this->uploadCsv([
+            ['Name', 'Code', 'Code Alpha3', 'Numeric Code', 'Region', 'Subregion'],
+            ['Wakanda', 'WK', 'WKD', '998', 'Africa', 'Eastern Africa'],
+        ]);
+        $importId = $result['import']['id'];
+
+        $this->postJson("{$this->resourcePath}/imports/{$importId}/preview", [
+            'mapping' => ['name' => 0, 'code' => 1, 'code_alpha3' => 2, 'numeric_code' => 3, 'region' => 4, 'subregion' => 5],
+        ], $this->authHeaders())->assertOk();
+
+        $this->assertArrayNotHasKey('subregion', ResourceImport::find($importId)->mapping);
+    }
+
+    public function test_queued_imports_apply_the_importing_users_field_restrictions(): void
+    {
+        config(['resources.countries' => SubregionLockedCountryResource::class]);
+
+        $result = $this->uploadCsv([
+            ['Name', 'Code', 'Code Alpha3', 'Numeric Code', 'Region', 'Subregion'],
+            ['Wakanda', 'WK', 'WKD', '998', 'Africa', 'Eastern Africa'],
+        ]);
+        $import = ResourceImport::find($result['import']['id']);
+        $import->update([
+            'mapping' => ['name' => 0, 'code' => 1, 'code_alpha3' => 2, 'numeric_code' => 3, 'region' => 4, 'subregion' => 5],
+            'status' => ResourceImport::STATUS_QUEUED,
+        ]);
+
+        // Queue workers run without an authenticated user
+        $this->app['auth']->forgetGuards();
+        (new ProcessResourceImport($import))->handle();
+
+        $this->assertDatabaseHas('countries', ['name' => 'Wakanda', 'region' => 'Africa', 'subregion' => null]);
+
+        // The next job on the worker must not run as the importing user
+        $this->assertFalse(Auth::check());
+    }
+
+    public function test_prunes_imports_that_were_never_started(): void
+    {
+        $abandoned = ResourceImport::find($this->uploadCsv([['Name'], ['Wakanda']])['import']['id']);
+        $queued = ResourceImport::find($this->uploadCsv([['Name'], ['Genovia']])['import']['id']);
+        $queued->update(['status' => ResourceImport::STATUS_QUEUED]);
+
+        $this->travel(ResourceImport::EXPIRES_AFTER_HOURS + 1)->hours();
+        $this->artisan('model:prune', ['--model' => [ResourceImport::class]]);
+
+        $this->assertDatabaseMissing('resource_imports', ['id' => $abandoned->id]);
+        Storage::disk(ResourceImport::DISK)->assertMissing($abandoned->file_path);
+        $this->assertDatabaseHas('resource_imports', ['id' => $queued->id]);
+    }
+
+    public function test_imports_are_scoped_to_their_owner(): void
+    {
+        $result = $this->uploadCsv([
+            ['Name'],
+            ['Wakanda'],
+        ]);
+
+        $other = User::factory()->create();
+        $other->assignRole('admin');
+        config(['admin.id' => [$this->user->id, $other->id]]);
+        $token = $other->createToken('test')->plainTextToken;
+
+        $this->getJson("{$this->resourcePath}/imports/{$result['import']['id']}", [
+            'Authorization' => "Bearer {$token}",
+        ])->assertNotFound();
+    }
+
+    public function test_import_requires_admin(): void
+    {
+        $user = User::factory()->create();
+        $token = $user->createToken('test')->plainTextToken;
+
+        $response = $this->post("{$this->resourcePath}/imports", [
+            'file' => $this->csvFile([['Name'], ['Wakanda']]),
+        ], [
+            'Authorization' => "Bearer {$token}",
+            'Accept' => 'application/json',
+        ]);
+
+        $response->assertStatus(403);
+    }
+}
@@ -0,0 +1,67 @@
+<?php
+
+namespace Tests\Feature\Resources;
+
+use App\Models\Role;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class ResourceListTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected function authHeaders(User $user): array
+    {
+        $token = $user->createToken('test')->plainTextToken;
+
+        return [
+            'Authorization' => "Bearer {$token}",
+            'Accept' => 'application/json',
+        ];
+    }
+
+    public function test_lists_the_registered_resources(): void
+    {
+        $user = User::factory()->create();
+        $user->assignRole('admin');
+        config(['admin.id' => [$user->id]]);
+
+        $response = $this->getJson('/api/resources', $this->authHeaders($user));
+
+        $response->assertOk()
+            ->assertJsonPath('data.0.key', 'users')
+            ->assertJsonPath('data.0.label', 'Users')
+            ->assertJsonPath('data.0.can.create', true)
+            ->assertJsonStructure(['data' => [['key', 'label', 'singularLabel', 'title', 'searchable', 'can']]]);
+
+        $this->assertSame(['users', 'roles', 'countries', 'timezones'], $response->json('data.*.key'));
+    }
+
+    public function test_only_lists_resources_the_user_may_view(): void
+    {
+        Role::factory()->create([
+            'name' => 'Editor',
+            'slug' => 'editor',
+            'permissions' => ['admin.access', 'countries.viewAny', 'countries.view'],
+        ]);
+
+        $user = User::factory()->create();
+        $user->assignRole('editor');
+        config(['admin.id' => [$user->id]]);
+
+        $this->getJson('/api/resources', $this->authHeaders($user))
+            ->assertOk()
+            ->assertJsonCount(1, 'data')
+            ->assertJsonPath('data.0.key', 'countries')
+            ->assertJsonPath('data.0.can.create', false);
+    }
+
+    public function test_requires_the_admin_panel(): void
+    {
+        $user = User::factory()->create();
+        $user->assignRole('user');
+
+        $this->getJson('/api/resources', $this->authHeaders($user))->assertForbidden();
+    }
+}
@@ -0,0 +1,154 @@
+<?php
+
+namespace Tests\Feature\Resources;
+
+use App\Core\Services\ResourceService;
+use App\Exceptions\StaleVersionException;
+use App\Models\Country;
+use App\Models\User;
+use App\Resources\CountryResource;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class ResourceOptimisticLockingTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected User $user;
+
+    protected string $resourcePath = '/api/resources/countries';
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->user = User::factory()->create();
+        $this->user->assignRole('admin');
+
+        config(['admin.id' => [$this->user->id]]);
+    }
+
+    protected function authHeaders(): array
+    {
+        $token = $this->user->createToken('test')->plainTextToken;
+
+        return [
+            'Authorization' => "Bearer {$token}",
+            'Accept' => 'application/json',
+        ];
+    }
+
+    protected function formData(Country $country, array $changes = []): array
+    {
+        return array_merge([
+            'code' => $country->code,
+            'code_alpha3' => $country->code_alpha3,
+            'numeric_code' => $country->numeric_code,
+            'name' => $country->name,
+            'region' => $country->region,
+            'is_active' => true,
+        ], $changes);
+    }
+
+    protected function loadVersion(Country $country): string
+    {
+        return $this->getJson("{$this->resourcePath}/{$country->id}", $this->authHeaders())
+            ->assertOk()
+            ->json('version');
+    }
+
+    public function test_update_with_the_current_version_succeeds(): void
+    {
+        $country = Country::factory()->create(['name' => 'Old Name']);
+        $version = $this->loadVersion($country);
+
+        $this->putJson(
+            "{$this->resourcePath}/{$country->id}",
+            $this->formData($country, ['name' => 'New Name', '_version' => $version]),
+            $this->authHeaders()
+        )->assertOk();
+
+        $this->assertDatabaseHas('countries', ['id' => $country->id, 'name' => 'New Name']);
+    }
+
+    public function test_update_with_an_outdated_version_is_refused_with_the_current_record(): void
+    {
+        $country = Country::factory()->create(['name' => 'Old Name', 'region' => 'Europe']);
+        $version = $this->loadVersion($country);
+
+        // Someone else saves first
+        $this->putJson(
+            "{$this->resourcePath}/{$country->id}",
+            $this->formData($country, ['region' => 'Asia', '_version' => $version]),
+            $this->authHeaders()
+        )->assertOk();
+
+        $response = $this->putJson(
+            "{$this->resourcePath}/{$country->id}",
+            $this->formData($country, ['name' => 'My Name', '_version' => $version]),
+            $this->authHeaders()
+        );
+
+        $response->assertStatus(409)
+            ->assertJsonPath('data.region', 'Asia')
+            ->assertJsonPath('data.name', 'Old Name')
+            ->assertJsonPath('changed_by', $this->user->name)
+            ->assertJsonStructure(['message', 'data', 'version', 'changed_by', 'changed_at']);
+
+        $this->assertNotSame($version, $response->json('version'));
+        $this->assertDatabaseHas('countries', ['id' => $country->id, 'name' => 'Old Name', 'region' => 'Asia']);
+    }
+
+    public function test_resubmitting_with_the_version_from_the_conflict_succeeds(): void
+    {
+        $country = Country::factory()->create(['name' => 'Old Name']);
+        $version = $this->loadVersion($country);
+
+        $country->update(['region' => 'Asia']);
+
+        $current = $this->putJson(
+            "{$this->resourcePath}/{$country->id}",
+            $this->formData($country, ['name' => 'My Name', '_version' => $version]),
+            $this->authHeaders()
+        )->assertStatus(409)->json('version');
+
+        $this->putJson(
+            "{$this->resourcePath}/{$country->id}",
+            $this->formData($country->fresh(), ['name' => 'My Name', '_version' => $current]),
+            $this->authHeaders()
+        )->assertOk();
+
+        $this->assertDatabaseHas('countries', ['id' => $country->id, 'name' => 'My Name', 'region' => 'Asia']);
+    }
+
+    public function test_the_service_checks_the_version_in_the_same_transaction_as_the_update(): void
+    {
+        $country = Country::factory()->create(['name' => 'Old Name']);
+        $service = new ResourceService(new CountryResource);
+        $version = $service->version($country->fresh());
+
+        $service->update($country->id, ['name' => 'First Save'], $version);
+
+        $this->expectException(StaleVersionException::class);
+
+        try {
+            $service->update($country->id, ['name' => 'Second Save'], $version);
+        } finally {
+            $this->assertDatabaseHas('countries', ['id' => $country->id, 'name' => 'First Save']);
+        }
+    }
+
+    public function test_update_without_a_version_is_not_checked(): void
+    {
+        $country = Country::factory()->create();
+        $country->update(['region' => 'Asia']);
+
+        $this->putJson(
+            "{$this->resourcePath}/{$country->id}",
+            $this->formData($country, ['name' => 'Last Write']),
+            $this->authHeaders()
+        )->assertOk();
+
+        $this->assertDatabaseHas('countries', ['id' => $country->id, 'name' => 'Last Write']);
+    }
+}
@@ -0,0 +1,186 @@
+<?php
+
+namespace Tests\Feature\Resources;
+
+use App\Models\Country;
+use App\Models\ResourceActivity;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\Feature\Resources\Fixtures\RestrictedCountryResource;
+use Tests\TestCase;
+
+class ResourcePolicyTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected User $user;
+
+    protected string $resourcePath = '/api/resources/countries';
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->user = User::factory()->create();
+        $this->user->assignRole('admin');
+
+        config([
+            'admin.id' => [$this->user->id],
+            'resources.countries' => RestrictedCountryResource::class,
+        ]);
+    }
+
+    protected function authHeaders(): array
+    {
+        $token = $this->user->createToken('test')->plainTextToken;
+
+        return [
+            'Authorization' => "Bearer {$token}",
+            'Accept' => 'application/json',
+        ];
+    }
+
+    public function test_meta_reports_abilities_and_hides_what_the_policy_denies(): void
+    {
+        $response = $this->getJson("{$this->resourcePath}/meta?context=form", $this->authHeaders());
+
+        $response->assertOk()
+            ->assertJsonPath('can.viewAny', true)
+            ->assertJsonPath('can.update', true)
+            ->assertJsonPath('can.create', false)
+            ->assertJsonPath('can.delete', false)
+            ->assertJsonPath('can.restore', false);
+
+        $this->assertSame(['bulk_delete'], collect($response->json('actions'))->pluck('key')->all());
+        $this->assertContains('name', $response->json('editable'));
+        $this->assertNotContains('region', $response->json('editable'));
+        $this->assertNotContains('capital', $response->json('editable'));
+
+        $fields = collect($response->json('fields'))->flatMap(fn ($section) => $section['fields'] ?? [$section])->keyBy('attribute');
+
+        $this->assertFalse($fields->has('capital'));
+        $this->assertTrue($fields['region']['meta']['readonly']);
+    }
+
+    public function test_unreadable_fields_are_left_out_of_responses(): void
+    {
+        $country = Country::factory()->create(['capital' => 'Secret City']);
+
+        $this->getJson($this->resourcePath, $this->authHeaders())
+            ->assertOk()
+            ->assertJsonMissingPath('data.0.capital');
+
+        $this->getJson("{$this->resourcePath}/{$country->id}", $this->authHeaders())
+            ->assertOk()
+            ->assertJsonPath('data.name', $country->name)
+            ->assertJsonMissingPath('data.capital');
+    }
+
+    public function test_unreadable_fields_are_left_out_of_activity_changes(): void
+    {
+        $country = Country::factory()->create();
+
+        ResourceActivity::create([
+            'user_id' => $this->user->id,
+            'resource' => 'countries',
+            'subject_id' => (string) $country->id,
+            'event' => ResourceActivity::EVENT_UPDATED,
+            'changes' => [
+                'name' => ['old' => 'Old name', 'new' => 'New name'],
+                'capital' => ['old' => 'Old City', 'new' => 'Secret City'],
+            ],
+        ]);
+
+        $this->getJson("{$this->resourcePath}/{$country->id}/activity", $this->authHeaders())
+            ->assertOk()
+            ->assertJsonPath('data.0.changes.name.new', 'New name')
+            ->assertJsonMissingPath('data.0.changes.capital');
+
+        $this->getJson('/api/activity?resource=countries', $this->authHeaders())
+            ->assertOk()
+            ->assertJsonPath('data.0.changes.name.new', 'New name')
+            ->assertJsonMissingPath('data.0.changes.capital');
+    }
+
+    public function test_denied_abilities_are_rejected(): void
+    {
+        $country = Country::factory()->create();
+
+        $this->postJson($this->resourcePath, ['name' => 'New'], $this->authHeaders())
+            ->assertForbidden();
+
+        $this->deleteJson("{$this->resourcePath}/{$country->id}", [], $this->authHeaders())
+            ->assertForbidden();
+
+        $this->postJson("{$this->resourcePath}/bulk/delete", ['ids' => [$country->id]], $this->authHeaders())
+            ->assertForbidden();
+
+        $this->postJson("{$this->resourcePath}/actions/bulk_update", [
+            'ids' => [$country->id],
+            'data' => ['is_active' => false],
+        ], $this->authHeaders())->assertForbidden();
+
+        $this->assertDatabaseHas('countries', ['id' => $country->id]);
+    }
+
+    public function test_record_abilities_get_the_record(): void
+    {
+        $locked = Country::factory()->create(['code' => 'XX']);
+        $open = Country::factory()->create();
+
+        $this->patchJson("{$this->resourcePath}/{$locked->id}", ['name' => 'Changed'], $this->authHeaders())
+            ->assertForbidden();
+
+        $this->patchJson("{$this->resourcePath}/{$open->id}", ['name' => 'Changed'], $this->authHeaders())
+            ->assertOk()
+            ->assertJsonPath('data.name', 'Changed');
+    }
+
+    public function test_bulk_operations_skip_records_the_policy_refuses(): void
+    {
+        $locked = Country::factory()->create(['code' => 'XX', 'is_active' => true]);
+        $open = Country::factory()->create(['is_active' => true]);
+
+        $this->postJson("{$this->resourcePath}/bulk/update", [
+            'ids' => [$locked->id, $open->id],
+            'data' => ['is_active' => false],
+        ], $this->authHeaders())
+            ->assertOk()
+            ->assertJsonPath('affected', 1);
+
+        $this->assertTrue($locked->fresh()->is_active);
+        $this->assertFalse($open->fresh()->is_active);
+    }
+
+    public function test_unwritable_fields_are_refused_on_patch_and_ignored_on_update(): void
+    {
+        $country = Country::factory()->create(['region' => 'Europe']);
+
+        $this->patchJson("{$this->resourcePath}/{$country->id}", ['region' => 'Asia'], $this->authHeaders())
+            ->assertForbidden();
+
+        $this->putJson("{$this->resourcePath}/{$country->id}", [
+            'name' => 'Renamed',
+            'code' => $country->code,
+            'code_alpha3' => $country->code_alpha3,
+            'numeric_code' => $country->numeric_code,
+            'region' => 'Asia',
+        ], $this->authHeaders())->assertOk();
+
+        $this->assertDatabaseHas('countries', [
+            'id' => $country->id,
+            'name' => 'Renamed',
+            'region' => 'Europe',
+        ]);
+    }
+
+    public function test_allowed_actions_still_run(): void
+    {
+        $country = Country::factory()->create();
+
+        $this->postJson("{$this->resourcePath}/actions/bulk_delete", ['ids' => [$country->id]], $this->authHeaders())
+            ->assertOk();
+
+        $this->assertDatabaseMissing('countries', ['id' => $country->id]);
+    }
+}
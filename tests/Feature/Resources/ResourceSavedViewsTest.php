@@ -0,0 +1,96 @@
+<?php
+
+namespace Tests\Feature\Resources;
+
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+/**
+ * Saved table views are stored through the settings API:
+ * personal views in a user setting, published views in a global one.
+ */
+class ResourceSavedViewsTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected array $views = [
+        'views' => [
+            [
+                'id' => 'view_active',
+                'name' => 'Active',
+                'state' => [
+                    'search' => '',
+                    'sort' => 'name',
+                    'direction' => 'asc',
+                    'filters' => ['status' => 'active'],
+                    'perPage' => 25,
+                    'columns' => ['name', 'email'],
+                ],
+            ],
+        ],
+        'default' => 'view_active',
+    ];
+
+    protected function createWhitelistedAdmin(): User
+    {
+        $admin = User::factory()->create();
+        $admin->assignRole('admin');
+        config(['admin.id' => [...config('admin.id', []), $admin->id]]);
+
+        return $admin;
+    }
+
+    public function test_personal_views_round_trip_through_user_settings(): void
+    {
+        $admin = $this->createWhitelistedAdmin();
+
+        $this->actingAs($admin, 'sanctum')
+            ->putJson(route('api.user.settings.update-single', 'resource_views_users'), ['value' => $this->views])
+            ->assertOk();
+
+        $this->actingAs($admin, 'sanctum')
+            ->getJson(route('api.user.settings.show', 'resource_views_users'))
+            ->assertOk()
+            ->assertJsonPath('setting.value', $this->views);
+    }
+
+    public function test_personal_views_are_not_shared_between_users(): void
+    {
+        $admin = $this->createWhitelistedAdmin();
+        $other = $this->createWhitelistedAdmin();
+
+        $this->actingAs($admin, 'sanctum')
+            ->putJson(route('api.user.settings.update-single', 'resource_views_users'), ['value' => $this->views])
+            ->assertOk();
+
+        $this->actingAs($other, 'sanctum')
+            ->getJson(route('api.user.settings.show', 'resource_views_users'))
+            ->assertNotFound();
+    }
+
+    public function test_admins_can_publish_views_to_everyone(): void
+    {
+        $admin = $this->createWhitelistedAdmin();
+        $other = $this->createWhitelistedAdmin();
+        $published = $this->views['views'];
+
+        $this->actingAs($admin, 'sanctum')
+            ->putJson(route('api.settings.update', 'resource_published_views_users'), ['value' => $published])
+            ->assertOk();
+
+        $this->actingAs($other, 'sanctum')
+            ->getJson(route('api.settings.show', 'resource_published_views_users'))
+            ->assertOk()
+            ->assertJsonPath('setting.value', $published);
+    }
+
+    public function test_non_admins_cannot_publish_views(): void
+    {
+        $user = User::factory()->create();
+
+        $this->actingAs($user, 'sanctum')
+            ->putJson(route('api.settings.update', 'resource_published_views_users'), ['value' => $this->views['views']])
+            ->assertForbidden();
+    }
+}
@@ -0,0 +1,163 @@
+<?php
+
+namespace Tests\Feature\Resources;
+
+use App\Models\Comment;
+use App\Models\Country;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\Feature\Resources\Fixtures\CommentResource;
+use Tests\TestCase;
+
+class ResourceSoftDeleteTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected User $user;
+
+    protected string $resourcePath = '/api/resources/comments';
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->user = User::factory()->create();
+        $this->user->assignRole('admin');
+
+        config([
+            'admin.id' => [$this->user->id],
+            'resources.comments' => CommentResource::class,
+        ]);
+    }
+
+    protected function authHeaders(): array
+    {
+        $token = $this->user->createToken('test')->plainTextToken;
+
+        return [
+            'Authorization' => "Bearer {$token}",
+            'Accept' => 'application/json',
+        ];
+    }
+
+    protected function makeComment(string $text): Comment
+    {
+        return Comment::create([
+            'comment' => $text,
+            'user_id' => $this->user->id,
+            'commentable_type' => User::class,
+            'commentable_id' => $this->user->id,
+        ]);
+    }
+
+    public function test_meta_reports_soft_deletes_and_adds_the_trashed_filter(): void
+    {
+        $response = $this->getJson("{$this->resourcePath}/meta", $this->authHeaders());
+
+        $response->assertOk()
+            ->assertJsonPath('softDeletes', true);
+
+        $filter = collect($response->json('filters'))->firstWhere('key', 'trashed');
+        $this->assertSame('Without trashed', $filter['meta']['emptyLabel']);
+        $this->assertSame(['with', 'only'], array_column($filter['options'], 'value'));
+    }
+
+    public function test_resources_without_soft_deletes_have_no_trashed_filter(): void
+    {
+        $response = $this->getJson('/api/resources/countries/meta', $this->authHeaders());
+
+        $response->assertOk()
+            ->assertJsonPath('softDeletes', false);
+
+        $this->assertNotContains('trashed', collect($response->json('filters'))->pluck('key'));
+    }
+
+    public function test_delete_moves_the_record_to_the_trash(): void
+    {
+        $comment = $this->makeComment('Trash me');
+
+        $this->deleteJson("{$this->resourcePath}/{$comment->id}", [], $this->authHeaders())
+            ->assertOk();
+
+        $this->assertSoftDeleted('comments', ['id' => $comment->id]);
+    }
+
+    public function test_trashed_filter_controls_which_records_are_listed(): void
+    {
+        $kept = $this->makeComment('Kept');
+        $trashed = $this->makeComment('Trashed');
+        $trashed->delete();
+
+        $ids = fn (string $query) => collect(
+            $this->getJson("{$this->resourcePath}{$query}", $this->authHeaders())->json('data')
+        )->pluck('id')->sort()->values()->all();
+
+        $this->assertSame([$kept->id], $ids(''));
+        $this->assertSame([$kept->id, $trashed->id], $ids('?filters[trashed]=with'));
+        $this->assertSame([$trashed->id], $ids('?filters[trashed]=only'));
+    }
+
+    public function test_can_restore_a_trashed_record(): void
+    {
+        $comment = $this->makeComment('Restore me');
+        $comment->delete();
+
+        $this->postJson("{$this->resourcePath}/{$comment->id}/restore", [], $this->authHeaders())
+            ->assertOk()
+            ->assertJsonPath('message', 'Comment restored successfully');
+
+        $this->assertNotSoftDeleted('comments', ['id' => $comment->id]);
+    }
+
+    public function test_restoring_a_record_that_is_not_trashed_returns_not_found(): void
+    {
+        $comment = $this->makeComment('Still here');
+
+        $this->postJson("{$this->resourcePath}/{$comment->id}/restore", [], $this->authHeaders())
+            ->assertNotFound();
+    }
+
+    public function test_can_force_delete_a_trashed_record(): void
+    {
+        $comment = $this->makeComment('Gone for good');
+        $comment->delete();
+
+        $this->deleteJson("{$this->resourcePath}/{$comment->id}/force", [], $this->authHeaders())
+            ->assertOk();
+
+        $this->assertDatabaseMissing('comments', ['id' => $comment->id]);
+    }
+
+    public function test_can_bulk_restore_by_ids_and_by_query(): void
+    {
+        $first = $this->makeComment('First');
+        $second = $this->makeComment('Second');
+        $third = $this->makeComment('Third');
+        Comment::whereIn('id', [$first->id, $second->id, $third->id])->delete();
+
+        $this->postJson("{$this->resourcePath}/bulk/restore", ['ids' => [$first->id]], $this->authHeaders())
+            ->assertOk()
+            ->assertJsonPath('affected', 1);
+
+        $this->postJson("{$this->resourcePath}/bulk/restore", [
+            'query' => ['search' => 'Second', 'filters' => ['trashed' => 'only']],
+        ], $this->authHeaders())
+            ->assertOk()
+            ->assertJsonPath('affected', 1);
+
+        $this->assertNotSoftDeleted('comments', ['id' => $first->id]);
+        $this->assertNotSoftDeleted('comments', ['id' => $second->id]);
+        $this->assertSoftDeleted('comments', ['id' => $third->id]);
+    }
+
+    public function test_restore_is_rejected_for_resources_without_soft_deletes(): void
+    {
+        $country = Country::factory()->create();
+
+        $this->postJson("/api/resources/countries/{$country->id}/restore", [], $this->authHeaders())
+            ->assertForbidden();
+
+        $this->deleteJson("/api/resources/countries/{$country->id}/force", [], $this->authHeaders())
+            ->assertForbidden();
+    }
+}
@@ -0,0 +1,121 @@
+<?php
+
+namespace Tests\Feature\Resources;
+
+use App\Models\Country;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\Feature\Resources\Fixtures\StructuredCountryResource;
+use Tests\TestCase;
+
+class ResourceStructuredFieldsTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected User $user;
+
+    protected string $resourcePath = '/api/resources/countries';
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->user = User::factory()->create();
+        $this->user->assignRole('admin');
+
+        config([
+            'admin.id' => [$this->user->id],
+            'resources.countries' => StructuredCountryResource::class,
+        ]);
+    }
+
+    protected function authHeaders(): array
+    {
+        $token = $this->user->createToken('test')->plainTextToken;
+
+        return [
+            'Authorization' => "Bearer {$token}",
+            'Accept' => 'application/json',
+        ];
+    }
+
+    protected function country(array $overrides = []): array
+    {
+        return [
+            'name' => 'Rowland',
+            'code' => 'RQ',
+            'code_alpha3' => 'RQL',
+            'numeric_code' => 901,
+            'region' => 'Europe',
+            ...$overrides,
+        ];
+    }
+
+    public function test_meta_describes_the_row_fields(): void
+    {
+        $response = $this->getJson("{$this->resourcePath}/meta?context=form", $this->authHeaders());
+
+        $fields = collect($response->json('fields'))->keyBy('attribute');
+
+        $this->assertSame('repeater', $fields['languages']['type']);
+        $this->assertSame(3, $fields['languages']['meta']['max']);
+        $this->assertSame(['name', 'code'], array_column($fields['languages']['meta']['fields'], 'attribute'));
+        $this->assertSame('key-value', $fields['metadata']['type']);
+    }
+
+    public function test_rows_and_pairs_are_stored(): void
+    {
+        $response = $this->postJson($this->resourcePath, $this->country([
+            'languages' => [
+                ['name' => 'Rowish', 'code' => 'rw'],
+                ['name' => 'Columnese', 'code' => null],
+            ],
+            'metadata' => ['motto' => 'Rows first', 'anthem' => 'Tables'],
+        ]), $this->authHeaders());
+
+        $response->assertCreated();
+
+        $country = Country::where('code', 'RQ')->firstOrFail();
+        $this->assertSame('Columnese', $country->languages[1]['name']);
+        $this->assertSame(['motto' => 'Rows first', 'anthem' => 'Tables'], $country->metadata);
+    }
+
+    public function test_row_errors_name_the_row_and_field(): void
+    {
+        $response = $this->postJson($this->resourcePath, $this->country([
+            'languages' => [
+                ['name' => 'Rowish', 'code' => 'rw'],
+                ['name' => '', 'code' => 'toolong'],
+            ],
+        ]), $this->authHeaders());
+
+        $response->assertStatus(422)
+            ->assertJsonValidationErrors(['languages.1.name', 'languages.1.code'])
+            ->assertJsonMissingValidationErrors(['languages.0.name', 'languages.0.code']);
+    }
+
+    public function test_rows_are_limited_to_the_maximum(): void
+    {
+        $rows = array_fill(0, 4, ['name' => 'Rowish']);
+
+        $this->postJson($this->resourcePath, $this->country(['languages' => $rows]), $this->authHeaders())
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['languages']);
+    }
+
+    public function test_pair_errors_name_the_key(): void
+    {
+        $this->postJson($this->resourcePath, $this->country([
+            'metadata' => ['motto' => 'A motto far too long to fit', 'anthem' => 'Tables'],
+        ]), $this->authHeaders())
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['metadata.motto'])
+            ->assertJsonMissingValidationErrors(['metadata.anthem']);
+    }
+
+    public function test_rows_and_pairs_are_optional(): void
+    {
+        $this->postJson($this->resourcePath, $this->country(['languages' => null, 'metadata' => []]), $this->authHeaders())
+            ->assertCreated();
+    }
+}
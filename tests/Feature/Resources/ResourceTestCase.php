@@ -76,6 +76,8 @@ public function test_can_get_resource_metadata(): void
                 ],
                 'filters',
                 'actions',
+                'editable',
+                'can' => ['viewAny', 'view', 'create', 'update', 'delete', 'restore', 'forceDelete'],
             ]);
     }
 
@@ -0,0 +1,241 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\Country;
+use App\Models\Role;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class RolePermissionTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected function makeRole(string $slug, array $permissions): Role
+    {
+        return Role::factory()->create([
+            'name' => ucfirst($slug),
+            'slug' => $slug,
+            'permissions' => $permissions,
+        ]);
+    }
+
+    /**
+     * A whitelisted user whose roles grant the admin panel and the given permissions.
+     */
+    protected function makePanelUser(array $permissions): User
+    {
+        $this->makeRole('editor', array_merge(['admin.access'], $permissions));
+
+        $user = User::factory()->create();
+        $user->assignRole('editor');
+        config(['admin.id' => [$user->id]]);
+
+        return $user;
+    }
+
+    protected function authHeaders(User $user): array
+    {
+        return [
+            'Authorization' => 'Bearer '.$user->createToken('test')->plainTextToken,
+            'Accept' => 'application/json',
+        ];
+    }
+
+    public function test_seeded_roles_keep_their_access(): void
+    {
+        $this->assertTrue(Role::where('slug', 'admin')->first()->hasAllPermissions());
+        $this->assertSame(['user.access'], Role::where('slug', 'user')->first()->permissions);
+    }
+
+    public function test_user_can_have_multiple_roles(): void
+    {
+        $this->makeRole('editor', ['countries.viewAny']);
+
+        $user = User::factory()->create();
+        $user->assignRole('user');
+        $user->addRole('editor');
+
+        $this->assertEqualsCanonicalizing(['user', 'editor'], $user->roles->pluck('slug')->all());
+        $this->assertSame('user', $user->role()->slug);
+
+        $user->syncRoles(['editor']);
+
+        $this->assertSame(['editor'], $user->roles->pluck('slug')->all());
+    }
+
+    public function test_permissions_combine_across_roles(): void
+    {
+        $this->makeRole('editor', ['countries.viewAny', 'countries.update']);
+
+        $user = User::factory()->create();
+        $user->syncRoles(['user', 'editor']);
+
+        $this->assertTrue($user->hasPermission('user.access'));
+        $this->assertTrue($user->hasPermission('countries.update'));
+        $this->assertFalse($user->hasPermission('countries.delete'));
+        $this->assertEqualsCanonicalizing(
+            ['countries.viewAny', 'countries.update', 'user.access'],
+            $user->permissions()
+        );
+    }
+
+    public function test_admin_access_requires_the_whitelist(): void
+    {
+        $user = User::factory()->create();
+        $user->assignRole('admin');
+        config(['admin.id' => [999]]);
+
+        $this->assertFalse($user->hasPermission('admin.access'));
+        $this->assertNotContains('admin.access', $user->permissions());
+        $this->assertContains('countries.delete', $user->permissions());
+    }
+
+    public function test_me_returns_roles_and_permissions(): void
+    {
+        $user = $this->makePanelUser(['countries.viewAny']);
+        $user->addRole('user');
+
+        $this->getJson('/api/me', $this->authHeaders($user))
+            ->assertOk()
+            ->assertJsonPath('user.roles', ['editor', 'user'])
+            ->assertJsonPath('user.can_access_admin_panel', true);
+
+        $this->assertEqualsCanonicalizing(
+            ['admin.access', 'countries.viewAny', 'user.access'],
+            $this->getJson('/api/me', $this->authHeaders($user))->json('user.permissions')
+        );
+    }
+
+    public function test_resource_abilities_follow_the_role_permissions(): void
+    {
+        $user = $this->makePanelUser(['countries.viewAny', 'countries.view']);
+        $country = Country::factory()->create();
+
+        $this->getJson('/api/resources/countries/meta', $this->authHeaders($user))
+            ->assertOk()
+            ->assertJsonPath('can.viewAny', true)
+            ->assertJsonPath('can.create', false)
+            ->assertJsonPath('can.delete', false);
+
+        $this->getJson("/api/resources/countries/{$country->id}", $this->authHeaders($user))->assertOk();
+        $this->postJson('/api/resources/countries', ['name' => 'Nowhere'], $this->authHeaders($user))->assertForbidden();
+        $this->deleteJson("/api/resources/countries/{$country->id}", [], $this->authHeaders($user))->assertForbidden();
+        $this->getJson('/api/resources/users', $this->authHeaders($user))->assertForbidden();
+    }
+
+    public function test_actions_require_the_permission_of_their_ability(): void
+    {
+        $user = $this->makePanelUser(['countries.viewAny']);
+        $country = Country::factory()->create();
+
+        $this->getJson('/api/resources/countries/meta', $this->authHeaders($user))
+            ->assertOk()
+            ->assertJsonPath('actions', []);
+
+        $this->postJson('/api/resources/countries/actions/bulk_update', [
+            'ids' => [$country->id],
+            'data' => ['is_active' => false],
+        ], $this->authHeaders($user))->assertForbidden();
+
+        $this->postJson('/api/resources/countries/actions/bulk_delete', ['ids' => [$country->id]], $this->authHeaders($user))
+            ->assertForbidden();
+
+        $user->roles()->first()->update(['permissions' => ['admin.access', 'countries.viewAny', 'countries.update']]);
+
+        $this->postJson('/api/resources/countries/actions/bulk_delete', ['ids' => [$country->id]], $this->authHeaders($user))
+            ->assertForbidden();
+
+        $this->postJson('/api/resources/countries/actions/bulk_update', [
+            'ids' => [$country->id],
+            'data' => ['is_active' => false],
+        ], $this->authHeaders($user))->assertOk();
+
+        $this->assertDatabaseHas('countries', ['id' => $country->id, 'is_active' => false]);
+    }
+
+    public function test_pages_require_their_permission(): void
+    {
+        $user = $this->makePanelUser([]);
+
+        $this->getJson('/api/activity', $this->authHeaders($user))->assertForbidden();
+        $this->getJson('/api/email-templates', $this->authHeaders($user))->assertForbidden();
+
+        $user->roles()->first()->update(['permissions' => ['admin.access', 'activity.view']]);
+
+        $this->getJson('/api/activity', $this->authHeaders($user))->assertOk();
+    }
+
+    public function test_user_panel_access_comes_from_the_permission(): void
+    {
+        $this->makeRole('member', ['user.access']);
+
+        $user = User::factory()->create();
+        $user->assignRole('member');
+
+        $this->assertFalse($user->isUser());
+        $this->assertTrue($user->canAccessUserPanel());
+    }
+
+    public function test_permission_matrix_lists_resources_abilities_and_pages(): void
+    {
+        $user = $this->makePanelUser(['roles.viewAny', 'roles.view']);
+        $role = $this->makeRole('support', ['countries.viewAny']);
+
+        $this->getJson("/api/roles/{$role->id}/permissions", $this->authHeaders($user))
+            ->assertOk()
+            ->assertJsonPath('permissions', ['countries.viewAny'])
+            ->assertJsonPath('locked', false)
+            ->assertJsonPath('abilities', ['viewAny', 'view', 'create', 'update', 'delete', 'restore', 'forceDelete'])
+            ->assertJsonPath('resources.2.key', 'countries')
+            ->assertJsonPath('resources.2.permissions.update', 'countries.update')
+            ->assertJsonFragment(['key' => 'activity.view', 'label' => 'View the activity log']);
+    }
+
+    public function test_permission_matrix_can_be_saved(): void
+    {
+        $user = $this->makePanelUser(['roles.viewAny', 'roles.view', 'roles.update']);
+        $role = $this->makeRole('support', []);
+
+        $this->putJson("/api/roles/{$role->id}/permissions", [
+            'permissions' => ['countries.viewAny', 'countries.update', 'activity.view'],
+        ], $this->authHeaders($user))
+            ->assertOk()
+            ->assertJsonPath('permissions', ['countries.viewAny', 'countries.update', 'activity.view']);
+
+        $this->assertSame(['countries.viewAny', 'countries.update', 'activity.view'], $role->fresh()->permissions);
+    }
+
+    public function test_permission_matrix_rejects_unknown_permissions(): void
+    {
+        $user = $this->makePanelUser(['roles.viewAny', 'roles.view', 'roles.update']);
+        $role = $this->makeRole('support', []);
+
+        $this->putJson("/api/roles/{$role->id}/permissions", [
+            'permissions' => ['countries.fly'],
+        ], $this->authHeaders($user))
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['permissions.0']);
+    }
+
+    public function test_wildcard_roles_cannot_be_changed(): void
+    {
+        $user = $this->makePanelUser(['roles.viewAny', 'roles.view', 'roles.update']);
+        $admin = Role::where('slug', 'admin')->first();
+
+        $this->putJson("/api/roles/{$admin->id}/permissions", ['permissions' => []], $this->authHeaders($user))
+            ->assertStatus(422);
+
+        $this->assertTrue($admin->fresh()->hasAllPermissions());
+    }
+
+    public function test_saving_the_permission_matrix_requires_roles_update(): void
+    {
+        $user = $this->makePanelUser(['roles.viewAny', 'roles.view']);
+        $role = $this->makeRole('support', []);
+
+        $this->putJson("/api/roles/{$role->id}/permissions", ['permissions' => []], $this->authHeaders($user))
+            ->assertForbidden();
+    }
+}
@@ -0,0 +1,37 @@
+<?php
+
+namespace Tests\Unit\Resources;
+
+use App\Core\Resources\Fields\Code;
+use App\Core\Resources\Fields\Markdown;
+use App\Core\Resources\Fields\RichText;
+use PHPUnit\Framework\TestCase;
+
+class ContentFieldsTest extends TestCase
+{
+    public function test_rich_text_field_serializes_its_editor_options(): void
+    {
+        $field = RichText::make('Body')->placeholder('Write...')->maxCharacters(500)->showCharacterCount(false)->toArray();
+
+        $this->assertSame('rich-text', $field['type']);
+        $this->assertSame('body', $field['attribute']);
+        $this->assertSame(['placeholder' => 'Write...', 'maxCharacters' => 500, 'showCharacterCount' => false], $field['meta']);
+    }
+
+    public function test_markdown_field_serializes_its_editor_options(): void
+    {
+        $field = Markdown::make('Notes')->rows(12)->toArray();
+
+        $this->assertSame('markdown', $field['type']);
+        $this->assertSame(['rows' => 12], $field['meta']);
+    }
+
+    public function test_code_field_serializes_language_and_height(): void
+    {
+        $field = Code::make('Query', 'sql_query')->language('sql')->height(240)->toArray();
+
+        $this->assertSame('code', $field['type']);
+        $this->assertSame('sql_query', $field['attribute']);
+        $this->assertSame(['language' => 'sql', 'height' => 240], $field['meta']);
+    }
+}
@@ -0,0 +1,28 @@
+<?php
+
+namespace Tests\Unit\Resources;
+
+use App\Core\Resources\Fields\Media;
+use PHPUnit\Framework\TestCase;
+
+class MediaFieldTest extends TestCase
+{
+    public function test_gallery_mode_allows_many_files(): void
+    {
+        $field = Media::make('Photos')->collection('photos')->gallery(12)->toArray();
+
+        $this->assertSame('media', $field['type']);
+        $this->assertTrue($field['gallery']);
+        $this->assertTrue($field['multiple']);
+        $this->assertSame(12, $field['maxFiles']);
+        $this->assertSame(['collection' => 'photos', 'multiple' => true, 'maxFiles' => 12, 'gallery' => true], $field['meta']);
+    }
+
+    public function test_single_file_is_not_a_gallery(): void
+    {
+        $field = Media::make('Avatar')->single()->toArray();
+
+        $this->assertFalse($field['gallery']);
+        $this->assertArrayNotHasKey('gallery', $field['meta']);
+    }
+}
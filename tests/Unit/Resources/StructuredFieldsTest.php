@@ -0,0 +1,61 @@
+<?php
+
+namespace Tests\Unit\Resources;
+
+use App\Core\Resources\Fields\KeyValue;
+use App\Core\Resources\Fields\Repeater;
+use App\Core\Resources\Fields\Text;
+use PHPUnit\Framework\TestCase;
+
+class StructuredFieldsTest extends TestCase
+{
+    public function test_repeater_rules_address_each_row_field(): void
+    {
+        $field = Repeater::make('Addresses')
+            ->fields([
+                Text::make('City')->rules('required|string'),
+                Text::make('Street'),
+            ])
+            ->min(1)
+            ->max(5);
+
+        $this->assertSame([
+            'addresses' => ['nullable', 'array', 'min:1', 'max:5'],
+            'addresses.*' => ['array'],
+            'addresses.*.city' => 'required|string',
+        ], $field->nestedRules());
+    }
+
+    public function test_nested_repeater_rules_follow_the_row_path(): void
+    {
+        $field = Repeater::make('Addresses')->fields([
+            Repeater::make('Phones')->rules('array')->fields([
+                Text::make('Number')->rules('required'),
+            ]),
+        ]);
+
+        $rules = $field->nestedRules();
+
+        $this->assertSame(['array', 'nullable', 'array'], $rules['addresses.*.phones']);
+        $this->assertSame('required', $rules['addresses.*.phones.*.number']);
+    }
+
+    public function test_nested_rules_are_added_after_the_field_rules(): void
+    {
+        $field = KeyValue::make('Settings')->rules('required')->valueRules('string|max:10');
+
+        $this->assertSame([
+            'settings' => ['required', 'nullable', 'array'],
+            'settings.*' => 'string|max:10',
+        ], $field->withNestedRules(['settings' => 'required']));
+    }
+
+    public function test_repeater_serializes_its_row_fields(): void
+    {
+        $field = Repeater::make('Addresses')->fields([Text::make('City')])->addLabel('Add address')->toArray();
+
+        $this->assertSame('repeater', $field['type']);
+        $this->assertSame('city', $field['meta']['fields'][0]['attribute']);
+        $this->assertSame('Add address', $field['meta']['addLabel']);
+    }
+}
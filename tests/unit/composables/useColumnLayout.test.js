@@ -0,0 +1,185 @@
+/**
+ * Unit Tests for useColumnLayout Composable
+ * Tests column order, visibility, widths, pinning and persistence
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { ref } from 'vue'
+import { useColumnLayout, columnLayoutKey, MIN_COLUMN_WIDTH } from '@/composables/useColumnLayout'
+import { settingsService } from '@/services/settingsService'
+
+vi.mock('@/services/settingsService', () => ({
+  settingsService: {
+    getUserSetting: vi.fn(),
+    updateUserSetting: vi.fn(),
+  },
+}))
+
+const notFound = () => Object.assign(new Error('Not found'), { response: { status: 404 } })
+
+const fields = ref([
+  { attribute: 'id', label: 'ID' },
+  { attribute: 'name', label: 'Name' },
+  { attribute: 'email', label: 'Email' },
+])
+
+const attributes = list => list.map(field => field.attribute)
+
+describe('useColumnLayout Composable', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.useFakeTimers()
+    settingsService.getUserSetting.mockRejectedValue(notFound())
+    settingsService.updateUserSetting.mockResolvedValue({})
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('should build the user setting key for a resource', () => {
+    expect(columnLayoutKey('users')).toBe('resource_columns_users')
+  })
+
+  it('should show every column in server order without a stored layout', async () => {
+    const layout = useColumnLayout('users', fields)
+    await layout.load()
+
+    expect(attributes(layout.visibleColumns.value)).toEqual(['id', 'name', 'email'])
+    expect(layout.visibleAttributes.value).toBeNull()
+  })
+
+  it('should apply a stored layout and append fields it does not know', async () => {
+    settingsService.getUserSetting.mockResolvedValue({
+      setting: { value: { order: ['email', 'id'], hidden: ['id'], widths: { email: 240 }, pinFirst: true } },
+    })
+
+    const layout = useColumnLayout('users', fields)
+    await layout.load()
+
+    expect(attributes(layout.columns.value)).toEqual(['email', 'id', 'name'])
+    expect(layout.visibleAttributes.value).toEqual(['email', 'name'])
+    expect(layout.widths.value).toEqual({ email: 240 })
+    expect(layout.pinFirst.value).toBe(true)
+    expect(layout.pinLast.value).toBe(false)
+  })
+
+  it('should hide and show columns but keep one visible', async () => {
+    const layout = useColumnLayout('users', fields)
+    await layout.load()
+
+    layout.toggleColumn('id')
+    layout.toggleColumn('name')
+    layout.toggleColumn('email')
+
+    expect(layout.visibleAttributes.value).toEqual(['email'])
+
+    layout.toggleColumn('id')
+
+    expect(layout.visibleAttributes.value).toEqual(['id', 'email'])
+  })
+
+  it('should reorder columns', async () => {
+    const layout = useColumnLayout('users', fields)
+    await layout.load()
+
+    layout.reorder(['name', 'id'])
+
+    expect(attributes(layout.columns.value)).toEqual(['name', 'id', 'email'])
+  })
+
+  it('should clamp widths to the minimum', async () => {
+    const layout = useColumnLayout('users', fields)
+    await layout.load()
+
+    layout.setWidth('name', 10)
+    layout.setWidth('email', 180.4)
+
+    expect(layout.widths.value).toEqual({ name: MIN_COLUMN_WIDTH, email: 180 })
+
+    layout.resetWidth('name')
+
+    expect(layout.widths.value).toEqual({ email: 180 })
+  })
+
+  it('should persist changes once after the debounce delay', async () => {
+    const layout = useColumnLayout('users', fields)
+    await layout.load()
+
+    layout.toggleColumn('id')
+    layout.setPinned('last', true)
+
+    expect(settingsService.updateUserSetting).not.toHaveBeenCalled()
+
+    await vi.runAllTimersAsync()
+
+    expect(settingsService.updateUserSetting).toHaveBeenCalledTimes(1)
+    expect(settingsService.updateUserSetting).toHaveBeenCalledWith('resource_columns_users', {
+      order: [],
+      hidden: ['id'],
+      widths: {},
+      pinFirst: false,
+      pinLast: true,
+    })
+  })
+
+  it('should show saved view columns without storing them and restore the layout after', async () => {
+    settingsService.getUserSetting.mockResolvedValue({ setting: { value: { hidden: ['email'] } } })
+
+    const layout = useColumnLayout('users', fields)
+    await layout.load()
+
+    layout.applyColumns(['email', 'name'])
+
+    expect(attributes(layout.visibleColumns.value)).toEqual(['email', 'name'])
+
+    layout.applyColumns(null)
+
+    expect(layout.visibleAttributes.value).toEqual(['id', 'name'])
+
+    await vi.runAllTimersAsync()
+    expect(settingsService.updateUserSetting).not.toHaveBeenCalled()
+  })
+
+  it('should not store column changes made while a saved view sets the columns', async () => {
+    settingsService.getUserSetting.mockResolvedValue({ setting: { value: { hidden: ['email'] } } })
+
+    const layout = useColumnLayout('users', fields)
+    await layout.load()
+
+    layout.applyColumns(['email', 'name'])
+    layout.toggleColumn('id')
+    layout.reorder(['name', 'email'])
+    layout.setWidth('name', 200)
+    layout.persist()
+
+    await vi.runAllTimersAsync()
+
+    expect(settingsService.updateUserSetting).toHaveBeenLastCalledWith('resource_columns_users', {
+      order: [],
+      hidden: ['email'],
+      widths: { name: 200 },
+      pinFirst: false,
+      pinLast: false,
+    })
+
+    layout.applyColumns(null)
+
+    expect(layout.visibleAttributes.value).toEqual(['id', 'name'])
+    expect(layout.widths.value).toEqual({ name: 200 })
+  })
+
+  it('should reset to all columns in server order', async () => {
+    settingsService.getUserSetting.mockResolvedValue({
+      setting: { value: { order: ['email'], hidden: ['id'], pinFirst: true } },
+    })
+
+    const layout = useColumnLayout('users', fields)
+    await layout.load()
+
+    layout.reset()
+
+    expect(layout.visibleAttributes.value).toBeNull()
+    expect(layout.pinFirst.value).toBe(false)
+  })
+})
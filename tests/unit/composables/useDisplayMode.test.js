@@ -0,0 +1,83 @@
+/**
+ * Unit Tests for useDisplayMode Composable
+ * Tests loading, storing and falling back from the per-user display mode
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { ref } from 'vue'
+import { useDisplayMode, displayModeKey } from '@/composables/useDisplayMode'
+import { settingsService } from '@/services/settingsService'
+
+vi.mock('@/services/settingsService', () => ({
+  settingsService: {
+    getUserSetting: vi.fn(),
+    updateUserSetting: vi.fn(),
+  },
+}))
+
+const notFound = () => Object.assign(new Error('Not found'), { response: { status: 404 } })
+
+const fields = ref([
+  { attribute: 'avatar', type: 'media', meta: {} },
+  { attribute: 'status', type: 'select', meta: { options: { active: 'Active' } } },
+])
+
+describe('useDisplayMode Composable', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    settingsService.getUserSetting.mockRejectedValue(notFound())
+    settingsService.updateUserSetting.mockResolvedValue({})
+  })
+
+  it('should build the user setting key for a resource', () => {
+    expect(displayModeKey('users')).toBe('resource_display_users')
+  })
+
+  it('should start with the table when nothing is stored', async () => {
+    const { mode, load } = useDisplayMode('users', fields)
+
+    await load()
+
+    expect(settingsService.getUserSetting).toHaveBeenCalledWith('resource_display_users')
+    expect(mode.value).toBe('table')
+  })
+
+  it('should load the stored mode', async () => {
+    settingsService.getUserSetting.mockResolvedValue({ setting: { value: 'kanban' } })
+    const { mode, load } = useDisplayMode('users', fields)
+
+    await load()
+
+    expect(mode.value).toBe('kanban')
+  })
+
+  it('should store a chosen mode', async () => {
+    const { mode, setMode } = useDisplayMode('users', fields)
+
+    await setMode('grid')
+
+    expect(mode.value).toBe('grid')
+    expect(settingsService.updateUserSetting).toHaveBeenCalledWith('resource_display_users', 'grid')
+  })
+
+  it('should fall back to the table when the fields do not allow the stored mode', async () => {
+    settingsService.getUserSetting.mockResolvedValue({ setting: { value: 'grid' } })
+    const { mode, modes, load } = useDisplayMode('countries', ref([{ attribute: 'name', type: 'text', meta: {} }]))
+
+    await load()
+
+    expect(modes.value.map(option => option.value)).toEqual(['table'])
+    expect(mode.value).toBe('table')
+  })
+
+  it('should keep the mode when storing fails', async () => {
+    settingsService.updateUserSetting.mockRejectedValue(new Error('Network error'))
+    const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+    const { mode, setMode } = useDisplayMode('users', fields)
+
+    await setMode('kanban')
+
+    expect(mode.value).toBe('kanban')
+    consoleSpy.mockRestore()
+  })
+})
@@ -0,0 +1,107 @@
+/**
+ * Unit Tests for useImpersonation Composable
+ * Tests who can be impersonated and the impersonation flow
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { useImpersonation } from '@/composables/useImpersonation'
+import { impersonationService } from '@/services/impersonationService'
+
+const mockRouter = { push: vi.fn() }
+const mockAuthStore = { user: null, fetchUser: vi.fn() }
+const mockToast = { success: vi.fn(), error: vi.fn() }
+const mockConfirmWarning = vi.fn()
+
+vi.mock('vue-router', () => ({
+  useRouter: () => mockRouter,
+}))
+
+vi.mock('@/stores/auth', () => ({
+  useAuthStore: () => mockAuthStore,
+}))
+
+vi.mock('@/composables/useToast', () => ({
+  useToast: () => mockToast,
+}))
+
+vi.mock('@/composables/useDialog', () => ({
+  useDialog: () => ({ confirmWarning: mockConfirmWarning }),
+}))
+
+vi.mock('@/services/impersonationService', () => ({
+  impersonationService: { impersonate: vi.fn() },
+}))
+
+describe('useImpersonation Composable', () => {
+  const regularUser = { id: 2, name: 'Jane', is_user: true, can_access_admin_panel: false }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mockAuthStore.user = { id: 1, can_access_admin_panel: true }
+  })
+
+  describe('canImpersonate', () => {
+    it('should allow admins to impersonate regular users', () => {
+      const { canImpersonate } = useImpersonation()
+
+      expect(canImpersonate('users', regularUser)).toBe(true)
+    })
+
+    it('should only apply to the users resource', () => {
+      const { canImpersonate } = useImpersonation()
+
+      expect(canImpersonate('roles', regularUser)).toBe(false)
+    })
+
+    it('should not allow impersonating yourself or other admins', () => {
+      const { canImpersonate } = useImpersonation()
+
+      expect(canImpersonate('users', { ...regularUser, id: 1 })).toBe(false)
+      expect(canImpersonate('users', { ...regularUser, can_access_admin_panel: true })).toBe(false)
+    })
+
+    it('should require the current user to be an admin', () => {
+      mockAuthStore.user = { id: 1, can_access_admin_panel: false }
+      const { canImpersonate } = useImpersonation()
+
+      expect(canImpersonate('users', regularUser)).toBe(false)
+    })
+  })
+
+  describe('impersonate', () => {
+    it('should do nothing when the confirmation is declined', async () => {
+      mockConfirmWarning.mockResolvedValue(false)
+      const { impersonate } = useImpersonation()
+
+      const result = await impersonate(regularUser)
+
+      expect(result).toBe(false)
+      expect(impersonationService.impersonate).not.toHaveBeenCalled()
+    })
+
+    it('should impersonate, refresh the user and redirect', async () => {
+      mockConfirmWarning.mockResolvedValue(true)
+      impersonationService.impersonate.mockResolvedValue({})
+      const { impersonate } = useImpersonation()
+
+      const result = await impersonate(regularUser)
+
+      expect(result).toBe(true)
+      expect(impersonationService.impersonate).toHaveBeenCalledWith(2)
+      expect(mockAuthStore.fetchUser).toHaveBeenCalled()
+      expect(mockRouter.push).toHaveBeenCalledWith({ name: 'user.dashboard' })
+    })
+
+    it('should show the API error message on failure', async () => {
+      mockConfirmWarning.mockResolvedValue(true)
+      impersonationService.impersonate.mockRejectedValue({ response: { data: { message: 'Not allowed' } } })
+      vi.spyOn(console, 'error').mockImplementation(() => {})
+      const { impersonate } = useImpersonation()
+
+      const result = await impersonate(regularUser)
+
+      expect(result).toBe(false)
+      expect(mockToast.error).toHaveBeenCalledWith('Not allowed')
+    })
+  })
+})
@@ -0,0 +1,135 @@
+/**
+ * Unit Tests for useInlineEdit Composable
+ * Tests editable cells, optimistic saves, validation errors and Tab navigation
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { ref } from 'vue'
+import { useInlineEdit, isInlineEditable, toInputValue } from '@/composables/useInlineEdit'
+import { resourceService } from '@/core/services/resourceService'
+
+vi.mock('@/core/services/resourceService', () => ({
+  resourceService: {
+    index: vi.fn(),
+    patch: vi.fn(),
+  },
+}))
+
+const nameField = { attribute: 'name', type: 'text' }
+const ageField = { attribute: 'age', type: 'number' }
+const userField = { attribute: 'user_id', type: 'belongsTo', meta: { resource: 'users', titleAttribute: 'name' } }
+
+const makeRows = () => ref([
+  { id: 1, name: 'Alpha', age: 30, user_id: { id: 5, display: 'Ann' } },
+  { id: 2, name: 'Beta', age: 40, user_id: null },
+])
+
+describe('useInlineEdit Composable', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    resourceService.index.mockResolvedValue({ data: [{ id: 5, name: 'Ann' }, { id: 6, name: 'Bob' }] })
+  })
+
+  it('should only allow editable types and attributes', () => {
+    const editable = ['name', 'age', 'tags', 'active']
+
+    expect(isInlineEditable(nameField, editable)).toBe(true)
+    expect(isInlineEditable({ attribute: 'bio', type: 'textarea' }, ['bio'])).toBe(false)
+    expect(isInlineEditable({ attribute: 'slug', type: 'text' }, editable)).toBe(false)
+    expect(isInlineEditable({ attribute: 'tags', type: 'select', meta: { multiple: true } }, editable)).toBe(false)
+    expect(isInlineEditable({ attribute: 'name', type: 'text', meta: { readonly: true } }, editable)).toBe(false)
+  })
+
+  it('should convert cell values to input values', () => {
+    expect(toInputValue({ id: 5, display: 'Ann' }, userField)).toBe(5)
+    expect(toInputValue('2024-05-01T10:00:00Z', { type: 'date' })).toBe('2024-05-01')
+    expect(toInputValue(null, nameField)).toBe('')
+  })
+
+  it('should update the row optimistically and apply the server response', async () => {
+    const rows = makeRows()
+    let resolvePatch
+    resourceService.patch.mockReturnValue(new Promise(resolve => { resolvePatch = resolve }))
+
+    const inline = useInlineEdit('posts', rows)
+    await inline.start(rows.value[0], nameField)
+    inline.draft.value.name = 'Gamma'
+
+    const saving = inline.commit()
+
+    expect(rows.value[0].name).toBe('Gamma')
+    expect(inline.editing.value).toBeNull()
+
+    resolvePatch({ data: { id: 1, name: 'Gamma!' } })
+
+    expect(await saving).toBe(true)
+    expect(resourceService.patch).toHaveBeenCalledWith('posts', 1, { name: 'Gamma' })
+    expect(rows.value[0].name).toBe('Gamma!')
+  })
+
+  it('should revert and reopen the cell with server validation errors', async () => {
+    const rows = makeRows()
+    resourceService.patch.mockRejectedValue({
+      response: { status: 422, data: { errors: { age: ['The age must be at least 18.'] } } },
+    })
+
+    const inline = useInlineEdit('posts', rows)
+    await inline.start(rows.value[0], ageField)
+    inline.draft.value.age = 12
+
+    expect(await inline.commit()).toBe(false)
+    expect(rows.value[0].age).toBe(30)
+    expect(inline.isEditing(rows.value[0], ageField)).toBe(true)
+    expect(inline.draft.value.age).toBe(12)
+    expect(inline.cellErrors(rows.value[0], ageField)).toEqual(['The age must be at least 18.'])
+
+    inline.cancel()
+
+    expect(inline.cellErrors(rows.value[0], ageField)).toBeNull()
+  })
+
+  it('should not patch unchanged values', async () => {
+    const rows = makeRows()
+    const inline = useInlineEdit('posts', rows)
+
+    await inline.start(rows.value[0], ageField)
+    inline.draft.value.age = '30'
+
+    expect(await inline.commit()).toBe(true)
+    expect(resourceService.patch).not.toHaveBeenCalled()
+  })
+
+  it('should show the selected belongs-to label while saving', async () => {
+    const rows = makeRows()
+    resourceService.patch.mockReturnValue(new Promise(() => {}))
+
+    const inline = useInlineEdit('posts', rows)
+    await inline.start(rows.value[1], userField)
+
+    expect(resourceService.index).toHaveBeenCalledWith('users', { perPage: 100 })
+
+    inline.draft.value.user_id = 6
+    inline.commit()
+
+    expect(rows.value[1].user_id).toEqual({ id: 6, display: 'Bob' })
+  })
+
+  it('should save and move to the next editable cell, wrapping onto the next row', async () => {
+    const rows = makeRows()
+    const inline = useInlineEdit('posts', rows)
+    const editableFields = [nameField, ageField]
+
+    await inline.start(rows.value[0], nameField)
+    await inline.move(1, editableFields)
+
+    expect(inline.isEditing(rows.value[0], ageField)).toBe(true)
+
+    await inline.move(1, editableFields)
+
+    expect(inline.isEditing(rows.value[1], nameField)).toBe(true)
+
+    await inline.move(-1, editableFields)
+
+    expect(inline.isEditing(rows.value[0], ageField)).toBe(true)
+  })
+})
@@ -0,0 +1,172 @@
+/**
+ * Unit Tests for useSavedViews Composable
+ * Tests loading, saving, publishing and defaulting resource table views
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { useSavedViews, savedViewKeys } from '@/composables/useSavedViews'
+import { settingsService } from '@/services/settingsService'
+
+const mockAuthStore = {
+  user: null,
+  permissions: [],
+  can: vi.fn(permission => mockAuthStore.permissions.includes(permission)),
+}
+
+vi.mock('@/stores/auth', () => ({
+  useAuthStore: () => mockAuthStore,
+}))
+
+vi.mock('@/services/settingsService', () => ({
+  settingsService: {
+    getUserSetting: vi.fn(),
+    getGlobalSetting: vi.fn(),
+    updateUserSetting: vi.fn(),
+    updateGlobalSetting: vi.fn(),
+  },
+}))
+
+const notFound = () => Object.assign(new Error('Not found'), { response: { status: 404 } })
+
+const activeState = { search: '', sort: 'name', direction: 'asc', filters: { status: 'active' }, perPage: 25, columns: null }
+
+describe('useSavedViews Composable', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mockAuthStore.user = { id: 1, is_admin: false }
+    mockAuthStore.permissions = []
+    settingsService.updateUserSetting.mockResolvedValue({})
+    settingsService.updateGlobalSetting.mockResolvedValue({})
+  })
+
+  describe('savedViewKeys', () => {
+    it('should build personal and published setting keys for a resource', () => {
+      expect(savedViewKeys('users')).toEqual({
+        personal: 'resource_views_users',
+        published: 'resource_published_views_users',
+      })
+    })
+  })
+
+  describe('load', () => {
+    it('should merge personal and published views and keep the default', async () => {
+      settingsService.getUserSetting.mockResolvedValue({
+        setting: { value: { views: [{ id: 'mine', name: 'Mine', state: activeState }], default: 'shared' } },
+      })
+      settingsService.getGlobalSetting.mockResolvedValue({
+        setting: { value: [{ id: 'shared', name: 'Shared', state: activeState }] },
+      })
+
+      const { load, views, defaultView } = useSavedViews('users')
+      await load()
+
+      expect(settingsService.getUserSetting).toHaveBeenCalledWith('resource_views_users')
+      expect(settingsService.getGlobalSetting).toHaveBeenCalledWith('resource_published_views_users')
+      expect(views.value.map(view => [view.id, view.published])).toEqual([['mine', false], ['shared', true]])
+      expect(defaultView.value.name).toBe('Shared')
+    })
+
+    it('should treat missing settings as no views', async () => {
+      settingsService.getUserSetting.mockRejectedValue(notFound())
+      settingsService.getGlobalSetting.mockRejectedValue(notFound())
+
+      const { load, views, defaultViewId } = useSavedViews('users')
+      await load()
+
+      expect(views.value).toEqual([])
+      expect(defaultViewId.value).toBeNull()
+    })
+
+    it('should drop a default that points at a removed view', async () => {
+      settingsService.getUserSetting.mockResolvedValue({ setting: { value: { views: [], default: 'gone' } } })
+      settingsService.getGlobalSetting.mockRejectedValue(notFound())
+
+      const { load, defaultViewId } = useSavedViews('users')
+      await load()
+
+      expect(defaultViewId.value).toBeNull()
+    })
+  })
+
+  describe('saveView', () => {
+    beforeEach(() => {
+      settingsService.getUserSetting.mockRejectedValue(notFound())
+      settingsService.getGlobalSetting.mockRejectedValue(notFound())
+    })
+
+    it('should store a personal view and make it active', async () => {
+      const { load, saveView, activeView } = useSavedViews('users')
+      await load()
+
+      const view = await saveView(' Active ', activeState, { makeDefault: true })
+
+      expect(view.name).toBe('Active')
+      expect(activeView.value.id).toBe(view.id)
+      expect(settingsService.updateUserSetting).toHaveBeenCalledWith('resource_views_users', {
+        views: [{ id: view.id, name: 'Active', state: activeState }],
+        default: view.id,
+      })
+      expect(settingsService.updateGlobalSetting).not.toHaveBeenCalled()
+    })
+
+    it('should publish views globally for settings managers', async () => {
+      mockAuthStore.permissions = ['settings.manage']
+      const { load, saveView } = useSavedViews('users')
+      await load()
+
+      const view = await saveView('Everyone', activeState, { publish: true })
+
+      expect(view.published).toBe(true)
+      expect(settingsService.updateGlobalSetting).toHaveBeenCalledWith('resource_published_views_users', [
+        { id: view.id, name: 'Everyone', state: activeState },
+      ])
+      expect(settingsService.updateUserSetting).not.toHaveBeenCalled()
+    })
+
+    it('should not let users without settings.manage publish views', async () => {
+      mockAuthStore.user = { id: 1, is_admin: true }
+      const { load, saveView, canPublish } = useSavedViews('users')
+      await load()
+
+      expect(canPublish.value).toBe(false)
+      expect(mockAuthStore.can).toHaveBeenCalledWith('settings.manage')
+      await expect(saveView('Everyone', activeState, { publish: true })).rejects.toThrow('Only settings managers')
+      expect(settingsService.updateGlobalSetting).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('deleteView', () => {
+    it('should remove the view and clear it as default and active view', async () => {
+      settingsService.getUserSetting.mockResolvedValue({
+        setting: { value: { views: [{ id: 'mine', name: 'Mine', state: activeState }], default: 'mine' } },
+      })
+      settingsService.getGlobalSetting.mockRejectedValue(notFound())
+
+      const { load, deleteView, views, activeViewId, defaultViewId } = useSavedViews('users')
+      await load()
+      activeViewId.value = 'mine'
+
+      await deleteView('mine')
+
+      expect(views.value).toEqual([])
+      expect(activeViewId.value).toBeNull()
+      expect(defaultViewId.value).toBeNull()
+      expect(settingsService.updateUserSetting).toHaveBeenCalledWith('resource_views_users', { views: [], default: null })
+    })
+  })
+
+  describe('setDefault', () => {
+    it('should store the default view id with the personal views', async () => {
+      settingsService.getUserSetting.mockRejectedValue(notFound())
+      settingsService.getGlobalSetting.mockResolvedValue({
+        setting: { value: [{ id: 'shared', name: 'Shared', state: activeState }] },
+      })
+
+      const { load, setDefault } = useSavedViews('users')
+      await load()
+      await setDefault('shared')
+
+      expect(settingsService.updateUserSetting).toHaveBeenCalledWith('resource_views_users', { views: [], default: 'shared' })
+    })
+  })
+})
@@ -0,0 +1,131 @@
+/**
+ * Unit Tests for useShortcuts Composable
+ * Tests registration, dispatching order, typing and modal guards, and the overlay groups
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import { registerShortcuts, shortcutGroups } from '@/composables/useShortcuts'
+
+const press = (key, target = document.body, modifiers = {}) => {
+  const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...modifiers })
+  target.dispatchEvent(event)
+  return event
+}
+
+describe('useShortcuts Composable', () => {
+  const cleanups = []
+  const register = (label, shortcuts) => cleanups.push(registerShortcuts(label, shortcuts))
+
+  afterEach(() => {
+    cleanups.splice(0).forEach(unregister => unregister())
+    document.body.innerHTML = ''
+  })
+
+  it('should run the handler of a matching shortcut', () => {
+    const handler = vi.fn()
+    register('Table', [{ keys: 'j', description: 'Next row', handler }])
+
+    const event = press('j')
+
+    expect(handler).toHaveBeenCalledOnce()
+    expect(event.defaultPrevented).toBe(true)
+    expect(press('k').defaultPrevented).toBe(false)
+  })
+
+  it('should match any of several keys', () => {
+    const handler = vi.fn()
+    register('Table', [{ keys: ['Delete', 'Backspace'], description: 'Delete row', handler }])
+
+    press('Delete')
+    press('Backspace')
+
+    expect(handler).toHaveBeenCalledTimes(2)
+  })
+
+  it('should stop when unregistered', () => {
+    const handler = vi.fn()
+    const unregister = registerShortcuts('Table', [{ keys: 'j', description: 'Next row', handler }])
+
+    unregister()
+    press('j')
+
+    expect(handler).not.toHaveBeenCalled()
+  })
+
+  it('should prefer the most recently registered group', () => {
+    const older = vi.fn()
+    const newer = vi.fn()
+    register('Page', [{ keys: 'n', description: 'New page', handler: older }])
+    register('Table', [{ keys: 'n', description: 'Create new', handler: newer }])
+
+    press('n')
+
+    expect(newer).toHaveBeenCalledOnce()
+    expect(older).not.toHaveBeenCalled()
+  })
+
+  it('should fall through to older groups when a condition is false', () => {
+    const older = vi.fn()
+    register('Page', [{ keys: 'n', description: 'New page', handler: older }])
+    register('Table', [{ keys: 'n', description: 'Create new', handler: vi.fn(), when: () => false }])
+
+    press('n')
+
+    expect(older).toHaveBeenCalledOnce()
+  })
+
+  it('should ignore keys typed in fields unless allowed', () => {
+    const single = vi.fn()
+    const combo = vi.fn()
+    register('Table', [
+      { keys: 'j', description: 'Next row', handler: single },
+      { keys: 'mod+k', description: 'Search', handler: combo, allowInInputs: true },
+    ])
+    const input = document.body.appendChild(document.createElement('input'))
+
+    press('j', input)
+    press('k', input, { ctrlKey: true })
+
+    expect(single).not.toHaveBeenCalled()
+    expect(combo).toHaveBeenCalledOnce()
+  })
+
+  it('should pause while a modal is open unless allowed', () => {
+    const handler = vi.fn()
+    const close = vi.fn()
+    register('Table', [
+      { keys: 'j', description: 'Next row', handler },
+      { keys: 'Escape', description: 'Close', handler: close, allowInModals: true },
+    ])
+    const modal = document.body.appendChild(document.createElement('div'))
+    modal.setAttribute('aria-modal', 'true')
+
+    press('j')
+    press('Escape')
+
+    expect(handler).not.toHaveBeenCalled()
+    expect(close).toHaveBeenCalledOnce()
+  })
+
+  it('should list the available shortcuts by group', () => {
+    const enabled = { value: false }
+    register('General', [{ keys: '?', description: 'Show keyboard shortcuts', handler: vi.fn() }])
+    register('Table', [
+      { keys: 'j', description: 'Next row', handler: vi.fn() },
+      { keys: 'e', description: 'Edit row', handler: vi.fn(), when: () => enabled.value },
+      { keys: 'Escape', description: 'Close', handler: vi.fn(), hidden: true },
+    ])
+
+    expect(shortcutGroups.value.map(group => group.label)).toEqual(['General', 'Table'])
+    expect(shortcutGroups.value[1].shortcuts.map(shortcut => shortcut.description)).toEqual(['Next row'])
+  })
+
+  it('should list a key once, for the group it fires in', () => {
+    register('Page', [{ keys: 'n', description: 'New page', handler: vi.fn() }])
+    register('Table', [{ keys: 'n', description: 'Create new', handler: vi.fn() }])
+
+    expect(shortcutGroups.value).toEqual([
+      expect.objectContaining({ label: 'Table', shortcuts: [expect.objectContaining({ description: 'Create new' })] }),
+    ])
+  })
+})
@@ -0,0 +1,67 @@
+/**
+ * Unit Tests for useVirtualScroll Composable
+ * Tests the rendered window, the spacer heights and the near-end check
+ */
+
+import { describe, it, expect } from 'vitest'
+import { ref } from 'vue'
+import { useVirtualScroll } from '@/composables/useVirtualScroll'
+
+const range = count => Array.from({ length: count }, (_, index) => ({ id: index + 1 }))
+
+describe('useVirtualScroll Composable', () => {
+  it('renders the first screen plus the overscan at the top', () => {
+    const scroll = useVirtualScroll(ref(range(100)), { itemHeight: 50, containerHeight: 200, overscan: 2 })
+
+    expect(scroll.startIndex.value).toBe(0)
+    expect(scroll.visibleItems.value.map(item => item.id)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9])
+    expect(scroll.offsetY.value).toBe(0)
+    expect(scroll.totalHeight.value).toBe(5000)
+  })
+
+  it('moves the window with the scroll position and keeps the total height in the spacers', () => {
+    const scroll = useVirtualScroll(ref(range(100)), { itemHeight: 50, containerHeight: 200, overscan: 2 })
+
+    scroll.handleScroll({ target: { scrollTop: 1000 } })
+
+    expect(scroll.startIndex.value).toBe(18)
+    expect(scroll.visibleItems.value[0].id).toBe(19)
+    expect(scroll.offsetY.value).toBe(900)
+    expect(scroll.offsetY.value + scroll.visibleHeight.value + scroll.afterHeight.value).toBe(5000)
+  })
+
+  it('stops the window at the end of the list', () => {
+    const scroll = useVirtualScroll(ref(range(10)), { itemHeight: 50, containerHeight: 200, overscan: 2 })
+
+    scroll.handleScroll({ target: { scrollTop: 300 } })
+
+    expect(scroll.endIndex.value).toBe(9)
+    expect(scroll.afterHeight.value).toBe(0)
+  })
+
+  it('follows a growing list and accepts getters', () => {
+    const items = ref(range(5))
+    const scroll = useVirtualScroll(() => items.value, { itemHeight: () => 40, containerHeight: 400 })
+
+    items.value = [...items.value, ...range(20).slice(5)]
+
+    expect(scroll.totalHeight.value).toBe(800)
+    expect(scroll.visibleItems.value).toHaveLength(20)
+  })
+
+  it('tells when the scroll position is near the end', () => {
+    const scroll = useVirtualScroll(ref(range(20)), { itemHeight: 50, containerHeight: 200 })
+
+    expect(scroll.isNearEnd(100)).toBe(false)
+
+    scroll.handleScroll({ target: { scrollTop: 700 } })
+    expect(scroll.isNearEnd(100)).toBe(true)
+    expect(scroll.isNearEnd()).toBe(false)
+  })
+
+  it('is near the end while the list does not fill the container', () => {
+    const scroll = useVirtualScroll(ref(range(2)), { itemHeight: 50, containerHeight: 200 })
+
+    expect(scroll.isNearEnd()).toBe(true)
+  })
+})
@@ -0,0 +1,53 @@
+/**
+ * Unit Tests for activityService
+ * Tests API calls for the activity log and record history
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { activityService } from '@/core/services/activityService'
+
+// Mock window.axios
+const mockAxios = {
+  get: vi.fn(),
+}
+
+global.window = global.window || {}
+global.window.axios = mockAxios
+
+describe('activityService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('should fetch the activity log with filters', async () => {
+    const page = { data: [{ id: 1, event: 'updated' }], current_page: 1 }
+    mockAxios.get.mockResolvedValue({ data: page })
+
+    const result = await activityService.index({ user_id: 2, resource: 'users', from: '2025-01-01' })
+
+    expect(mockAxios.get).toHaveBeenCalledWith('/api/activity', {
+      params: { user_id: 2, resource: 'users', from: '2025-01-01' },
+    })
+    expect(result).toEqual(page)
+  })
+
+  it('should fetch the activity filter options', async () => {
+    const meta = { resources: [{ key: 'users', label: 'Users' }], events: ['created'] }
+    mockAxios.get.mockResolvedValue({ data: meta })
+
+    const result = await activityService.getMeta()
+
+    expect(mockAxios.get).toHaveBeenCalledWith('/api/activity/meta')
+    expect(result).toEqual(meta)
+  })
+
+  it('should fetch the history of a single record', async () => {
+    mockAxios.get.mockResolvedValue({ data: { data: [] } })
+
+    await activityService.forRecord('countries', 5, { page: 2 })
+
+    expect(mockAxios.get).toHaveBeenCalledWith('/api/resources/countries/5/activity', {
+      params: { page: 2 },
+    })
+  })
+})
@@ -0,0 +1,190 @@
+/**
+ * Unit Tests for mediaService
+ * Tests API calls for gallery captions, order, cover and file replacement, chunked uploads
+ * and the media library
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { mediaService } from '@/services/mediaService'
+import { rememberUpload, storedUploadId, uploadFingerprint } from '@/utils/chunkedUpload'
+
+// Mock window.axios
+const mockAxios = {
+  get: vi.fn(),
+  post: vi.fn(),
+  patch: vi.fn(),
+  delete: vi.fn(),
+  isCancel: vi.fn(error => !!error?.__CANCEL__),
+}
+
+global.window = global.window || {}
+global.window.axios = mockAxios
+
+describe('mediaService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    localStorage.clear()
+  })
+
+  it('should update the caption and alt text', async () => {
+    mockAxios.patch.mockResolvedValue({ data: { data: { id: 4, caption: 'Harbour' } } })
+
+    const result = await mediaService.update(4, { caption: 'Harbour', alt: null })
+
+    expect(mockAxios.patch).toHaveBeenCalledWith('/api/media/4', { caption: 'Harbour', alt: null })
+    expect(result.data.caption).toBe('Harbour')
+  })
+
+  it('should save the gallery order', async () => {
+    mockAxios.post.mockResolvedValue({ data: { message: 'Media order saved successfully' } })
+
+    await mediaService.reorder([3, 1, 2])
+
+    expect(mockAxios.post).toHaveBeenCalledWith('/api/media/reorder', { ids: [3, 1, 2] })
+  })
+
+  it('should set the cover', async () => {
+    mockAxios.post.mockResolvedValue({ data: { data: { id: 2, cover: true } } })
+
+    await mediaService.setCover(2)
+
+    expect(mockAxios.post).toHaveBeenCalledWith('/api/media/2/cover')
+  })
+
+  it('should replace a file with upload progress', async () => {
+    mockAxios.post.mockResolvedValue({ data: { data: { id: 9 } } })
+    const onUploadProgress = vi.fn()
+    const file = new File(['edited'], 'photo.jpg', { type: 'image/jpeg' })
+
+    const result = await mediaService.replace(5, file, { onUploadProgress })
+
+    const [url, formData, config] = mockAxios.post.mock.calls[0]
+    expect(url).toBe('/api/media/5/replace')
+    expect(formData.get('file').name).toBe('photo.jpg')
+    expect(config.onUploadProgress).toBe(onUploadProgress)
+    expect(result.data.id).toBe(9)
+  })
+
+  it('should list the media library with filters', async () => {
+    mockAxios.get.mockResolvedValue({ data: { data: [{ id: 1 }], total: 1 } })
+
+    const result = await mediaService.library({ type: 'image', page: 2 })
+
+    expect(mockAxios.get).toHaveBeenCalledWith('/api/media', { params: { type: 'image', page: 2 } })
+    expect(result.total).toBe(1)
+  })
+
+  it('should delete library files in bulk', async () => {
+    mockAxios.post.mockResolvedValue({ data: { count: 2 } })
+
+    await mediaService.bulkDelete([1, 2])
+
+    expect(mockAxios.post).toHaveBeenCalledWith('/api/media/bulk-delete', { ids: [1, 2] })
+  })
+
+  it('should attach a copy of a library file to a model', async () => {
+    mockAxios.post.mockResolvedValue({ data: { data: { id: 12 } } })
+
+    const result = await mediaService.attach(3, 'App\\Models\\User', 7, 'gallery')
+
+    expect(mockAxios.post).toHaveBeenCalledWith('/api/media/3/attach', {
+      model_type: 'App\\Models\\User',
+      model_id: 7,
+      collection: 'gallery'
+    })
+    expect(result.data.id).toBe(12)
+  })
+
+  describe('uploadResumable', () => {
+    const file = new File(['0123456789ABC'], 'movie.mp4', { type: 'video/mp4', lastModified: 1700000000000 })
+    const fingerprint = uploadFingerprint(file, { modelType: 'App\\Models\\User', modelId: 1, collection: 'videos' })
+
+    function chunkResponse(offset) {
+      return { data: { data: { id: 'up-1', offset } } }
+    }
+
+    it('should send the file in chunks at the server offset and complete it', async () => {
+      mockAxios.post
+        .mockResolvedValueOnce({ data: { data: { id: 'up-1', offset: 0, size: 13, chunk_size: 5 } } })
+        .mockResolvedValueOnce({ data: { data: { id: 7, name: 'movie.mp4' } } })
+      mockAxios.patch
+        .mockResolvedValueOnce(chunkResponse(5))
+        .mockResolvedValueOnce(chunkResponse(10))
+        .mockResolvedValueOnce(chunkResponse(13))
+      const onUploadProgress = vi.fn()
+
+      const result = await mediaService.uploadResumable(file, 'App\\Models\\User', 1, 'videos', { onUploadProgress })
+
+      expect(mockAxios.post).toHaveBeenNthCalledWith(1, '/api/media/uploads', expect.objectContaining({ file_name: 'movie.mp4', size: 13 }))
+      expect(mockAxios.patch.mock.calls.map(call => call[2].headers['Upload-Offset'])).toEqual([0, 5, 10])
+      expect(mockAxios.patch.mock.calls[2][1].size).toBe(3)
+      expect(mockAxios.post).toHaveBeenNthCalledWith(2, '/api/media/uploads/up-1/complete')
+      expect(onUploadProgress).toHaveBeenLastCalledWith({ loaded: 13, total: 13 })
+      expect(result.data.id).toBe(7)
+      expect(storedUploadId(fingerprint)).toBeNull()
+    })
+
+    it('should resume a stored upload from the offset the server has', async () => {
+      rememberUpload(fingerprint, 'up-1')
+      mockAxios.get.mockResolvedValue({ data: { data: { id: 'up-1', offset: 10, size: 13, chunk_size: 5 } } })
+      mockAxios.patch.mockResolvedValueOnce(chunkResponse(13))
+      mockAxios.post.mockResolvedValueOnce({ data: { data: { id: 7 } } })
+
+      await mediaService.uploadResumable(file, 'App\\Models\\User', 1, 'videos')
+
+      expect(mockAxios.get).toHaveBeenCalledWith('/api/media/uploads/up-1')
+      expect(mockAxios.patch).toHaveBeenCalledTimes(1)
+      expect(mockAxios.patch.mock.calls[0][2].headers['Upload-Offset']).toBe(10)
+    })
+
+    it('should continue from the server offset after a conflict', async () => {
+      rememberUpload(fingerprint, 'up-1')
+      mockAxios.get.mockResolvedValue({ data: { data: { id: 'up-1', offset: 0, size: 13, chunk_size: 5 } } })
+      mockAxios.patch
+        .mockRejectedValueOnce({ response: { status: 409, data: { offset: 10 } } })
+        .mockResolvedValueOnce(chunkResponse(13))
+      mockAxios.post.mockResolvedValueOnce({ data: { data: { id: 7 } } })
+
+      await mediaService.uploadResumable(file, 'App\\Models\\User', 1, 'videos')
+
+      expect(mockAxios.patch.mock.calls.map(call => call[2].headers['Upload-Offset'])).toEqual([0, 10])
+    })
+
+    it('should retry a chunk that failed on the server', async () => {
+      vi.useFakeTimers()
+      mockAxios.post
+        .mockResolvedValueOnce({ data: { data: { id: 'up-1', offset: 0, size: 13, chunk_size: 13 } } })
+        .mockResolvedValueOnce({ data: { data: { id: 7 } } })
+      mockAxios.patch
+        .mockRejectedValueOnce({ response: { status: 503 } })
+        .mockResolvedValueOnce(chunkResponse(13))
+
+      const upload = mediaService.uploadResumable(file, 'App\\Models\\User', 1, 'videos')
+      await vi.advanceTimersByTimeAsync(1000)
+      await upload
+
+      expect(mockAxios.patch).toHaveBeenCalledTimes(2)
+      vi.useRealTimers()
+    })
+
+    it('should stop without retrying when the request is cancelled (paused)', async () => {
+      mockAxios.post.mockResolvedValueOnce({ data: { data: { id: 'up-1', offset: 0, size: 13, chunk_size: 5 } } })
+      mockAxios.patch.mockRejectedValueOnce({ __CANCEL__: true })
+
+      await expect(mediaService.uploadResumable(file, 'App\\Models\\User', 1, 'videos')).rejects.toEqual({ __CANCEL__: true })
+
+      expect(mockAxios.patch).toHaveBeenCalledTimes(1)
+      expect(storedUploadId(fingerprint)).toBe('up-1')
+    })
+
+    it('should forget the upload when it is cancelled', async () => {
+      rememberUpload(fingerprint, 'up-1')
+      mockAxios.delete.mockResolvedValue({ data: { message: 'Upload cancelled' } })
+
+      await mediaService.cancelChunkedUpload('up-1')
+
+      expect(mockAxios.delete).toHaveBeenCalledWith('/api/media/uploads/up-1')
+      expect(storedUploadId(fingerprint)).toBeNull()
+    })
+  })
+})
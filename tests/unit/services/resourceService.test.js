@@ -0,0 +1,338 @@
+/**
+ * Unit Tests for resourceService
+ * Tests API calls for the generic resource system
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { resourceService } from '@/core/services/resourceService'
+
+// Mock window.axios
+const mockAxios = {
+  get: vi.fn(),
+  post: vi.fn(),
+  put: vi.fn(),
+  patch: vi.fn(),
+  delete: vi.fn(),
+}
+
+global.window = global.window || {}
+global.window.axios = mockAxios
+
+describe('resourceService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  describe('list', () => {
+    it('should fetch the resources the user may view', async () => {
+      mockAxios.get.mockResolvedValue({ data: { data: [{ key: 'users', label: 'Users' }] } })
+
+      const result = await resourceService.list()
+
+      expect(mockAxios.get).toHaveBeenCalledWith('/api/resources')
+      expect(result.data[0].key).toBe('users')
+    })
+  })
+
+  describe('aggregates', () => {
+    it('should fetch the aggregates of the table state', async () => {
+      mockAxios.get.mockResolvedValue({ data: { count: 4, aggregates: {}, groups: [{ value: 'Asia', count: 1 }] } })
+
+      const result = await resourceService.aggregates('countries', { search: 'a', groupBy: 'region' })
+
+      expect(mockAxios.get).toHaveBeenCalledWith('/api/resources/countries/aggregates', {
+        params: { search: 'a', groupBy: 'region' }
+      })
+      expect(result.groups[0].value).toBe('Asia')
+    })
+  })
+
+  describe('show', () => {
+    it('should fetch raw record data without a context', async () => {
+      mockAxios.get.mockResolvedValue({ data: { data: { id: 3 } } })
+
+      await resourceService.show('users', 3)
+
+      expect(mockAxios.get).toHaveBeenCalledWith('/api/resources/users/3')
+    })
+
+    it('should pass the show context for the detail view', async () => {
+      mockAxios.get.mockResolvedValue({ data: { data: { id: 3, role: { id: 1, display: 'Admin' } } } })
+
+      const result = await resourceService.show('users', 3, 'show')
+
+      expect(mockAxios.get).toHaveBeenCalledWith('/api/resources/users/3', { params: { context: 'show' } })
+      expect(result.data.role.display).toBe('Admin')
+    })
+  })
+
+  describe('duplicate', () => {
+    it('should fetch the form values of a copy', async () => {
+      mockAxios.get.mockResolvedValue({ data: { data: { name: 'France (Copy)', timezones: [1, 2] } } })
+
+      const result = await resourceService.duplicate('countries', 5)
+
+      expect(mockAxios.get).toHaveBeenCalledWith('/api/resources/countries/5/duplicate')
+      expect(result.data.name).toBe('France (Copy)')
+    })
+  })
+
+  describe('store', () => {
+    it('should create a record without parent scope', async () => {
+      mockAxios.post.mockResolvedValue({ data: { data: { id: 1 } } })
+
+      await resourceService.store('comments', { comment: 'Hi' })
+
+      expect(mockAxios.post).toHaveBeenCalledWith('/api/resources/comments', { comment: 'Hi' })
+    })
+
+    it('should pass the parent relationship as query params', async () => {
+      const via = { viaResource: 'comments', viaResourceId: 3, viaRelationship: 'replies' }
+      mockAxios.post.mockResolvedValue({ data: { data: { id: 4 } } })
+
+      await resourceService.store('comments', { comment: 'Reply' }, via)
+
+      expect(mockAxios.post).toHaveBeenCalledWith('/api/resources/comments', { comment: 'Reply' }, { params: via })
+    })
+  })
+
+  describe('detach', () => {
+    it('should post the parent relationship to the detach endpoint', async () => {
+      const via = { viaResource: 'comments', viaResourceId: 3, viaRelationship: 'replies' }
+      mockAxios.post.mockResolvedValue({ data: { message: 'Comment detached successfully' } })
+
+      const result = await resourceService.detach('comments', 4, via)
+
+      expect(mockAxios.post).toHaveBeenCalledWith('/api/resources/comments/4/detach', via)
+      expect(result.message).toBe('Comment detached successfully')
+    })
+  })
+
+  describe('restore', () => {
+    it('should post to the restore endpoint', async () => {
+      mockAxios.post.mockResolvedValue({ data: { message: 'Comment restored successfully' } })
+
+      const result = await resourceService.restore('comments', 4)
+
+      expect(mockAxios.post).toHaveBeenCalledWith('/api/resources/comments/4/restore')
+      expect(result.message).toBe('Comment restored successfully')
+    })
+  })
+
+  describe('forceDestroy', () => {
+    it('should call the force delete endpoint', async () => {
+      mockAxios.delete.mockResolvedValue({ data: { message: 'Comment permanently deleted' } })
+
+      await resourceService.forceDestroy('comments', 4)
+
+      expect(mockAxios.delete).toHaveBeenCalledWith('/api/resources/comments/4/force')
+    })
+  })
+
+  describe('bulkRestore', () => {
+    it('should send the selection to the bulk restore endpoint', async () => {
+      mockAxios.post.mockResolvedValue({ data: { affected: 2 } })
+
+      await resourceService.bulkRestore('comments', [4, 5])
+
+      expect(mockAxios.post).toHaveBeenCalledWith('/api/resources/comments/bulk/restore', { ids: [4, 5] })
+    })
+  })
+
+  describe('bulkDelete', () => {
+    it('should send selected IDs', async () => {
+      mockAxios.post.mockResolvedValue({ data: { affected: 2 } })
+
+      await resourceService.bulkDelete('countries', [1, 2])
+
+      expect(mockAxios.post).toHaveBeenCalledWith('/api/resources/countries/bulk/delete', { ids: [1, 2] })
+    })
+
+    it('should send a query descriptor for every matching record', async () => {
+      const selection = { query: { search: 'land', filters: { region: 'Europe' } } }
+      mockAxios.post.mockResolvedValue({ data: { affected: 40 } })
+
+      const result = await resourceService.bulkDelete('countries', selection)
+
+      expect(mockAxios.post).toHaveBeenCalledWith('/api/resources/countries/bulk/delete', selection)
+      expect(result.affected).toBe(40)
+    })
+  })
+
+  describe('bulkUpdate', () => {
+    it('should send the selection with the update data', async () => {
+      const selection = { query: { search: '', filters: {} }, viaResource: 'comments', viaResourceId: 3, viaRelationship: 'replies' }
+      mockAxios.post.mockResolvedValue({ data: { affected: 5 } })
+
+      await resourceService.bulkUpdate('comments', selection, { approved: true })
+
+      expect(mockAxios.post).toHaveBeenCalledWith('/api/resources/comments/bulk/update', {
+        ...selection,
+        data: { approved: true },
+      })
+    })
+  })
+
+  describe('runAction', () => {
+    it('should send selected IDs with the action data', async () => {
+      mockAxios.post.mockResolvedValue({ data: { result: 2 } })
+
+      await resourceService.runAction('countries', 'bulk_update', [1, 2], { is_active: false })
+
+      expect(mockAxios.post).toHaveBeenCalledWith('/api/resources/countries/actions/bulk_update', {
+        ids: [1, 2],
+        data: { is_active: false },
+      })
+    })
+  })
+
+  describe('export', () => {
+    it('should request the export endpoint as a blob with table state', async () => {
+      const blob = new Blob(['Name\nFrance'], { type: 'text/csv' })
+      mockAxios.get.mockResolvedValue({
+        data: blob,
+        headers: { 'content-disposition': 'attachment; filename=countries-2025-01-01-120000.csv' },
+      })
+
+      const params = {
+        format: 'csv',
+        columns: ['name'],
+        search: 'Fra',
+        sort: 'name',
+        direction: 'asc',
+        filters: { region: 'Europe' },
+      }
+
+      const result = await resourceService.export('countries', params)
+
+      expect(mockAxios.get).toHaveBeenCalledWith('/api/resources/countries/export', {
+        params,
+        responseType: 'blob',
+      })
+      expect(result.blob).toBe(blob)
+      expect(result.filename).toBe('countries-2025-01-01-120000.csv')
+    })
+
+    it('should parse quoted filenames', async () => {
+      mockAxios.get.mockResolvedValue({
+        data: new Blob([]),
+        headers: { 'content-disposition': 'attachment; filename="users-2025.xlsx"' },
+      })
+
+      const result = await resourceService.export('users', { format: 'xlsx' })
+
+      expect(result.filename).toBe('users-2025.xlsx')
+    })
+
+    it('should fall back to resource and format when no filename header is sent', async () => {
+      mockAxios.get.mockResolvedValue({ data: new Blob([]), headers: {} })
+
+      const result = await resourceService.export('roles', { format: 'json' })
+
+      expect(result.filename).toBe('roles.json')
+    })
+
+    it('should propagate errors', async () => {
+      mockAxios.get.mockRejectedValue(new Error('Network error'))
+
+      await expect(resourceService.export('users', { format: 'csv' })).rejects.toThrow('Network error')
+    })
+  })
+
+  describe('downloadExport', () => {
+    it('should save the exported blob and return the filename', async () => {
+      mockAxios.get.mockResolvedValue({
+        data: new Blob(['[]']),
+        headers: { 'content-disposition': 'attachment; filename=users.json' },
+      })
+
+      URL.createObjectURL = vi.fn(() => 'blob:export')
+      URL.revokeObjectURL = vi.fn()
+      const clickSpy = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {})
+
+      const filename = await resourceService.downloadExport('users', { format: 'json' })
+
+      expect(filename).toBe('users.json')
+      expect(clickSpy).toHaveBeenCalled()
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:export')
+
+      clickSpy.mockRestore()
+    })
+  })
+
+  describe('uploadImport', () => {
+    it('should post the file as multipart form data', async () => {
+      const file = new File(['Name,Code\nFrance,FR'], 'countries.csv', { type: 'text/csv' })
+      const payload = { import: { id: 7, headers: ['Name', 'Code'] }, sample: [], mapping: { name: 0 } }
+      mockAxios.post.mockResolvedValue({ data: payload })
+
+      const result = await resourceService.uploadImport('countries', file)
+
+      const [url, body, config] = mockAxios.post.mock.calls[0]
+      expect(url).toBe('/api/resources/countries/imports')
+      expect(body).toBeInstanceOf(FormData)
+      expect(body.get('file')).toBe(file)
+      expect(config.headers['Content-Type']).toBe('multipart/form-data')
+      expect(result).toEqual(payload)
+    })
+  })
+
+  describe('previewImport', () => {
+    it('should send the column mapping', async () => {
+      const preview = { rows: [], valid: 0, invalid: 0 }
+      mockAxios.post.mockResolvedValue({ data: preview })
+
+      const result = await resourceService.previewImport('countries', 7, { name: 0, code: 1 })
+
+      expect(mockAxios.post).toHaveBeenCalledWith('/api/resources/countries/imports/7/preview', {
+        mapping: { name: 0, code: 1 },
+      })
+      expect(result).toEqual(preview)
+    })
+  })
+
+  describe('commitImport', () => {
+    it('should start the import', async () => {
+      mockAxios.post.mockResolvedValue({ data: { import: { id: 7, status: 'queued' } } })
+
+      const result = await resourceService.commitImport('countries', 7)
+
+      expect(mockAxios.post).toHaveBeenCalledWith('/api/resources/countries/imports/7/commit')
+      expect(result.import.status).toBe('queued')
+    })
+  })
+
+  describe('getImport', () => {
+    it('should fetch import progress', async () => {
+      mockAxios.get.mockResolvedValue({ data: { import: { id: 7, progress: 50 }, errors: [] } })
+
+      const result = await resourceService.getImport('countries', 7)
+
+      expect(mockAxios.get).toHaveBeenCalledWith('/api/resources/countries/imports/7')
+      expect(result.import.progress).toBe(50)
+    })
+  })
+
+  describe('downloadImportErrors', () => {
+    it('should download the error report as a blob', async () => {
+      mockAxios.get.mockResolvedValue({
+        data: new Blob(['Row,Name,Errors']),
+        headers: { 'content-disposition': 'attachment; filename=countries-errors.csv' },
+      })
+
+      URL.createObjectURL = vi.fn(() => 'blob:errors')
+      URL.revokeObjectURL = vi.fn()
+      const clickSpy = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {})
+
+      const filename = await resourceService.downloadImportErrors('countries', 7)
+
+      expect(mockAxios.get).toHaveBeenCalledWith('/api/resources/countries/imports/7/errors', {
+        responseType: 'blob',
+      })
+      expect(filename).toBe('countries-errors.csv')
+      expect(clickSpy).toHaveBeenCalled()
+
+      clickSpy.mockRestore()
+    })
+  })
+})
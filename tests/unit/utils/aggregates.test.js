@@ -0,0 +1,73 @@
+/**
+ * Unit Tests for Row Grouping and Aggregate Utilities
+ * Tests group keys, runs of grouped rows and aggregate formatting
+ */
+
+import { describe, it, expect } from 'vitest'
+import { formatAggregate, groupKey, groupRows, groupsByKey } from '@/utils/aggregates'
+
+describe('aggregates utils', () => {
+  describe('groupKey', () => {
+    it('matches display values with the raw values the server groups by', () => {
+      expect(groupKey(true)).toBe(groupKey(1))
+      expect(groupKey(false)).toBe(groupKey(0))
+      expect(groupKey({ id: 5, display: 'Europe/Vienna' })).toBe(groupKey(5))
+      expect(groupKey('Asia')).toBe('Asia')
+    })
+
+    it('treats missing values as one group', () => {
+      expect(groupKey(null)).toBe('')
+      expect(groupKey(undefined)).toBe('')
+      expect(groupKey('')).toBe('')
+    })
+  })
+
+  describe('groupRows', () => {
+    it('splits rows into runs sharing a value', () => {
+      const rows = [
+        { id: 1, region: 'Asia' },
+        { id: 2, region: 'Europe' },
+        { id: 3, region: 'Europe' },
+        { id: 4, region: null }
+      ]
+
+      expect(groupRows(rows, 'region')).toEqual([
+        { key: 'Asia', value: 'Asia', start: 0, size: 1 },
+        { key: 'Europe', value: 'Europe', start: 1, size: 2 },
+        { key: '', value: null, start: 3, size: 1 }
+      ])
+    })
+
+    it('returns no groups for no rows', () => {
+      expect(groupRows([], 'region')).toEqual([])
+    })
+  })
+
+  describe('groupsByKey', () => {
+    it('indexes server groups by key', () => {
+      const groups = groupsByKey([{ value: 1, count: 3 }, { value: 0, count: 2 }])
+
+      expect(groups.get(groupKey(true)).count).toBe(3)
+      expect(groups.get(groupKey(false)).count).toBe(2)
+    })
+
+    it('accepts no groups', () => {
+      expect(groupsByKey(null).size).toBe(0)
+    })
+  })
+
+  describe('formatAggregate', () => {
+    it('rounds numbers to two decimals', () => {
+      expect(formatAggregate(16.256)).toBe(new Intl.NumberFormat().format(16.26))
+      expect(formatAggregate(1200)).toBe(new Intl.NumberFormat().format(1200))
+    })
+
+    it('shows dates and text as they are', () => {
+      expect(formatAggregate('2024-01-31 10:00:00')).toBe('2024-01-31 10:00:00')
+    })
+
+    it('shows a dash for no value', () => {
+      expect(formatAggregate(null)).toBe('—')
+    })
+  })
+})
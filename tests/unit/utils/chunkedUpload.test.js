@@ -0,0 +1,91 @@
+/**
+ * Unit Tests for Chunked Upload Utilities
+ * Tests stored upload IDs, chunk ranges and retry decisions
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest'
+import {
+  STORAGE_KEY,
+  chunkRange,
+  forgetUpload,
+  isRetryable,
+  rememberUpload,
+  retryDelay,
+  storedUploadId,
+  uploadFingerprint
+} from '@/utils/chunkedUpload'
+
+const file = { name: 'movie.mp4', size: 12_000_000, lastModified: 1700000000000 }
+const target = { modelType: 'App\\Models\\User', modelId: 1, collection: 'videos' }
+
+describe('chunkedUpload utils', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  describe('uploadFingerprint', () => {
+    it('differs per file and per collection', () => {
+      const fingerprint = uploadFingerprint(file, target)
+
+      expect(uploadFingerprint({ ...file }, { ...target })).toBe(fingerprint)
+      expect(uploadFingerprint({ ...file, lastModified: 1 }, target)).not.toBe(fingerprint)
+      expect(uploadFingerprint(file, { ...target, collection: 'other' })).not.toBe(fingerprint)
+    })
+  })
+
+  describe('stored uploads', () => {
+    it('remembers the upload ID of a file across reloads', () => {
+      const fingerprint = uploadFingerprint(file, target)
+      rememberUpload(fingerprint, 'abc')
+
+      expect(storedUploadId(fingerprint)).toBe('abc')
+      expect(JSON.parse(localStorage.getItem(STORAGE_KEY))).toEqual({ [fingerprint]: 'abc' })
+    })
+
+    it('forgets an upload by ID', () => {
+      rememberUpload('one', 'abc')
+      rememberUpload('two', 'def')
+
+      forgetUpload('abc')
+
+      expect(storedUploadId('one')).toBeNull()
+      expect(storedUploadId('two')).toBe('def')
+    })
+
+    it('clears the key when nothing is left', () => {
+      rememberUpload('one', 'abc')
+      forgetUpload('abc')
+
+      expect(localStorage.getItem(STORAGE_KEY)).toBeNull()
+    })
+
+    it('ignores unreadable storage', () => {
+      localStorage.setItem(STORAGE_KEY, '{not json')
+
+      expect(storedUploadId('one')).toBeNull()
+    })
+  })
+
+  describe('chunkRange', () => {
+    it('stops at the end of the file', () => {
+      expect(chunkRange(0, 12, 5)).toEqual({ start: 0, end: 5 })
+      expect(chunkRange(10, 12, 5)).toEqual({ start: 10, end: 12 })
+    })
+  })
+
+  describe('isRetryable / retryDelay', () => {
+    it('retries network and server errors only', () => {
+      expect(isRetryable(new Error('Network Error'))).toBe(true)
+      expect(isRetryable({ response: { status: 503 } })).toBe(true)
+      expect(isRetryable({ response: { status: 429 } })).toBe(true)
+      expect(isRetryable({ response: { status: 422 } })).toBe(false)
+      expect(isRetryable({ response: { status: 404 } })).toBe(false)
+    })
+
+    it('backs off exponentially up to 30 seconds', () => {
+      expect(retryDelay(0)).toBe(1000)
+      expect(retryDelay(2)).toBe(4000)
+      expect(retryDelay(10)).toBe(30000)
+    })
+  })
+})
@@ -0,0 +1,91 @@
+/**
+ * Unit Tests for command palette utilities
+ * Tests fuzzy scoring, command search, menu and route commands and record labels
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  fuzzyScore,
+  searchCommands,
+  menuCommands,
+  routeCommands,
+  uniqueCommands,
+  recordLabel,
+} from '@/utils/commandPalette'
+
+const command = (label, description = null) => ({ id: label, type: 'page', label, description })
+
+describe('fuzzyScore', () => {
+  it('matches characters in order', () => {
+    expect(fuzzyScore('tz', 'Timezones')).not.toBeNull()
+    expect(fuzzyScore('zt', 'Timezones')).toBeNull()
+    expect(fuzzyScore('', 'Timezones')).toBe(0)
+  })
+
+  it('scores prefixes, word starts and runs higher', () => {
+    expect(fuzzyScore('use', 'Users')).toBeGreaterThan(fuzzyScore('use', 'Pause settings'))
+    expect(fuzzyScore('gs', 'Global Settings')).toBeGreaterThan(fuzzyScore('gs', 'Big boss'))
+    expect(fuzzyScore('rol', 'Roles')).toBeGreaterThan(fuzzyScore('rol', 'Rate of loss'))
+  })
+})
+
+describe('searchCommands', () => {
+  const commands = [command('Dashboard'), command('Users'), command('Roles'), command('Email Templates', '/admin/email-templates')]
+
+  it('returns the first commands for an empty query', () => {
+    expect(searchCommands(commands, '  ', 2).map(c => c.label)).toEqual(['Dashboard', 'Users'])
+  })
+
+  it('ranks matches and drops the rest', () => {
+    expect(searchCommands(commands, 'ro').map(c => c.label)).toEqual(['Roles'])
+    expect(searchCommands(commands, 'us')[0].label).toBe('Users')
+  })
+
+  it('also matches descriptions', () => {
+    expect(searchCommands(commands, 'admin/email').map(c => c.label)).toEqual(['Email Templates'])
+  })
+})
+
+describe('menuCommands', () => {
+  it('turns menu items into page commands', () => {
+    expect(menuCommands([{ to: { name: 'admin.users' }, icon: 'team', label: 'Users' }])).toEqual([
+      { id: 'page:admin.users', type: 'page', label: 'Users', description: null, icon: 'team', to: { name: 'admin.users' } },
+    ])
+  })
+})
+
+describe('routeCommands', () => {
+  const routes = [
+    { name: 'admin.dashboard', path: '/admin', meta: { title: 'Dashboard', auth: 'admin' } },
+    { name: 'admin.users', path: '/admin/users', meta: { title: 'Users', auth: 'admin', permission: 'users.viewAny' } },
+    { name: 'admin.resource.show', path: '/admin/:resource/:id', meta: { title: 'Details', auth: 'admin' } },
+    { name: 'admin.profile', path: '/admin/profile', redirect: { name: 'admin.profile.personal' }, meta: { title: 'Profile', auth: 'admin' } },
+    { name: 'admin.error.notFound', path: '/admin/error/404', meta: { title: '404', auth: '' } },
+    { name: 'user.dashboard', path: '/user', meta: { title: 'Dashboard', auth: 'user' } },
+    { path: '/admin/untitled', meta: { auth: 'admin' } },
+  ]
+
+  it('lists the pages of the panel the user may open', () => {
+    const can = permission => !permission
+
+    expect(routeCommands(routes, 'admin', can).map(c => c.id)).toEqual(['page:admin.dashboard'])
+    expect(routeCommands(routes, 'admin', () => true).map(c => c.id)).toEqual(['page:admin.dashboard', 'page:admin.users'])
+    expect(routeCommands(routes, 'user', can)[0]).toMatchObject({ label: 'Dashboard', description: '/user', to: { name: 'user.dashboard' } })
+  })
+})
+
+describe('uniqueCommands', () => {
+  it('keeps the first command of each id', () => {
+    const result = uniqueCommands([{ id: 'a', label: 'Menu' }, { id: 'a', label: 'Route' }, { id: 'b', label: 'Other' }])
+
+    expect(result.map(c => c.label)).toEqual(['Menu', 'Other'])
+  })
+})
+
+describe('recordLabel', () => {
+  it('uses the title attribute, or the ID', () => {
+    expect(recordLabel({ id: 3, name: 'Ada' }, 'name')).toBe('Ada')
+    expect(recordLabel({ id: 3, name: '' }, 'name')).toBe('#3')
+    expect(recordLabel({ id: 3, country: { id: 1, display: 'Peru' } }, 'country')).toBe('Peru')
+  })
+})
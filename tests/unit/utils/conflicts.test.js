@@ -0,0 +1,69 @@
+/**
+ * Unit Tests for conflict utilities
+ * Tests value comparison, conflicting field detection and merging of per-field choices
+ */
+
+import { describe, it, expect } from 'vitest'
+import { sameValue, conflictingFields, mergeConflicts } from '@/utils/conflicts'
+
+const fields = [
+  { attribute: 'name', label: 'Name', type: 'text' },
+  { attribute: 'region', label: 'Region', type: 'select' },
+  { attribute: 'is_active', label: 'Active', type: 'boolean' },
+  { attribute: 'roles', label: 'Roles', type: 'belongs-to-many' }
+]
+
+describe('sameValue', () => {
+  it('treats empty values as equal', () => {
+    expect(sameValue(null, '')).toBe(true)
+    expect(sameValue(undefined, null)).toBe(true)
+  })
+
+  it('compares numbers, booleans and arrays loosely', () => {
+    expect(sameValue(1, '1')).toBe(true)
+    expect(sameValue(true, 1)).toBe(true)
+    expect(sameValue([2, 1], ['1', '2'])).toBe(true)
+    expect(sameValue([1], [1, 2])).toBe(false)
+  })
+})
+
+describe('conflictingFields', () => {
+  const original = { name: 'Finland', region: 'Europe', is_active: true, roles: [1] }
+
+  it('lists fields where the saved value differs from the current one', () => {
+    const mine = { ...original, name: 'Suomi' }
+    const theirs = { ...original, region: 'Nordics', roles: [1, 2] }
+
+    const conflicts = conflictingFields(fields, original, mine, theirs)
+
+    expect(conflicts.map(conflict => conflict.field.attribute)).toEqual(['name', 'region', 'roles'])
+  })
+
+  it('keeps my changes and takes theirs elsewhere by default', () => {
+    const mine = { ...original, name: 'Suomi' }
+    const theirs = { ...original, name: 'Republic of Finland', region: 'Nordics' }
+
+    const [name, region] = conflictingFields(fields, original, mine, theirs)
+
+    expect(name).toMatchObject({ mine: 'Suomi', theirs: 'Republic of Finland', mineChanged: true, theirsChanged: true, choice: 'mine' })
+    expect(region).toMatchObject({ mine: 'Europe', theirs: 'Nordics', mineChanged: false, choice: 'theirs' })
+  })
+
+  it('skips fields missing from the current record', () => {
+    const theirs = { name: 'Finland' }
+
+    expect(conflictingFields(fields, original, { ...original, region: 'Asia' }, theirs)).toEqual([])
+  })
+})
+
+describe('mergeConflicts', () => {
+  it('applies the chosen side per field', () => {
+    const mine = { name: 'Suomi', region: 'Europe', is_active: true }
+    const conflicts = [
+      { field: fields[0], mine: 'Suomi', theirs: 'Republic of Finland', choice: 'mine' },
+      { field: fields[1], mine: 'Europe', theirs: 'Nordics', choice: 'theirs' }
+    ]
+
+    expect(mergeConflicts(mine, conflicts)).toEqual({ name: 'Suomi', region: 'Nordics', is_active: true })
+  })
+})
@@ -0,0 +1,77 @@
+/**
+ * Unit Tests for Display Mode Utilities
+ * Tests which modes the fields allow and how records spread over kanban columns
+ */
+
+import { describe, it, expect } from 'vitest'
+import { availableDisplayModes, cardImageField, kanbanColumns, kanbanField } from '@/utils/displayModes'
+
+const status = {
+  attribute: 'status',
+  type: 'select',
+  meta: { options: { active: 'Active', inactive: 'Inactive' } }
+}
+const avatar = { attribute: 'avatar', type: 'media', meta: {} }
+const name = { attribute: 'name', type: 'text', meta: {} }
+
+const modes = fields => availableDisplayModes(fields).map(mode => mode.value)
+
+describe('displayModes utils', () => {
+  describe('availableDisplayModes', () => {
+    it('always offers the table', () => {
+      expect(modes([name])).toEqual(['table'])
+      expect(modes(null)).toEqual(['table'])
+    })
+
+    it('offers cards for image and media fields', () => {
+      expect(modes([name, avatar])).toEqual(['table', 'grid'])
+      expect(modes([{ attribute: 'flag', type: 'image', meta: {} }])).toEqual(['table', 'grid'])
+    })
+
+    it('offers a board for select fields with options', () => {
+      expect(modes([name, status])).toEqual(['table', 'kanban'])
+      expect(modes([avatar, status])).toEqual(['table', 'grid', 'kanban'])
+    })
+  })
+
+  describe('cardImageField', () => {
+    it('picks the first image or media field', () => {
+      expect(cardImageField([name, avatar])).toBe(avatar)
+      expect(cardImageField([name])).toBeNull()
+    })
+  })
+
+  describe('kanbanField', () => {
+    it('skips multiple selects and selects without static options', () => {
+      const roles = { attribute: 'roles', type: 'select', meta: { multiple: true, options: { 1: 'Admin' } } }
+      const country = { attribute: 'country_id', type: 'select', meta: { resource: 'countries' } }
+
+      expect(kanbanField([roles, country, status])).toBe(status)
+      expect(kanbanField([roles, country])).toBeNull()
+    })
+  })
+
+  describe('kanbanColumns', () => {
+    it('puts records in the column of their value, in option order', () => {
+      const columns = kanbanColumns([
+        { id: 1, status: 'inactive' },
+        { id: 2, status: 'active' },
+        { id: 3, status: 'active' }
+      ], status)
+
+      expect(columns.map(column => column.value)).toEqual(['active', 'inactive'])
+      expect(columns[0].items.map(item => item.id)).toEqual([2, 3])
+      expect(columns[1].items.map(item => item.id)).toEqual([1])
+    })
+
+    it('keeps empty option columns as drop targets', () => {
+      expect(kanbanColumns([], status).map(column => column.items.length)).toEqual([0, 0])
+    })
+
+    it('adds columns for values that are not options', () => {
+      const columns = kanbanColumns([{ id: 1, status: 'banned' }, { id: 2, status: null }], status)
+
+      expect(columns.slice(2).map(column => [column.value, column.label])).toEqual([['banned', 'banned'], ['', 'None']])
+    })
+  })
+})
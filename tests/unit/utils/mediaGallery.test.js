@@ -0,0 +1,90 @@
+/**
+ * Unit Tests for Media Gallery Utilities
+ * Tests cover selection, file checks against the field limits and lightbox images
+ */
+
+import { describe, it, expect } from 'vitest'
+import { acceptsFile, coverMedia, fileError, lightboxImages, mediaItems, partitionFiles, withCover } from '@/utils/mediaGallery'
+
+const file = (name, type, size = 1024) => ({ name, type, size })
+
+describe('mediaGallery utils', () => {
+  describe('mediaItems', () => {
+    it('lists single media, galleries and no media alike', () => {
+      expect(mediaItems({ id: 1 })).toEqual([{ id: 1 }])
+      expect(mediaItems([{ id: 1 }, { id: 2 }])).toHaveLength(2)
+      expect(mediaItems(null)).toEqual([])
+    })
+  })
+
+  describe('coverMedia', () => {
+    it('picks the item marked as cover', () => {
+      expect(coverMedia([{ id: 1 }, { id: 2, cover: true }]).id).toBe(2)
+    })
+
+    it('falls back to the first item', () => {
+      expect(coverMedia([{ id: 1 }, { id: 2 }]).id).toBe(1)
+      expect(coverMedia({ id: 3 }).id).toBe(3)
+      expect(coverMedia([])).toBeNull()
+    })
+  })
+
+  describe('withCover', () => {
+    it('marks only the chosen item', () => {
+      const items = withCover([{ id: 1, cover: true }, { id: 2 }], 2)
+
+      expect(items.map(item => item.cover)).toEqual([false, true])
+    })
+  })
+
+  describe('acceptsFile / fileError', () => {
+    it('matches wildcard and exact types', () => {
+      expect(acceptsFile(file('a.png', 'image/png'), ['image/*'])).toBe(true)
+      expect(acceptsFile(file('a.pdf', 'application/pdf'), ['image/*'])).toBe(false)
+      expect(acceptsFile(file('a.pdf', 'application/pdf'), ['application/pdf'])).toBe(true)
+      expect(acceptsFile(file('a.pdf', 'application/pdf'), [])).toBe(true)
+    })
+
+    it('explains type and size errors', () => {
+      expect(fileError(file('a.pdf', 'application/pdf'), { acceptedTypes: ['image/*'] })).toBe('a.pdf is not an accepted file type')
+      expect(fileError(file('big.png', 'image/png', 3 * 1024 * 1024), { maxFileSize: 2 })).toBe('big.png is larger than 2MB')
+      expect(fileError(file('ok.png', 'image/png'), { acceptedTypes: ['image/*'], maxFileSize: 2 })).toBeNull()
+    })
+  })
+
+  describe('partitionFiles', () => {
+    it('keeps within the free places of the gallery', () => {
+      const result = partitionFiles(
+        [file('a.png', 'image/png'), file('b.png', 'image/png'), file('c.png', 'image/png')],
+        { acceptedTypes: ['image/*'], maxFiles: 4, count: 2 }
+      )
+
+      expect(result.files.map(f => f.name)).toEqual(['a.png', 'b.png'])
+      expect(result.errors).toEqual(['c.png was not added: the gallery holds at most 4 files'])
+    })
+
+    it('reports files that cannot be added without counting them', () => {
+      const result = partitionFiles(
+        [file('a.pdf', 'application/pdf'), file('b.png', 'image/png')],
+        { acceptedTypes: ['image/*'], maxFiles: 1 }
+      )
+
+      expect(result.files.map(f => f.name)).toEqual(['b.png'])
+      expect(result.errors).toEqual(['a.pdf is not an accepted file type'])
+    })
+  })
+
+  describe('lightboxImages', () => {
+    it('names images by caption and describes them by alt text', () => {
+      const [image] = lightboxImages([{ id: 1, url: '/a.jpg', name: 'a.jpg', caption: 'Harbour', alt: 'Boats at dusk' }])
+
+      expect(image).toMatchObject({ url: '/a.jpg', name: 'Harbour', alt: 'Boats at dusk' })
+    })
+
+    it('falls back to the file name', () => {
+      const [image] = lightboxImages([{ id: 1, url: '/a.jpg', name: 'a.jpg' }])
+
+      expect(image).toMatchObject({ name: 'a.jpg', alt: 'a.jpg' })
+    })
+  })
+})
@@ -0,0 +1,73 @@
+/**
+ * Unit Tests for Media Library Utilities
+ * Tests filter parameters, accepted types and picker selection
+ */
+
+import { describe, it, expect } from 'vitest'
+import { acceptedMediaType, acceptsMedia, formatFileSize, libraryParams, mediaTypeIcon, toggleSelection } from '@/utils/mediaLibrary'
+
+const item = (id, mimeType = 'image/jpeg') => ({ id, mime_type: mimeType })
+
+describe('mediaLibrary utils', () => {
+  describe('libraryParams', () => {
+    it('leaves out empty filters and adds the page', () => {
+      expect(libraryParams({ search: '', type: 'image', collection: null, model_type: undefined }, 2))
+        .toEqual({ type: 'image', page: 2 })
+    })
+  })
+
+  describe('acceptedMediaType', () => {
+    it('limits the library to the type of all accepted types', () => {
+      expect(acceptedMediaType(['image/*'])).toBe('image')
+      expect(acceptedMediaType(['image/png', 'image/jpeg'])).toBe('image')
+      expect(acceptedMediaType(['application/pdf', 'text/plain'])).toBe('document')
+    })
+
+    it('does not limit the library for mixed or no accepted types', () => {
+      expect(acceptedMediaType(['image/*', 'application/pdf'])).toBeNull()
+      expect(acceptedMediaType([])).toBeNull()
+    })
+  })
+
+  describe('acceptsMedia', () => {
+    it('matches the MIME type of a library item', () => {
+      expect(acceptsMedia(item(1, 'image/png'), ['image/*'])).toBe(true)
+      expect(acceptsMedia(item(1, 'application/pdf'), ['image/*'])).toBe(false)
+      expect(acceptsMedia(item(1, null), [])).toBe(true)
+    })
+  })
+
+  describe('mediaTypeIcon', () => {
+    it('falls back to the document icon', () => {
+      expect(mediaTypeIcon({ type: 'video' })).toBe('film')
+      expect(mediaTypeIcon({ type: 'unknown' })).toBe('file')
+    })
+  })
+
+  describe('toggleSelection', () => {
+    it('replaces the selection when picking a single file', () => {
+      expect(toggleSelection([item(1)], item(2))).toEqual([item(2)])
+      expect(toggleSelection([item(1)], item(1))).toEqual([])
+    })
+
+    it('toggles files when picking several', () => {
+      const selected = toggleSelection([item(1)], item(2), { multiple: true })
+      expect(selected.map(entry => entry.id)).toEqual([1, 2])
+      expect(toggleSelection(selected, item(1), { multiple: true }).map(entry => entry.id)).toEqual([2])
+    })
+
+    it('keeps within the limit', () => {
+      const selected = [item(1), item(2)]
+      expect(toggleSelection(selected, item(3), { multiple: true, max: 2 })).toBe(selected)
+      expect(toggleSelection(selected, item(2), { multiple: true, max: 2 })).toEqual([item(1)])
+    })
+  })
+
+  describe('formatFileSize', () => {
+    it('formats bytes in the largest fitting unit', () => {
+      expect(formatFileSize(0)).toBe('0 B')
+      expect(formatFileSize(1536)).toBe('1.5 KB')
+      expect(formatFileSize(5 * 1024 * 1024)).toBe('5 MB')
+    })
+  })
+})
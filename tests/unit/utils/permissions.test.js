@@ -0,0 +1,65 @@
+/**
+ * Unit Tests for permission utilities
+ * Tests permission checks, route permissions, menu filtering and matrix toggles
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  hasPermission,
+  routePermission,
+  filterMenuItems,
+  togglePermissions,
+} from '@/utils/permissions'
+
+describe('hasPermission', () => {
+  it('allows when no permission is required', () => {
+    expect(hasPermission([], null)).toBe(true)
+    expect(hasPermission(undefined, undefined)).toBe(true)
+  })
+
+  it('checks the permission list', () => {
+    expect(hasPermission(['countries.viewAny'], 'countries.viewAny')).toBe(true)
+    expect(hasPermission(['countries.viewAny'], 'countries.update')).toBe(false)
+    expect(hasPermission(undefined, 'countries.viewAny')).toBe(false)
+  })
+})
+
+describe('routePermission', () => {
+  it('reads the permission from the route meta', () => {
+    expect(routePermission({ meta: { permission: 'activity.view' } })).toBe('activity.view')
+    expect(routePermission({ meta: {} })).toBe(null)
+  })
+
+  it('resolves permissions that depend on the route', () => {
+    const route = {
+      params: { resource: 'countries' },
+      meta: { permission: to => `${to.params.resource}.view` }
+    }
+
+    expect(routePermission(route)).toBe('countries.view')
+  })
+})
+
+describe('filterMenuItems', () => {
+  it('keeps items without a permission or with a granted one', () => {
+    const items = [
+      { label: 'Dashboard' },
+      { label: 'Countries', permission: 'countries.viewAny' },
+      { label: 'Activity', permission: 'activity.view' }
+    ]
+
+    expect(filterMenuItems(items, ['countries.viewAny']).map(item => item.label)).toEqual(['Dashboard', 'Countries'])
+  })
+})
+
+describe('togglePermissions', () => {
+  it('adds permissions without duplicates', () => {
+    expect(togglePermissions(['countries.view'], ['countries.view', 'countries.update'], true))
+      .toEqual(['countries.view', 'countries.update'])
+  })
+
+  it('removes permissions', () => {
+    expect(togglePermissions(['countries.view', 'countries.update', 'activity.view'], ['countries.view', 'countries.update'], false))
+      .toEqual(['activity.view'])
+  })
+})
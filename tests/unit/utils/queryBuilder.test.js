@@ -0,0 +1,87 @@
+/**
+ * Unit Tests for queryBuilder utilities
+ * Tests condition defaults, value inputs, pruning and counting of query builder groups
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  createRule,
+  valueInput,
+  isRuleComplete,
+  pruneGroup,
+  countConditions,
+} from '@/utils/queryBuilder'
+
+const regionFilter = {
+  key: 'region',
+  type: 'select',
+  label: 'Region',
+  options: [{ value: 'Europe', label: 'Europe' }],
+  operators: ['equals', 'not_equals', 'in', 'not_in', 'is_empty', 'is_not_empty'],
+}
+const createdFilter = {
+  key: 'created_at',
+  type: 'date-range',
+  label: 'Created',
+  operators: ['equals', 'before', 'after', 'between', 'relative', 'is_empty', 'is_not_empty'],
+}
+const capitalFilter = { key: 'capital', type: 'text', label: 'Capital', operators: ['contains', 'is_empty'] }
+
+describe('queryBuilder', () => {
+  it('should create a condition with the filter\'s first operator', () => {
+    expect(createRule(regionFilter)).toEqual({ filter: 'region', operator: 'equals', value: '' })
+    expect(createRule({ ...regionFilter, operators: ['in'] }).value).toEqual([])
+    expect(createRule({ ...capitalFilter, operators: ['is_empty'] }).value).toBeNull()
+  })
+
+  it('should pick the value input for the filter and operator', () => {
+    expect(valueInput(regionFilter, 'equals')).toBe('select')
+    expect(valueInput(regionFilter, 'in')).toBe('multi-select')
+    expect(valueInput(regionFilter, 'is_empty')).toBe('none')
+    expect(valueInput(createdFilter, 'before')).toBe('date')
+    expect(valueInput(createdFilter, 'between')).toBe('range')
+    expect(valueInput(createdFilter, 'relative')).toBe('relative')
+    expect(valueInput({ key: 'order', type: 'number-range', operators: ['gt'] }, 'gt')).toBe('number')
+    expect(valueInput(capitalFilter, 'contains')).toBe('text')
+  })
+
+  it('should tell whether a condition has the value its operator needs', () => {
+    expect(isRuleComplete({ filter: 'capital', operator: 'contains', value: '' })).toBe(false)
+    expect(isRuleComplete({ filter: 'capital', operator: 'is_empty', value: null })).toBe(true)
+    expect(isRuleComplete({ filter: 'region', operator: 'in', value: [] })).toBe(false)
+    expect(isRuleComplete({ filter: 'created_at', operator: 'between', value: ['2025-01-01', ''] })).toBe(false)
+    expect(isRuleComplete({ filter: 'created_at', operator: 'between', value: ['2025-01-01', '2025-02-01'] })).toBe(true)
+  })
+
+  it('should prune incomplete conditions and empty groups', () => {
+    const group = {
+      match: 'any',
+      rules: [
+        { filter: 'region', operator: 'equals', value: 'Europe' },
+        { filter: 'capital', operator: 'contains', value: '' },
+        { match: 'all', rules: [{ filter: 'region', operator: 'in', value: [] }] },
+        { match: 'all', rules: [{ filter: 'created_at', operator: 'relative', value: 'last_7_days' }] },
+      ],
+    }
+
+    expect(pruneGroup(group)).toEqual({
+      match: 'any',
+      rules: [
+        { filter: 'region', operator: 'equals', value: 'Europe' },
+        { match: 'all', rules: [{ filter: 'created_at', operator: 'relative', value: 'last_7_days' }] },
+      ],
+    })
+    expect(pruneGroup({ match: 'all', rules: [{ filter: 'capital', operator: 'contains', value: '' }] })).toBeNull()
+  })
+
+  it('should count conditions in nested groups', () => {
+    expect(countConditions({
+      match: 'all',
+      rules: [
+        { filter: 'region', operator: 'equals', value: 'Europe' },
+        { match: 'any', rules: [{ filter: 'capital', operator: 'is_empty' }, { filter: 'capital', operator: 'contains', value: 'a' }] },
+      ],
+    })).toBe(3)
+    expect(countConditions(undefined)).toBe(0)
+  })
+})
@@ -0,0 +1,76 @@
+/**
+ * Unit Tests for Rich Content Utilities
+ * Tests sanitized HTML for rich text and markdown values and plain-text excerpts
+ */
+
+import { describe, it, expect } from 'vitest'
+import { contentExcerpt, contentHtml, isHtmlContentType, renderMarkdown, sanitizeHtml } from '@/utils/richContent'
+
+describe('richContent utils', () => {
+  describe('isHtmlContentType', () => {
+    it('accepts both spellings of rich text and markdown', () => {
+      expect(isHtmlContentType('rich-text')).toBe(true)
+      expect(isHtmlContentType('richText')).toBe(true)
+      expect(isHtmlContentType('markdown')).toBe(true)
+      expect(isHtmlContentType('code')).toBe(false)
+    })
+  })
+
+  describe('sanitizeHtml', () => {
+    it('removes scripts and event handlers', () => {
+      const html = sanitizeHtml('<p onclick="steal()">Hi<script>alert(1)</script></p><img src="x" onerror="alert(1)">')
+
+      expect(html).toBe('<p>Hi</p><img src="x">')
+    })
+
+    it('returns an empty string for no value', () => {
+      expect(sanitizeHtml(null)).toBe('')
+    })
+  })
+
+  describe('renderMarkdown', () => {
+    it('renders markdown to HTML', () => {
+      expect(renderMarkdown('# Title\n\n**bold**')).toContain('<h1>Title</h1>')
+      expect(renderMarkdown('**bold**')).toContain('<strong>bold</strong>')
+    })
+
+    it('sanitizes HTML embedded in the markdown', () => {
+      const html = renderMarkdown('Hello <script>alert(1)</script>[link](javascript:alert(1))')
+
+      expect(html).not.toContain('<script')
+      expect(html).not.toContain('javascript:')
+    })
+  })
+
+  describe('contentHtml', () => {
+    it('renders markdown only for markdown fields', () => {
+      expect(contentHtml('**a**', 'markdown')).toContain('<strong>a</strong>')
+      expect(contentHtml('**a**', 'rich-text')).toBe('**a**')
+    })
+  })
+
+  describe('contentExcerpt', () => {
+    it('strips tags and separates blocks', () => {
+      expect(contentExcerpt('<h2>Title</h2><p>First &amp; second</p>', 'rich-text')).toBe('Title First & second')
+    })
+
+    it('strips markdown syntax', () => {
+      expect(contentExcerpt('# Title\n\nSome *text*', 'markdown')).toBe('Title Some text')
+    })
+
+    it('keeps the first non-empty line of code', () => {
+      expect(contentExcerpt('\nSELECT *\nFROM users', 'code')).toBe('SELECT *')
+    })
+
+    it('truncates long text', () => {
+      const excerpt = contentExcerpt(`<p>${'word '.repeat(40)}</p>`, 'rich-text', 20)
+
+      expect(excerpt.length).toBeLessThanOrEqual(20)
+      expect(excerpt.endsWith('…')).toBe(true)
+    })
+
+    it('returns an empty string for no value', () => {
+      expect(contentExcerpt(null, 'markdown')).toBe('')
+    })
+  })
+})
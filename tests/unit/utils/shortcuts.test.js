@@ -0,0 +1,93 @@
+/**
+ * Unit Tests for keyboard shortcut utilities
+ * Tests combination parsing, event matching, typing targets and key labels
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import {
+  parseShortcut,
+  matchesShortcut,
+  isTypingTarget,
+  targetHandlesKey,
+  shortcutLabel,
+} from '@/utils/shortcuts'
+
+const keydown = (key, modifiers = {}) => new KeyboardEvent('keydown', { key, ...modifiers })
+
+const onMac = () => vi.spyOn(navigator, 'platform', 'get').mockReturnValue('MacIntel')
+
+afterEach(() => {
+  vi.restoreAllMocks()
+})
+
+describe('parseShortcut', () => {
+  it('splits the key from its modifiers', () => {
+    expect(parseShortcut('j')).toEqual({ key: 'j', mod: false, ctrl: false, alt: false, shift: false })
+    expect(parseShortcut('mod+shift+K')).toEqual({ key: 'k', mod: true, ctrl: false, alt: false, shift: true })
+    expect(parseShortcut('mod++').key).toBe('+')
+  })
+})
+
+describe('matchesShortcut', () => {
+  it('matches single keys without modifiers', () => {
+    expect(matchesShortcut(keydown('j'), 'j')).toBe(true)
+    expect(matchesShortcut(keydown('k'), 'j')).toBe(false)
+    expect(matchesShortcut(keydown('J', { shiftKey: true }), 'j')).toBe(false)
+    expect(matchesShortcut(keydown('j', { ctrlKey: true }), 'j')).toBe(false)
+    expect(matchesShortcut(keydown('Delete'), 'Delete')).toBe(true)
+  })
+
+  it('ignores shift for symbol keys', () => {
+    expect(matchesShortcut(keydown('?', { shiftKey: true }), '?')).toBe(true)
+    expect(matchesShortcut(keydown('/'), '/')).toBe(true)
+  })
+
+  it('treats mod as Ctrl outside macOS', () => {
+    expect(matchesShortcut(keydown('k', { ctrlKey: true }), 'mod+k')).toBe(true)
+    expect(matchesShortcut(keydown('k', { metaKey: true }), 'mod+k')).toBe(false)
+    expect(matchesShortcut(keydown('k'), 'mod+k')).toBe(false)
+  })
+
+  it('treats mod as Cmd on macOS', () => {
+    onMac()
+
+    expect(matchesShortcut(keydown('k', { metaKey: true }), 'mod+k')).toBe(true)
+    expect(matchesShortcut(keydown('k', { ctrlKey: true }), 'mod+k')).toBe(false)
+  })
+})
+
+describe('isTypingTarget', () => {
+  it('detects fields that take typed keys', () => {
+    const checkbox = Object.assign(document.createElement('input'), { type: 'checkbox' })
+
+    expect(isTypingTarget(document.createElement('input'))).toBe(true)
+    expect(isTypingTarget(document.createElement('textarea'))).toBe(true)
+    expect(isTypingTarget(document.createElement('select'))).toBe(true)
+    expect(isTypingTarget(checkbox)).toBe(false)
+    expect(isTypingTarget(document.body)).toBe(false)
+    expect(isTypingTarget(null)).toBe(false)
+  })
+
+  it('leaves Enter and Space to focused buttons and links', () => {
+    const button = document.createElement('button')
+
+    expect(targetHandlesKey(button, 'Enter')).toBe(true)
+    expect(targetHandlesKey(button, 'j')).toBe(false)
+    expect(targetHandlesKey(document.body, 'Enter')).toBe(false)
+    expect(targetHandlesKey(document.createElement('input'), 'j')).toBe(true)
+  })
+})
+
+describe('shortcutLabel', () => {
+  it('lists the keys to press', () => {
+    expect(shortcutLabel('j')).toEqual(['j'])
+    expect(shortcutLabel('Escape')).toEqual(['Esc'])
+    expect(shortcutLabel('mod+k')).toEqual(['Ctrl', 'K'])
+  })
+
+  it('uses macOS symbols on macOS', () => {
+    onMac()
+
+    expect(shortcutLabel('mod+shift+k')).toEqual(['⌘', '⇧', 'K'])
+  })
+})
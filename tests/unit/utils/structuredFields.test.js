@@ -0,0 +1,105 @@
+/**
+ * Unit Tests for Structured Field Utilities
+ * Tests repeater rows, per-row errors and key-value pair conversion
+ */
+
+import { describe, it, expect } from 'vitest'
+import { duplicateKeys, emptyRow, objectFromPairs, pairErrors, pairsFromObject, rowErrors, structuredSummary } from '@/utils/structuredFields'
+
+describe('structuredFields utils', () => {
+  describe('emptyRow', () => {
+    it('starts each row field at its default', () => {
+      const row = emptyRow([
+        { attribute: 'city', type: 'text' },
+        { attribute: 'country', type: 'text', default: 'AT' },
+        { attribute: 'primary', type: 'boolean' },
+        { attribute: 'phones', type: 'repeater' },
+        { attribute: 'tags', type: 'select', meta: { multiple: true } }
+      ])
+
+      expect(row).toEqual({ city: null, country: 'AT', primary: false, phones: [], tags: [] })
+    })
+  })
+
+  describe('rowErrors', () => {
+    const errors = {
+      name: ['The name field is required.'],
+      'addresses.0.city': ['The city field is required.'],
+      'addresses.1.city': ['The city may not be greater than 50 characters.'],
+      'addresses.1.phones.0.number': ['The number field is required.'],
+      'addresses.10.city': ['Row ten.']
+    }
+
+    it('keeps the errors of one row, keyed relative to the row', () => {
+      expect(rowErrors(errors, 'addresses', 1)).toEqual({
+        city: ['The city may not be greater than 50 characters.'],
+        'phones.0.number': ['The number field is required.']
+      })
+    })
+
+    it('does not mistake row 10 for row 1', () => {
+      expect(Object.keys(rowErrors(errors, 'addresses', 1))).not.toContain('0.city')
+      expect(rowErrors(errors, 'addresses', 10)).toEqual({ city: ['Row ten.'] })
+    })
+
+    it('accepts no errors', () => {
+      expect(rowErrors(null, 'addresses', 0)).toEqual({})
+    })
+  })
+
+  describe('pairErrors', () => {
+    it('keys entry errors by entry key', () => {
+      const errors = {
+        metadata: ['The metadata must be an array.'],
+        'metadata.motto': ['The metadata.motto may not be greater than 20 characters.'],
+        metadataExtra: ['Other field.']
+      }
+
+      expect(pairErrors(errors, 'metadata')).toEqual({
+        motto: ['The metadata.motto may not be greater than 20 characters.']
+      })
+    })
+  })
+
+  describe('pairsFromObject / objectFromPairs', () => {
+    it('round-trips an object', () => {
+      const object = { motto: 'Rows first', anthem: 'Tables' }
+
+      expect(objectFromPairs(pairsFromObject(object))).toEqual(object)
+    })
+
+    it('ignores pairs without a key and trims keys', () => {
+      expect(objectFromPairs([{ key: ' a ', value: 1 }, { key: '', value: 2 }, { key: null, value: 3 }])).toEqual({ a: 1 })
+    })
+
+    it('lets the last of repeated keys win', () => {
+      expect(objectFromPairs([{ key: 'a', value: 1 }, { key: 'a', value: 2 }])).toEqual({ a: 2 })
+    })
+
+    it('has no pairs for non-objects', () => {
+      expect(pairsFromObject(null)).toEqual([])
+      expect(pairsFromObject(['a'])).toEqual([])
+    })
+  })
+
+  describe('duplicateKeys', () => {
+    it('finds keys used more than once', () => {
+      const duplicates = duplicateKeys([{ key: 'a' }, { key: 'b' }, { key: 'a ' }, { key: '' }, { key: '' }])
+
+      expect([...duplicates]).toEqual(['a'])
+    })
+  })
+
+  describe('structuredSummary', () => {
+    it('counts repeater rows', () => {
+      expect(structuredSummary([{}, {}], 'repeater')).toBe('2 items')
+      expect(structuredSummary([{}], 'repeater')).toBe('1 item')
+      expect(structuredSummary([], 'repeater')).toBe('-')
+    })
+
+    it('lists key-value pairs', () => {
+      expect(structuredSummary({ a: 1, b: 'x' }, 'key-value')).toBe('a: 1, b: x')
+      expect(structuredSummary(null, 'key-value')).toBe('-')
+    })
+  })
+})